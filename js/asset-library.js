@@ -0,0 +1,163 @@
+// User data about assets: tags, favorites and recently placed models
+//
+// Everything is kept in localStorage so it survives between sessions. Assets
+// are identified by their path, as listed in the asset manifest.
+
+const RECENT_ASSET_LIMIT = 20;
+
+class AssetLibrary {
+    constructor(storageKey = 'assetEditor.library') {
+        this.storageKey = storageKey;
+        this.tags = {};
+        this.favorites = [];
+        this.recent = [];
+        this.listeners = [];
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            this.tags = stored.tags && typeof stored.tags === 'object' ? stored.tags : {};
+            this.favorites = Array.isArray(stored.favorites) ? stored.favorites : [];
+            this.recent = Array.isArray(stored.recent) ? stored.recent : [];
+        } catch (error) {
+            console.warn('Error reading asset library:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                tags: this.tags,
+                favorites: this.favorites,
+                recent: this.recent
+            }));
+        } catch (error) {
+            console.warn('Error saving asset library:', error);
+        }
+
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    isFavorite(path) {
+        return this.favorites.includes(path);
+    }
+
+    toggleFavorite(path) {
+        if (this.isFavorite(path)) {
+            this.favorites = this.favorites.filter(p => p !== path);
+        } else {
+            this.favorites.push(path);
+        }
+        this.save();
+    }
+
+    getTags(path) {
+        return this.tags[path] || [];
+    }
+
+    /**
+     * Replaces the tags of an asset
+     * @param {string} path - Asset path
+     * @param {string[]} tags - New tags; blanks and duplicates are dropped
+     */
+    setTags(path, tags) {
+        const cleaned = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag))];
+
+        if (cleaned.length > 0) {
+            this.tags[path] = cleaned;
+        } else {
+            delete this.tags[path];
+        }
+        this.save();
+    }
+
+    /**
+     * Moves an asset to the top of the recently placed list
+     * @param {string} path - Asset path
+     */
+    recordPlacement(path) {
+        this.recent = [path, ...this.recent.filter(p => p !== path)].slice(0, RECENT_ASSET_LIMIT);
+        this.save();
+    }
+
+    /**
+     * Fuzzy-searches assets by name, folder and tags
+     *
+     * Every word of the query has to match. A word starting with # only
+     * matches tags. Results are sorted by how well they match.
+     *
+     * @param {string} query - Search text
+     * @param {Object[]} files - Manifest file entries to search
+     * @returns {Object[]} Matching entries, best first
+     */
+    search(query, files) {
+        const words = query.toLowerCase().split(/\s+/).filter(word => word);
+        if (words.length === 0) return [];
+
+        const results = [];
+
+        files.forEach(file => {
+            const tags = this.getTags(file.path);
+            let total = 0;
+
+            for (const word of words) {
+                let score;
+                if (word.startsWith('#')) {
+                    const tag = word.slice(1);
+                    score = tags.some(t => t.startsWith(tag)) ? 10 : null;
+                } else {
+                    score = Math.max(
+                        fuzzyScore(word, file.name.toLowerCase()) ?? -Infinity,
+                        (fuzzyScore(word, file.path.toLowerCase()) ?? -Infinity) - 5,
+                        ...tags.map(tag => fuzzyScore(word, tag) ?? -Infinity)
+                    );
+                    if (score === -Infinity) score = null;
+                }
+
+                if (score === null) return;
+                total += score;
+            }
+
+            results.push({ file, score: total });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.file.name.localeCompare(b.file.name))
+            .map(result => result.file);
+    }
+}
+
+/**
+ * Scores how well a pattern matches a text as an in-order subsequence
+ * @param {string} pattern - Lowercase search word
+ * @param {string} text - Lowercase text to search in
+ * @returns {number|null} Higher is better, null if the pattern doesn't match
+ */
+function fuzzyScore(pattern, text) {
+    let score = 0;
+    let textIndex = 0;
+    let previousMatch = -2;
+
+    for (const char of pattern) {
+        const found = text.indexOf(char, textIndex);
+        if (found === -1) return null;
+
+        // Reward runs of adjacent characters and matches at word starts
+        if (found === previousMatch + 1) score += 3;
+        if (found === 0 || /[-_/. ]/.test(text[found - 1])) score += 2;
+        score += 1;
+
+        previousMatch = found;
+        textIndex = found + 1;
+    }
+
+    // Prefer shorter texts, so "coin" ranks coin.glb above coin-gold.glb
+    return score - text.length * 0.01;
+}
@@ -0,0 +1,136 @@
+// Gameplay metadata per asset
+//
+// Assets/3D/asset-registry.json describes what an asset is in the game: its
+// role (a coin is a collectible, spikes are a hazard), the properties a newly
+// placed copy starts with, the collider shape, built-in tags and the pivot
+// that sits on the placement point. Entries are keyed by asset path or path
+// prefix like the property definitions; longer keys override shorter ones,
+// tags and default properties are combined. Runs in the browser and in Node.
+
+const ASSET_ROLES = [
+    'scenery', 'platform', 'moving-platform', 'collectible', 'hazard', 'obstacle',
+    'destructible', 'trigger', 'door', 'weapon', 'projectile', 'spawn', 'vehicle'
+];
+
+const ASSET_COLLIDERS = ['box', 'sphere', 'mesh', 'none'];
+
+// Named pivots; anything else must be a model-space {x, y, z} point
+const ASSET_PIVOTS = ['origin', 'bottom', 'center', 'bottom-center'];
+
+class AssetRegistry {
+    constructor() {
+        // [prefix, entry] sorted from shortest to longest prefix
+        this.entries = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Replaces the registry with the contents of a registry file
+     * @param {Object} data - Parsed asset-registry.json
+     */
+    load(data) {
+        this.entries = [];
+        this.warnings = [];
+
+        Object.entries(data?.assets || {}).forEach(([prefix, entry]) => {
+            const problems = checkAssetEntry(entry);
+            if (problems.length > 0) {
+                problems.forEach(problem => this.warnings.push(`${prefix}: ${problem}`));
+                return;
+            }
+            this.entries.push([prefix, entry]);
+        });
+
+        this.entries.sort((a, b) => a[0].length - b[0].length);
+    }
+
+    /**
+     * Combined metadata of every entry that applies to an asset
+     * @param {string} path - Asset path
+     * @returns {{ role: string|null, collider: string, pivot: string|Object,
+     *     tags: string[], properties: Object }}
+     */
+    get(path) {
+        const info = { role: null, collider: 'box', pivot: 'origin', tags: [], properties: {} };
+
+        this.entries.forEach(([prefix, entry]) => {
+            if (!path || !path.startsWith(prefix)) return;
+
+            if (entry.role !== undefined) info.role = entry.role;
+            if (entry.collider !== undefined) info.collider = entry.collider;
+            if (entry.pivot !== undefined) info.pivot = entry.pivot;
+            (entry.tags || []).forEach(tag => {
+                if (!info.tags.includes(tag)) info.tags.push(tag);
+            });
+            Object.assign(info.properties, entry.properties);
+        });
+
+        info.properties = JSON.parse(JSON.stringify(info.properties));
+        return info;
+    }
+
+    /**
+     * @param {string} path - Asset path
+     * @returns {string|null} The asset's gameplay role
+     */
+    getRole(path) {
+        return this.get(path).role;
+    }
+}
+
+/**
+ * @returns {string[]} What is wrong with a registry entry
+ */
+function checkAssetEntry(entry) {
+    const problems = [];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ['entry must be an object'];
+    }
+    if (entry.role !== undefined && !ASSET_ROLES.includes(entry.role)) {
+        problems.push(`unknown role ${JSON.stringify(entry.role)}`);
+    }
+    if (entry.collider !== undefined && !ASSET_COLLIDERS.includes(entry.collider)) {
+        problems.push(`unknown collider ${JSON.stringify(entry.collider)}`);
+    }
+    if (entry.pivot !== undefined && !ASSET_PIVOTS.includes(entry.pivot) &&
+        !(entry.pivot && ['x', 'y', 'z'].every(axis => Number.isFinite(entry.pivot[axis])))) {
+        problems.push(`pivot must be one of ${ASSET_PIVOTS.join(', ')} or {x, y, z}`);
+    }
+    if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) {
+        problems.push('tags must be a list of strings');
+    }
+    if (entry.properties !== undefined && (typeof entry.properties !== 'object' || Array.isArray(entry.properties))) {
+        problems.push('properties must be an object');
+    }
+    return problems;
+}
+
+/**
+ * Model-space point a pivot stands for
+ * @param {string|Object} pivot - Named pivot or {x, y, z}
+ * @param {Object} [bounds] - Model bounds from the asset manifest, {min: [x, y, z], max: [x, y, z]}
+ * @returns {{x, y, z}} Offset of the pivot from the model origin
+ */
+function resolveAssetPivot(pivot, bounds) {
+    if (pivot && typeof pivot === 'object') {
+        return { x: pivot.x, y: pivot.y, z: pivot.z };
+    }
+    if (!bounds || pivot === 'origin') {
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    const [minX, minY, minZ] = bounds.min;
+    const [maxX, maxY, maxZ] = bounds.max;
+    const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 };
+
+    switch (pivot) {
+        case 'bottom': return { x: 0, y: minY, z: 0 };
+        case 'center': return center;
+        case 'bottom-center': return { x: center.x, y: minY, z: center.z };
+        default: return { x: 0, y: 0, z: 0 };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ASSET_ROLES, ASSET_COLLIDERS, ASSET_PIVOTS, AssetRegistry, resolveAssetPivot };
+}
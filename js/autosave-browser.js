@@ -0,0 +1,166 @@
+// Restoring autosaves
+//
+// On startup a banner offers the newest snapshot if it holds unsaved work.
+// The snapshot browser lists every stored snapshot with a picture of the
+// viewport at the time; restoring one loads it like a scene file, so it can
+// be undone.
+
+class AutosaveBrowser {
+    constructor(editor) {
+        this.editor = editor;
+        this.banner = document.getElementById('autosave-banner');
+        this.dialog = document.getElementById('autosave-dialog');
+        this.snapshots = [];
+        // List rows by snapshot
+        this.rows = new Map();
+        this.selected = null;
+
+        if (this.banner) {
+            this.banner.addEventListener('mousedown', (e) => e.stopPropagation());
+            this.banner.querySelector('.autosave-browse').onclick = () => {
+                this.hideBanner();
+                this.open();
+            };
+            this.banner.querySelector('.autosave-dismiss').onclick = () => this.hideBanner();
+        }
+
+        if (this.dialog) {
+            this.list = this.dialog.querySelector('.autosave-list');
+            this.preview = this.dialog.querySelector('.autosave-preview img');
+            this.info = this.dialog.querySelector('.autosave-info');
+
+            this.dialog.addEventListener('mousedown', (e) => e.stopPropagation());
+            this.dialog.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') this.close();
+            });
+            this.dialog.querySelector('.autosave-restore').onclick = () => {
+                if (this.selected) this.restore(this.selected);
+            };
+            this.dialog.querySelector('.autosave-close').onclick = () => this.close();
+        }
+
+        document.getElementById('autosave-btn')?.addEventListener('click', () => this.open());
+    }
+
+    /**
+     * Shows the startup banner if the last session left unsaved work
+     */
+    async offerRestore() {
+        if (!this.banner) return;
+
+        let snapshot;
+        try {
+            snapshot = await this.editor.autosave.latestUnsaved();
+        } catch (error) {
+            console.warn('Autosaves unavailable:', error);
+            return;
+        }
+        if (!snapshot) return;
+
+        this.banner.querySelector('.autosave-banner-text').textContent =
+            `Unsaved work from ${describeSnapshot(snapshot)} was found.`;
+        this.banner.querySelector('.autosave-restore').onclick = () => {
+            this.hideBanner();
+            this.restore(snapshot);
+        };
+        this.banner.style.display = 'block';
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.style.display = 'none';
+        }
+    }
+
+    async open() {
+        if (!this.dialog) return;
+
+        try {
+            this.snapshots = await this.editor.autosave.list();
+        } catch (error) {
+            this.editor.showFeedback(`Autosaves unavailable: ${error.message}`);
+            return;
+        }
+
+        this.list.innerHTML = '';
+        this.rows.clear();
+        if (this.snapshots.length === 0) {
+            this.list.innerHTML = '<em>No autosaves yet</em>';
+        }
+        this.snapshots.forEach(snapshot => {
+            const row = document.createElement('div');
+            row.className = 'autosave-row';
+            row.textContent = describeSnapshot(snapshot);
+            row.title = snapshot.saved ? 'Also saved to a file' : 'Not saved to a file';
+            row.classList.toggle('saved', snapshot.saved);
+            row.onclick = () => this.select(snapshot);
+            row.ondblclick = () => this.restore(snapshot);
+            this.rows.set(snapshot, row);
+            this.list.appendChild(row);
+        });
+
+        this.select(this.snapshots[0] || null);
+        this.dialog.style.display = 'block';
+    }
+
+    close() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+        // Snapshots hold whole scenes; don't keep them around
+        this.snapshots = [];
+        this.rows.clear();
+        this.selected = null;
+    }
+
+    select(snapshot) {
+        this.selected = snapshot;
+        this.rows.forEach((row, other) => row.classList.toggle('selected', other === snapshot));
+        this.dialog.querySelector('.autosave-restore').disabled = !snapshot;
+
+        if (this.preview) {
+            this.preview.style.display = snapshot?.preview ? 'block' : 'none';
+            this.preview.src = snapshot?.preview || '';
+        }
+        if (!snapshot) {
+            this.info.textContent = '';
+            return;
+        }
+
+        // What is in the snapshot, by the folder each model is in
+        const counts = {};
+        snapshot.scene.objects.forEach(object => {
+            const folder = (object.path || '').split('/').slice(-2, -1)[0] || 'other';
+            counts[folder] = (counts[folder] || 0) + 1;
+        });
+        const contents = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([folder, count]) => `${count} ${folder}`)
+            .join(', ');
+        this.info.textContent = `${snapshot.levelName || 'Unsaved level'}: ${snapshot.objectCount} objects` +
+            (contents ? ` (${contents})` : '') +
+            (snapshot.saved ? '. Saved to a file.' : '. Not saved to a file.');
+    }
+
+    /**
+     * Loads a snapshot in place of the current level
+     * @param {Object} snapshot
+     */
+    async restore(snapshot) {
+        this.close();
+        const loaded = await this.editor.loadSceneText(JSON.stringify(snapshot.scene),
+            `autosave from ${new Date(snapshot.time).toLocaleString()}`);
+        if (loaded) {
+            this.editor.setCurrentLevel(snapshot.levelName);
+        }
+    }
+}
+
+/**
+ * One line about a snapshot, e.g. "3/4/2025, 10:15:00 AM, level_01.json, 42 objects"
+ */
+function describeSnapshot(snapshot) {
+    return `${new Date(snapshot.time).toLocaleString()}, ${snapshot.levelName || 'unsaved level'}, ` +
+        `${snapshot.objectCount} object${snapshot.objectCount === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,74 @@
+// Autosave snapshots in browser storage
+//
+// The editor writes the scene to IndexedDB every AUTOSAVE_INTERVAL while
+// there are changes, and once more when the tab is hidden. Only the newest
+// AUTOSAVE_SNAPSHOTS are kept. A snapshot taken right after a manual save is
+// marked as saved, so on startup the editor only offers to restore work that
+// never made it into a file.
+
+const AUTOSAVE_STORE = 'autosaves';
+const AUTOSAVE_INTERVAL = 60 * 1000;
+const AUTOSAVE_SNAPSHOTS = 5;
+
+class AutosaveStore {
+    /**
+     * @param {EditorDatabase} database
+     * @param {number} [maxSnapshots] - Older snapshots are deleted
+     */
+    constructor(database, maxSnapshots = AUTOSAVE_SNAPSHOTS) {
+        this.database = database;
+        this.maxSnapshots = maxSnapshots;
+    }
+
+    /**
+     * Stores a snapshot and drops the oldest ones beyond the limit
+     * @param {Object} snapshot
+     * @param {Object} snapshot.scene - Level in the scene file format
+     * @param {string|null} snapshot.levelName - Level file the scene came from
+     * @param {boolean} snapshot.saved - Whether the scene is also in a file
+     * @param {string|null} snapshot.preview - Image of the viewport as a data URL
+     * @returns {Promise<Object>} The stored snapshot with its key and time
+     */
+    async add({ scene, levelName = null, saved = false, preview = null }) {
+        const time = Date.now();
+        // Zero-padded so keys sort by time
+        const key = String(time).padStart(15, '0');
+        const snapshot = {
+            key,
+            time: new Date(time).toISOString(),
+            levelName,
+            saved,
+            objectCount: scene.objects.length,
+            preview,
+            scene
+        };
+        await this.database.put(AUTOSAVE_STORE, key, snapshot);
+
+        const keys = (await this.database.keys(AUTOSAVE_STORE)).sort();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - this.maxSnapshots))
+            .map(oldKey => this.database.delete(AUTOSAVE_STORE, oldKey)));
+
+        return snapshot;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Snapshots, newest first
+     */
+    async list() {
+        const snapshots = await this.database.values(AUTOSAVE_STORE);
+        return snapshots.sort((a, b) => b.key.localeCompare(a.key));
+    }
+
+    /**
+     * The newest snapshot, if it holds changes that weren't saved to a file
+     * @returns {Promise<Object|null>}
+     */
+    async latestUnsaved() {
+        const [latest] = await this.list();
+        return latest && !latest.saved && latest.objectCount > 0 ? latest : null;
+    }
+
+    remove(key) {
+        return this.database.delete(AUTOSAVE_STORE, key);
+    }
+}
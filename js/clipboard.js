@@ -0,0 +1,54 @@
+// Clipboard for placed objects
+//
+// Copied objects are stored in localStorage so they can be pasted in any
+// other tab of the editor, or after loading a different level. If storage is
+// unavailable (private mode, quota) the clipboard still works within the tab.
+class ObjectClipboard {
+    constructor(storageKey = 'assetEditor.clipboard') {
+        this.storageKey = storageKey;
+        this.memory = null;
+    }
+
+    /**
+     * Stores serialized objects on the clipboard
+     * @param {Object[]} entries - Objects in the scene file's object format
+     * @param {Object[]} [links] - Links starting at those objects, in the scene file's link format
+     */
+    write(entries, links = []) {
+        const payload = {
+            format: 'AssetEditorClipboard',
+            version: 1,
+            copiedAt: new Date().toISOString(),
+            entries,
+            links
+        };
+
+        this.memory = payload;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(payload));
+        } catch (error) {
+            console.warn('Clipboard could not be shared with other tabs:', error);
+        }
+    }
+
+    /**
+     * Reads the most recent clipboard contents, from any tab
+     * @returns {Object|null} The clipboard payload, or null if empty
+     */
+    read() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const payload = JSON.parse(stored);
+                if (payload?.format === 'AssetEditorClipboard' && Array.isArray(payload.entries)) {
+                    return payload;
+                }
+            }
+        } catch (error) {
+            console.warn('Error reading shared clipboard:', error);
+        }
+
+        return this.memory;
+    }
+}
@@ -0,0 +1,461 @@
+// Command history for undo/redo of editor operations
+//
+// Every change to the scene goes through a command object with `execute()`
+// and `undo()` methods. Commands that were already applied by the editor
+// (e.g. a TransformControls drag) are recorded with `push()` instead of
+// `execute()`. A command may implement `dispose(wasApplied)` to free the
+// resources it holds once it falls out of the history for good.
+class CommandHistory {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 100;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = [];
+    }
+
+    /**
+     * Applies a command and records it
+     * @param {Object} command - Command with execute() and undo()
+     */
+    execute(command) {
+        command.execute();
+        this.push(command);
+    }
+
+    /**
+     * Records a command whose effect is already visible in the scene
+     * @param {Object} command - Command with execute() and undo()
+     */
+    push(command) {
+        this.undoStack.push(command);
+
+        // A new action invalidates everything that was undone
+        this.redoStack.forEach(cmd => cmd.dispose?.(false));
+        this.redoStack = [];
+
+        this.trim();
+        this.notify();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.undo();
+            this.redoStack.push(command);
+        } catch (error) {
+            console.error(`Error undoing "${command.label}":`, error);
+        }
+
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.execute();
+            this.undoStack.push(command);
+        } catch (error) {
+            console.error(`Error redoing "${command.label}":`, error);
+        }
+
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Undoes or redoes until the given number of commands are applied
+     * @param {number} index - Number of commands that should remain applied
+     */
+    goTo(index) {
+        while (this.undoStack.length > index && this.undo()) { /* keep undoing */ }
+        while (this.undoStack.length < index && this.redo()) { /* keep redoing */ }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    setMaxDepth(depth) {
+        this.maxDepth = Math.max(1, Math.floor(depth) || 1);
+        this.trim();
+        this.notify();
+    }
+
+    clear() {
+        this.undoStack.forEach(cmd => cmd.dispose?.(true));
+        this.redoStack.forEach(cmd => cmd.dispose?.(false));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    trim() {
+        while (this.undoStack.length > this.maxDepth) {
+            const dropped = this.undoStack.shift();
+            dropped.dispose?.(true);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in history listener:', error);
+            }
+        });
+    }
+}
+
+// Adds placed objects to the scene
+class AddObjectsCommand {
+    constructor(editor, objects, label) {
+        this.editor = editor;
+        this.objects = objects;
+        this.parents = objects.map(obj => obj.parent || editor.scene);
+        this.label = label || `Place ${describeObjects(objects)}`;
+    }
+
+    execute() {
+        this.objects.forEach((obj, i) => this.editor.addObjectToScene(obj, this.parents[i]));
+    }
+
+    undo() {
+        this.objects.forEach(obj => this.editor.removeObjectFromScene(obj));
+    }
+
+    dispose(wasApplied) {
+        // Objects that were undone and can no longer be redone are gone for good
+        if (!wasApplied) {
+            this.objects.forEach(obj => this.editor.disposeObject(obj));
+        }
+    }
+}
+
+// Removes placed objects from the scene, keeping them around for undo
+class RemoveObjectsCommand {
+    constructor(editor, objects, label) {
+        this.editor = editor;
+        this.objects = objects;
+        this.parents = objects.map(obj => obj.parent || editor.scene);
+        this.label = label || `Delete ${describeObjects(objects)}`;
+    }
+
+    execute() {
+        this.objects.forEach(obj => this.editor.removeObjectFromScene(obj));
+    }
+
+    undo() {
+        this.objects.forEach((obj, i) => this.editor.addObjectToScene(obj, this.parents[i]));
+    }
+
+    dispose(wasApplied) {
+        if (wasApplied) {
+            this.objects.forEach(obj => this.editor.disposeObject(obj));
+        }
+    }
+}
+
+// Restores position, rotation and scale of objects
+class TransformObjectsCommand {
+    constructor(editor, objects, before, after, label) {
+        this.editor = editor;
+        this.objects = objects;
+        this.before = before;
+        this.after = after;
+        this.label = label || `Transform ${describeObjects(objects)}`;
+    }
+
+    /**
+     * Captures the current transform of an object
+     * @param {THREE.Object3D} object - The object to capture
+     * @returns {Object} Cloned position, quaternion and scale
+     */
+    static capture(object) {
+        return {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.scale.clone()
+        };
+    }
+
+    static equals(a, b) {
+        return a.position.equals(b.position) &&
+            a.quaternion.equals(b.quaternion) &&
+            a.scale.equals(b.scale);
+    }
+
+    apply(states) {
+        this.objects.forEach((obj, i) => {
+            obj.position.copy(states[i].position);
+            obj.quaternion.copy(states[i].quaternion);
+            obj.scale.copy(states[i].scale);
+            obj.updateMatrixWorld(true);
+            this.editor.syncLevelTransform(obj);
+        });
+        this.editor.instancing.invalidate();
+        this.editor.updateSelectionPivot();
+        this.editor.updateHUD();
+    }
+
+    execute() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+}
+
+// Replaces the property set of an object
+class SetPropertiesCommand {
+    constructor(editor, object, before, after) {
+        this.editor = editor;
+        this.object = object;
+        this.before = before;
+        this.after = after;
+        this.label = `Edit properties of ${describeObjects([object])}`;
+    }
+
+    apply(properties) {
+        this.editor.setObjectProperties(this.object, properties);
+
+        // Refresh the panel if it is showing this object
+        if (this.editor.isSelected(this.object)) {
+            this.editor.loadObjectProperties();
+        }
+    }
+
+    execute() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+}
+
+// Adds, edits or removes an object's waypoint path
+class SetMotionPathCommand {
+    constructor(editor, object, before, after, label) {
+        this.editor = editor;
+        this.object = object;
+        this.before = before;
+        this.after = after;
+        this.label = label || `Edit path of ${describeObjects([object])}`;
+    }
+
+    apply(path) {
+        this.editor.level.setMotionPath(this.editor.getLevelObject(this.object), path);
+    }
+
+    execute() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+}
+
+// Changes names, hidden or locked flags of objects
+class SetOutlinerStateCommand {
+    constructor(editor, objects, before, after, label) {
+        this.editor = editor;
+        this.objects = objects;
+        this.before = before;
+        this.after = after;
+        this.label = label || `Edit ${describeObjects(objects)}`;
+    }
+
+    execute() {
+        this.objects.forEach((obj, i) => this.editor.applyOutlinerState(obj, this.after[i]));
+    }
+
+    undo() {
+        this.objects.forEach((obj, i) => this.editor.applyOutlinerState(obj, this.before[i]));
+    }
+}
+
+// Moves objects under another object, or back to the top level; world
+// transforms are kept
+class ReparentObjectsCommand {
+    constructor(editor, objects, parentId, label) {
+        this.editor = editor;
+        this.objects = objects;
+        this.parentId = parentId;
+        this.previousParentIds = objects.map(obj => editor.getLevelObject(obj)?.parent || null);
+        this.label = label || (parentId ? `Parent ${describeObjects(objects)}` : `Unparent ${describeObjects(objects)}`);
+    }
+
+    execute() {
+        this.objects.forEach(obj => this.editor.setObjectParent(obj, this.parentId));
+    }
+
+    undo() {
+        this.objects.slice().reverse().forEach((obj, i, reversed) => {
+            this.editor.setObjectParent(obj, this.previousParentIds[reversed.length - 1 - i]);
+        });
+    }
+}
+
+// Replaces the members of prefab instances after the prefab changed or an
+// instance was reverted. The new members were created up front, so the step
+// can be undone and redone without loading anything.
+class SyncPrefabCommand {
+    /**
+     * @param {Object} editor
+     * @param {Object} change
+     * @param {THREE.Object3D[]} change.removed - Members before the change
+     * @param {THREE.Object3D[]} change.added - Members after the change
+     * @param {Object} [change.links] - Links before and after the change
+     * @param {Object} [change.prefab] - Prefab path and data before and after,
+     *     if the prefab itself changed
+     * @param {string} label
+     */
+    constructor(editor, { removed, added, links = { before: [], after: [] }, prefab = null }, label) {
+        this.editor = editor;
+        this.removed = removed;
+        this.added = added;
+        this.links = links;
+        this.prefab = prefab;
+        this.label = label;
+    }
+
+    execute() {
+        if (this.prefab) this.editor.setPrefabData(this.prefab.path, this.prefab.after);
+        this.apply(this.removed, this.added, this.links.before, this.links.after);
+    }
+
+    undo() {
+        if (this.prefab) this.editor.setPrefabData(this.prefab.path, this.prefab.before);
+        this.apply(this.added, this.removed, this.links.after, this.links.before);
+    }
+
+    apply(removedObjects, addedObjects, removedLinks, addedLinks) {
+        removedLinks.forEach(link => this.editor.level.removeLink(link));
+        this.editor.replacePlacedObjects(removedObjects, addedObjects);
+        addedLinks.forEach(link => this.editor.level.addLink(link));
+    }
+
+    dispose(wasApplied) {
+        (wasApplied ? this.removed : this.added).forEach(obj => this.editor.disposeObject(obj));
+    }
+}
+
+// Groups several commands into a single history step
+class BatchCommand {
+    constructor(commands, label) {
+        this.commands = commands;
+        this.label = label;
+    }
+
+    execute() {
+        this.commands.forEach(cmd => cmd.execute());
+    }
+
+    undo() {
+        this.commands.slice().reverse().forEach(cmd => cmd.undo());
+    }
+
+    dispose(wasApplied) {
+        this.commands.forEach(cmd => cmd.dispose?.(wasApplied));
+    }
+}
+
+// Adds links between objects
+class AddLinksCommand {
+    constructor(editor, links, label) {
+        this.editor = editor;
+        this.links = links;
+        this.label = label || (links.length === 1 ? `Link ${links[0].event} → ${links[0].action}` : `Add ${links.length} links`);
+    }
+
+    execute() {
+        this.links.forEach(link => this.editor.level.addLink(link));
+    }
+
+    undo() {
+        this.links.forEach(link => this.editor.level.removeLink(link));
+    }
+}
+
+// Removes links between objects
+class RemoveLinksCommand {
+    constructor(editor, links, label) {
+        this.editor = editor;
+        this.links = links;
+        this.label = label || (links.length === 1 ? `Unlink ${links[0].event} → ${links[0].action}` : `Remove ${links.length} links`);
+    }
+
+    execute() {
+        this.links.forEach(link => this.editor.level.removeLink(link));
+    }
+
+    undo() {
+        this.links.forEach(link => this.editor.level.addLink(link));
+    }
+}
+
+// Swaps the whole set of placed objects and links, e.g. when a scene file is loaded
+class ReplaceSceneCommand {
+    /**
+     * @param {Object} editor
+     * @param {THREE.Object3D[]} removedObjects - Objects of the previous scene
+     * @param {THREE.Object3D[]} addedObjects - Objects of the new scene
+     * @param {string} [label]
+     * @param {Object} [links] - Links of the previous (before) and new (after) scene
+     * @param {Object} [settings] - Settings and metadata of the previous
+     *     (before) and new (after) scene, see editor.getLevelSettings
+     */
+    constructor(editor, removedObjects, addedObjects, label, links = { before: [], after: [] }, settings = null) {
+        this.editor = editor;
+        this.removed = new RemoveObjectsCommand(editor, removedObjects);
+        this.added = new AddObjectsCommand(editor, addedObjects);
+        this.links = links;
+        this.settings = settings;
+        this.label = label || 'Load scene';
+    }
+
+    execute() {
+        this.removed.execute();
+        this.added.execute();
+        this.editor.level.setLinks(this.links.after);
+        if (this.settings) this.editor.applyLevelSettings(this.settings.after);
+    }
+
+    undo() {
+        this.added.undo();
+        this.removed.undo();
+        this.editor.level.setLinks(this.links.before);
+        if (this.settings) this.editor.applyLevelSettings(this.settings.before);
+    }
+
+    dispose(wasApplied) {
+        this.removed.dispose(wasApplied);
+        this.added.dispose(wasApplied);
+    }
+}
+
+// Short human readable description of a set of objects for the history list
+function describeObjects(objects) {
+    if (objects.length !== 1) {
+        return `${objects.length} objects`;
+    }
+
+    const file = objects[0].userData.originalFile;
+    return file ? file.split('/').pop() : 'object';
+}
@@ -0,0 +1,161 @@
+// Instanced rendering of repeated models
+//
+// Placed objects stay in the scene graph as they are, so selection,
+// raycasting, transforms and saving keep working per object. When several
+// objects use the same model file, their meshes are moved to a layer the
+// camera doesn't render, and one InstancedMesh per mesh of the model draws all
+// of them instead. Selected objects are left out of the batches, so their
+// highlight and gizmo drags show without rebuilding anything.
+
+// Layer of meshes drawn by a batch; raycasts still see it, the camera doesn't
+const INSTANCING_PROXY_LAYER = 1;
+
+// Models used fewer times than this are drawn normally
+const INSTANCING_MIN_COUNT = 2;
+
+class InstancingLayer {
+    constructor(editor) {
+        this.editor = editor;
+        this.enabled = localStorage.getItem('assetEditor.instancing') !== 'off';
+
+        // Holds the InstancedMeshes; never raycast or saved
+        this.root = new THREE.Group();
+        this.root.name = 'instancing-layer';
+        editor.scene.add(this.root);
+
+        this.proxies = new Set();
+        this.isDirty = true;
+
+        editor.raycaster.layers.enable(INSTANCING_PROXY_LAYER);
+    }
+
+    /**
+     * Rebuilds the batches before the next frame. Call after placed objects
+     * were added, removed, moved, hidden or (de)selected.
+     */
+    invalidate() {
+        this.isDirty = true;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('assetEditor.instancing', enabled ? 'on' : 'off');
+        this.invalidate();
+    }
+
+    update() {
+        if (!this.isDirty) return;
+        this.isDirty = false;
+        this.rebuild();
+    }
+
+    /**
+     * Number of placed objects currently drawn by a batch
+     */
+    get instancedCount() {
+        return this.proxies.size;
+    }
+
+    rebuild() {
+        this.clear();
+        if (!this.enabled) return;
+
+        this.editor.scene.updateMatrixWorld();
+
+        const groups = new Map();
+        this.editor.scene.traverse(object => {
+            if (!this.canInstance(object)) return;
+
+            const path = object.userData.originalFile;
+            if (!groups.has(path)) groups.set(path, []);
+            groups.get(path).push(object);
+        });
+
+        groups.forEach(objects => {
+            if (objects.length >= INSTANCING_MIN_COUNT) {
+                this.addBatches(objects);
+            }
+        });
+    }
+
+    canInstance(object) {
+        if (!object.userData.isPlacedObject || !object.userData.originalFile) return false;
+        // Hidden objects, or objects inside hidden parents, are not drawn at all;
+        // children of selected or moving objects move with them
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible || this.editor.isSelected(node) || this.editor.pathTool.isMoving(node) ||
+                this.editor.playMode.isMoving(node)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Draws a group of objects of the same model with one InstancedMesh per mesh
+     * @param {THREE.Object3D[]} objects - Placed objects sharing a model file
+     */
+    addBatches(objects) {
+        const slots = this.getMeshes(objects[0]);
+        if (slots.length === 0) return;
+
+        // Clones match their template, unless a mesh was changed or hidden
+        const members = [];
+        const memberMeshes = [];
+        objects.forEach(object => {
+            const meshes = this.getMeshes(object);
+            const matches = meshes.length === slots.length && meshes.every((mesh, i) =>
+                mesh.visible &&
+                mesh.geometry === slots[i].geometry &&
+                mesh.material === slots[i].material
+            );
+            if (matches) {
+                members.push(object);
+                memberMeshes.push(meshes);
+            }
+        });
+        if (members.length < INSTANCING_MIN_COUNT) return;
+
+        slots.forEach((slot, i) => {
+            const batch = new THREE.InstancedMesh(slot.geometry, slot.material, members.length);
+            batch.name = `instances:${members[0].userData.originalFile}`;
+            batch.castShadow = slot.castShadow;
+            batch.receiveShadow = slot.receiveShadow;
+            batch.raycast = () => {}; // Clicks hit the placed objects instead
+
+            memberMeshes.forEach((meshes, j) => batch.setMatrixAt(j, meshes[i].matrixWorld));
+            batch.instanceMatrix.needsUpdate = true;
+
+            this.root.add(batch);
+        });
+
+        memberMeshes.forEach(meshes => meshes.forEach(mesh => mesh.layers.set(INSTANCING_PROXY_LAYER)));
+        members.forEach(object => this.proxies.add(object));
+    }
+
+    /**
+     * Lists the meshes of a placed object, leaving out placed objects nested in it
+     */
+    getMeshes(object) {
+        const meshes = [];
+        traverseOwnNodes(object, node => {
+            if (node.isMesh) meshes.push(node);
+        });
+        return meshes;
+    }
+
+    /**
+     * Removes all batches and renders their objects directly again
+     */
+    clear() {
+        this.proxies.forEach(object => {
+            this.getMeshes(object).forEach(mesh => mesh.layers.set(0));
+        });
+        this.proxies.clear();
+
+        // Geometry and materials belong to the model cache; only the
+        // instance buffers are freed here
+        this.root.children.slice().forEach(batch => {
+            this.root.remove(batch);
+            batch.dispose();
+        });
+    }
+}
@@ -0,0 +1,198 @@
+// Open and Save As dialog for levels on the dev server
+//
+// Lists the levels in levels/ with their size and date. In open mode a click
+// picks a level and a double-click opens it; in save mode a click copies the
+// name into the name field. Levels can be renamed and deleted from the list.
+// Only used while the dev server answers; otherwise the editor uploads and
+// downloads files instead.
+
+class LevelDialog {
+    constructor(editor) {
+        this.editor = editor;
+        this.dialog = document.getElementById('level-dialog');
+        // 'open' or 'save' while the dialog is shown
+        this.mode = null;
+        this.levels = [];
+        this.selectedName = null;
+
+        if (!this.dialog) return;
+
+        this.list = this.dialog.querySelector('.level-list');
+        this.nameInput = this.dialog.querySelector('#level-name-input');
+
+        this.dialog.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.dialog.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') this.confirm();
+            if (e.key === 'Escape') this.close();
+        });
+        this.dialog.querySelector('.level-confirm').onclick = () => this.confirm();
+        this.dialog.querySelector('.level-cancel').onclick = () => this.close();
+        this.dialog.querySelector('.level-upload').onclick = () => {
+            this.close();
+            document.getElementById('load-file')?.click();
+        };
+    }
+
+    get isOpen() {
+        return this.mode !== null;
+    }
+
+    /**
+     * @param {string} mode - 'open' or 'save'
+     */
+    async open(mode) {
+        if (!this.dialog) return;
+
+        this.mode = mode;
+        this.selectedName = null;
+        this.dialog.querySelector('h3').textContent = mode === 'save' ? 'Save Level As' : 'Open Level';
+        this.dialog.querySelector('.level-confirm').textContent = mode === 'save' ? 'Save' : 'Open';
+        this.dialog.querySelector('.level-name-row').style.display = mode === 'save' ? 'block' : 'none';
+        this.dialog.querySelector('.level-upload').style.display = mode === 'open' ? 'inline-block' : 'none';
+        this.nameInput.value = this.editor.currentLevelName || 'level_01.json';
+        this.dialog.style.display = 'block';
+
+        if (mode === 'save') {
+            this.nameInput.focus();
+            this.nameInput.select();
+        }
+        await this.refresh();
+    }
+
+    close() {
+        this.mode = null;
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    async refresh() {
+        this.list.innerHTML = '<em>Loading…</em>';
+        try {
+            this.levels = await this.editor.levelServer.list();
+        } catch (error) {
+            this.levels = [];
+            this.list.innerHTML = '';
+            this.list.textContent = `Could not list levels: ${error.message}`;
+            return;
+        }
+
+        this.list.innerHTML = '';
+        if (this.levels.length === 0) {
+            this.list.innerHTML = '<em>No levels saved yet</em>';
+        }
+        this.levels.forEach(level => this.list.appendChild(this.createRow(level)));
+    }
+
+    createRow(level) {
+        const row = document.createElement('div');
+        row.className = 'level-row';
+        row.classList.toggle('selected', level.name === this.selectedName);
+        row.classList.toggle('current', level.name === this.editor.currentLevelName);
+
+        const name = document.createElement('span');
+        name.className = 'level-row-name';
+        name.textContent = level.name;
+        row.appendChild(name);
+
+        const info = document.createElement('span');
+        info.className = 'level-row-info';
+        info.textContent = `${(level.size / 1024).toFixed(1)} KB, ${new Date(level.modified).toLocaleString()}`;
+        row.appendChild(info);
+
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = '✎';
+        renameBtn.title = 'Rename';
+        renameBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.rename(level.name);
+        };
+        row.appendChild(renameBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.title = 'Delete';
+        deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.delete(level.name);
+        };
+        row.appendChild(deleteBtn);
+
+        row.onclick = () => {
+            this.selectedName = level.name;
+            this.nameInput.value = level.name;
+            this.list.querySelectorAll('.level-row').forEach(el => el.classList.toggle('selected', el === row));
+        };
+        row.ondblclick = () => this.confirm();
+        return row;
+    }
+
+    async confirm() {
+        if (this.mode === 'open') {
+            if (!this.selectedName) {
+                this.editor.showFeedback('Pick a level to open');
+                return;
+            }
+            const name = this.selectedName;
+            this.close();
+            await this.editor.openLevelFromServer(name);
+            return;
+        }
+
+        if (this.mode === 'save') {
+            const name = normalizeLevelName(this.nameInput.value);
+            if (!name) return;
+
+            const exists = this.levels.some(level => level.name === name);
+            if (exists && name !== this.editor.currentLevelName && !confirm(`Replace ${name}?`)) {
+                return;
+            }
+            // The dialog stays open if the server refuses the name
+            if (await this.editor.saveLevelToServer(name)) {
+                this.close();
+            }
+        }
+    }
+
+    async rename(name) {
+        const newName = normalizeLevelName(prompt(`Rename ${name} to:`, name) || '');
+        if (!newName || newName === name) return;
+
+        try {
+            await this.editor.levelServer.rename(name, newName);
+            if (this.editor.currentLevelName === name) {
+                this.editor.setCurrentLevel(newName);
+            }
+        } catch (error) {
+            alert(`Could not rename ${name}: ${error.message}`);
+        }
+        if (this.selectedName === name) this.selectedName = newName;
+        await this.refresh();
+    }
+
+    async delete(name) {
+        if (!confirm(`Delete ${name}? This can't be undone.`)) return;
+
+        try {
+            await this.editor.levelServer.remove(name);
+            if (this.editor.currentLevelName === name) {
+                this.editor.setCurrentLevel(null);
+            }
+        } catch (error) {
+            alert(`Could not delete ${name}: ${error.message}`);
+        }
+        await this.refresh();
+    }
+}
+
+/**
+ * Trims a typed level name and adds the .json extension if it is missing
+ * @param {string} name
+ * @returns {string} Empty if nothing was typed
+ */
+function normalizeLevelName(name) {
+    name = name.trim();
+    if (!name) return '';
+    return name.toLowerCase().endsWith('.json') ? name : `${name}.json`;
+}
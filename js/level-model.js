@@ -0,0 +1,578 @@
+// Headless level data: the placed objects of a level and what is saved about them
+//
+// The editor's three.js scene is a view over a LevelModel. Every placed object
+// in the viewport is backed by one LevelObject holding its model file,
+// transform and properties; saving and loading only ever look at the model.
+// Nothing in here touches the DOM or three.js, so levels can be built, edited
+// and serialized in Node as well (see the exports at the bottom).
+
+// What a link source can report and what its target does in response
+const LINK_EVENTS = ['activate', 'deactivate', 'enter', 'exit', 'collect', 'destroy'];
+const LINK_ACTIONS = ['toggle', 'open', 'close', 'enable', 'disable', 'fire', 'move', 'destroy'];
+
+// Waypoint paths: how the points are joined, how an object speeds up and
+// slows down between them, and what it does at the end of the path
+const PATH_CURVES = ['linear', 'catmull-rom'];
+const PATH_EASINGS = ['linear', 'ease-in', 'ease-out', 'ease-in-out'];
+const PATH_MODES = ['ping-pong', 'loop', 'once'];
+const PATH_DEFAULTS = { curve: 'linear', speed: 2, easing: 'ease-in-out', mode: 'ping-pong', delay: 0 };
+
+// Objects whose path is a prefab file are prefab instances; see prefabs.js
+const PREFAB_EXTENSION = '.prefab.json';
+
+class LevelObject {
+    /**
+     * @param {Object} [data] - Initial values; missing parts get defaults
+     * @param {string} [data.id] - Stable identifier, generated if omitted
+     * @param {string} [data.path] - Model file, e.g. Assets/3D/Pirate/crate.glb
+     * @param {{x, y, z}} [data.position]
+     * @param {{x, y, z}} [data.rotation] - Euler angles in radians (XYZ order)
+     * @param {{x, y, z}} [data.scale]
+     * @param {Object} [data.properties] - Key/value pairs, typed by property-types.js
+     * @param {string} [data.name] - Display name; empty means the file name
+     * @param {string|null} [data.parent] - Id of the parent object. The
+     *     transform is relative to the parent.
+     * @param {boolean} [data.hidden] - Not drawn in the editor
+     * @param {boolean} [data.locked] - Can't be selected or moved in the editor
+     * @param {Object} [data.overrides] - Prefab instances only: changes to the
+     *     prefab's objects by member id, kept until the members are created.
+     *     Afterwards the members themselves hold the changes.
+     * @param {string} [data.prefabInstance] - Id of the prefab instance this
+     *     object was created for
+     * @param {string} [data.prefabMember] - Id of the object inside the prefab
+     * @param {Object|null} [data.motionPath] - Waypoint path the object moves
+     *     along in play, see setMotionPath
+     */
+    constructor(data = {}) {
+        this.id = data.id || createLevelObjectId();
+        this.path = data.path || '';
+        this.position = { x: 0, y: 0, z: 0 };
+        this.rotation = { x: 0, y: 0, z: 0 };
+        this.scale = { x: 1, y: 1, z: 1 };
+        this.properties = {};
+        this.name = '';
+        this.parent = null;
+        this.hidden = false;
+        this.locked = false;
+        this.overrides = isPrefabPath(this.path) ? JSON.parse(JSON.stringify(data.overrides || {})) : null;
+        this.prefabInstance = data.prefabInstance || null;
+        this.prefabMember = data.prefabMember || null;
+        this.motionPath = null;
+
+        this.setTransform(data);
+        this.setProperties(data.properties);
+        this.setOutlinerState(data);
+        this.setMotionPath(data.motionPath);
+    }
+
+    get filename() {
+        return this.path.split('/').pop() || 'unknown';
+    }
+
+    get displayName() {
+        return this.name || this.filename;
+    }
+
+    get isPrefabInstance() {
+        return isPrefabPath(this.path);
+    }
+
+    /**
+     * Copies the given parts of a transform; the others stay as they are
+     * @param {Object} transform - Any of position, rotation and scale
+     */
+    setTransform({ position, rotation, scale }) {
+        ['x', 'y', 'z'].forEach(axis => {
+            if (position && Number.isFinite(position[axis])) this.position[axis] = position[axis];
+            if (rotation && Number.isFinite(rotation[axis])) this.rotation[axis] = rotation[axis];
+            if (scale && Number.isFinite(scale[axis])) this.scale[axis] = scale[axis];
+        });
+    }
+
+    /**
+     * Replaces all properties. Keys are trimmed; empty keys and values that
+     * aren't strings, finite numbers, booleans or {x, y, z} vectors are dropped.
+     * @param {Object} [properties]
+     */
+    setProperties(properties = {}) {
+        this.properties = {};
+        Object.entries(properties || {}).forEach(([key, value]) => {
+            key = key.trim();
+            if (key === '') return;
+            if (typeof value === 'string' || typeof value === 'boolean' ||
+                (typeof value === 'number' && Number.isFinite(value))) {
+                this.properties[key] = value;
+            } else if (value && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]))) {
+                this.properties[key] = { x: value.x, y: value.y, z: value.z };
+            }
+        });
+    }
+
+    /**
+     * Copies the given parts of what the outliner edits; the others stay as they are
+     * @param {Object} state - Any of name, parent, hidden and locked
+     */
+    setOutlinerState({ name, parent, hidden, locked }) {
+        if (typeof name === 'string') this.name = name.trim() === this.filename ? '' : name.trim();
+        if (parent !== undefined) this.parent = parent || null;
+        if (typeof hidden === 'boolean') this.hidden = hidden;
+        if (typeof locked === 'boolean') this.locked = locked;
+    }
+
+    /**
+     * Replaces the waypoint path, or removes it. The object's own position is
+     * where the path starts; waypoints are offsets from it in the parent's
+     * space, so moving the object moves its path along. Waypoints that aren't
+     * {x, y, z} vectors are dropped and invalid settings get PATH_DEFAULTS.
+     * @param {Object|null} path - waypoints, curve (PATH_CURVES), speed in
+     *     m/s, easing (PATH_EASINGS), mode (PATH_MODES) and delay in seconds
+     *     before the object starts moving; null for no path
+     */
+    setMotionPath(path) {
+        if (!path || typeof path !== 'object') {
+            this.motionPath = null;
+            return;
+        }
+
+        const waypoints = (Array.isArray(path.waypoints) ? path.waypoints : [])
+            .filter(point => point && ['x', 'y', 'z'].every(axis => Number.isFinite(point[axis])))
+            .map(point => ({ x: point.x, y: point.y, z: point.z }));
+        const choice = (key, options) => options.includes(path[key]) ? path[key] : PATH_DEFAULTS[key];
+
+        this.motionPath = {
+            waypoints,
+            curve: choice('curve', PATH_CURVES),
+            speed: Number.isFinite(path.speed) && path.speed > 0 ? path.speed : PATH_DEFAULTS.speed,
+            easing: choice('easing', PATH_EASINGS),
+            mode: choice('mode', PATH_MODES),
+            delay: Number.isFinite(path.delay) && path.delay >= 0 ? path.delay : PATH_DEFAULTS.delay
+        };
+    }
+
+    /**
+     * Copy of this object with a new id
+     * @returns {LevelObject}
+     */
+    clone() {
+        const { uuid, originalUuid, ...data } = this.toJSON();
+        return LevelObject.fromJSON(data);
+    }
+
+    /**
+     * The object in the scene file's object format
+     */
+    toJSON() {
+        return {
+            name: this.displayName,
+            position: { ...this.position },
+            rotation: { ...this.rotation },
+            scale: { ...this.scale },
+            path: this.path,
+            filename: this.filename,
+            uuid: this.id,
+            originalUuid: this.id,
+            parent: this.parent,
+            hidden: this.hidden,
+            locked: this.locked,
+            properties: JSON.parse(JSON.stringify(this.properties)),
+            ...(this.isPrefabInstance ? { overrides: JSON.parse(JSON.stringify(this.overrides || {})) } : {}),
+            ...(this.motionPath ? { motionPath: JSON.parse(JSON.stringify(this.motionPath)) } : {})
+        };
+    }
+
+    /**
+     * Creates an object from an entry in the scene file's object format
+     * @param {Object} data - A validated object entry (see prepareScene)
+     * @returns {LevelObject}
+     */
+    static fromJSON(data) {
+        return new LevelObject({
+            id: data.originalUuid || data.uuid,
+            path: data.path,
+            position: data.position,
+            rotation: data.rotation,
+            scale: data.scale,
+            properties: data.properties,
+            name: data.name,
+            parent: data.parent,
+            hidden: data.hidden,
+            locked: data.locked,
+            overrides: data.overrides,
+            motionPath: data.motionPath
+        });
+    }
+}
+
+/**
+ * Connection from one object to another, e.g. a lever that opens a door.
+ * Both ends are referenced by object id.
+ */
+class LevelLink {
+    /**
+     * @param {Object} data
+     * @param {string} [data.id] - Stable identifier, generated if omitted
+     * @param {string} data.source - Id of the object that raises the event
+     * @param {string} data.target - Id of the object that performs the action
+     * @param {string} [data.event] - One of LINK_EVENTS, or a custom name
+     * @param {string} [data.action] - One of LINK_ACTIONS, or a custom name
+     */
+    constructor(data) {
+        this.id = data.id || createLevelObjectId();
+        this.source = data.source;
+        this.target = data.target;
+        this.event = data.event || LINK_EVENTS[0];
+        this.action = data.action || LINK_ACTIONS[0];
+    }
+
+    toJSON() {
+        return { id: this.id, source: this.source, target: this.target, event: this.event, action: this.action };
+    }
+
+    static fromJSON(data) {
+        return new LevelLink(data);
+    }
+}
+
+class LevelModel {
+    constructor() {
+        this.objects = new Map();
+        // Links stay here while an end is deleted, so undo brings them back;
+        // only links with both ends in the level are active
+        this.links = new Map();
+        this.settings = {};
+        this.metadata = {};
+        // Prefab file contents by path, for the instances in the level
+        this.prefabs = new Map();
+        this.listeners = [];
+    }
+
+    get size() {
+        return this.objects.size;
+    }
+
+    /**
+     * All objects in the order they were added
+     * @returns {LevelObject[]}
+     */
+    list() {
+        return Array.from(this.objects.values());
+    }
+
+    get(id) {
+        return this.objects.get(id) || null;
+    }
+
+    has(id) {
+        return this.objects.has(id);
+    }
+
+    /**
+     * Adds an object, or does nothing if it is already part of the level
+     * @param {LevelObject} object
+     * @returns {LevelObject} The same object
+     */
+    add(object) {
+        if (this.objects.get(object.id) === object) return object;
+        if (this.objects.has(object.id)) {
+            throw new Error(`Level already has an object with id ${object.id}`);
+        }
+
+        this.objects.set(object.id, object);
+        this.notify('add', object);
+        return object;
+    }
+
+    /**
+     * @param {LevelObject|string} objectOrId
+     * @returns {boolean} Whether the object was part of the level
+     */
+    remove(objectOrId) {
+        const object = typeof objectOrId === 'string' ? this.get(objectOrId) : objectOrId;
+        if (!object || this.objects.get(object.id) !== object) return false;
+
+        this.objects.delete(object.id);
+        this.notify('remove', object);
+        return true;
+    }
+
+    /**
+     * Changes an object's transform. Objects that are not part of the level
+     * (e.g. deleted ones kept for undo) can be changed too, without events.
+     * @param {LevelObject|string} objectOrId
+     * @param {Object} transform - Any of position, rotation and scale
+     */
+    setTransform(objectOrId, transform) {
+        const object = this.resolve(objectOrId);
+        object.setTransform(transform);
+        this.notifyIfPresent(object);
+    }
+
+    /**
+     * Replaces an object's properties, see LevelObject.setProperties
+     * @param {LevelObject|string} objectOrId
+     * @param {Object} properties
+     */
+    setProperties(objectOrId, properties) {
+        const object = this.resolve(objectOrId);
+        object.setProperties(properties);
+        this.notifyIfPresent(object);
+    }
+
+    /**
+     * Changes an object's name, parent, hidden or locked state
+     * @param {LevelObject|string} objectOrId
+     * @param {Object} state - See LevelObject.setOutlinerState
+     */
+    setOutlinerState(objectOrId, state) {
+        const object = this.resolve(objectOrId);
+        object.setOutlinerState(state);
+        this.notifyIfPresent(object);
+    }
+
+    /**
+     * Replaces or removes an object's waypoint path
+     * @param {LevelObject|string} objectOrId
+     * @param {Object|null} path - See LevelObject.setMotionPath
+     */
+    setMotionPath(objectOrId, path) {
+        const object = this.resolve(objectOrId);
+        object.setMotionPath(path);
+        this.notifyIfPresent(object);
+    }
+
+    /**
+     * Objects whose parent is the given object, in level order
+     * @param {string|null} id - Parent id, or null for top-level objects
+     * @returns {LevelObject[]}
+     */
+    childrenOf(id) {
+        return this.list().filter(object => (this.has(object.parent) ? object.parent : null) === id);
+    }
+
+    /**
+     * Objects created for a prefab instance
+     * @param {string} instanceId - Id of the instance
+     * @returns {LevelObject[]}
+     */
+    membersOf(instanceId) {
+        return this.list().filter(object => object.prefabInstance === instanceId);
+    }
+
+    /**
+     * Whether an id belongs to an object in the level, or to a member of a
+     * prefab instance in the level that hasn't been created yet (its prefab
+     * isn't loaded)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isKnownId(id) {
+        if (this.has(id)) return true;
+        const instance = this.get(getPrefabInstanceId(id));
+        return !!instance && instance.isPrefabInstance;
+    }
+
+    /**
+     * All objects ordered so that every parent comes before its children,
+     * e.g. for adding them to a scene graph
+     * @returns {LevelObject[]}
+     */
+    listParentsFirst() {
+        const children = new Map();
+        this.list().forEach(object => {
+            const parent = this.has(object.parent) ? object.parent : null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(object);
+        });
+
+        // Objects caught in a parent cycle are never reached from the top
+        // level; they are appended at the end
+        const result = [];
+        const visit = (id) => (children.get(id) || []).forEach(object => {
+            result.push(object);
+            visit(object.id);
+        });
+        visit(null);
+        if (result.length < this.size) {
+            const reached = new Set(result);
+            this.list().forEach(object => {
+                if (!reached.has(object)) result.push(object);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Removes every object. Links are kept; see setLinks.
+     */
+    clear() {
+        this.list().forEach(object => this.remove(object));
+    }
+
+    /**
+     * @param {LevelLink} link
+     * @returns {LevelLink} The same link
+     */
+    addLink(link) {
+        if (link.source === link.target) {
+            throw new Error('A link needs two different objects');
+        }
+        this.links.set(link.id, link);
+        this.notify('link-add', link);
+        return link;
+    }
+
+    /**
+     * @param {LevelLink|string} linkOrId
+     * @returns {boolean} Whether the link was part of the level
+     */
+    removeLink(linkOrId) {
+        const link = typeof linkOrId === 'string' ? this.links.get(linkOrId) : linkOrId;
+        if (!link || this.links.get(link.id) !== link) return false;
+
+        this.links.delete(link.id);
+        this.notify('link-remove', link);
+        return true;
+    }
+
+    /**
+     * Every stored link, including ones with a deleted end
+     * @returns {LevelLink[]}
+     */
+    getLinks() {
+        return Array.from(this.links.values());
+    }
+
+    /**
+     * Replaces all links
+     * @param {LevelLink[]} links
+     */
+    setLinks(links) {
+        this.getLinks().forEach(link => this.removeLink(link));
+        links.forEach(link => this.addLink(link));
+    }
+
+    /**
+     * Links whose source and target are both in the level
+     * @returns {LevelLink[]}
+     */
+    activeLinks() {
+        return this.getLinks().filter(link => this.has(link.source) && this.has(link.target));
+    }
+
+    /**
+     * Active links that start or end at an object
+     * @param {string} id - Object id
+     * @returns {LevelLink[]}
+     */
+    linksOf(id) {
+        return this.activeLinks().filter(link => link.source === id || link.target === id);
+    }
+
+    /**
+     * Drops every stored link touching an object, e.g. once its deletion can
+     * no longer be undone
+     * @param {string} id - Object id
+     */
+    removeLinksOf(id) {
+        this.getLinks()
+            .filter(link => link.source === id || link.target === id)
+            .forEach(link => this.removeLink(link));
+    }
+
+    resolve(objectOrId) {
+        const object = typeof objectOrId === 'string' ? this.get(objectOrId) : objectOrId;
+        if (!object) throw new Error(`No object with id ${objectOrId} in level`);
+        return object;
+    }
+
+    notifyIfPresent(object) {
+        if (this.objects.get(object.id) === object) {
+            this.notify('change', object);
+        }
+    }
+
+    /**
+     * Calls a listener after every change
+     * @param {Function} listener - Receives the change type ('add', 'remove'
+     *     or 'change') and the LevelObject, or 'link-add' / 'link-remove' and
+     *     the LevelLink
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(type, object) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(type, object);
+            } catch (error) {
+                console.error('Error in level listener:', error);
+            }
+        });
+    }
+}
+
+/**
+ * @param {string} path - Asset path of a level object
+ * @returns {boolean} Whether the object is an instance of a prefab file
+ */
+function isPrefabPath(path) {
+    return typeof path === 'string' && path.endsWith(PREFAB_EXTENSION);
+}
+
+/**
+ * Id of a prefab member in an instance; stable across loads, so links and
+ * children can refer to it
+ * @param {string} instanceId - Id of the instance
+ * @param {string} memberId - Id of the object inside the prefab
+ * @returns {string}
+ */
+function getPrefabMemberId(instanceId, memberId) {
+    return `${instanceId}/${memberId}`;
+}
+
+/**
+ * @param {string} id - Object id
+ * @returns {string|null} Id of the instance a prefab member id belongs to
+ */
+function getPrefabInstanceId(id) {
+    const separator = typeof id === 'string' ? id.indexOf('/') : -1;
+    return separator > 0 ? id.slice(0, separator) : null;
+}
+
+/**
+ * Random version 4 UUID in the upper case style three.js uses
+ * @returns {string}
+ */
+function createLevelObjectId() {
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((_, i) => bytes[i] = Math.floor(Math.random() * 256));
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LINK_EVENTS,
+        LINK_ACTIONS,
+        PATH_CURVES,
+        PATH_EASINGS,
+        PATH_MODES,
+        PATH_DEFAULTS,
+        PREFAB_EXTENSION,
+        LevelObject,
+        LevelLink,
+        LevelModel,
+        createLevelObjectId,
+        isPrefabPath,
+        getPrefabMemberId,
+        getPrefabInstanceId
+    };
+}
@@ -0,0 +1,127 @@
+// Client for the level routes of the dev server (tools/dev-server.js)
+//
+// When the editor is served by the dev server, levels are listed, opened,
+// saved, renamed and deleted in the project's levels/ folder. Any other
+// server answers the probe with an error or a page, and the editor falls back
+// to downloading and uploading files. Prefabs are written to prefabs/ the
+// same way.
+
+const LEVEL_API = 'api/levels';
+const PREFAB_API = 'api/prefabs';
+
+class LevelServer {
+    constructor(baseUrl = LEVEL_API) {
+        this.baseUrl = baseUrl;
+        // Unknown until detect() has run
+        this.available = false;
+    }
+
+    /**
+     * Checks whether the level routes answer
+     * @returns {Promise<boolean>}
+     */
+    async detect() {
+        try {
+            const response = await fetch(this.baseUrl, { cache: 'no-cache' });
+            const data = response.ok && /json/.test(response.headers.get('Content-Type') || '') ?
+                await response.json() : null;
+            this.available = Array.isArray(data?.levels);
+        } catch (error) {
+            this.available = false;
+        }
+        return this.available;
+    }
+
+    /**
+     * @returns {Promise<{name: string, size: number, modified: string}[]>}
+     */
+    async list() {
+        const data = await this.request('', {});
+        return data.levels;
+    }
+
+    /**
+     * @param {string} name - Level file name
+     * @returns {Promise<string>} The level's JSON text
+     */
+    async load(name) {
+        const response = await this.send(this.url(name), { cache: 'no-cache' });
+        return response.text();
+    }
+
+    /**
+     * Writes a level
+     * @param {string} name - Level file name
+     * @param {string} text - Scene JSON
+     * @param {boolean} [overwrite] - If false, fails with status 412 when the level exists
+     */
+    async save(name, text, overwrite = true) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (!overwrite) headers['If-None-Match'] = '*';
+        return this.request(name, { method: 'PUT', headers, body: text });
+    }
+
+    async rename(name, newName) {
+        return this.request(`${name}/rename`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: newName })
+        });
+    }
+
+    async remove(name) {
+        // The server only takes changes that say they are JSON
+        await this.send(this.url(name), { method: 'DELETE', headers: { 'Content-Type': 'application/json' } });
+    }
+
+    /**
+     * @returns {Promise<{name: string, size: number, modified: string}[]>} Files in prefabs/
+     */
+    async listPrefabs() {
+        const response = await this.send(PREFAB_API, { cache: 'no-cache' });
+        return (await response.json()).prefabs;
+    }
+
+    /**
+     * Writes a prefab file
+     * @param {string} name - File name in prefabs/
+     * @param {string} text - Prefab JSON
+     */
+    async savePrefab(name, text) {
+        const response = await this.send(`${PREFAB_API}/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: text
+        });
+        return response.json();
+    }
+
+    url(name) {
+        return name ? `${this.baseUrl}/${name.split('/').map(encodeURIComponent).join('/')}` : this.baseUrl;
+    }
+
+    async request(name, options) {
+        const response = await this.send(this.url(name), options);
+        return response.json();
+    }
+
+    /**
+     * Fetches and turns error answers into exceptions carrying the server's
+     * message and the status
+     */
+    async send(url, options) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            let message = `HTTP ${response.status}`;
+            try {
+                message = (await response.json()).error || message;
+            } catch (error) {
+                // Not one of our error answers
+            }
+            const error = new Error(message);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+}
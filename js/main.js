@@ -45,38 +45,17 @@ class AssetLevelEditor {
         this.transformControls.addEventListener('dragging-changed', (event) => {
             this.controls.enabled = !event.value;
             
-            // When dragging ends
-            if (!event.value && this.selectedObject) {
-                // Snap position to grid
-                const snappedPosition = this.snapToGrid(this.selectedObject.position);
-                this.selectedObject.position.copy(snappedPosition);
-                
-                // Snap rotation to 45-degree increments if in rotate mode
-                if (this.transformControls.getMode() === 'rotate') {
-                    const euler = new THREE.Euler();
-                    euler.setFromQuaternion(this.selectedObject.quaternion);
-                    
-                    // Convert to degrees
-                    const degrees = {
-                        x: THREE.MathUtils.radToDeg(euler.x),
-                        y: THREE.MathUtils.radToDeg(euler.y),
-                        z: THREE.MathUtils.radToDeg(euler.z)
-                    };
-                    
-                    // Snap each axis to nearest 45 degrees
-                    const snappedDegrees = {
-                        x: Math.round(degrees.x / 45) * 45,
-                        y: Math.round(degrees.y / 45) * 45,
-                        z: Math.round(degrees.z / 45) * 45
-                    };
-                    
-                    // Convert back to radians and apply
-                    euler.x = THREE.MathUtils.degToRad(snappedDegrees.x);
-                    euler.y = THREE.MathUtils.degToRad(snappedDegrees.y);
-                    euler.z = THREE.MathUtils.degToRad(snappedDegrees.z);
-                    
-                    this.selectedObject.quaternion.setFromEuler(euler);
-                }
+            if (event.value) {
+                this.onTransformStart();
+            } else {
+                this.onTransformEnd();
+            }
+        });
+        
+        // Move the whole selection along with the group pivot
+        this.transformControls.addEventListener('objectChange', () => {
+            if (this.groupDragStart) {
+                this.applyGroupTransform();
             }
         });
         
@@ -85,18 +64,129 @@ class AssetLevelEditor {
         
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
-        this.selectedObject = null;
+        this.selectedObjects = [];
         this.selectedFile = null;
         this.isRotating = false;
+        this.transformStartStates = null;
+        this.groupDragStart = null;
+        this.marquee = null;
+        
+        // Helper the transform gizmo attaches to when several objects are selected
+        this.selectionPivot = new THREE.Object3D();
+        this.selectionPivot.name = 'selection-pivot';
+        this.scene.add(this.selectionPivot);
+        this.isLoadingProperties = false;
+        this.loadedPropertyKeys = [];
+        
+        // Level data behind the placed objects; the scene is a view over it
+        this.level = new LevelModel();
+        this.levelObjects = new WeakMap();
+        this.placedObjectsById = new Map();
+        this.level.onChange(type => {
+            if (type === 'link-add' || type === 'link-remove') this.refreshLinkList();
+            this.outliner?.invalidate();
+            this.refreshPrefabSection();
+            this.pathTool?.refresh();
+            this.pickupTotalsDirty = true;
+        });
+        
+        // Undo/redo history for all scene changes
+        this.history = new CommandHistory({ maxDepth: this.loadHistoryDepth() });
+        
+        // Snapping, temporarily disabled while Alt is held
+        this.snapSettings = SnapSettings.load();
+        this.isSnapSuspended = false;
+        this.gridHelper = null;
+        
+        // Waves are level data; the ocean draws them
+        this.waves = new OceanWaves();
+        this.ocean = new OceanSurface(this.scene, this.waves);
+        
+        // Copy/paste shared between tabs
+        this.clipboard = new ObjectClipboard();
+        this.pointer = null;
+        this.feedbackTimer = null;
+        
+        // Filled from Assets/3D/manifest.json by loadAssetBrowser
+        this.assetManifest = null;
+        this.assetIndex = new Map();
+        
+        // Typed properties per asset, from Assets/3D/property-definitions.json
+        this.propertyDefinitions = new PropertyDefinitions();
+        
+        // Roles, default properties and pivots, from Assets/3D/asset-registry.json
+        this.assetRegistry = new AssetRegistry();
+        
+        // Browser storage and asset thumbnails
+        this.database = new EditorDatabase();
+        this.thumbnails = null;
+        this.thumbnailObserver = null;
+        this.assetLibrary = null;
+        
+        // Levels in levels/ when the dev server runs; downloads and uploads otherwise
+        this.levelServer = new LevelServer();
+        this.levelDialog = new LevelDialog(this);
+        this.currentLevelName = null;
+        
+        // Prefab files, shared with the level so saving can store overrides;
+        // written to prefabs/ through the dev server when it runs
+        this.prefabLibrary = new PrefabLibrary(this.database, this.level.prefabs, this.levelServer);
+        this.prefabLibrary.onChange(() => this.renderPrefabFolder());
+        
+        // Snapshots in browser storage, for recovering from a closed or crashed tab
+        this.autosave = new AutosaveStore(this.database);
+        this.autosaveBrowser = new AutosaveBrowser(this);
+        this.autosavePending = false;
+        
+        // Loaded models, shared by every placed instance
+        this.modelCache = new ModelCache();
+        
+        // Shared materials of highlighted meshes, keyed by mesh
+        this.highlightedMaterials = new WeakMap();
+        
+        // Preview of the selected file under the cursor
+        this.placementGhost = new PlacementGhost(this);
+        
+        // Draws repeated models with one InstancedMesh per mesh
+        this.instancing = new InstancingLayer(this);
+        this.renderStatsTime = 0;
+        this.pickupTotalsDirty = true;
+        
+        // Picks and draws links between objects
+        this.linkTool = new LinkTool(this);
+        
+        // Edits and previews the waypoint paths of moving objects
+        this.pathTool = new PathTool(this);
+        
+        // Tree of placed objects; isolation shows only some of them, without saving
+        this.outliner = new Outliner(this);
+        this.isolatedIds = null;
+        
+        // Play-testing from the spawn marker; Escape comes back
+        this.playMode = new PlayMode(this);
         
         this.setupLights();
         this.setupTransformUI();
+        this.setupHistoryUI();
+        this.setupSnapToolbar();
+        this.setupWaterPanel();
+        this.setupRenderStats();
+        this.updateGridHelper();
         this.setupEventListeners();
+        this.setupThumbnails();
+        this.setupAssetLibrary();
         this.loadAssetBrowser();
+        this.loadPropertyDefinitions();
+        this.levelServer.detect().then(() => {
+            this.setCurrentLevel(this.currentLevelName);
+            // The prefab folder now includes the files in prefabs/
+            if (this.levelServer.available) this.renderPrefabFolder();
+        });
+        this.setupAutosave();
         
         // Add axis helper
-        const axesHelper = new THREE.AxesHelper(5);
-        this.scene.add(axesHelper);
+        this.axesHelper = new THREE.AxesHelper(5);
+        this.scene.add(this.axesHelper);
         
         this.animate();
     }
@@ -112,19 +202,308 @@ class AssetLevelEditor {
     }
     
     /**
-     * Snaps a position to the nearest integer coordinates
+     * Snaps a position to the current grid size
      * @param {THREE.Vector3} position - The position to snap
-     * @returns {THREE.Vector3} The snapped position
+     * @returns {THREE.Vector3} The snapped position (a copy when snapping is off)
      */
     snapToGrid(position) {
+        if (!this.snapSettings.gridEnabled || this.isSnapSuspended) {
+            return position.clone();
+        }
+        
+        const size = this.snapSettings.gridSize;
         return new THREE.Vector3(
-            Math.round(position.x),
-            Math.round(position.y),
-            Math.round(position.z)
+            snapValue(position.x, size),
+            snapValue(position.y, size),
+            snapValue(position.z, size)
+        );
+    }
+    
+    /**
+     * Snaps an object's scale to the current scale step
+     * @param {THREE.Object3D} object - The object to snap
+     */
+    snapScale(object) {
+        if (!this.snapSettings.scaleEnabled || this.isSnapSuspended) return;
+        
+        const step = this.snapSettings.scaleStep;
+        
+        // Never snap down to a zero scale
+        object.scale.set(
+            Math.max(step, snapValue(object.scale.x, step)),
+            Math.max(step, snapValue(object.scale.y, step)),
+            Math.max(step, snapValue(object.scale.z, step))
         );
     }
     
-    // Grid has been removed as per user request
+    /**
+     * Shows or rebuilds the visible grid at the current snap size
+     */
+    updateGridHelper() {
+        const size = this.snapSettings.gridSize;
+        
+        if (this.gridHelper && this.gridHelper.userData.gridSize !== size) {
+            this.scene.remove(this.gridHelper);
+            this.gridHelper.geometry.dispose();
+            this.gridHelper.material.dispose();
+            this.gridHelper = null;
+        }
+        
+        if (!this.gridHelper) {
+            const extent = 100;
+            this.gridHelper = new THREE.GridHelper(extent, Math.round(extent / size), 0x888888, 0x555555);
+            this.gridHelper.name = 'grid';
+            this.gridHelper.userData.gridSize = size;
+            this.scene.add(this.gridHelper);
+        }
+        
+        this.gridHelper.visible = this.snapSettings.showGrid;
+    }
+    
+    setupSnapToolbar() {
+        const toolbar = document.getElementById('snap-toolbar');
+        if (!toolbar) return;
+        
+        const bindings = [
+            { toggle: 'snap-grid-enabled', select: 'snap-grid-size', enabled: 'gridEnabled', value: 'gridSize', options: SNAP_GRID_SIZES },
+            { toggle: 'snap-rotation-enabled', select: 'snap-rotation-step', enabled: 'rotationEnabled', value: 'rotationStep', options: SNAP_ROTATION_STEPS, suffix: '°' },
+            { toggle: 'snap-scale-enabled', select: 'snap-scale-step', enabled: 'scaleEnabled', value: 'scaleStep', options: SNAP_SCALE_STEPS }
+        ];
+        
+        bindings.forEach(binding => {
+            const toggle = document.getElementById(binding.toggle);
+            const select = document.getElementById(binding.select);
+            
+            if (select) {
+                binding.options.forEach(option => {
+                    const el = document.createElement('option');
+                    el.value = option;
+                    el.textContent = `${option}${binding.suffix || ''}`;
+                    select.appendChild(el);
+                });
+                select.addEventListener('change', () => {
+                    this.snapSettings.set({ [binding.value]: parseFloat(select.value) });
+                    this.onSnapSettingsChanged();
+                });
+            }
+            
+            toggle?.addEventListener('change', () => {
+                this.snapSettings.set({ [binding.enabled]: toggle.checked });
+                this.onSnapSettingsChanged();
+            });
+        });
+        
+        const showGrid = document.getElementById('snap-show-grid');
+        showGrid?.addEventListener('change', () => {
+            this.snapSettings.set({ showGrid: showGrid.checked });
+            this.onSnapSettingsChanged();
+        });
+        
+        const water = document.getElementById('snap-water-enabled');
+        water?.addEventListener('change', () => {
+            this.snapSettings.set({ waterEnabled: water.checked });
+            this.onSnapSettingsChanged();
+            this.updatePlacementGhost();
+        });
+        
+        // Keep clicks on the toolbar from reaching the viewport
+        toolbar.addEventListener('mousedown', (e) => e.stopPropagation());
+        
+        this.updateSnapToolbar();
+    }
+    
+    /**
+     * Syncs the toolbar controls with the current snap settings
+     */
+    updateSnapToolbar() {
+        const settings = this.snapSettings;
+        
+        const setChecked = (id, checked) => {
+            const el = document.getElementById(id);
+            if (el) el.checked = checked;
+        };
+        
+        const setSelected = (id, value) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            
+            let option = Array.from(el.options).find(o => parseFloat(o.value) === value);
+            
+            // Levels may use a step that isn't in the list
+            if (!option) {
+                option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                el.appendChild(option);
+            }
+            el.value = option.value;
+        };
+        
+        setChecked('snap-grid-enabled', settings.gridEnabled);
+        setSelected('snap-grid-size', settings.gridSize);
+        setChecked('snap-rotation-enabled', settings.rotationEnabled);
+        setSelected('snap-rotation-step', settings.rotationStep);
+        setChecked('snap-scale-enabled', settings.scaleEnabled);
+        setSelected('snap-scale-step', settings.scaleStep);
+        setChecked('snap-show-grid', settings.showGrid);
+        setChecked('snap-water-enabled', settings.waterEnabled);
+    }
+    
+    onSnapSettingsChanged() {
+        this.snapSettings.save();
+        this.updateGridHelper();
+    }
+    
+    /**
+     * Replaces the snap settings, e.g. with the ones stored in a level
+     * @param {Object} values - Partial snap settings
+     */
+    applySnapSettings(values) {
+        this.snapSettings.set(values);
+        this.updateSnapToolbar();
+        this.onSnapSettingsChanged();
+    }
+    
+    /**
+     * Whether placement puts objects on the water level right now
+     */
+    isWaterSnapActive() {
+        return this.snapSettings.waterEnabled && this.waves.enabled && !this.isSnapSuspended;
+    }
+    
+    /**
+     * Snaps a placement point to the grid, and onto the water level when
+     * water snapping is on
+     * @param {THREE.Vector3} point - Point from getPlacementPoint
+     * @returns {THREE.Vector3} A new point
+     */
+    snapPlacementPoint(point) {
+        const snapped = this.snapToGrid(point);
+        if (this.isWaterSnapActive()) {
+            snapped.y = this.waves.level;
+        }
+        return snapped;
+    }
+    
+    /**
+     * Binds the wave fields of the water panel to the level's waves
+     */
+    setupWaterPanel() {
+        this.onWaterChanged();
+        
+        const panel = document.getElementById('water-panel');
+        if (!panel) return;
+        
+        const enabled = document.getElementById('water-enabled');
+        enabled?.addEventListener('change', () => {
+            this.waves.set({ enabled: enabled.checked });
+            this.autosavePending = true;
+            this.onWaterChanged();
+        });
+        
+        panel.querySelectorAll('input[data-wave]').forEach(input => {
+            input.addEventListener('change', () => {
+                // Out-of-range values are ignored; the field shows what is used
+                this.waves.set({ [input.dataset.wave]: parseFloat(input.value) });
+                this.autosavePending = true;
+                this.onWaterChanged();
+            });
+        });
+    }
+    
+    /**
+     * The level's settings and metadata, with the snapping and waves as the
+     * editor has them now
+     * @returns {{settings: Object, metadata: Object}}
+     */
+    getLevelSettings() {
+        return {
+            settings: { ...this.level.settings, snapping: this.snapSettings.toJSON(), water: this.waves.toJSON() },
+            metadata: { ...this.level.metadata }
+        };
+    }
+    
+    /**
+     * Makes a level's settings and metadata the current ones. Levels without
+     * snapping settings keep the current snapping.
+     * @param {{settings: Object, metadata: Object}} state - See getLevelSettings
+     */
+    applyLevelSettings({ settings, metadata }) {
+        this.level.settings = settings;
+        this.level.metadata = metadata;
+        if (settings.snapping) {
+            this.applySnapSettings(settings.snapping);
+        }
+        this.applyWaterSettings(settings.water);
+    }
+    
+    /**
+     * Replaces the wave parameters, e.g. with the ones stored in a level.
+     * Levels without them get the default ocean.
+     * @param {Object} [values] - Partial wave parameters
+     */
+    applyWaterSettings(values = {}) {
+        this.waves.set({ ...WAVE_DEFAULTS, ...values });
+        this.onWaterChanged();
+    }
+    
+    onWaterChanged() {
+        this.scene.background = new THREE.Color(this.waves.enabled ? OCEAN_SKY_COLOR : 0x333333);
+        this.ocean.group.visible = this.waves.enabled;
+        
+        const enabled = document.getElementById('water-enabled');
+        if (enabled) enabled.checked = this.waves.enabled;
+        document.querySelectorAll('#water-panel input[data-wave]').forEach(input => {
+            input.value = this.waves[input.dataset.wave];
+            input.disabled = !this.waves.enabled;
+        });
+        
+        this.updatePlacementGhost();
+    }
+    
+    setupRenderStats() {
+        const toggle = document.getElementById('instancing-enabled');
+        if (!toggle) return;
+        
+        toggle.checked = this.instancing.enabled;
+        toggle.addEventListener('change', () => this.instancing.setEnabled(toggle.checked));
+        document.getElementById('render-stats').addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+    
+    /**
+     * Shows the draw calls of the last frame, a few times per second
+     */
+    updateRenderStats() {
+        const now = performance.now();
+        if (now - this.renderStatsTime < 250) return;
+        this.renderStatsTime = now;
+        
+        const text = document.getElementById('render-stats-text');
+        if (!text) return;
+        
+        const info = this.renderer.info.render;
+        let placed = 0;
+        this.scene.traverse(object => {
+            if (object.userData.isPlacedObject) placed++;
+        });
+        
+        text.textContent = `Draw calls: ${info.calls} | Triangles: ${info.triangles.toLocaleString()} | ` +
+            `Instanced: ${this.instancing.instancedCount}/${placed} objects`;
+    }
+    
+    /**
+     * Shows what the level has to collect, e.g. "42 coins, 1,250 points
+     * possible". Counted once per frame at most, after the level changed.
+     */
+    updatePickupTotals() {
+        if (!this.pickupTotalsDirty) return;
+        this.pickupTotalsDirty = false;
+        
+        const label = document.getElementById('level-totals');
+        if (label) {
+            label.textContent = describePickupTotals(computePickupTotals(this.level, this.assetRegistry));
+        }
+    }
     
     setupEventListeners() {
         // Prevent default context menu on the whole window
@@ -132,10 +511,15 @@ class AssetLevelEditor {
         
         // Use mousedown instead of click for better control
         document.addEventListener('mousedown', (e) => this.onMouseClick(e));
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('mouseup', (e) => this.endMarquee(e));
         window.addEventListener('resize', () => this.onWindowResize());
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
         document.addEventListener('keyup', (e) => this.onKeyUp(e));
         
+        // Keyup never arrives if Alt is released in another window
+        window.addEventListener('blur', () => this.isSnapSuspended = false);
+        
         // UI hover detection
         const uiElement = document.getElementById('ui');
         uiElement.addEventListener('mouseenter', () => this.isOverUI = true);
@@ -143,8 +527,33 @@ class AssetLevelEditor {
         
         // UI event listeners
         document.getElementById('save-btn')?.addEventListener('click', () => this.saveScene());
-        document.getElementById('load-btn')?.addEventListener('click', () => document.getElementById('load-file')?.click());
+        document.getElementById('save-as-btn')?.addEventListener('click', () => this.saveSceneAs());
+        document.getElementById('load-btn')?.addEventListener('click', () => this.openScene());
         document.getElementById('load-file')?.addEventListener('change', (e) => this.loadScene(e));
+        
+        const loadReport = document.getElementById('load-report');
+        loadReport?.addEventListener('mousedown', (e) => e.stopPropagation());
+        loadReport?.querySelector('.load-report-close').addEventListener('click', () => {
+            loadReport.style.display = 'none';
+        });
+        
+        document.getElementById('link-tool-btn')?.addEventListener('click', () => this.linkTool.toggle());
+        document.getElementById('path-preview-btn')?.addEventListener('click', () => this.pathTool.togglePreview());
+        document.getElementById('add-link-btn')?.addEventListener('click', () => {
+            this.linkTool.setActive(true, this.selectedObject);
+        });
+        
+        document.getElementById('save-prefab-btn')?.addEventListener('click', () => this.saveSelectionAsPrefab());
+        document.getElementById('apply-prefab-btn')?.addEventListener('click', () => {
+            this.applyToPrefab(this.getSelectedPrefabInstance());
+        });
+        document.getElementById('revert-prefab-btn')?.addEventListener('click', () => {
+            this.revertPrefabInstance(this.getSelectedPrefabInstance());
+        });
+        document.getElementById('export-prefab-btn')?.addEventListener('click', () => {
+            const instance = this.getSelectedPrefabInstance();
+            if (instance) this.prefabLibrary.export(this.getLevelObject(instance).path);
+        });
     }
     
     onWindowResize() {
@@ -176,18 +585,7 @@ class AssetLevelEditor {
             return;
         }
         
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        
-        // Don't select the transform controls or their helpers
-        const objects = this.scene.children.filter(child => 
-            child !== this.transformControls && 
-            !child.name.includes('TransformControls')
-        );
-        
-        const intersects = this.raycaster.intersectObjects(objects, true);
+        const intersects = this.raycastScene(event.clientX, event.clientY);
         
         if (event.button === 0) { // Left click
             // Skip if we're currently transforming
@@ -195,24 +593,39 @@ class AssetLevelEditor {
                 return;
             }
             
-            if (this.selectedFile) {
+            this.isSnapSuspended = event.altKey;
+            
+            const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+            const waypoint = this.pathTool.getHandleHit(intersects);
+            
+            if (this.linkTool.active) {
+                // Clicks pick link ends instead of selecting
+                const hit = intersects.find(intersect => this.getPlacedRoot(intersect.object));
+                if (hit) {
+                    this.linkTool.pick(this.getPlacedRoot(hit.object));
+                }
+            } else if (this.selectedFile) {
                 // If we have a file selected, place it at the intersection point
-                if (intersects.length > 0) {
-                    const snappedPosition = this.snapToGrid(intersects[0].point);
-                    this.placeModel(snappedPosition);
-                } else {
-                    // If we didn't hit anything, place it on the ground plane
-                    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-                    const target = new THREE.Vector3();
-                    this.raycaster.ray.intersectPlane(plane, target);
-                    const snappedPosition = this.snapToGrid(target);
-                    this.placeModel(snappedPosition);
+                const target = this.getPlacementPoint(event.clientX, event.clientY, intersects);
+                if (target) {
+                    this.placeModel(this.snapPlacementPoint(target), this.placementGhost.rotationY);
+                }
+                
+                // Holding Shift keeps the file selected for repeated placement
+                if (!event.shiftKey) {
+                    this.deselectFile();
                 }
                 // Don't select the newly placed object
                 this.deselectObject();
-            } else if (intersects.length > 0) {
-                // If we clicked on an object, select it
-                this.selectObject(intersects[0].object);
+            } else if (waypoint !== null) {
+                // The gizmo moves onto the waypoint; the object stays selected
+                this.pathTool.editWaypoint(waypoint);
+            } else if (this.getSelectableHit(intersects)) {
+                // If we clicked on an object, select it (Shift/Ctrl adds to the selection)
+                this.selectObject(this.getSelectableHit(intersects), additive);
+            } else if (additive) {
+                // Shift/Ctrl-drag on empty space draws a selection rectangle
+                this.startMarquee(event);
             } else {
                 // If we clicked on nothing, deselect
                 this.deselectObject();
@@ -227,37 +640,205 @@ class AssetLevelEditor {
             }
             
             // Store if we had a selection before processing the click
-            const hadSelection = this.selectedObject || this.selectedFile;
+            const hadSelection = this.selectedObjects.length > 0 || this.selectedFile;
             
             // Deselect file first if one is selected
             if (this.selectedFile) {
                 this.deselectFile();
             }
             
-            // Then deselect object if one is selected
-            if (this.selectedObject) {
+            // Then deselect objects if any are selected
+            if (this.selectedObjects.length > 0) {
                 this.deselectObject();
             }
             
             // If we had a selection before and clicked on an object, select it
-            if (hadSelection && intersects.length > 0) {
-                this.selectObject(intersects[0].object);
+            if (hadSelection && this.getSelectableHit(intersects)) {
+                this.selectObject(this.getSelectableHit(intersects));
             }
             
             return false; // Prevent context menu
         }
     }
     
+    /**
+     * Casts a ray from the camera through a screen position
+     * @param {number} clientX - Screen x in pixels
+     * @param {number} clientY - Screen y in pixels
+     * @returns {Object[]} Intersections with scene objects, nearest first
+     */
+    raycastScene(clientX, clientY) {
+        this.mouse.x = (clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+        
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        // Don't select the transform controls or their helpers
+        const objects = this.scene.children.filter(child => 
+            child !== this.transformControls && 
+            child !== this.gridHelper &&
+            child !== this.placementGhost.object &&
+            child !== this.instancing.root &&
+            !child.name.includes('TransformControls')
+        );
+        
+        // Hidden objects can't be clicked
+        return this.raycaster.intersectObjects(objects, true).filter(hit => this.isShown(hit.object));
+    }
+    
+    /**
+     * The nearest placed object that can be selected; locked objects are clicked through
+     * @param {Object[]} intersects - Result of raycastScene
+     * @returns {THREE.Object3D|null}
+     */
+    getSelectableHit(intersects) {
+        for (const intersect of intersects) {
+            let object = this.getPlacedRoot(intersect.object);
+            if (!object) continue;
+            
+            // The first click on a prefab member picks its instance, the next one the member
+            const instance = this.getPlacedObject(this.getLevelObject(object).prefabInstance);
+            if (instance && !this.selectedObjects.some(obj => obj === instance ||
+                this.getLevelObject(obj).prefabInstance === this.getLevelObject(instance).id)) {
+                object = instance;
+            }
+            if (!this.getLevelObject(object).locked) return object;
+        }
+        return null;
+    }
+    
+    /**
+     * Whether an object and all of its ancestors are visible
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isShown(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Finds where an object would be placed for a screen position: on the
+     * first object hit, otherwise on the ground plane
+     * @param {number} clientX - Screen x in pixels
+     * @param {number} clientY - Screen y in pixels
+     * @param {Object[]} [intersects] - Result of raycastScene for the same position
+     * @returns {THREE.Vector3|null} The unsnapped point, or null if the ray misses
+     */
+    getPlacementPoint(clientX, clientY, intersects = this.raycastScene(clientX, clientY)) {
+        // On the water, whatever is under the cursor
+        if (this.isWaterSnapActive()) {
+            const water = new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.waves.level);
+            return this.raycaster.ray.intersectPlane(water, new THREE.Vector3());
+        }
+        
+        if (intersects.length > 0) {
+            return intersects[0].point.clone();
+        }
+        
+        // If we didn't hit anything, use the ground plane
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const target = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(plane, target);
+    }
+    
+    onMouseMove(event) {
+        // Remember the cursor so paste can drop objects under it
+        this.pointer = { x: event.clientX, y: event.clientY };
+        this.updateMarquee(event);
+        this.updatePlacementGhost();
+    }
+    
+    /**
+     * Moves the placement ghost to where a click would place the selected file
+     */
+    updatePlacementGhost() {
+        if (!this.placementGhost.object) return;
+        
+        if (!this.pointer || this.isOverUI || this.transformControls?.dragging) {
+            this.placementGhost.moveTo(null);
+            return;
+        }
+        
+        const target = this.getPlacementPoint(this.pointer.x, this.pointer.y);
+        this.placementGhost.moveTo(target ?
+            this.applyAssetPivot(this.placementGhost.path, this.snapPlacementPoint(target), this.placementGhost.rotationY) :
+            null);
+    }
+    
     onKeyDown(event) {
         const key = event.key.toLowerCase();
         
+        // Holding Alt disables snapping, even while typing in a field
+        if (key === 'alt') {
+            this.isSnapSuspended = true;
+            event.preventDefault(); // Keep the browser menu bar from taking focus
+            this.updatePlacementGhost();
+            return;
+        }
+        
         // Only process if not in a text input
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
             return;
         }
         
+        // Ctrl/Cmd shortcuts must not fall through to the single-key tools below
+        if (event.ctrlKey || event.metaKey) {
+            switch(key) {
+                case 'z':
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    break;
+                case 'y':
+                    event.preventDefault();
+                    this.redo();
+                    break;
+                case 'c':
+                    if (this.selectedObjects.length > 0) {
+                        event.preventDefault();
+                        this.copySelection();
+                    }
+                    break;
+                case 'v':
+                    event.preventDefault();
+                    this.pasteClipboard();
+                    break;
+                case 'd':
+                    // Also keeps the browser from bookmarking the page
+                    event.preventDefault();
+                    this.duplicateSelection();
+                    break;
+                case 's':
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.saveSceneAs();
+                    } else {
+                        this.saveScene();
+                    }
+                    break;
+                case 'o':
+                    event.preventDefault();
+                    this.openScene();
+                    break;
+            }
+            return;
+        }
+        
         switch(key) {
             case 'r':
+                // With a file selected, R turns the ghost before it is placed
+                if (this.selectedFile) {
+                    const step = this.snapSettings.rotationEnabled ? this.snapSettings.rotationStep : 15;
+                    this.placementGhost.rotate(event.shiftKey ? -step : step);
+                    break;
+                }
+                
                 this.isRotating = true;
                 if (this.transformControls) {
                     this.transformControls.setMode('rotate');
@@ -278,12 +859,46 @@ class AssetLevelEditor {
                 break;
             case 'delete':
             case 'backspace':
-                if (this.selectedObject) {
+                // With the gizmo on a waypoint, only the waypoint goes
+                if (this.pathTool.isEditingWaypoint) {
+                    this.pathTool.removeWaypoint();
+                    event.preventDefault();
+                } else if (this.selectedObjects.length > 0) {
                     this.deleteSelectedObject();
                     event.preventDefault(); // Prevent browser back navigation
                 }
                 break;
+            case 'l':
+                this.linkTool.toggle();
+                break;
+            case 'm':
+                this.pathTool.togglePreview();
+                break;
+            case 'h':
+                // Shift+H shows everything again
+                if (event.shiftKey) {
+                    this.showAllObjects();
+                } else {
+                    this.toggleSelectionHidden();
+                }
+                break;
+            case 'i':
+                this.setIsolation(!this.isolatedIds);
+                break;
+            case 'p':
+                this.playMode.start();
+                break;
             case 'escape':
+                // Leaving link mode keeps the selection
+                if (this.linkTool.active) {
+                    this.linkTool.setActive(false);
+                    break;
+                }
+                if (this.pathTool.previewing) {
+                    this.pathTool.setPreview(false);
+                    break;
+                }
+                this.deselectFile();
                 this.deselectObject();
                 break;
         }
@@ -292,64 +907,616 @@ class AssetLevelEditor {
     onKeyUp(event) {
         const key = event.key.toLowerCase();
         
+        if (key === 'alt') {
+            this.isSnapSuspended = false;
+            this.updatePlacementGhost();
+        }
+        
         if (key === 'r') {
+            // Keep the rotation from holding R
+            if (this.isRotating) {
+                this.selectedObjects.forEach(obj => this.syncLevelTransform(obj));
+            }
             this.isRotating = false;
         }
     }
     
     deleteSelectedObject() {
-        if (this.selectedObject) {
+        if (this.selectedObjects.length > 0) {
             try {
-                // First clean up the selected object
-                const objectToRemove = this.selectedObject;
-                this.selectedObject = null;
-                
-                // Then detach and disable transform controls
-                if (this.transformControls) {
-                    this.transformControls.detach();
-                    this.transformControls.enabled = false;
-                }
-                
-                // Then remove the object from the scene
-                if (objectToRemove.parent) {
-                    objectToRemove.parent.remove(objectToRemove);
-                } else {
-                    this.scene.remove(objectToRemove);
-                }
-                
-                // Clean up any resources
-                objectToRemove.traverse(child => {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                });
-                
-                this.updateHUD();
+                // Removal goes through the history so it can be undone
+                this.history.execute(new RemoveObjectsCommand(this, this.withDescendants(this.selectedObjects)));
             } catch (error) {
                 console.error('Error deleting object:', error);
             }
         }
     }
     
-    setupTransformUI() {
-        // Create transform controls UI
-        const controlsDiv = document.createElement('div');
-        controlsDiv.className = 'transform-controls';
-        controlsDiv.style.display = 'none';
-        
-        const moveBtn = document.createElement('button');
-        moveBtn.textContent = 'Move';
-        moveBtn.className = 'active';
-        moveBtn.onclick = () => {
-            this.transformControls.setMode('translate');
-            Array.from(controlsDiv.children).forEach(btn => btn.classList.remove('active'));
-            moveBtn.classList.add('active');
-        };
+    copySelection() {
+        if (this.selectedObjects.length === 0) return;
+        
+        const objects = this.withDescendants(this.selectedObjects);
+        const entries = this.serializeObjects(objects);
+        this.clipboard.write(entries, this.getLinksFrom(objects));
+        this.showFeedback(`Copied ${describeObjects(this.selectedObjects)}`);
+    }
+    
+    /**
+     * Pastes the clipboard under the cursor, or one grid step away from the
+     * copied objects when the cursor isn't over the viewport
+     */
+    async pasteClipboard() {
+        const clipboard = this.clipboard.read();
+        if (!clipboard || clipboard.entries.length === 0) {
+            this.showFeedback('Clipboard is empty');
+            return [];
+        }
+        
+        const entries = clipboard.entries;
+        const copiedIds = new Set(entries.map(entry => entry.originalUuid || entry.uuid));
+        const roots = entries.filter(entry => !copiedIds.has(entry.parent));
+        const target = this.pointer && !this.isOverUI ?
+            this.getPlacementPoint(this.pointer.x, this.pointer.y) : null;
+        
+        let offset = this.getDuplicateOffset();
+        if (target) {
+            // Keep the copied layout and put its footprint center on the hit point
+            // Children move with their parent, so only the roots count
+            const positions = roots.map(entry => this.getEntryWorldPosition(entry));
+            const anchor = new THREE.Vector3(
+                positions.reduce((sum, p) => sum + p.x, 0) / positions.length,
+                Math.min(...positions.map(p => p.y)),
+                positions.reduce((sum, p) => sum + p.z, 0) / positions.length
+            );
+            offset = this.snapToGrid(target).sub(this.snapToGrid(anchor));
+        }
+        
+        return this.instantiateEntries(entries, offset, 'Paste', clipboard.links || []);
+    }
+    
+    async duplicateSelection() {
+        if (this.selectedObjects.length === 0) return [];
+        
+        const objects = this.withDescendants(this.selectedObjects);
+        const entries = this.serializeObjects(objects);
+        const links = this.getLinksFrom(objects);
+        return this.instantiateEntries(entries, this.getDuplicateOffset(), 'Duplicate', links);
+    }
+    
+    /**
+     * Where a copied object is in the world. Objects under a parent that is
+     * still placed are positioned relative to it; others are at the top level.
+     * @param {Object} entry - Object in the scene file's object format
+     * @returns {THREE.Vector3}
+     */
+    getEntryWorldPosition(entry) {
+        const position = new THREE.Vector3(
+            entry.position?.x || 0,
+            entry.position?.y || 0,
+            entry.position?.z || 0
+        );
+        const parent = this.getPlacedObject(entry.parent);
+        if (!parent) return position;
+        
+        parent.updateWorldMatrix(true, false);
+        return parent.localToWorld(position);
+    }
+    
+    /**
+     * Offset for copies that aren't pasted under the cursor: one grid step diagonally
+     * @returns {THREE.Vector3}
+     */
+    getDuplicateOffset() {
+        const step = this.snapSettings.gridSize;
+        return new THREE.Vector3(step, 0, step);
+    }
+    
+    /**
+     * Links that start at one of the given objects, for copying along with them
+     * @param {THREE.Object3D[]} objects - Placed objects
+     * @returns {Object[]} Links in the scene file's link format
+     */
+    getLinksFrom(objects) {
+        const ids = new Set(objects.map(obj => this.getLevelObject(obj)?.id));
+        return this.level.activeLinks().filter(link => ids.has(link.source)).map(link => link.toJSON());
+    }
+    
+    /**
+     * Creates new placed objects from serialized data as one undoable step
+     * @param {Object[]} entries - Objects in the scene file's object format,
+     *     parents before their children
+     * @param {THREE.Vector3} offset - World-space offset added to every entry
+     *     whose parent wasn't copied along
+     * @param {string} verb - Describes the action in the history list
+     * @param {Object[]} [links] - Links starting at the entries. Ends that were
+     *     copied along point to the copies; other targets are kept, so a copied
+     *     switch still operates the same door.
+     * @returns {Promise<THREE.Object3D[]>} The new objects, which get selected
+     */
+    async instantiateEntries(entries, offset, verb, links = []) {
+        try {
+            // New objects get fresh ids; copies are visible and unlocked.
+            // Copied prefab instances keep their overrides and moving objects
+            // their waypoint paths.
+            const levelObjects = entries.map(entry => new LevelObject({
+                path: entry.path,
+                rotation: entry.rotation,
+                scale: entry.scale,
+                properties: entry.properties,
+                name: entry.name,
+                overrides: entry.overrides,
+                motionPath: entry.motionPath
+            }));
+            const copiedIds = new Map(entries.map((entry, i) => [entry.originalUuid || entry.uuid, levelObjects[i].id]));
+            
+            // Members of copied instances map to the same member of the copy
+            const remapId = (id) => {
+                if (copiedIds.has(id)) return copiedIds.get(id);
+                const instanceId = getPrefabInstanceId(id);
+                return copiedIds.has(instanceId) && instanceId !== id ?
+                    getPrefabMemberId(copiedIds.get(instanceId), id.slice(instanceId.length + 1)) : null;
+            };
+            
+            // Copied children stay under the copied parent. Other parents are
+            // kept if they are still in the level, like link targets.
+            entries.forEach((entry, i) => {
+                let position = new THREE.Vector3(
+                    entry.position?.x || 0,
+                    entry.position?.y || 0,
+                    entry.position?.z || 0
+                );
+                let parent = entry.parent ? remapId(entry.parent) : null;
+                if (!parent) {
+                    parent = this.level.has(entry.parent) ? entry.parent : null;
+                    // Moved in the world, then back into the space of the parent it keeps
+                    position = this.getEntryWorldPosition(entry).add(offset);
+                    this.getPlacedObject(parent)?.worldToLocal(position);
+                }
+                levelObjects[i].setTransform({ position });
+                levelObjects[i].setOutlinerState({ parent });
+            });
+            
+            const created = await Promise.all(levelObjects.map(levelObject => this.createPlacedObjects(levelObject)));
+            const allObjects = created.flatMap(result => result.objects);
+            allObjects.forEach(obj => this.addObjectToScene(obj));
+            const objects = created.map(result => result.objects[0]);
+            
+            // Links inside copied instances come from the prefab and were created with them
+            const newLinks = links
+                .filter(link => remapId(link.source) && !copiedIds.has(getPrefabInstanceId(link.id)))
+                .map(link => new LevelLink({
+                    source: remapId(link.source),
+                    target: remapId(link.target) || link.target,
+                    event: link.event,
+                    action: link.action
+                }))
+                .concat(created.flatMap(result => result.links))
+                .filter(link => this.level.has(link.target));
+            
+            const label = `${verb} ${describeObjects(objects)}`;
+            const addObjects = new AddObjectsCommand(this, allObjects, label);
+            if (newLinks.length > 0) {
+                const addLinks = new AddLinksCommand(this, newLinks);
+                addLinks.execute();
+                this.history.push(new BatchCommand([addObjects, addLinks], label));
+            } else {
+                this.history.push(addObjects);
+            }
+            this.setSelection(objects);
+            
+            return objects;
+        } catch (error) {
+            console.error(`Error during ${verb.toLowerCase()}:`, error);
+            return [];
+        }
+    }
+    
+    /**
+     * Adds a placed object back into the scene graph
+     * @param {THREE.Object3D} object - The object to add
+     * @param {THREE.Object3D} [parent] - Parent to attach to, defaults to the
+     *     scene. The parent object in the level takes precedence if it is placed.
+     */
+    addObjectToScene(object, parent = this.scene) {
+        const levelObject = this.getLevelObject(object);
+        (this.getPlacedObject(levelObject?.parent) || parent).add(object);
+        
+        if (levelObject) {
+            this.level.add(levelObject);
+            this.placedObjectsById.set(levelObject.id, object);
+            object.visible = this.isObjectVisible(levelObject);
+        }
+        
+        this.instancing.invalidate();
+        this.updateHUD();
+    }
+    
+    /**
+     * Removes a placed object from the scene without freeing its resources
+     * @param {THREE.Object3D} object - The object to remove
+     */
+    removeObjectFromScene(object) {
+        if (this.isSelected(object)) {
+            this.setSelection(this.selectedObjects.filter(obj => obj !== object));
+        }
+        
+        if (object.parent) {
+            object.parent.remove(object);
+        } else {
+            this.scene.remove(object);
+        }
+        
+        const levelObject = this.getLevelObject(object);
+        if (levelObject) {
+            this.level.remove(levelObject);
+            if (this.placedObjectsById.get(levelObject.id) === object) {
+                this.placedObjectsById.delete(levelObject.id);
+            }
+        }
+        
+        this.instancing.invalidate();
+        this.updateHUD();
+    }
+    
+    /**
+     * The placed object in the scene for a level object id
+     * @param {string} id - Level object id
+     * @returns {THREE.Object3D|null}
+     */
+    getPlacedObject(id) {
+        return this.placedObjectsById.get(id) || null;
+    }
+    
+    /**
+     * The placed object a mesh belongs to
+     * @param {THREE.Object3D} object - A placed object or any of its descendants
+     * @returns {THREE.Object3D|null}
+     */
+    getPlacedRoot(object) {
+        while (object && !this.levelObjects.has(object)) {
+            object = object.parent;
+        }
+        return object || null;
+    }
+    
+    /**
+     * Placed objects together with every placed object parented below them
+     * @param {THREE.Object3D[]} objects - Placed objects
+     * @returns {THREE.Object3D[]} Parents before their children
+     */
+    withDescendants(objects) {
+        const result = new Set();
+        objects
+            .filter(obj => !objects.some(other => other !== obj && isAncestorOf(other, obj)))
+            .forEach(root => root.traverse(node => {
+                if (this.levelObjects.has(node)) result.add(node);
+            }));
+        return Array.from(result);
+    }
+    
+    /**
+     * Moves a placed object under another one, or back to the top level,
+     * keeping where it is in the world
+     * @param {THREE.Object3D} object - A placed object
+     * @param {string|null} parentId - Id of the new parent
+     * @returns {boolean} False if the parent doesn't exist or is the object itself or one of its descendants
+     */
+    setObjectParent(object, parentId) {
+        const levelObject = this.getLevelObject(object);
+        const parent = parentId ? this.getPlacedObject(parentId) : this.scene;
+        if (!levelObject || !parent || parent === object || isAncestorOf(object, parent)) {
+            return false;
+        }
+        
+        parent.attach(object);
+        this.level.setOutlinerState(levelObject, { parent: parentId || null });
+        this.syncLevelTransform(object);
+        
+        this.updateObjectVisibility();
+        this.updateSelectionPivot();
+        return true;
+    }
+    
+    /**
+     * Applies a name, hidden or locked change made in the outliner
+     * @param {THREE.Object3D} object - A placed object
+     * @param {Object} state - Any of name, hidden and locked
+     */
+    applyOutlinerState(object, state) {
+        const levelObject = this.getLevelObject(object);
+        if (!levelObject) return;
+        
+        this.level.setOutlinerState(levelObject, state);
+        this.updateObjectVisibility();
+        
+        // Locked and hidden objects can't stay selected
+        if (this.isSelected(object) && (levelObject.locked || !this.isShown(object))) {
+            this.setSelection(this.selectedObjects);
+        }
+    }
+    
+    /**
+     * Whether a level object is drawn: not hidden, and part of the isolated
+     * set while isolation is on. Hiding a parent hides its children too.
+     * @param {LevelObject} levelObject
+     * @returns {boolean}
+     */
+    isObjectVisible(levelObject) {
+        if (levelObject.hidden) return false;
+        return !this.isolatedIds || this.isolatedIds.has(levelObject.id);
+    }
+    
+    /**
+     * Shows and hides placed objects after hidden flags or isolation changed
+     */
+    updateObjectVisibility() {
+        this.placedObjectsById.forEach((object, id) => {
+            const levelObject = this.level.get(id);
+            if (levelObject) object.visible = this.isObjectVisible(levelObject);
+        });
+        this.instancing.invalidate();
+    }
+    
+    /**
+     * Hides the selection, or shows it again if all of it is hidden
+     */
+    toggleSelectionHidden() {
+        const objects = this.selectedObjects.slice();
+        if (objects.length === 0) return;
+        
+        const hidden = !objects.every(obj => this.getLevelObject(obj).hidden);
+        this.history.execute(new SetOutlinerStateCommand(this, objects,
+            objects.map(obj => ({ hidden: this.getLevelObject(obj).hidden })),
+            objects.map(() => ({ hidden })),
+            `${hidden ? 'Hide' : 'Show'} ${describeObjects(objects)}`));
+    }
+    
+    /**
+     * Clears the hidden flag of every object
+     */
+    showAllObjects() {
+        const objects = Array.from(this.placedObjectsById.values())
+            .filter(obj => this.getLevelObject(obj)?.hidden);
+        if (objects.length === 0) return;
+        
+        this.history.execute(new SetOutlinerStateCommand(this, objects,
+            objects.map(() => ({ hidden: true })),
+            objects.map(() => ({ hidden: false })),
+            `Show ${describeObjects(objects)}`));
+    }
+    
+    /**
+     * Shows only the selection, its parents and its children, or everything again.
+     * Isolation is a view setting; it isn't saved or undone.
+     * @param {boolean} isolated
+     */
+    setIsolation(isolated) {
+        if (isolated && this.selectedObjects.length === 0) {
+            this.showFeedback('Select the objects to isolate first');
+            return;
+        }
+        
+        this.isolatedIds = null;
+        if (isolated) {
+            this.isolatedIds = new Set();
+            this.withDescendants(this.selectedObjects).forEach(obj => {
+                for (let node = obj; node; node = node.parent) {
+                    const levelObject = this.getLevelObject(node);
+                    if (levelObject) this.isolatedIds.add(levelObject.id);
+                }
+            });
+        }
+        
+        document.getElementById('outliner-isolate')?.classList.toggle('active', isolated);
+        this.updateObjectVisibility();
+        this.outliner.invalidate();
+    }
+    
+    /**
+     * The level model entry behind a placed object
+     * @param {THREE.Object3D} object - A placed object
+     * @returns {LevelObject|null}
+     */
+    getLevelObject(object) {
+        return this.levelObjects.get(object) || null;
+    }
+    
+    /**
+     * Creates the viewport object for a level object. Files that fail to load
+     * are shown as a placeholder cube that keeps the level data.
+     * @param {LevelObject} levelObject - Data of the object
+     * @returns {Promise<THREE.Object3D>} The object, not yet added to the scene
+     */
+    async createPlacedObject(levelObject) {
+        // A prefab instance is an empty group; its members are placed objects of their own
+        let object;
+        if (levelObject.isPrefabInstance) {
+            object = new THREE.Group();
+            object.userData.isPlacedObject = true;
+        } else {
+            object = await this.loadModel(levelObject.path, new THREE.Vector3());
+        }
+        object.userData.originalFile = levelObject.path;
+        this.levelObjects.set(object, levelObject);
+        
+        const { position, rotation, scale } = levelObject;
+        object.position.set(position.x, position.y, position.z);
+        object.rotation.set(rotation.x, rotation.y, rotation.z);
+        object.scale.set(scale.x, scale.y, scale.z);
+        
+        return object;
+    }
+    
+    /**
+     * Creates the viewport objects for a level object: the object itself and,
+     * for a prefab instance whose members weren't created yet, its members
+     * @param {LevelObject} levelObject - Data of the object
+     * @returns {Promise<{objects: THREE.Object3D[], links: LevelLink[]}>} The
+     *     objects, parents first and not yet added to the scene, and the links
+     *     the prefab creates between them
+     */
+    async createPlacedObjects(levelObject) {
+        const object = await this.createPlacedObject(levelObject);
+        if (!levelObject.isPrefabInstance || !levelObject.overrides) {
+            return { objects: [object], links: [] };
+        }
+        
+        const prefab = await this.prefabLibrary.load(levelObject.path);
+        if (!prefab) {
+            // The instance stays empty and keeps its overrides for saving
+            console.warn(`Prefab ${levelObject.path} is missing; ${levelObject.displayName} is empty`);
+            return { objects: [object], links: [] };
+        }
+        
+        const { objects, links } = instantiatePrefab(prefab, levelObject);
+        levelObject.overrides = null;
+        const members = await Promise.all(objects.map(member => this.createPlacedObject(member)));
+        return { objects: [object, ...members], links };
+    }
+    
+    /**
+     * Stores a placed object's current transform in the level
+     * @param {THREE.Object3D} object - A placed object that was moved
+     */
+    syncLevelTransform(object) {
+        const levelObject = this.getLevelObject(object);
+        if (!levelObject) return;
+        
+        this.level.setTransform(levelObject, {
+            position: object.position,
+            rotation: object.rotation,
+            scale: object.scale
+        });
+    }
+    
+    /**
+     * @param {THREE.Object3D} object - A placed object
+     * @returns {Object} The object's properties; don't modify
+     */
+    getObjectProperties(object) {
+        return this.getLevelObject(object)?.properties || {};
+    }
+    
+    /**
+     * Replaces the properties of a placed object
+     * @param {THREE.Object3D} object - A placed object
+     * @param {Object} properties - New key/value pairs
+     */
+    setObjectProperties(object, properties) {
+        const levelObject = this.getLevelObject(object);
+        if (levelObject) {
+            this.level.setProperties(levelObject, properties);
+        }
+    }
+    
+    /**
+     * Frees geometry and materials of an object that will not come back.
+     * Resources shared with other instances of the same model stay alive.
+     * @param {THREE.Object3D} object - The object to dispose
+     */
+    disposeObject(object) {
+        // Drop highlight copies first so the shared materials are released
+        this.setHighlight(object, false);
+        this.modelCache.releaseObject(object);
+        
+        // Its links can't come back either, unless a loaded object took over the id
+        const levelObject = this.getLevelObject(object);
+        if (levelObject && !this.level.has(levelObject.id)) {
+            this.level.removeLinksOf(levelObject.id);
+        }
+    }
+    
+    undo() {
+        if (this.transformControls?.dragging) return;
+        
+        // Flush pending property edits so they become their own step first
+        if (this.selectedObject) {
+            this.updateProperty();
+        }
+        this.history.undo();
+    }
+    
+    redo() {
+        if (this.transformControls?.dragging) return;
+        
+        if (this.selectedObject) {
+            this.updateProperty();
+        }
+        this.history.redo();
+    }
+    
+    loadHistoryDepth() {
+        const stored = parseInt(localStorage.getItem('assetEditor.historyDepth'), 10);
+        return stored > 0 ? stored : 100;
+    }
+    
+    setupHistoryUI() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const depthInput = document.getElementById('history-depth');
+        const historyList = document.getElementById('history-list');
+        
+        undoBtn?.addEventListener('click', () => this.undo());
+        redoBtn?.addEventListener('click', () => this.redo());
+        
+        if (depthInput) {
+            depthInput.value = this.history.maxDepth;
+            depthInput.addEventListener('change', () => {
+                this.history.setMaxDepth(parseInt(depthInput.value, 10));
+                depthInput.value = this.history.maxDepth;
+                localStorage.setItem('assetEditor.historyDepth', String(this.history.maxDepth));
+            });
+        }
+        
+        const render = (history) => {
+            if (undoBtn) undoBtn.disabled = !history.canUndo();
+            if (redoBtn) redoBtn.disabled = !history.canRedo();
+            if (!historyList) return;
+            
+            historyList.innerHTML = '';
+            
+            // Applied commands first, then the ones that can still be redone
+            const entries = [
+                ...history.undoStack.map(cmd => ({ cmd, undone: false })),
+                ...history.redoStack.slice().reverse().map(cmd => ({ cmd, undone: true }))
+            ];
+            
+            entries.forEach(({ cmd, undone }, i) => {
+                const item = document.createElement('div');
+                item.className = 'history-item' + (undone ? ' undone' : '');
+                item.textContent = cmd.label;
+                item.title = 'Click to jump to this step';
+                item.onclick = (e) => {
+                    e.stopPropagation();
+                    if (this.selectedObject) {
+                        this.updateProperty();
+                    }
+                    history.goTo(i + 1);
+                };
+                historyList.appendChild(item);
+            });
+            
+            historyList.scrollTop = historyList.scrollHeight;
+        };
+        
+        this.history.onChange(render);
+        render(this.history);
+    }
+    
+    setupTransformUI() {
+        // Create transform controls UI
+        const controlsDiv = document.createElement('div');
+        controlsDiv.className = 'transform-controls';
+        controlsDiv.style.display = 'none';
+        
+        const moveBtn = document.createElement('button');
+        moveBtn.textContent = 'Move';
+        moveBtn.className = 'active';
+        moveBtn.onclick = () => {
+            this.transformControls.setMode('translate');
+            Array.from(controlsDiv.children).forEach(btn => btn.classList.remove('active'));
+            moveBtn.classList.add('active');
+        };
         
         const rotateBtn = document.createElement('button');
         rotateBtn.textContent = 'Rotate';
@@ -375,7 +1542,24 @@ class AssetLevelEditor {
         this.transformControlsUI = controlsDiv;
     }
     
-    selectObject(object) {
+    /**
+     * The primary selected object, i.e. the one selected last
+     * @returns {THREE.Object3D|null}
+     */
+    get selectedObject() {
+        return this.selectedObjects[this.selectedObjects.length - 1] || null;
+    }
+    
+    isSelected(object) {
+        return this.selectedObjects.includes(object);
+    }
+    
+    /**
+     * Selects an object, either replacing the selection or toggling it in it
+     * @param {THREE.Object3D} object - The clicked object or one of its children
+     * @param {boolean} [additive=false] - Toggle instead of replacing the selection
+     */
+    selectObject(object, additive = false) {
         if (!object) {
             console.warn('Cannot select: No object provided');
             return;
@@ -383,182 +1567,440 @@ class AssetLevelEditor {
         
         // Don't select the ground plane or other helper objects
         if (object.name === 'ground' || object.name === 'grid' || object.name === 'axes') {
-            this.deselectObject();
+            if (!additive) {
+                this.deselectObject();
+            }
             return;
         }
         
         try {
-            // Find the top-most parent that's a mesh or group
-            while (object.parent && object.parent.type !== 'Scene') {
-                object = object.parent;
+            // Select the placed object the clicked mesh belongs to; placed
+            // objects parented to others can be selected on their own
+            object = this.getPlacedRoot(object);
+            if (!object || this.getLevelObject(object).locked) {
+                if (!additive) {
+                    this.deselectObject();
+                }
+                return;
+            }
+            
+            if (additive) {
+                // Shift/Ctrl-click toggles the object in and out of the selection
+                const objects = this.isSelected(object) ?
+                    this.selectedObjects.filter(obj => obj !== object) :
+                    [...this.selectedObjects, object];
+                this.setSelection(objects);
+                return;
             }
             
             // Don't do anything if we're selecting the same object
-            if (this.selectedObject === object) {
+            if (this.selectedObjects.length === 1 && this.selectedObject === object) {
                 console.log('Object already selected:', object);
                 return;
             }
             
             console.log('Selecting object:', object);
+            this.setSelection([object]);
             
-            // Deselect the current object first
-            this.deselectObject();
-            
-            // Store the new selection
-            this.selectedObject = object;
-            
-            // Ensure the object has a UUID
-            if (!object.uuid) {
-                console.warn('Selected object has no UUID, generating one');
-                object.uuid = THREE.MathUtils.generateUUID();
+        } catch (error) {
+            console.error('Error selecting object:', error);
+        }
+    }
+    
+    /**
+     * Replaces the current selection
+     * @param {THREE.Object3D[]} objects - Placed objects to select; locked and
+     *     hidden ones are left out
+     */
+    setSelection(objects) {
+        objects = objects.filter(obj => !this.getLevelObject(obj)?.locked && this.isShown(obj));
+        
+        // Objects go back to their place before they can be edited
+        if (objects.length > 0) {
+            this.pathTool.setPreview(false);
+        }
+        
+        // Save any pending property changes of the old selection first
+        if (this.selectedObjects.length > 0) {
+            try {
+                this.updateProperty();
+            } catch (propError) {
+                console.warn('Error saving properties before selection change:', propError);
             }
+        }
+        
+        try {
+            this.selectedObjects
+                .filter(obj => !objects.includes(obj))
+                .forEach(obj => this.setHighlight(obj, false));
             
-            // Ensure the object has userData
-            object.userData = object.userData || {};
-            
-            // Attach transform controls to the selected object
-            if (this.transformControls) {
-                this.transformControls.attach(object);
-                this.transformControls.enabled = true;
-                if (this.transformControlsUI) {
-                    this.transformControlsUI.style.display = 'block';
-                }
-            }
+            this.selectedObjects = objects.slice();
             
-            // Highlight the selected object
-            object.traverse(child => {
-                if (child.isMesh) {
-                    // Skip if already processed
-                    if (child.userData.isHighlighted) return;
-                    
-                    // Store original emissive color if not already stored
-                    if (!child.userData.originalEmissive) {
-                        child.userData.originalEmissive = child.material.emissive ? 
-                            child.material.emissive.clone() : new THREE.Color(0x000000);
-                    }
-                    
-                    // Apply highlight
-                    if (child.material.emissive) {
-                        child.material.emissive.set(0x444444);
-                    }
-                    
-                    // Store original material if not already stored
-                    if (!child.userData.originalMaterial) {
-                        child.userData.originalMaterial = child.material;
-                    }
-                    
-                    // Mark as highlighted
-                    child.userData.isHighlighted = true;
-                }
+            this.selectedObjects.forEach(obj => {
+                // Ensure the object has userData
+                obj.userData = obj.userData || {};
+                this.setHighlight(obj, true);
             });
             
-            // Ensure properties panel is initialized
-            if (!this.propertiesPanel) {
-                this.propertiesPanel = document.getElementById('properties-panel');
-                this.propertiesList = document.getElementById('properties-list');
-                this.addPropertyBtn = document.getElementById('add-property-btn');
-                
-                if (this.addPropertyBtn) {
-                    const self = this;
-                    this.addPropertyBtn.onclick = function(e) {
-                        e.stopPropagation();
-                        e.preventDefault();
-                        self.addProperty();
-                    };
-                }
-            }
+            this.attachTransformControls();
+        } catch (error) {
+            console.error('Error updating selection:', error);
+        } finally {
+            // Selected objects are drawn on their own so the highlight shows
+            this.instancing.invalidate();
             
-            // Show the properties panel
-            if (this.propertiesPanel) {
-                console.log('Showing properties panel');
-                this.propertiesPanel.style.display = 'block';
-                this.propertiesPanel.style.visibility = 'visible';
-                
-                // Load properties for the selected object
-                this.loadObjectProperties();
+            // Always update HUD and the properties panel
+            if (this.selectedObjects.length > 0) {
+                this.showPropertiesPanel();
             } else {
-                console.error('Properties panel element not found!');
+                this.hidePropertiesPanel();
             }
             
-            // Update HUD with selected object info
             this.updateHUD();
-            
-            console.log('Successfully selected object:', object);
-            
-        } catch (error) {
-            console.error('Error selecting object:', error);
+            this.outliner.invalidate();
         }
     }
     
     deselectObject() {
-        if (this.selectedObject) {
-            try {
-                console.log('Deselecting object:', this.selectedObject);
-                
-                // Remove highlight from the previously selected object
-                this.selectedObject.traverse(child => {
-                    if (child.isMesh) {
-                        // Restore original emissive color if it was changed
-                        if (child.userData.originalEmissive && child.material.emissive) {
-                            child.material.emissive.copy(child.userData.originalEmissive);
-                        }
-                        
-                        // Clear the highlighted flag
-                        delete child.userData.isHighlighted;
-                    }
-                });
-                
-                // Save any pending property changes before deselecting
-                try {
-                    this.updateProperty();
-                } catch (propError) {
-                    console.warn('Error saving properties before deselect:', propError);
-                }
-                
-                // Clear the selection
-                const deselectedObject = this.selectedObject;
-                this.selectedObject = null;
+        if (this.selectedObjects.length > 0) {
+            console.log('Deselecting objects:', this.selectedObjects);
+            this.setSelection([]);
+        } else if (this.transformControls) {
+            // If no object is selected but controls exist, make sure they're disabled
+            this.attachTransformControls();
+        }
+    }
+    
+    /**
+     * Toggles the emissive highlight on all meshes of an object
+     * @param {THREE.Object3D} object - The object to (un)highlight
+     * @param {boolean} highlighted - Whether the highlight should be shown
+     */
+    setHighlight(object, highlighted) {
+        // Placed children are highlighted when they are selected themselves,
+        // except for the members of a prefab instance
+        const traverse = this.getLevelObject(object)?.isPrefabInstance ?
+            (root, callback) => root.traverse(callback) : traverseOwnNodes;
+        traverse(object, child => {
+            if (!child.isMesh) return;
+            
+            if (highlighted) {
+                // Skip if already processed
+                if (this.highlightedMaterials.has(child)) return;
                 
-                // Remove transform controls
-                if (this.transformControls) {
-                    this.transformControls.detach();
-                    this.transformControls.enabled = false;
-                    if (this.transformControlsUI) {
-                        this.transformControlsUI.style.display = 'none';
+                // Materials are shared between instances of a model, so the
+                // highlight goes on a private copy that replaces the original
+                this.highlightedMaterials.set(child, child.material);
+                const highlight = material => {
+                    const copy = material.clone();
+                    if (copy.emissive) {
+                        copy.emissive.set(0x444444);
                     }
-                }
-                
-                console.log('Successfully deselected object:', deselectedObject);
-                
-            } catch (error) {
-                console.error('Error deselecting object:', error);
-            } finally {
-                // Always update HUD and clean up UI
-                this.updateHUD();
-                
-                // Hide the properties panel but don't destroy its contents
-                if (this.propertiesPanel) {
-                    this.propertiesPanel.style.display = 'none';
-                    this.propertiesPanel.style.visibility = 'hidden';
-                }
+                    return copy;
+                };
+                child.material = Array.isArray(child.material) ?
+                    child.material.map(highlight) : highlight(child.material);
+            } else {
+                if (!this.highlightedMaterials.has(child)) return;
                 
-                // Clear the properties list but keep the reference to the element
-                if (this.propertiesList) {
-                    this.propertiesList.innerHTML = '';
-                }
+                // Restore the shared material and free the copy
+                const copies = Array.isArray(child.material) ? child.material : [child.material];
+                copies.forEach(copy => copy.dispose());
+                child.material = this.highlightedMaterials.get(child);
+                this.highlightedMaterials.delete(child);
             }
-        } else if (this.transformControls) {
-            // If no object is selected but controls exist, make sure they're disabled
-            try {
+        });
+    }
+    
+    /**
+     * Attaches the transform gizmo to the selected object, or to the shared
+     * pivot when several objects are selected
+     */
+    attachTransformControls() {
+        if (!this.transformControls) return;
+        
+        try {
+            if (this.selectedObjects.length === 0) {
                 this.transformControls.detach();
                 this.transformControls.enabled = false;
                 if (this.transformControlsUI) {
                     this.transformControlsUI.style.display = 'none';
                 }
-            } catch (error) {
-                console.error('Error cleaning up transform controls:', error);
+                return;
+            }
+            
+            let target = this.selectedObjects[0];
+            if (this.selectedObjects.length > 1) {
+                this.updateSelectionPivot();
+                target = this.selectionPivot;
+            }
+            
+            this.transformControls.attach(target);
+            this.transformControls.enabled = true;
+            if (this.transformControlsUI) {
+                this.transformControlsUI.style.display = 'block';
+            }
+        } catch (error) {
+            console.error('Error attaching transform controls:', error);
+        }
+    }
+    
+    /**
+     * Moves the group pivot to the center of the selection's bounding box
+     */
+    updateSelectionPivot() {
+        if (this.selectedObjects.length < 2) return;
+        
+        const box = new THREE.Box3();
+        this.selectedObjects.forEach(obj => box.expandByObject(obj));
+        
+        box.getCenter(this.selectionPivot.position);
+        this.selectionPivot.quaternion.identity();
+        this.selectionPivot.scale.set(1, 1, 1);
+        this.selectionPivot.updateMatrixWorld(true);
+    }
+    
+    onTransformStart() {
+        if (this.pathTool.isEditingWaypoint) {
+            this.pathTool.onDragStart();
+            return;
+        }
+        if (this.selectedObjects.length === 0) return;
+        
+        // Remember where the objects were so the drag can be undone
+        this.transformStartStates = this.selectedObjects.map(obj => TransformObjectsCommand.capture(obj));
+        
+        if (this.selectedObjects.length > 1) {
+            this.selectionPivot.updateMatrixWorld(true);
+            this.groupDragStart = {
+                pivotPosition: this.selectionPivot.position.clone(),
+                pivotInverse: this.selectionPivot.matrixWorld.clone().invert(),
+                matrices: this.selectedObjects.map(obj => {
+                    obj.updateMatrixWorld(true);
+                    return obj.matrixWorld.clone();
+                })
+            };
+        }
+    }
+    
+    onTransformEnd() {
+        if (this.pathTool.isEditingWaypoint) {
+            this.pathTool.onDragEnd();
+            return;
+        }
+        if (!this.transformStartStates) return;
+        
+        const mode = this.transformControls.getMode();
+        
+        if (this.groupDragStart) {
+            // Snap the group's movement rather than the pivot itself, so objects
+            // that sit on the grid stay on it
+            const pivot = this.selectionPivot;
+            const delta = pivot.position.clone().sub(this.groupDragStart.pivotPosition);
+            pivot.position.copy(this.groupDragStart.pivotPosition).add(this.snapToGrid(delta));
+            
+            if (mode === 'rotate') {
+                this.snapRotation(pivot);
+            } else if (mode === 'scale') {
+                this.snapScale(pivot);
+            }
+            
+            this.applyGroupTransform();
+            this.groupDragStart = null;
+        } else {
+            const object = this.selectedObjects[0];
+            
+            // Snap position to grid
+            object.position.copy(this.snapToGrid(object.position));
+            
+            if (mode === 'rotate') {
+                this.snapRotation(object);
+            } else if (mode === 'scale') {
+                this.snapScale(object);
+            }
+        }
+        
+        // Record the drag, including the snap, as a single step
+        const objects = this.selectedObjects.slice();
+        objects.forEach(obj => this.syncLevelTransform(obj));
+        const startStates = this.transformStartStates;
+        const endStates = objects.map(obj => TransformObjectsCommand.capture(obj));
+        
+        if (objects.some((obj, i) => !TransformObjectsCommand.equals(startStates[i], endStates[i]))) {
+            this.history.push(new TransformObjectsCommand(this, objects, startStates, endStates));
+        }
+        
+        this.transformStartStates = null;
+        this.updateSelectionPivot();
+        this.updateHUD();
+    }
+    
+    /**
+     * Applies the pivot's movement since the drag started to every selected object
+     */
+    applyGroupTransform() {
+        const pivot = this.selectionPivot;
+        pivot.updateMatrixWorld(true);
+        
+        const delta = new THREE.Matrix4().multiplyMatrices(pivot.matrixWorld, this.groupDragStart.pivotInverse);
+        const matrix = new THREE.Matrix4();
+        const parentInverse = new THREE.Matrix4();
+        
+        this.selectedObjects.forEach((obj, i) => {
+            // Children of selected objects move with their parent
+            if (this.selectedObjects.some(other => other !== obj && isAncestorOf(other, obj))) return;
+            
+            matrix.multiplyMatrices(delta, this.groupDragStart.matrices[i]);
+            
+            // Convert back into the object's local space
+            if (obj.parent) {
+                parentInverse.copy(obj.parent.matrixWorld).invert();
+                matrix.premultiply(parentInverse);
+            }
+            
+            matrix.decompose(obj.position, obj.quaternion, obj.scale);
+            obj.updateMatrixWorld(true);
+        });
+    }
+    
+    /**
+     * Snaps an object's rotation to the current rotation step on every axis
+     * @param {THREE.Object3D} object - The object to snap
+     */
+    snapRotation(object) {
+        if (!this.snapSettings.rotationEnabled || this.isSnapSuspended) return;
+        
+        const step = this.snapSettings.rotationStep;
+        const euler = new THREE.Euler();
+        euler.setFromQuaternion(object.quaternion);
+        
+        // Convert to degrees
+        const degrees = {
+            x: THREE.MathUtils.radToDeg(euler.x),
+            y: THREE.MathUtils.radToDeg(euler.y),
+            z: THREE.MathUtils.radToDeg(euler.z)
+        };
+        
+        // Snap each axis to the nearest step
+        const snappedDegrees = {
+            x: snapValue(degrees.x, step),
+            y: snapValue(degrees.y, step),
+            z: snapValue(degrees.z, step)
+        };
+        
+        // Convert back to radians and apply
+        euler.x = THREE.MathUtils.degToRad(snappedDegrees.x);
+        euler.y = THREE.MathUtils.degToRad(snappedDegrees.y);
+        euler.z = THREE.MathUtils.degToRad(snappedDegrees.z);
+        
+        object.quaternion.setFromEuler(euler);
+    }
+    
+    startMarquee(event) {
+        const element = document.getElementById('selection-marquee');
+        if (!element) return;
+        
+        // Keep the camera still while dragging the rectangle
+        this.controls.enabled = false;
+        
+        this.marquee = { startX: event.clientX, startY: event.clientY, element };
+        this.updateMarquee(event);
+        element.style.display = 'block';
+    }
+    
+    updateMarquee(event) {
+        if (!this.marquee) return;
+        
+        const { startX, startY, element } = this.marquee;
+        element.style.left = `${Math.min(startX, event.clientX)}px`;
+        element.style.top = `${Math.min(startY, event.clientY)}px`;
+        element.style.width = `${Math.abs(event.clientX - startX)}px`;
+        element.style.height = `${Math.abs(event.clientY - startY)}px`;
+    }
+    
+    endMarquee(event) {
+        if (!this.marquee) return;
+        
+        const { startX, startY, element } = this.marquee;
+        this.marquee = null;
+        element.style.display = 'none';
+        this.controls.enabled = true;
+        
+        const left = Math.min(startX, event.clientX);
+        const right = Math.max(startX, event.clientX);
+        const top = Math.min(startY, event.clientY);
+        const bottom = Math.max(startY, event.clientY);
+        
+        // Ignore clicks that barely moved
+        if (right - left < 4 && bottom - top < 4) return;
+        
+        // Select every placed object whose center lands inside the rectangle
+        const center = new THREE.Vector3();
+        const hits = Array.from(this.placedObjectsById.values()).filter(obj => {
+            if (this.getLevelObject(obj)?.locked || !this.isShown(obj)) return false;
+            
+            new THREE.Box3().setFromObject(obj).getCenter(center);
+            center.project(this.camera);
+            if (center.z > 1) return false; // Behind the camera
+            
+            const x = (center.x + 1) / 2 * window.innerWidth;
+            const y = (1 - center.y) / 2 * window.innerHeight;
+            return x >= left && x <= right && y >= top && y <= bottom;
+        });
+        
+        this.setSelection([...this.selectedObjects, ...hits.filter(obj => !this.isSelected(obj))]);
+    }
+    
+    showPropertiesPanel() {
+        // Ensure properties panel is initialized
+        if (!this.propertiesPanel) {
+            this.propertiesPanel = document.getElementById('properties-panel');
+            this.propertiesList = document.getElementById('properties-list');
+            this.addPropertyBtn = document.getElementById('add-property-btn');
+            
+            if (this.addPropertyBtn) {
+                const self = this;
+                this.addPropertyBtn.onclick = function(e) {
+                    e.stopPropagation();
+                    e.preventDefault();
+                    self.addProperty();
+                };
             }
         }
+        
+        if (!this.propertiesPanel) {
+            console.error('Properties panel element not found!');
+            return;
+        }
+        
+        const title = this.propertiesPanel.querySelector('h3');
+        if (title) {
+            const count = this.selectedObjects.length;
+            title.textContent = count > 1 ? `Object Properties (${count} objects)` : 'Object Properties';
+        }
+        
+        this.propertiesPanel.style.display = 'block';
+        this.propertiesPanel.style.visibility = 'visible';
+        
+        // Load properties for the selected objects
+        this.loadObjectProperties();
+        this.refreshLinkList();
+        this.refreshPrefabSection();
+        this.pathTool.refresh();
+    }
+    
+    hidePropertiesPanel() {
+        // Hide the properties panel but don't destroy its contents
+        if (this.propertiesPanel) {
+            this.propertiesPanel.style.display = 'none';
+            this.propertiesPanel.style.visibility = 'hidden';
+        }
+        
+        // Clear the properties list but keep the reference to the element
+        if (this.propertiesList) {
+            this.propertiesList.innerHTML = '';
+        }
+        this.loadedPropertyKeys = [];
     }
     
     updateTransformUI(mode) {
@@ -575,7 +2017,14 @@ class AssetLevelEditor {
         const hud = document.getElementById('selected-object-info');
         if (!hud) return;
         
-        if (this.selectedObject) {
+        if (this.selectedObjects.length > 1) {
+            const center = this.selectionPivot.position;
+            hud.innerHTML = `
+                <strong>Selected Objects:</strong> ${this.selectedObjects.length}<br>
+                Center: (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})<br>
+                <small>Shift/Ctrl+Click: Add/Remove | Shift+Drag: Box Select | DEL: Delete | ESC: Deselect</small>
+            `;
+        } else if (this.selectedObject) {
             const pos = this.selectedObject.position;
             hud.innerHTML = `
                 <strong>Selected Object:</strong><br>
@@ -600,6 +2049,9 @@ class AssetLevelEditor {
             console.log('Selected file:', filePath);
             this.selectedFile = filePath;
             
+            // Preview the model under the cursor until it is placed
+            this.placementGhost.setFile(filePath).then(() => this.updatePlacementGhost());
+            
             if (element) {
                 element.classList.add('selected');
                 // Add context menu prevention
@@ -611,21 +2063,8 @@ class AssetLevelEditor {
             }
             
             // Show feedback to the user
-            const feedback = document.getElementById('selection-feedback');
-            if (feedback) {
-                const fileName = filePath.split('/').pop();
-                feedback.textContent = `Selected: ${fileName} (Right-click to deselect)`;
-                feedback.style.display = 'block';
-                
-                // Hide the feedback after 3 seconds
-                setTimeout(() => {
-                    feedback.style.opacity = '0';
-                    setTimeout(() => {
-                        feedback.style.display = 'none';
-                        feedback.style.opacity = '1';
-                    }, 500);
-                }, 3000);
-            }
+            const fileName = filePath.split('/').pop();
+            this.showFeedback(`Selected: ${fileName} (Right-click to deselect)`);
             
             // Prevent default context menu on document when a file is selected
             document.addEventListener('contextmenu', this.preventContextMenu);
@@ -636,6 +2075,7 @@ class AssetLevelEditor {
     
     deselectFile() {
         this.selectedFile = null;
+        this.placementGhost.setFile(null);
         document.querySelectorAll('.file').forEach(el => {
             el.classList.remove('selected');
             el.oncontextmenu = null; // Remove context menu handler
@@ -651,21 +2091,41 @@ class AssetLevelEditor {
         }
     }
     
+    /**
+     * Shows a short message at the bottom of the screen
+     * @param {string} message - The text to show
+     */
+    showFeedback(message) {
+        const feedback = document.getElementById('selection-feedback');
+        if (!feedback) return;
+        
+        feedback.textContent = message;
+        feedback.style.display = 'block';
+        feedback.style.opacity = '1';
+        
+        // Hide the feedback after 3 seconds, unless a newer message replaced it
+        clearTimeout(this.feedbackTimer);
+        this.feedbackTimer = setTimeout(() => {
+            feedback.style.opacity = '0';
+            this.feedbackTimer = setTimeout(() => {
+                feedback.style.display = 'none';
+                feedback.style.opacity = '1';
+            }, 500);
+        }, 3000);
+    }
+    
     // Helper to prevent context menu
     preventContextMenu(e) {
         e.preventDefault();
         return false;
     }
     
-    snapToGrid(position) {
-        return new THREE.Vector3(
-            Math.round(position.x),
-            Math.round(position.y),
-            Math.round(position.z)
-        );
-    }
-    
-    createDemoCubeAt(position, selectAfterCreate = true) {
+    /**
+     * Creates the green placeholder cube used when a model fails to load
+     * @param {THREE.Vector3} position - Where to put the cube
+     * @returns {THREE.Mesh} The cube, not yet added to the scene
+     */
+    createDemoCube(position) {
         const geometry = new THREE.BoxGeometry(1, 1, 1);
         const material = new THREE.MeshStandardMaterial({ 
             color: 0x00ff00,
@@ -680,566 +2140,672 @@ class AssetLevelEditor {
         cube.userData.isPlacedObject = true;
         cube.userData.isDemoCube = true;
         
-        this.scene.add(cube);
-        
-        // Optionally select the demo cube
-        if (selectAfterCreate) {
-            this.selectObject(cube);
-        }
-        
         return cube;
     }
     
-    async placeModel(position) {
+    /**
+     * Where a model's origin goes so that its registered pivot lands on a point
+     * @param {string} path - Asset path
+     * @param {THREE.Vector3} point - Snapped placement point
+     * @param {number} rotationY - Rotation the model will be placed with
+     * @returns {THREE.Vector3} Position for the model
+     */
+    applyAssetPivot(path, point, rotationY) {
+        const { pivot } = this.assetRegistry.get(path);
+        const offset = resolveAssetPivot(pivot, this.getAssetInfo(path)?.bounds);
+        
+        const rotated = new THREE.Vector3(offset.x, offset.y, offset.z)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), rotationY);
+        return point.clone().sub(rotated);
+    }
+    
+    /**
+     * Places the selected file, starting with the defaults from the asset registry
+     * @param {THREE.Vector3} position - Snapped placement point
+     * @param {number} [rotationY=0] - Rotation around the vertical axis in radians
+     * @returns {Promise<THREE.Object3D|null>} The placed object
+     */
+    async placeModel(position, rotationY = 0) {
         if (!this.selectedFile) return null;
         
+        // The selection may change while the model loads
+        const path = this.selectedFile;
+        
         try {
-            const loader = new THREE.GLTFLoader();
-            
-            // Create a promise-based wrapper for loading
-            const loadModel = (path) => new Promise((resolve, reject) => {
-                loader.load(path, resolve, undefined, reject);
-            });
-            
-            let gltf;
-            try {
-                gltf = await loadModel(this.selectedFile);
-            } catch (error) {
-                console.error('Error loading model:', error);
-                // If loading fails, create a demo cube instead
-                return this.createDemoCubeAt(position, false);
+            const { objects, links } = await this.createPlacedObjects(new LevelObject({
+                path,
+                name: this.prefabLibrary.get(path)?.name,
+                position: this.applyAssetPivot(path, position, rotationY),
+                rotation: { x: 0, y: rotationY, z: 0 },
+                properties: this.assetRegistry.get(path).properties
+            }));
+            objects.forEach(obj => this.addObjectToScene(obj));
+            this.assetLibrary.recordPlacement(path);
+            
+            // A prefab instance and its members are placed in one step
+            if (objects.length > 1 || links.length > 0) {
+                const addObjects = new AddObjectsCommand(this, objects, `Place ${objects[0] && this.getLevelObject(objects[0]).displayName}`);
+                const addLinks = new AddLinksCommand(this, links);
+                addLinks.execute();
+                this.history.push(new BatchCommand([addObjects, addLinks], addObjects.label));
+                return objects[0];
             }
-            
-            const model = gltf.scene;
-            model.position.copy(position);
-            model.userData.isPlacedObject = true;
-            model.userData.originalFile = this.selectedFile;
-            
-            // Set up shadows for all meshes in the model
-            model.traverse(child => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            
-            this.scene.add(model);
-            return model;
+            return this.recordPlacement(objects[0]);
             
         } catch (error) {
             console.error('Error in placeModel:', error);
-            // If anything else fails, create a demo cube
-            return this.createDemoCubeAt(position, false);
-        }
-    }
-    
-    loadAssetBrowser() {
-        // Define the asset structure based on the actual folders in Assets/3D
-        const assetStructure = {
-            "Castle": [
-                "bridge-draw.glb",
-                "bridge-straight-pillar.glb",
-                "bridge-straight.glb",
-                "door.glb",
-                "flag-banner-long.glb",
-                "flag-banner-short.glb",
-                "flag-pennant.glb",
-                "flag-wide.glb",
-                "flag.glb",
-                "gate.glb",
-                "ground-hills.glb",
-                "ground.glb",
-                "metal-gate.glb",
-                "rocks-large.glb",
-                "rocks-small.glb",
-                "siege-ballista-demolished.glb",
-                "siege-ballista.glb",
-                "siege-catapult-demolished.glb",
-                "siege-catapult.glb",
-                "siege-ram-demolished.glb",
-                "siege-ram.glb",
-                "siege-tower-demolished.glb",
-                "siege-tower.glb",
-                "siege-trebuchet-demolished.glb",
-                "siege-trebuchet.glb",
-                "stairs-stone-square.glb",
-                "stairs-stone.glb",
-                "tower-base.glb",
-                "tower-hexagon-base.glb",
-                "tower-hexagon-mid.glb",
-                "tower-hexagon-roof-secondary.glb",
-                "tower-hexagon-roof.glb",
-                "tower-hexagon-top-wood.glb",
-                "tower-hexagon-top.glb",
-                "tower-slant-roof.glb",
-                "tower-square-arch.glb",
-                "tower-square-base-border.glb",
-                "tower-square-base-color.glb",
-                "tower-square-base.glb",
-                "tower-square-mid-color.glb",
-                "tower-square-mid-door.glb",
-                "tower-square-mid-open-simple.glb",
-                "tower-square-mid-open.glb",
-                "tower-square-mid-windows.glb",
-                "tower-square-mid.glb",
-                "tower-square-roof.glb",
-                "tower-square-top-color.glb",
-                "tower-square-top-roof-high-windows.glb",
-                "tower-square-top-roof-high.glb",
-                "tower-square-top-roof-rounded.glb",
-                "tower-square-top-roof.glb",
-                "tower-square-top.glb",
-                "tower-square.glb",
-                "tower-top.glb",
-                "tree-large.glb",
-                "tree-log.glb",
-                "tree-small.glb",
-                "tree-trunk.glb",
-                "wall-corner-half-tower.glb",
-                "wall-corner-half.glb",
-                "wall-corner-slant.glb",
-                "wall-corner.glb",
-                "wall-doorway.glb",
-                "wall-half-modular.glb",
-                "wall-half.glb",
-                "wall-narrow-corner.glb",
-                "wall-narrow-gate.glb",
-                "wall-narrow-stairs-rail.glb",
-                "wall-narrow-stairs.glb",
-                "wall-narrow-wood-fence.glb",
-                "wall-narrow-wood.glb",
-                "wall-narrow.glb",
-                "wall-pillar.glb",
-                "wall-stud.glb",
-                "wall-to-narrow.glb",
-                "wall.glb"
-            ],
-            // Special folder with subfolders
-            "Special": {
-                "Special-Castle": [
-                    "special-siege-ballista.glb",
-                    "special-siege-catapult.glb",
-                    "special-siege-trebuchet.glb"
-                ],
-                "Special-Survival": [
-                    "special-fish.glb",
-                    "special-fish-large.glb",
-                ],
-                "Special-Platformer": [
-                    "special-coin-bronze.glb",
-                    "special-coin-gold.glb",
-                    "special-coin-silver.glb"
-                ]
-            },
-            "Pirate": [
-                "barrel.glb",
-                "boat-row-large.glb",
-                "boat-row-small.glb",
-                "bottle-large.glb",
-                "bottle.glb",
-                "cannon-ball.glb",
-                "cannon-mobile.glb",
-                "cannon.glb",
-                "chest.glb",
-                "crate-bottles.glb",
-                "crate.glb",
-                "flag-high-pennant.glb",
-                "flag-high.glb",
-                "flag-pennant.glb",
-                "flag-pirate-high-pennant.glb",
-                "flag-pirate-high.glb",
-                "flag-pirate-pennant.glb",
-                "flag-pirate.glb",
-                "flag.glb",
-                "grass-patch.glb",
-                "grass-plant.glb",
-                "grass.glb",
-                "hole.glb",
-                "palm-bend.glb",
-                "palm-detailed-bend.glb",
-                "palm-detailed-straight.glb",
-                "palm-straight.glb",
-                "patch-grass-foliage.glb",
-                "patch-grass.glb",
-                "patch-sand-foliage.glb",
-                "patch-sand.glb",
-                "platform-planks.glb",
-                "platform.glb",
-                "rocks-a.glb",
-                "rocks-b.glb",
-                "rocks-c.glb",
-                "rocks-sand-a.glb",
-                "rocks-sand-b.glb",
-                "rocks-sand-c.glb",
-                "ship-ghost.glb",
-                "ship-large.glb",
-                "ship-medium.glb",
-                "ship-pirate-large.glb",
-                "ship-pirate-medium.glb",
-                "ship-pirate-small.glb",
-                "ship-small.glb",
-                "ship-wreck.glb",
-                "structure-fence-sides.glb",
-                "structure-fence.glb",
-                "structure-platform-dock-small.glb",
-                "structure-platform-dock.glb",
-                "structure-platform-small.glb",
-                "structure-platform.glb",
-                "structure-roof.glb",
-                "structure.glb",
-                "tool-paddle.glb",
-                "tool-shovel.glb",
-                "tower-base-door.glb",
-                "tower-base.glb",
-                "tower-complete-large.glb",
-                "tower-complete-small.glb",
-                "tower-middle-windows.glb",
-                "tower-middle.glb",
-                "tower-roof.glb",
-                "tower-top.glb",
-                "tower-watch.glb"
-            ],
-            "Platformer": [
-                "arrow.glb",
-                "arrows.glb",
-                "barrel.glb",
-                "block-grass-corner-low.glb",
-                "block-grass-corner-overhang-low.glb",
-                "block-grass-corner-overhang.glb",
-                "block-grass-corner.glb",
-                "block-grass-curve-half.glb",
-                "block-grass-curve-low.glb",
-                "block-grass-curve.glb",
-                "block-grass-edge.glb",
-                "block-grass-hexagon.glb",
-                "block-grass-large-slope-narrow.glb",
-                "block-grass-large-slope-steep-narrow.glb",
-                "block-grass-large-slope-steep.glb",
-                "block-grass-large-slope.glb",
-                "block-grass-large-tall.glb",
-                "block-grass-large.glb",
-                "block-grass-long.glb",
-                "block-grass-low-hexagon.glb",
-                "block-grass-low-large.glb",
-                "block-grass-low-long.glb",
-                "block-grass-low-narrow.glb",
-                "block-grass-low.glb",
-                "block-grass-narrow.glb",
-                "block-grass-overhang-corner.glb",
-                "block-grass-overhang-edge.glb",
-                "block-grass-overhang-hexagon.glb",
-                "block-grass-overhang-large-slope-narrow.glb",
-                "block-grass-overhang-large-slope-steep-narrow.glb",
-                "block-grass-overhang-large-slope-steep.glb",
-                "block-grass-overhang-large-slope.glb",
-                "block-grass-overhang-large-tall.glb",
-                "block-grass-overhang-large.glb",
-                "block-grass-overhang-long.glb",
-                "block-grass-overhang-low-hexagon.glb",
-                "block-grass-overhang-low-large.glb",
-                "block-grass-overhang-low-long.glb",
-                "block-grass-overhang-low-narrow.glb",
-                "block-grass-overhang-low.glb",
-                "block-grass-overhang-narrow.glb",
-                "block-grass.glb",
-                "block-moving-blue.glb",
-                "block-moving-large.glb",
-                "block-moving.glb",
-                "block-snow-corner-low.glb",
-                "block-snow-corner-overhang-low.glb",
-                "block-snow-corner-overhang.glb",
-                "block-snow-corner.glb",
-                "block-snow-curve-half.glb",
-                "block-snow-curve-low.glb",
-                "block-snow-curve.glb",
-                "block-snow-edge.glb",
-                "block-snow-hexagon.glb",
-                "block-snow-large-slope-narrow.glb",
-                "block-snow-large-slope-steep-narrow.glb",
-                "block-snow-large-slope-steep.glb",
-                "block-snow-large-slope.glb",
-                "block-snow-large-tall.glb",
-                "block-snow-large.glb",
-                "block-snow-long.glb",
-                "block-snow-low-hexagon.glb",
-                "block-snow-low-large.glb",
-                "block-snow-low-long.glb",
-                "block-snow-low-narrow.glb",
-                "block-snow-low.glb",
-                "block-snow-narrow.glb",
-                "block-snow-overhang-corner.glb",
-                "block-snow-overhang-edge.glb",
-                "block-snow-overhang-hexagon.glb",
-                "block-snow-overhang-large-slope-narrow.glb",
-                "block-snow-overhang-large-slope-steep-narrow.glb",
-                "block-snow-overhang-large-slope-steep.glb",
-                "block-snow-overhang-large-slope.glb",
-                "block-snow-overhang-large-tall.glb",
-                "block-snow-overhang-large.glb",
-                "block-snow-overhang-long.glb",
-                "block-snow-overhang-low-hexagon.glb",
-                "block-snow-overhang-low-large.glb",
-                "block-snow-overhang-low-long.glb",
-                "block-snow-overhang-low-narrow.glb",
-                "block-snow-overhang-low.glb",
-                "block-snow-overhang-narrow.glb",
-                "block-snow.glb",
-                "bomb.glb",
-                "button-round.glb",
-                "button-square.glb",
-                "chest.glb",
-                "coin-bronze.glb",
-                "coin-gold.glb",
-                "coin-silver.glb",
-                "crate-item-strong.glb",
-                "crate-item.glb",
-                "crate-strong.glb",
-                "crate.glb",
-                "door-large-open.glb",
-                "door-open.glb",
-                "door-rotate-large.glb",
-                "door-rotate.glb",
-                "fence-broken.glb",
-                "fence-corner-curved.glb",
-                "fence-corner.glb",
-                "fence-low-broken.glb",
-                "fence-low-corner-curved.glb",
-                "fence-low-corner.glb",
-                "fence-low-straight.glb",
-                "fence-straight.glb",
-                "flag.glb",
-                "flowers-tall.glb",
-                "flowers.glb",
-                "grass.glb",
-                "heart.glb",
-                "hedge-corner.glb",
-                "hedge.glb",
-                "jewel.glb",
-                "key.glb",
-                "ladder-broken.glb",
-                "ladder-long.glb",
-                "ladder.glb",
-                "lever.glb",
-                "lock.glb",
-                "mushrooms.glb",
-                "plant.glb",
-                "platform-fortified.glb",
-                "platform-overhang.glb",
-                "platform-ramp.glb",
-                "platform.glb",
-                "poles.glb",
-                "rocks.glb",
-                "saw.glb",
-                "sign.glb",
-                "spike-block-wide.glb",
-                "spike-block.glb",
-                "stones.glb",
-                "trap-spikes-large.glb",
-                "trap-spikes.glb",
-                "tree-pine-small.glb",
-                "tree-pine-snow-small.glb",
-                "tree-pine-snow.glb",
-                "tree-pine.glb",
-                "tree-snow.glb",
-                "tree.glb"
-            ],
-            "Survival": [
-                "barrel-open.glb",
-                "barrel.glb",
-                "bedroll-frame.glb",
-                "bedroll-packed.glb",
-                "bedroll.glb",
-                "bottle-large.glb",
-                "bottle.glb",
-                "box-large-open.glb",
-                "box-large.glb",
-                "box-open.glb",
-                "box.glb",
-                "bucket.glb",
-                "campfire-fishing-stand.glb",
-                "campfire-pit.glb",
-                "campfire-stand.glb",
-                "chest.glb",
-                "fence-doorway.glb",
-                "fence-fortified.glb",
-                "fence.glb",
-                "fish-large.glb",
-                "fish.glb",
-                "floor-hole.glb",
-                "floor-old.glb",
-                "floor.glb",
-                "grass-large.glb",
-                "grass.glb",
-                "metal-panel-narrow.glb",
-                "metal-panel-screws-half.glb",
-                "metal-panel-screws-narrow.glb",
-                "metal-panel-screws.glb",
-                "metal-panel.glb",
-                "patch-grass-large.glb",
-                "patch-grass.glb",
-                "resource-planks.glb",
-                "resource-stone-large.glb",
-                "resource-stone.glb",
-                "resource-wood.glb",
-                "rock-a.glb",
-                "rock-b.glb",
-                "rock-c.glb",
-                "rock-flat-grass.glb",
-                "rock-flat.glb",
-                "rock-sand-a.glb",
-                "rock-sand-b.glb",
-                "rock-sand-c.glb",
-                "signpost-single.glb",
-                "signpost.glb",
-                "structure-canvas.glb",
-                "structure-floor.glb",
-                "structure-metal-doorway.glb",
-                "structure-metal-floor.glb",
-                "structure-metal-roof.glb",
-                "structure-metal-wall.glb",
-                "structure-metal.glb",
-                "structure-roof.glb",
-                "structure.glb",
-                "tent-canvas-half.glb",
-                "tent-canvas.glb",
-                "tent.glb",
-                "tool-axe-upgraded.glb",
-                "tool-axe.glb",
-                "tool-hammer-upgraded.glb",
-                "tool-hammer.glb",
-                "tool-hoe-upgraded.glb",
-                "tool-hoe.glb",
-                "tool-pickaxe-upgraded.glb",
-                "tool-pickaxe.glb",
-                "tool-shovel-upgraded.glb",
-                "tool-shovel.glb",
-                "tree-autumn-tall.glb",
-                "tree-autumn-trunk.glb",
-                "tree-autumn.glb",
-                "tree-log-small.glb",
-                "tree-log.glb",
-                "tree-tall.glb",
-                "tree-trunk.glb",
-                "tree.glb",
-                "workbench-anvil.glb",
-                "workbench-grind.glb",
-                "workbench.glb"
-            ]
-        };
-        
-        const assetBrowser = document.getElementById('asset-browser');
-        this.createFolderStructure(assetStructure, assetBrowser);
+            return null;
+        }
     }
     
-    createFolderStructure(structure, parentElement, currentPath = '') {
-        for (const [key, value] of Object.entries(structure)) {
-            if (Array.isArray(value)) {
-                // It's a file list
-                const folder = document.createElement('div');
-                folder.className = 'folder';
-                
-                const folderName = document.createElement('div');
-                folderName.className = 'folder-name';
-                folderName.textContent = key;
-                folderName.onclick = (e) => {
-                    e.stopPropagation();
-                    folder.classList.toggle('expanded');
-                };
-                
-                const folderContents = document.createElement('div');
-                folderContents.className = 'folder-contents';
-                
-                folder.appendChild(folderName);
-                folder.appendChild(folderContents);
-                parentElement.appendChild(folder);
-                
-                // Add files to the folder
-                value.forEach(file => {
-                    const fileElement = document.createElement('div');
-                    fileElement.className = 'file';
-                    fileElement.textContent = file;
-                    
-                    // Construct the full path to the model
-                    const folderPath = currentPath ? `${currentPath}/${key}` : key;
-                    const filePath = `Assets/3D/${folderPath}/${file}`;
-                    
-                    fileElement.onclick = (e) => {
-                        e.stopPropagation();
-                        this.selectFile(filePath, fileElement);
-                    };
-                    
-                    folderContents.appendChild(fileElement);
-                });
-                
-            } else if (typeof value === 'object' && value !== null) {
-                // It's a subfolder
-                const folder = document.createElement('div');
-                folder.className = 'folder';
-                
-                const folderName = document.createElement('div');
-                folderName.className = 'folder-name';
-                folderName.textContent = key;
-                folderName.onclick = (e) => {
-                    e.stopPropagation();
-                    folder.classList.toggle('expanded');
-                };
-                
-                const folderContents = document.createElement('div');
-                folderContents.className = 'folder-contents';
-                
-                folder.appendChild(folderName);
-                folder.appendChild(folderContents);
-                parentElement.appendChild(folder);
-                
-                // Recursively create subfolders with updated path
-                const newPath = currentPath ? `${currentPath}/${key}` : key;
-                this.createFolderStructure(value, folderContents, newPath);
+    /**
+     * Loads a GLB and prepares it as a placed object
+     * @param {string} path - Path of the model file
+     * @param {THREE.Vector3} position - Where to put the model
+     * @returns {Promise<THREE.Object3D>} The model (or a demo cube if loading
+     *     failed), not yet added to the scene
+     */
+    async loadModel(path, position) {
+        if (isPrefabPath(path)) {
+            return this.loadPrefabPreview(path, position);
+        }
+        
+        let model;
+        try {
+            model = await this.modelCache.instantiate(path);
+        } catch (error) {
+            console.error('Error loading model:', error);
+            // If loading fails, create a demo cube instead
+            return this.createDemoCube(position);
+        }
+        
+        model.position.copy(position);
+        model.userData.isPlacedObject = true;
+        model.userData.originalFile = path;
+        
+        // Set up shadows for all meshes in the model
+        model.traverse(child => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
             }
+        });
+        
+        return model;
+    }
+    
+    /**
+     * Builds one object showing all models of a prefab, e.g. for the placement
+     * ghost. Placed instances are made of separate objects instead; see
+     * createPlacedObjects.
+     * @param {string} path - Prefab path
+     * @param {THREE.Vector3} position - Where to put the preview
+     * @returns {Promise<THREE.Object3D>} The preview, or a demo cube if the
+     *     prefab could not be loaded
+     */
+    async loadPrefabPreview(path, position) {
+        const prefab = await this.prefabLibrary.load(path);
+        if (!prefab) {
+            return this.createDemoCube(position);
+        }
+        
+        const preview = new THREE.Group();
+        preview.position.copy(position);
+        preview.userData.isPlacedObject = true;
+        preview.userData.originalFile = path;
+        
+        const models = await Promise.all(prefab.objects.map(object => this.loadModel(object.path, new THREE.Vector3())));
+        const modelsById = new Map(prefab.objects.map((object, i) => [object.id, models[i]]));
+        prefab.objects.forEach((object, i) => {
+            const model = models[i];
+            model.userData.isPlacedObject = false;
+            model.position.set(object.position.x, object.position.y, object.position.z);
+            model.rotation.set(object.rotation.x, object.rotation.y, object.rotation.z);
+            model.scale.set(object.scale.x, object.scale.y, object.scale.z);
+            (modelsById.get(object.parent) || preview).add(model);
+        });
+        
+        return preview;
+    }
+    
+    /**
+     * Records a freshly placed object in the undo history
+     * @param {THREE.Object3D} object - The object that was added to the scene
+     * @returns {THREE.Object3D} The same object, for chaining
+     */
+    recordPlacement(object) {
+        if (object) {
+            this.history.push(new AddObjectsCommand(this, [object]));
         }
+        return object;
     }
     
-    loadObjectProperties() {
+    /**
+     * Builds the asset browser from the manifest written by
+     * tools/generate-asset-manifest.js
+     */
+    async loadAssetBrowser() {
+        const assetBrowser = document.getElementById('asset-browser');
+        
+        // Roles are shown in the browser, so the registry comes first
+        await this.loadAssetRegistry();
+        
         try {
-            console.log('Loading object properties...');
-            
-            // Ensure we have a selected object
-            if (!this.selectedObject) {
-                console.warn('Cannot load properties: No object selected');
-                return;
-            }
-            
-            // Re-acquire properties list reference if needed
-            if (!this.propertiesList) {
-                this.propertiesList = document.getElementById('properties-list');
-                if (!this.propertiesList) {
-                    console.error('Properties list element not found!');
-                    return;
-                }
+            const response = await fetch('Assets/3D/manifest.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
             
-            // Clear existing properties but keep the "Add Property" button visible
-            while (this.propertiesList.firstChild) {
-                this.propertiesList.removeChild(this.propertiesList.firstChild);
+            const manifest = await response.json();
+            if (manifest.format !== 'AssetManifest') {
+                throw new Error('Not an asset manifest');
             }
             
-            // Ensure the object has userData
-            this.selectedObject.userData = this.selectedObject.userData || {};
+            this.assetManifest = manifest;
             
-            // Get properties from the object's userData
-            const properties = this.selectedObject.userData.properties || {};
+            // Index files by path for quick lookups of sizes and bounds
+            this.assetIndex = new Map();
+            const indexFolder = (folder) => {
+                (folder.files || []).forEach(file => this.assetIndex.set(file.path, file));
+                (folder.folders || []).forEach(indexFolder);
+            };
+            indexFolder(manifest);
             
-            console.log('Loaded properties for object', this.selectedObject.uuid, properties);
+            this.createFolderStructure(manifest, assetBrowser);
+            this.renderPinnedFolders();
+            console.log(`Asset browser loaded ${this.assetIndex.size} models from manifest`);
             
-            // Add properties to the list
-            Object.entries(properties).forEach(([key, value]) => {
-                if (key && key.trim() !== '' && value !== undefined) {
+        } catch (error) {
+            console.warn('Could not load asset manifest:', error);
+            if (assetBrowser) {
+                assetBrowser.innerHTML = '<em>Asset manifest missing. Run <code>node tools/generate-asset-manifest.js</code></em>';
+            }
+        }
+        
+        this.renderPrefabFolder();
+    }
+    
+    /**
+     * Lists the saved prefabs in a folder at the top of the asset browser
+     */
+    async renderPrefabFolder() {
+        const assetBrowser = document.getElementById('asset-browser');
+        if (!assetBrowser) return;
+        
+        let folderElement = assetBrowser.querySelector('.prefab-folder');
+        if (!folderElement) {
+            folderElement = document.createElement('div');
+            folderElement.className = 'folder prefab-folder';
+            
+            const folderName = document.createElement('div');
+            folderName.className = 'folder-name';
+            folderName.textContent = 'Prefabs';
+            folderName.onclick = (e) => {
+                e.stopPropagation();
+                folderElement.classList.toggle('expanded');
+            };
+            
+            const folderContents = document.createElement('div');
+            folderContents.className = 'folder-contents';
+            
+            folderElement.appendChild(folderName);
+            folderElement.appendChild(folderContents);
+            assetBrowser.prepend(folderElement);
+        }
+        
+        const paths = await this.prefabLibrary.list();
+        const prefabs = await Promise.all(paths.map(path => this.prefabLibrary.load(path)));
+        
+        const folderContents = folderElement.querySelector('.folder-contents');
+        folderContents.innerHTML = '';
+        paths.forEach((path, i) => {
+            if (!prefabs[i]) return;
+            folderContents.appendChild(this.createFileElement({
+                name: prefabs[i].name,
+                path,
+                size: JSON.stringify(prefabs[i]).length
+            }));
+        });
+        if (!folderContents.hasChildNodes()) {
+            folderContents.innerHTML = '<em>Select objects and use Save as Prefab</em>';
+        }
+    }
+    
+    /**
+     * Loads the asset registry. Without it assets have no role and start
+     * without properties.
+     */
+    async loadAssetRegistry() {
+        try {
+            const response = await fetch('Assets/3D/asset-registry.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            this.assetRegistry.load(await response.json());
+            this.assetRegistry.warnings.forEach(warning => console.warn('Asset registry entry ignored:', warning));
+            this.pickupTotalsDirty = true;
+        } catch (error) {
+            console.warn('Could not load asset registry:', error);
+        }
+    }
+    
+    /**
+     * Loads the typed property definitions. Without them every property is
+     * edited as free-form text.
+     */
+    async loadPropertyDefinitions() {
+        try {
+            const response = await fetch('Assets/3D/property-definitions.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            this.propertyDefinitions.load(await response.json());
+            this.propertyDefinitions.warnings.forEach(warning => console.warn('Property definition ignored:', warning));
+            
+            // The panel may already show free-form rows for defined keys
+            if (this.selectedObjects.length > 0) {
+                this.loadObjectProperties();
+            }
+        } catch (error) {
+            console.warn('Could not load property definitions:', error);
+        }
+    }
+    
+    /**
+     * Property definitions shared by every selected object
+     * @returns {Object} Definitions keyed by property name
+     */
+    getSelectionPropertyDefinitions() {
+        const paths = this.selectedObjects.map(obj => this.getLevelObject(obj)?.path || '');
+        return this.propertyDefinitions.forAssets(paths);
+    }
+    
+    /**
+     * Looks up a model in the asset manifest
+     * @param {string} path - Path of the model file
+     * @returns {Object|null} The manifest entry with size and bounds
+     */
+    getAssetInfo(path) {
+        return this.assetIndex?.get(path) || null;
+    }
+    
+    /**
+     * Creates the folder tree for the asset browser
+     * @param {Object} folder - Manifest folder with subfolders and files
+     * @param {HTMLElement} parentElement - Element to add the folder contents to
+     */
+    createFolderStructure(folder, parentElement) {
+        (folder.folders || []).forEach(subfolder => {
+            const folderElement = document.createElement('div');
+            folderElement.className = 'folder';
+            
+            const folderName = document.createElement('div');
+            folderName.className = 'folder-name';
+            folderName.textContent = subfolder.name;
+            folderName.onclick = (e) => {
+                e.stopPropagation();
+                folderElement.classList.toggle('expanded');
+            };
+            
+            const folderContents = document.createElement('div');
+            folderContents.className = 'folder-contents';
+            
+            folderElement.appendChild(folderName);
+            folderElement.appendChild(folderContents);
+            parentElement.appendChild(folderElement);
+            
+            // Recursively create subfolders and files
+            this.createFolderStructure(subfolder, folderContents);
+        });
+        
+        // Add files to the folder
+        (folder.files || []).forEach(file => {
+            parentElement.appendChild(this.createFileElement(file));
+        });
+    }
+    
+    /**
+     * Creates an asset browser entry for a model
+     * @param {Object} file - Manifest entry with name, path and size
+     * @returns {HTMLElement} The entry element
+     */
+    createFileElement(file) {
+        const fileElement = document.createElement('div');
+        fileElement.className = 'file';
+        fileElement.dataset.path = file.path;
+        if (this.selectedFile === file.path) {
+            fileElement.classList.add('selected');
+        }
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'file-thumbnail';
+        thumbnail.alt = '';
+        
+        const fileName = document.createElement('span');
+        fileName.className = 'file-name';
+        fileName.textContent = file.name;
+        
+        const role = isPrefabPath(file.path) ? 'prefab' : this.assetRegistry.getRole(file.path);
+        const roleBadge = document.createElement('span');
+        roleBadge.className = `file-role role-${role || 'none'}`;
+        roleBadge.textContent = role && role !== 'scenery' ? role : '';
+        
+        const favoriteBtn = document.createElement('span');
+        favoriteBtn.className = 'file-action file-favorite';
+        favoriteBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.assetLibrary.toggleFavorite(file.path);
+        };
+        
+        const tagBtn = document.createElement('span');
+        tagBtn.className = 'file-action file-tag';
+        tagBtn.textContent = '#';
+        tagBtn.title = 'Edit tags';
+        tagBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.editAssetTags(file);
+        };
+        
+        fileElement.appendChild(thumbnail);
+        fileElement.appendChild(fileName);
+        fileElement.appendChild(roleBadge);
+        fileElement.appendChild(tagBtn);
+        fileElement.appendChild(favoriteBtn);
+        this.updateFileElement(fileElement, file);
+        
+        fileElement.onclick = (e) => {
+            e.stopPropagation();
+            this.selectFile(file.path, fileElement);
+        };
+        fileElement.onmouseenter = () => this.showAssetPreview(fileElement);
+        fileElement.onmouseleave = () => this.hideAssetPreview();
+        
+        // Thumbnails are rendered once the entry scrolls into view; prefabs have none
+        fileElement.assetFile = file;
+        if (!isPrefabPath(file.path)) {
+            this.thumbnailObserver?.observe(fileElement);
+        }
+        
+        return fileElement;
+    }
+    
+    /**
+     * Refreshes the favorite star and tooltip of a file entry
+     */
+    updateFileElement(fileElement, file) {
+        const favorite = this.assetLibrary.isFavorite(file.path);
+        const favoriteBtn = fileElement.querySelector('.file-favorite');
+        favoriteBtn.textContent = favorite ? '★' : '☆';
+        favoriteBtn.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+        fileElement.classList.toggle('favorite', favorite);
+        
+        const tags = this.assetLibrary.getTags(file.path);
+        const info = this.assetRegistry.get(file.path);
+        fileElement.title = `${file.path} (${(file.size / 1024).toFixed(1)} KB)` +
+            (info.role ? `\nRole: ${info.role}, collider: ${info.collider}` : '') +
+            (info.tags.length ? `\nBuilt-in tags: ${info.tags.join(', ')}` : '') +
+            (tags.length ? `\nTags: ${tags.join(', ')}` : '');
+    }
+    
+    editAssetTags(file) {
+        const current = this.assetLibrary.getTags(file.path).join(', ');
+        const input = prompt(`Tags for ${file.name} (comma separated):`, current);
+        if (input === null) return;
+        
+        this.assetLibrary.setTags(file.path, input.split(','));
+    }
+    
+    setupAssetLibrary() {
+        this.assetLibrary = new AssetLibrary();
+        
+        // Keep stars, tooltips, pinned folders and search results in sync
+        this.assetLibrary.onChange(() => {
+            document.querySelectorAll('#ui .file').forEach(el => {
+                if (el.assetFile) this.updateFileElement(el, el.assetFile);
+            });
+            this.renderPinnedFolders();
+            this.renderSearchResults();
+        });
+        
+        const searchInput = document.getElementById('asset-search');
+        searchInput?.addEventListener('input', () => this.renderSearchResults());
+        searchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.renderSearchResults();
+            }
+        });
+    }
+    
+    /**
+     * Rebuilds the Favorites and Recently Placed folders above the asset tree
+     */
+    renderPinnedFolders() {
+        const pinned = document.getElementById('asset-pinned');
+        if (!pinned || !this.assetIndex) return;
+        
+        // Keep folders open across rebuilds
+        const expanded = new Set(
+            Array.from(pinned.querySelectorAll('.folder.expanded')).map(el => el.dataset.name)
+        );
+        pinned.innerHTML = '';
+        
+        const sections = [
+            { name: 'Favorites', paths: this.assetLibrary.favorites },
+            { name: 'Recently Placed', paths: this.assetLibrary.recent }
+        ];
+        
+        sections.forEach(section => {
+            const files = section.paths
+                .map(path => this.getAssetInfo(path))
+                .filter(file => file);
+            if (files.length === 0) return;
+            
+            const folderElement = document.createElement('div');
+            folderElement.className = 'folder pinned-folder';
+            folderElement.dataset.name = section.name;
+            if (expanded.has(section.name)) {
+                folderElement.classList.add('expanded');
+            }
+            
+            const folderName = document.createElement('div');
+            folderName.className = 'folder-name';
+            folderName.textContent = `${section.name} (${files.length})`;
+            folderName.onclick = (e) => {
+                e.stopPropagation();
+                folderElement.classList.toggle('expanded');
+            };
+            
+            const folderContents = document.createElement('div');
+            folderContents.className = 'folder-contents';
+            this.createFolderStructure({ files }, folderContents);
+            
+            folderElement.appendChild(folderName);
+            folderElement.appendChild(folderContents);
+            pinned.appendChild(folderElement);
+        });
+    }
+    
+    /**
+     * Shows assets matching the search box instead of the folder tree
+     */
+    renderSearchResults() {
+        const searchInput = document.getElementById('asset-search');
+        const results = document.getElementById('asset-search-results');
+        const tree = document.getElementById('asset-browser');
+        const pinned = document.getElementById('asset-pinned');
+        if (!searchInput || !results) return;
+        
+        const query = searchInput.value.trim();
+        results.innerHTML = '';
+        
+        const searching = query !== '';
+        results.style.display = searching ? 'block' : 'none';
+        if (tree) tree.style.display = searching ? 'none' : 'block';
+        if (pinned) pinned.style.display = searching ? 'none' : 'block';
+        if (!searching) return;
+        
+        const matches = this.assetLibrary.search(query, Array.from(this.assetIndex.values()));
+        if (matches.length === 0) {
+            results.innerHTML = '<em>No matching assets</em>';
+            return;
+        }
+        
+        matches.slice(0, 100).forEach(file => {
+            const fileElement = this.createFileElement(file);
+            
+            // Show the pack so same-named files can be told apart
+            const folder = document.createElement('span');
+            folder.className = 'file-folder';
+            folder.textContent = file.path.split('/').slice(2, -1).join('/');
+            fileElement.querySelector('.file-name').after(folder);
+            
+            results.appendChild(fileElement);
+        });
+    }
+    
+    setupThumbnails() {
+        this.thumbnails = new AssetThumbnails(this.database);
+        
+        if (typeof IntersectionObserver === 'undefined') return;
+        
+        this.thumbnailObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                
+                const fileElement = entry.target;
+                this.thumbnailObserver.unobserve(fileElement);
+                
+                this.thumbnails.get(fileElement.assetFile)
+                    .then(url => {
+                        fileElement.querySelector('.file-thumbnail').src = url;
+                        fileElement.classList.add('has-thumbnail');
+                    })
+                    .catch(error => console.warn(`No thumbnail for ${fileElement.assetFile.path}:`, error));
+            });
+        }, { root: document.getElementById('ui') });
+        
+        // Grid/list toggle, remembered between sessions
+        const toggle = document.getElementById('asset-view-toggle');
+        const assetBrowser = document.getElementById('asset-browser');
+        const applyView = (view) => {
+            assetBrowser?.classList.toggle('grid-view', view === 'grid');
+            if (toggle) toggle.textContent = view === 'grid' ? 'List View' : 'Grid View';
+        };
+        
+        let view = localStorage.getItem('assetEditor.assetView') || 'list';
+        applyView(view);
+        
+        toggle?.addEventListener('click', () => {
+            view = view === 'grid' ? 'list' : 'grid';
+            localStorage.setItem('assetEditor.assetView', view);
+            applyView(view);
+        });
+    }
+    
+    /**
+     * Shows an enlarged thumbnail next to the asset browser
+     * @param {HTMLElement} fileElement - The hovered file entry
+     */
+    showAssetPreview(fileElement) {
+        const preview = document.getElementById('asset-preview');
+        const image = fileElement.querySelector('.file-thumbnail');
+        if (!preview || !image?.src) return;
+        
+        const rect = fileElement.getBoundingClientRect();
+        const uiRect = document.getElementById('ui').getBoundingClientRect();
+        
+        preview.querySelector('img').src = image.src;
+        preview.querySelector('.asset-preview-name').textContent = fileElement.assetFile.name;
+        preview.style.left = `${uiRect.right + 10}px`;
+        preview.style.top = `${Math.max(10, Math.min(rect.top, window.innerHeight - 300))}px`;
+        preview.style.display = 'block';
+    }
+    
+    hideAssetPreview() {
+        const preview = document.getElementById('asset-preview');
+        if (preview) {
+            preview.style.display = 'none';
+        }
+    }
+    
+    loadObjectProperties() {
+        try {
+            console.log('Loading object properties...');
+            
+            // Ensure we have a selected object
+            if (!this.selectedObject) {
+                console.warn('Cannot load properties: No object selected');
+                return;
+            }
+            
+            // Re-acquire properties list reference if needed
+            if (!this.propertiesList) {
+                this.propertiesList = document.getElementById('properties-list');
+                if (!this.propertiesList) {
+                    console.error('Properties list element not found!');
+                    return;
+                }
+            }
+            
+            // Clear existing properties but keep the "Add Property" button visible
+            while (this.propertiesList.firstChild) {
+                this.propertiesList.removeChild(this.propertiesList.firstChild);
+            }
+            
+            // Merge the properties of all selected objects; keys whose values
+            // differ (or that only some objects have) are shown as mixed
+            const merged = new Map();
+            this.selectedObjects.forEach(obj => {
+                obj.userData = obj.userData || {};
+                Object.entries(this.getObjectProperties(obj)).forEach(([key, value]) => {
+                    const json = JSON.stringify(value);
+                    if (!merged.has(key)) {
+                        merged.set(key, { value, json, count: 0, mixed: false });
+                    }
+                    const entry = merged.get(key);
+                    entry.count++;
+                    if (entry.json !== json) entry.mixed = true;
+                });
+            });
+            
+            console.log('Loaded properties for', this.selectedObjects.length, 'object(s)', merged);
+            
+            // Keys shown in the panel, so removed rows can be told apart from untouched ones
+            this.loadedPropertyKeys = Array.from(merged.keys());
+            
+            // Rebuilding the list must not write the half-built list back to the object
+            this.isLoadingProperties = true;
+            
+            // Defined properties come first with typed widgets, even when unset;
+            // the remaining keys follow as free-form text
+            const definitions = this.getSelectionPropertyDefinitions();
+            try {
+                Object.values(definitions).forEach(definition => {
                     try {
-                        this.addProperty(key, String(value), false);
+                        const entry = merged.get(definition.key);
+                        const mixed = entry ? entry.mixed || entry.count < this.selectedObjects.length : false;
+                        this.addTypedProperty(definition, entry ? entry.value : undefined, mixed);
                     } catch (error) {
-                        console.error(`Error adding property ${key}:`, error);
+                        console.error(`Error adding property ${definition.key}:`, error);
                     }
-                }
-            });
+                });
+                
+                merged.forEach((entry, key) => {
+                    if (key && key.trim() !== '' && !definitions[key]) {
+                        try {
+                            const mixed = entry.mixed || entry.count < this.selectedObjects.length;
+                            this.addProperty(key, mixed ? '' : formatPropertyText(entry.value), false, mixed);
+                        } catch (error) {
+                            console.error(`Error adding property ${key}:`, error);
+                        }
+                    }
+                });
+            } finally {
+                this.isLoadingProperties = false;
+            }
             
             // Ensure the properties panel is visible
             if (this.propertiesPanel) {
@@ -1247,245 +2813,978 @@ class AssetLevelEditor {
                 this.propertiesPanel.style.visibility = 'visible';
             }
             
-        } catch (error) {
-            console.error('Error in loadObjectProperties:', error);
+        } catch (error) {
+            console.error('Error in loadObjectProperties:', error);
+        }
+    }
+    
+    addProperty(key = '', value = '', isNew = true, mixed = false) {
+        console.log('Adding property:', { key, value, isNew, mixed });
+        
+        if (this.selectedObjects.length === 0) {
+            console.warn('Cannot add property: No object selected');
+            return;
+        }
+        
+        // Make sure propertiesList exists
+        if (!this.propertiesList) {
+            console.error('Properties list element not found!');
+            return;
+        }
+        
+        try {
+            // Create the property item container
+            const propertyItem = document.createElement('div');
+            propertyItem.className = 'property-item';
+            
+            // Remember which key this row was loaded with, and whether its value
+            // still stands for differing values across the selection
+            propertyItem.dataset.originalKey = key;
+            propertyItem.dataset.mixed = String(mixed);
+            
+            // Store reference to this for use in event listeners
+            const self = this;
+            
+            // Create key input
+            const keyInput = document.createElement('input');
+            keyInput.type = 'text';
+            keyInput.placeholder = 'Key';
+            keyInput.value = key;
+            keyInput.addEventListener('mousedown', (e) => e.stopPropagation());
+            keyInput.addEventListener('click', (e) => e.stopPropagation());
+            keyInput.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    valueInput.focus();
+                }
+            });
+            keyInput.addEventListener('change', () => {
+                self.checkPropertyKey(keyInput);
+                self.updateProperty();
+            });
+            this.checkPropertyKey(keyInput);
+            
+            // Create value input
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.placeholder = mixed ? '(mixed)' : 'Value';
+            valueInput.value = value;
+            valueInput.addEventListener('input', () => {
+                // Typing a value applies it to every selected object
+                propertyItem.dataset.mixed = 'false';
+                valueInput.placeholder = 'Value';
+            });
+            valueInput.addEventListener('mousedown', (e) => e.stopPropagation());
+            valueInput.addEventListener('click', (e) => e.stopPropagation());
+            valueInput.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Enter' && keyInput.value.trim() !== '') {
+                    // Add a new property when Enter is pressed
+                    setTimeout(() => self.addProperty(), 0);
+                }
+            });
+            valueInput.addEventListener('change', () => self.updateProperty());
+            
+            // Create delete button
+            const deleteBtn = document.createElement('button');
+            deleteBtn.innerHTML = '&times;';
+            deleteBtn.title = 'Remove property';
+            deleteBtn.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                // Use setTimeout to ensure this runs after any other click handlers
+                setTimeout(() => {
+                    if (self.propertiesList && propertyItem.parentNode === self.propertiesList) {
+                        self.propertiesList.removeChild(propertyItem);
+                        self.updateProperty();
+                    }
+                }, 0);
+            });
+            
+            // Also prevent click events on the delete button
+            deleteBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            });
+            
+            // Assemble the property item
+            propertyItem.appendChild(keyInput);
+            propertyItem.appendChild(valueInput);
+            propertyItem.appendChild(deleteBtn);
+            
+            // Add to the properties list
+            if (this.propertiesList) {
+                this.propertiesList.appendChild(propertyItem);
+                
+                // Ensure the panel is visible
+                if (this.propertiesPanel) {
+                    this.propertiesPanel.style.display = 'block';
+                    this.propertiesPanel.style.visibility = 'visible';
+                }
+                
+                // Focus the key input if it's a new property
+                if (isNew) {
+                    // Use setTimeout to ensure the element is in the DOM before focusing
+                    setTimeout(() => {
+                        keyInput.focus();
+                    }, 0);
+                }
+                
+                // Update properties
+                this.updateProperty();
+            }
+            
+        } catch (error) {
+            console.error('Error adding property:', error);
+        }
+    }
+    
+    /**
+     * Flags free-form keys that look like a misspelled defined property
+     * @param {HTMLInputElement} keyInput - Key input of a free-form row
+     */
+    checkPropertyKey(keyInput) {
+        const key = keyInput.value.trim();
+        const suggestion = key ? findSimilarPropertyKey(key, this.propertyDefinitions.allKeys()) : null;
+        
+        keyInput.classList.toggle('suspect', suggestion !== null);
+        keyInput.title = suggestion ? `Did you mean "${suggestion}"?` : '';
+    }
+    
+    /**
+     * Adds a row for a defined property, with a widget matching its type
+     * @param {Object} definition - Property definition (see property-types.js)
+     * @param {*} value - Stored value, undefined if no selected object sets it
+     * @param {boolean} mixed - Whether the selected objects differ
+     */
+    addTypedProperty(definition, value, mixed) {
+        const propertyItem = document.createElement('div');
+        propertyItem.className = `property-item typed-property property-${definition.type}`;
+        propertyItem.dataset.originalKey = definition.key;
+        propertyItem.dataset.mixed = String(mixed);
+        propertyItem.classList.toggle('unset', value === undefined && !mixed);
+        
+        const label = document.createElement('span');
+        label.className = 'property-label';
+        label.textContent = definition.label || definition.key;
+        label.title = [definition.key, definition.description].filter(Boolean).join(': ');
+        
+        // Old files may hold text where a typed value is expected
+        let shown = value === undefined ? getPropertyDefault(definition) : value;
+        let error = null;
+        if (value !== undefined && !mixed) {
+            const parsed = parsePropertyValue(definition, value);
+            if (parsed.error) {
+                error = `Stored value ${JSON.stringify(value)} ${parsed.error}`;
+                shown = getPropertyDefault(definition);
+            } else {
+                shown = parsed.value;
+            }
+        }
+        
+        // Unset rows show the default but don't write it until edited; invalid
+        // stored values are likewise kept until replaced
+        propertyItem.dataset.set = String(value !== undefined && !error);
+        
+        const widget = this.createPropertyWidget(definition, shown, mixed, () => {
+            propertyItem.dataset.set = 'true';
+            propertyItem.dataset.mixed = 'false';
+            propertyItem.classList.remove('unset', 'mixed');
+            this.updateProperty();
+        });
+        propertyItem.readValue = widget.readValue;
+        propertyItem.classList.toggle('mixed', mixed);
+        
+        const resetBtn = document.createElement('button');
+        resetBtn.innerHTML = '&#8634;';
+        resetBtn.title = 'Reset to default';
+        resetBtn.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            setTimeout(() => {
+                if (this.propertiesList && propertyItem.parentNode === this.propertiesList) {
+                    // Dropping the row removes the key; reloading shows the default again
+                    this.propertiesList.removeChild(propertyItem);
+                    this.updateProperty();
+                    this.loadObjectProperties();
+                }
+            }, 0);
+        });
+        resetBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        
+        propertyItem.appendChild(label);
+        propertyItem.appendChild(widget.element);
+        propertyItem.appendChild(resetBtn);
+        this.markPropertyRow(propertyItem, error);
+        
+        this.propertiesList.appendChild(propertyItem);
+    }
+    
+    /**
+     * Creates the input element(s) for a property type
+     * @param {Object} definition - Property definition
+     * @param {*} value - Typed value to show
+     * @param {boolean} mixed - Show the value as differing across the selection
+     * @param {Function} onChange - Called after the user changed the value
+     * @returns {{ element: HTMLElement, readValue: Function }} The widget, and a
+     *     function returning { value, error } for what it currently holds
+     */
+    createPropertyWidget(definition, value, mixed, onChange) {
+        const keepEventsInPanel = (element) => {
+            element.addEventListener('mousedown', (e) => e.stopPropagation());
+            element.addEventListener('click', (e) => e.stopPropagation());
+            element.addEventListener('keydown', (e) => e.stopPropagation());
+            element.addEventListener('change', onChange);
+            return element;
+        };
+        
+        const createSelect = (options, selected) => {
+            const select = keepEventsInPanel(document.createElement('select'));
+            if (mixed) options = [{ value: '', label: '(mixed)' }, ...options];
+            options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+            select.value = mixed ? '' : selected;
+            return select;
+        };
+        
+        switch (definition.type) {
+            case 'number': {
+                const input = keepEventsInPanel(document.createElement('input'));
+                input.type = 'number';
+                if (definition.min !== undefined) input.min = definition.min;
+                if (definition.max !== undefined) input.max = definition.max;
+                input.step = definition.step || (definition.integer ? 1 : 'any');
+                input.value = mixed ? '' : value;
+                input.placeholder = mixed ? '(mixed)' : '';
+                return { element: input, readValue: () => parsePropertyValue(definition, input.value) };
+            }
+            case 'boolean': {
+                const input = keepEventsInPanel(document.createElement('input'));
+                input.type = 'checkbox';
+                input.checked = !mixed && value === true;
+                input.indeterminate = mixed;
+                return { element: input, readValue: () => ({ value: input.checked, error: null }) };
+            }
+            case 'enum': {
+                const select = createSelect(definition.options.map(option => ({ value: option, label: option })), value);
+                return { element: select, readValue: () => parsePropertyValue(definition, select.value) };
+            }
+            case 'color': {
+                const input = keepEventsInPanel(document.createElement('input'));
+                input.type = 'color';
+                input.value = value;
+                return { element: input, readValue: () => parsePropertyValue(definition, input.value) };
+            }
+            case 'vector3': {
+                const element = document.createElement('div');
+                element.className = 'property-vector';
+                const inputs = ['x', 'y', 'z'].map(axis => {
+                    const input = keepEventsInPanel(document.createElement('input'));
+                    input.type = 'number';
+                    input.step = 'any';
+                    input.title = axis;
+                    input.value = mixed ? '' : value[axis];
+                    input.placeholder = mixed ? '(mixed)' : axis;
+                    element.appendChild(input);
+                    return input;
+                });
+                return {
+                    element,
+                    readValue: () => parsePropertyValue(definition, inputs.map(input => input.value || 'x').join(','))
+                };
+            }
+            case 'reference': {
+                // Any placed object other than the ones being edited
+                const editing = new Set(this.selectedObjects.map(obj => this.getLevelObject(obj)?.id));
+                const options = [{ value: '', label: '(none)' }];
+                this.level.list().forEach(levelObject => {
+                    if (editing.has(levelObject.id)) return;
+                    options.push({ value: levelObject.id, label: `${levelObject.displayName} (${levelObject.id.slice(0, 8)})` });
+                });
+                if (value && !this.level.has(value)) {
+                    options.push({ value, label: `(missing ${value.slice(0, 8)})` });
+                }
+                const select = createSelect(options, value);
+                return { element: select, readValue: () => parsePropertyValue(definition, select.value) };
+            }
+            default: {
+                const input = keepEventsInPanel(document.createElement('input'));
+                input.type = 'text';
+                input.value = mixed ? '' : value;
+                input.placeholder = mixed ? '(mixed)' : 'Value';
+                return { element: input, readValue: () => parsePropertyValue(definition, input.value) };
+            }
+        }
+    }
+    
+    /**
+     * Shows or clears a validation error on a property row
+     * @param {HTMLElement} propertyItem - The row
+     * @param {string|null} error - Message, or null if the value is valid
+     */
+    markPropertyRow(propertyItem, error) {
+        propertyItem.classList.toggle('invalid', Boolean(error));
+        propertyItem.title = error || '';
+    }
+    
+    updateProperty() {
+        // Skip while the panel is being filled from the object itself
+        if (this.isLoadingProperties) return;
+        
+        try {
+            // Ensure we have a valid selection and properties list
+            if (this.selectedObjects.length === 0) {
+                console.warn('Cannot update properties: No object selected');
+                return;
+            }
+            
+            // Re-acquire properties list reference if needed
+            if (!this.propertiesList) {
+                this.propertiesList = document.getElementById('properties-list');
+                if (!this.propertiesList) {
+                    console.error('Properties list element not found!');
+                    return;
+                }
+            }
+            
+            // Collect all property rows from the UI. Defined keys are stored as
+            // typed values; rows whose input doesn't validate keep the old value.
+            const definitions = this.getSelectionPropertyDefinitions();
+            const rows = [];
+            let hasNewTypedKey = false;
+            
+            const propertyItems = this.propertiesList.querySelectorAll('.property-item');
+            propertyItems.forEach((item) => {
+                const row = {
+                    item,
+                    originalKey: item.dataset.originalKey || '',
+                    mixed: item.dataset.mixed === 'true'
+                };
+                
+                if (item.classList.contains('typed-property')) {
+                    row.key = row.originalKey;
+                    row.typed = true;
+                    if (item.dataset.set !== 'true') row.mixed = true;
+                    if (!row.mixed) {
+                        const { value, error } = item.readValue();
+                        row.value = value;
+                        row.error = error;
+                    }
+                } else {
+                    const keyInput = item.querySelector('input[type="text"]:first-child');
+                    const valueInput = item.querySelector('input[type="text"]:nth-child(2)');
+                    if (!keyInput || !valueInput) return;
+                    
+                    row.key = keyInput.value.trim();
+                    row.value = valueInput.value.trim();
+                    
+                    // A free-form row naming a defined key is converted to its type
+                    const definition = definitions[row.key];
+                    if (definition && !row.mixed) {
+                        const { value, error } = parsePropertyValue(definition, row.value);
+                        row.value = value;
+                        row.typed = true;
+                        row.error = error;
+                        hasNewTypedKey = hasNewTypedKey || !error;
+                    }
+                }
+                
+                if (row.error) {
+                    console.warn(`Property ${row.key}: ${row.error}`);
+                    row.mixed = true;
+                }
+                this.markPropertyRow(item, row.error ? `${row.key} ${row.error}; keeping the previous value` : null);
+                rows.push(row);
+            });
+            
+            // Keys that were shown but whose row has been removed
+            const removedKeys = (this.loadedPropertyKeys || [])
+                .filter(key => !rows.some(row => row.originalKey === key));
+            
+            const commands = [];
+            
+            this.selectedObjects.forEach(obj => {
+                // Ensure the object has userData
+                obj.userData = obj.userData || {};
+                
+                const previous = this.getObjectProperties(obj);
+                const properties = { ...previous };
+                
+                removedKeys.forEach(key => delete properties[key]);
+                
+                // Renamed keys drop their old entry
+                rows.forEach(row => {
+                    if (row.originalKey && row.originalKey !== row.key) {
+                        delete properties[row.originalKey];
+                    }
+                });
+                
+                rows.forEach(row => {
+                    // Only add non-empty keys
+                    if (row.key === '') return;
+                    
+                    const hadKey = row.originalKey !== '' && row.originalKey in previous;
+                    
+                    if (row.mixed) {
+                        // Untouched mixed values keep each object's own value
+                        if (hadKey) {
+                            properties[row.key] = previous[row.originalKey];
+                        }
+                    } else if (hadKey && !row.typed && formatPropertyText(previous[row.originalKey]) === row.value) {
+                        // Keep the stored value as-is when the text didn't change
+                        properties[row.key] = previous[row.originalKey];
+                    } else {
+                        properties[row.key] = row.value;
+                    }
+                });
+                
+                // Record the edit so it can be undone
+                if (JSON.stringify(previous) !== JSON.stringify(properties)) {
+                    commands.push(new SetPropertiesCommand(this, obj, { ...previous }, { ...properties }));
+                }
+                
+                this.setObjectProperties(obj, properties);
+            });
+            
+            // The rows now reflect the stored keys
+            rows.forEach(row => {
+                row.item.dataset.originalKey = row.key;
+            });
+            this.loadedPropertyKeys = rows.map(row => row.key).filter(key => key !== '');
+            
+            if (commands.length === 1) {
+                this.history.push(commands[0]);
+            } else if (commands.length > 1) {
+                this.history.push(new BatchCommand(commands, `Edit properties of ${commands.length} objects`));
+            }
+            
+            // Show newly typed keys with their widget
+            if (hasNewTypedKey) {
+                this.loadObjectProperties();
+            }
+            
+        } catch (error) {
+            console.error('Error updating properties:', error);
+        }
+    }
+    
+    /**
+     * Lists the links of the selected objects in the properties panel
+     */
+    refreshLinkList() {
+        const list = document.getElementById('links-list');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const ids = new Set(this.selectedObjects.map(obj => this.getLevelObject(obj)?.id));
+        const links = this.level.activeLinks().filter(link => ids.has(link.source) || ids.has(link.target));
+        
+        const describe = (id) => this.level.get(id)?.displayName || id;
+        links.forEach(link => {
+            const item = document.createElement('div');
+            item.className = 'link-item';
+            
+            // Clicking a link selects the object at its other end
+            const text = document.createElement('span');
+            text.className = 'link-text';
+            text.textContent = `${describe(link.source)} ${link.event} → ${describe(link.target)} ${link.action}`;
+            text.title = 'Select the other end';
+            text.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+                const other = this.getPlacedObject(ids.has(link.source) ? link.target : link.source);
+                if (other) this.setSelection([other]);
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.innerHTML = '&times;';
+            deleteBtn.title = 'Remove link';
+            deleteBtn.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.history.execute(new RemoveLinksCommand(this, [link]));
+            });
+            
+            item.appendChild(text);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+        
+        const addLinkBtn = document.getElementById('add-link-btn');
+        if (addLinkBtn) {
+            addLinkBtn.disabled = this.selectedObjects.length !== 1;
+        }
+    }
+    
+    /**
+     * The prefab instance the selection belongs to: the selected instance, or
+     * the instance of a selected member
+     * @returns {THREE.Object3D|null}
+     */
+    getSelectedPrefabInstance() {
+        if (this.selectedObjects.length !== 1) return null;
+        
+        const levelObject = this.getLevelObject(this.selectedObject);
+        return levelObject.isPrefabInstance ? this.selectedObject : this.getPlacedObject(levelObject.prefabInstance);
+    }
+    
+    /**
+     * Shows which prefab the selection belongs to and enables the prefab actions
+     */
+    refreshPrefabSection() {
+        const info = document.getElementById('prefab-info');
+        if (!info) return;
+        
+        const instance = this.getSelectedPrefabInstance();
+        const levelObject = instance && this.getLevelObject(instance);
+        const prefab = levelObject && this.level.prefabs.get(levelObject.path);
+        
+        if (prefab && !levelObject.overrides) {
+            const changed = Object.keys(getPrefabOverrides(prefab, levelObject, this.level.membersOf(levelObject.id))).length;
+            info.textContent = `Instance of ${prefab.name}` +
+                (changed > 0 ? `, ${changed} changed member${changed === 1 ? '' : 's'}` : '');
+        } else if (levelObject) {
+            info.textContent = `Instance of ${levelObject.path}, which is missing`;
+        } else {
+            info.textContent = '';
+        }
+        
+        const setEnabled = (id, enabled) => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !enabled;
+        };
+        setEnabled('save-prefab-btn', this.selectedObjects.length > 0);
+        setEnabled('apply-prefab-btn', !!prefab);
+        setEnabled('revert-prefab-btn', !!prefab);
+        setEnabled('export-prefab-btn', !!prefab);
+    }
+    
+    /**
+     * Saves the selected objects and everything parented to them as a new
+     * prefab. The objects stay as they are; the prefab shows up in the asset
+     * browser for placing.
+     */
+    async saveSelectionAsPrefab() {
+        if (this.selectedObjects.length === 0) return;
+        
+        const name = prompt('Prefab name:', this.getLevelObject(this.selectedObject).displayName);
+        if (!name || !name.trim()) return;
+        
+        // Top-level members keep their place in the world, relative to the prefab origin
+        const objects = this.withDescendants(this.selectedObjects);
+        const levelObjects = objects.map(obj => {
+            const levelObject = this.getLevelObject(obj);
+            if (objects.includes(this.getPlacedObject(levelObject.parent))) {
+                return levelObject;
+            }
+            
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const scale = new THREE.Vector3();
+            obj.updateWorldMatrix(true, false);
+            obj.matrixWorld.decompose(position, quaternion, scale);
+            const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+            
+            const world = LevelObject.fromJSON({
+                ...levelObject.toJSON(),
+                position: { x: position.x, y: position.y, z: position.z },
+                rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+                scale: { x: scale.x, y: scale.y, z: scale.z }
+            });
+            world.prefabMember = levelObject.prefabMember;
+            return world;
+        });
+        
+        let prefab;
+        try {
+            prefab = createPrefab(name, levelObjects, this.level.activeLinks());
+        } catch (error) {
+            this.showFeedback(error.message);
+            return;
+        }
+        
+        // Never overwrite another prefab; its instances would change
+        const existing = new Set(await this.prefabLibrary.list());
+        let path = getPrefabPath(name);
+        for (let n = 2; existing.has(path); n++) {
+            path = getPrefabPath(`${name} ${n}`);
+        }
+        
+        this.setPrefabData(path, prefab);
+        this.showFeedback(`Saved prefab ${prefab.name} (${prefab.objects.length} objects)`);
+    }
+    
+    /**
+     * Makes an instance's members, including objects parented into it, the
+     * new contents of its prefab. Every other instance is rebuilt from the
+     * new prefab and keeps its own overrides.
+     * @param {THREE.Object3D} instance - Placed prefab instance
+     */
+    async applyToPrefab(instance) {
+        const levelObject = instance && this.getLevelObject(instance);
+        const prefab = levelObject && this.level.prefabs.get(levelObject.path);
+        if (!prefab) return;
+        
+        const descendants = this.withDescendants([instance]).filter(obj => obj !== instance);
+        const contents = descendants.map(obj => this.getLevelObject(obj));
+        
+        let updated;
+        try {
+            updated = createPrefab(prefab.name, contents, this.level.activeLinks(), { x: 0, y: 0, z: 0 });
+        } catch (error) {
+            this.showFeedback(error.message);
+            return;
+        }
+        
+        try {
+            const change = await this.buildPrefabSync(levelObject.path, updated, levelObject);
+            
+            // Objects that were parented into the instance are members now;
+            // links to them follow, links among the contents are in the prefab
+            const idMap = new Map(contents.map((object, i) => [object.id, getPrefabMemberId(levelObject.id, updated.objects[i].id)]));
+            const extras = descendants.filter(obj => !this.getLevelObject(obj).prefabInstance);
+            change.removed.push(...extras);
+            
+            this.level.getLinks().filter(link => !link.id.includes('/')).forEach(link => {
+                if (idMap.has(link.source) && idMap.has(link.target)) {
+                    change.links.before.push(link);
+                } else if (idMap.has(link.source) || idMap.has(link.target)) {
+                    change.links.before.push(link);
+                    change.links.after.push(new LevelLink({
+                        id: link.id,
+                        source: idMap.get(link.source) || link.source,
+                        target: idMap.get(link.target) || link.target,
+                        event: link.event,
+                        action: link.action
+                    }));
+                }
+            });
+            
+            change.prefab = { path: levelObject.path, before: prefab, after: updated };
+            this.history.execute(new SyncPrefabCommand(this, change, `Apply ${levelObject.displayName} to prefab ${prefab.name}`));
+            this.setSelection([instance]);
+        } catch (error) {
+            console.error('Error applying to prefab:', error);
+        }
+    }
+    
+    /**
+     * Drops an instance's overrides, rebuilding its members from the prefab
+     * @param {THREE.Object3D} instance - Placed prefab instance
+     */
+    async revertPrefabInstance(instance) {
+        const levelObject = instance && this.getLevelObject(instance);
+        const prefab = levelObject && this.level.prefabs.get(levelObject.path);
+        if (!prefab) return;
+        
+        try {
+            const change = await this.buildPrefabSync(levelObject.path, prefab, levelObject, [levelObject]);
+            this.history.execute(new SyncPrefabCommand(this, change, `Revert ${levelObject.displayName}`));
+            this.setSelection([instance]);
+        } catch (error) {
+            console.error('Error reverting prefab instance:', error);
+        }
+    }
+    
+    /**
+     * Creates new members for instances of a prefab, e.g. after it changed
+     * @param {string} path - Prefab path
+     * @param {Object} prefab - Prefab data the members are created from
+     * @param {LevelObject} [reset] - Instance whose overrides are dropped
+     * @param {LevelObject[]} [instances] - Instances to rebuild; defaults to
+     *     every instance of the prefab
+     * @returns {Promise<Object>} Objects and links to swap, for SyncPrefabCommand
+     */
+    async buildPrefabSync(path, prefab, reset = null, instances = null) {
+        const current = this.level.prefabs.get(path);
+        instances = instances || this.level.list().filter(object => object.path === path && !object.overrides);
+        
+        const change = { removed: [], added: [], links: { before: [], after: [] } };
+        const levelLinks = this.level.getLinks();
+        
+        for (const instance of instances) {
+            const members = this.level.listParentsFirst().filter(object => object.prefabInstance === instance.id);
+            const overrides = instance === reset ? {} : getPrefabOverrides(current, instance, members);
+            const { objects, links } = instantiatePrefab(prefab, instance, overrides);
+            
+            change.removed.push(...members.map(member => this.getPlacedObject(member.id)).filter(obj => obj));
+            change.added.push(...await Promise.all(objects.map(object => this.createPlacedObject(object))));
+            change.links.before.push(...levelLinks.filter(link => getPrefabInstanceId(link.id) === instance.id && link.id.includes('/')));
+            change.links.after.push(...links);
+        }
+        
+        return change;
+    }
+    
+    /**
+     * Swaps placed objects, e.g. the members of a prefab instance. Placed
+     * objects that were parented to a removed object move to the added object
+     * with the same id, or to the top level if there is none.
+     * @param {THREE.Object3D[]} removed - Objects to remove, parents first
+     * @param {THREE.Object3D[]} added - Objects to add, parents first
+     */
+    replacePlacedObjects(removed, added) {
+        const removedSet = new Set(removed);
+        const orphans = [];
+        removed.forEach(obj => obj.traverse(node => {
+            if (node !== obj && !removedSet.has(node) && this.levelObjects.has(node) &&
+                removedSet.has(this.getPlacedRoot(node.parent))) {
+                orphans.push(node);
+            }
+        }));
+        const matrices = new Map(orphans.map(node => {
+            node.updateWorldMatrix(true, false);
+            return [node, node.matrixWorld.clone()];
+        }));
+        
+        removed.forEach(obj => this.removeObjectFromScene(obj));
+        added.forEach(obj => this.addObjectToScene(obj));
+        
+        orphans.forEach(node => {
+            const levelObject = this.getLevelObject(node);
+            const parent = this.getPlacedObject(levelObject.parent);
+            if (parent) {
+                parent.add(node);
+                return;
+            }
+            
+            // Its parent is gone, so it stays where it is at the top level
+            this.scene.add(node);
+            matrices.get(node).decompose(node.position, node.quaternion, node.scale);
+            this.level.setOutlinerState(levelObject, { parent: null });
+            this.syncLevelTransform(node);
+        });
+    }
+    
+    /**
+     * Stores new contents of a prefab
+     * @param {string} path - Prefab path
+     * @param {Object} data - Prefab data
+     */
+    setPrefabData(path, data) {
+        this.prefabLibrary.save(path, data);
+        this.refreshPrefabSection();
+    }
+    
+    /**
+     * Converts a placed object into the scene file's object format
+     * @param {THREE.Object3D} object - The placed object
+     * @returns {Object} Plain data describing the object
+     */
+    serializeObject(object) {
+        const levelObject = this.getLevelObject(object);
+        const data = levelObject.toJSON();
+        
+        // Members of an instance store what differs from the prefab
+        const prefab = levelObject.isPrefabInstance && !levelObject.overrides && this.level.prefabs.get(levelObject.path);
+        if (prefab) {
+            data.overrides = getPrefabOverrides(prefab, levelObject, this.level.membersOf(levelObject.id));
+        }
+        return data;
+    }
+    
+    /**
+     * Serializes objects for copying. Members of copied prefab instances are
+     * left out, since the copies of the instances create their own.
+     * @param {THREE.Object3D[]} objects - Placed objects, parents first
+     * @returns {Object[]} Objects in the scene file's object format
+     */
+    serializeObjects(objects) {
+        const ids = new Set(objects.map(obj => this.getLevelObject(obj).id));
+        return objects
+            .filter(obj => !ids.has(this.getLevelObject(obj).prefabInstance))
+            .map(obj => this.serializeObject(obj));
+    }
+    
+    /**
+     * Saves over the open level, or asks for a name if it isn't on the dev
+     * server yet. Without the dev server the scene is downloaded.
+     */
+    saveScene() {
+        if (!this.levelServer.available) {
+            this.downloadScene();
+        } else if (this.currentLevelName) {
+            this.saveLevelToServer(this.currentLevelName);
+        } else {
+            this.levelDialog.open('save');
+        }
+    }
+    
+    saveSceneAs() {
+        if (this.levelServer.available) {
+            this.levelDialog.open('save');
+        } else {
+            this.downloadScene();
+        }
+    }
+    
+    /**
+     * Shows the level list of the dev server, or the file picker without it
+     */
+    openScene() {
+        if (this.levelServer.available) {
+            this.levelDialog.open('open');
+        } else {
+            document.getElementById('load-file')?.click();
+        }
+    }
+    
+    /**
+     * The level in the scene file format
+     * @returns {Object}
+     */
+    serializeScene() {
+        // Levels remember the snapping they were built with
+        this.level.settings.snapping = this.snapSettings.toJSON();
+        this.level.settings.water = this.waves.toJSON();
+        return serializeLevel(this.level);
+    }
+    
+    /**
+     * Writes the level to levels/ on the dev server. If the server went away,
+     * the level is downloaded instead so nothing is lost.
+     * @param {string} name - Level file name
+     * @returns {Promise<boolean>} Whether the level was saved on the server
+     */
+    async saveLevelToServer(name) {
+        try {
+            await this.levelServer.save(name, JSON.stringify(this.serializeScene(), null, 2));
+        } catch (error) {
+            if (error.status) {
+                // The server refused the level or the name
+                console.error('Error saving scene:', error);
+                alert(`Could not save ${name}: ${error.message}`);
+                return false;
+            }
+            
+            console.warn('Dev server not reachable, downloading instead:', error);
+            this.levelServer.available = false;
+            this.levelDialog.close();
+            this.setCurrentLevel(name);
+            this.downloadScene(name);
+            return false;
         }
+        
+        this.setCurrentLevel(name);
+        this.autosaveNow(true);
+        this.showFeedback(`Saved levels/${name}`);
+        console.log(`Scene saved as levels/${name}`);
+        return true;
     }
     
-    addProperty(key = '', value = '', isNew = true) {
-        console.log('Adding property:', { key, value, isNew });
-        
-        // Store the currently selected object to ensure we don't lose it
-        const currentSelected = this.selectedObject;
-        
-        if (!currentSelected) {
-            console.warn('Cannot add property: No object selected');
+    /**
+     * Opens a level from levels/ on the dev server
+     * @param {string} name - Level file name
+     */
+    async openLevelFromServer(name) {
+        let text;
+        try {
+            text = await this.levelServer.load(name);
+        } catch (error) {
+            console.error('Error opening level:', error);
+            alert(`Could not open ${name}: ${error.message}`);
             return;
         }
         
-        // Make sure propertiesList exists
-        if (!this.propertiesList) {
-            console.error('Properties list element not found!');
-            return;
+        if (await this.loadSceneText(text, name)) {
+            this.setCurrentLevel(name);
         }
+    }
+    
+    setupAutosave() {
+        this.history.onChange(() => {
+            this.autosavePending = true;
+        });
+        setInterval(() => this.autosaveNow(), AUTOSAVE_INTERVAL);
+        
+        // A hidden tab may be closed or discarded without another chance
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.autosaveNow();
+        });
+        
+        this.autosaveBrowser.offerRestore();
+    }
+    
+    /**
+     * Stores a snapshot of the level if it changed since the last one
+     * @param {boolean} [saved] - The level was just saved to a file; the
+     *     snapshot is taken even without changes and won't be offered for
+     *     restoring on startup
+     */
+    async autosaveNow(saved = false) {
+        if (!saved && !this.autosavePending) return;
+        this.autosavePending = false;
         
         try {
-            // Create the property item container
-            const propertyItem = document.createElement('div');
-            propertyItem.className = 'property-item';
-            
-            // Store reference to this for use in event listeners
-            const self = this;
-            
-            // Create key input
-            const keyInput = document.createElement('input');
-            keyInput.type = 'text';
-            keyInput.placeholder = 'Key';
-            keyInput.value = key;
-            keyInput.addEventListener('mousedown', (e) => e.stopPropagation());
-            keyInput.addEventListener('click', (e) => e.stopPropagation());
-            keyInput.addEventListener('keydown', (e) => {
-                e.stopPropagation();
-                if (e.key === 'Enter') {
-                    valueInput.focus();
-                }
-            });
-            keyInput.addEventListener('change', () => self.updateProperty());
-            
-            // Create value input
-            const valueInput = document.createElement('input');
-            valueInput.type = 'text';
-            valueInput.placeholder = 'Value';
-            valueInput.value = value;
-            valueInput.addEventListener('mousedown', (e) => e.stopPropagation());
-            valueInput.addEventListener('click', (e) => e.stopPropagation());
-            valueInput.addEventListener('keydown', (e) => {
-                e.stopPropagation();
-                if (e.key === 'Enter' && keyInput.value.trim() !== '') {
-                    // Add a new property when Enter is pressed
-                    setTimeout(() => self.addProperty(), 0);
-                }
-            });
-            valueInput.addEventListener('change', () => self.updateProperty());
-            
-            // Create delete button
-            const deleteBtn = document.createElement('button');
-            deleteBtn.innerHTML = '&times;';
-            deleteBtn.title = 'Remove property';
-            deleteBtn.addEventListener('mousedown', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                // Use setTimeout to ensure this runs after any other click handlers
-                setTimeout(() => {
-                    if (self.propertiesList && propertyItem.parentNode === self.propertiesList) {
-                        self.propertiesList.removeChild(propertyItem);
-                        self.updateProperty();
-                    }
-                }, 0);
-            });
-            
-            // Also prevent click events on the delete button
-            deleteBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
+            await this.autosave.add({
+                scene: this.serializeScene(),
+                levelName: this.currentLevelName,
+                saved,
+                preview: this.captureViewport()
             });
-            
-            // Assemble the property item
-            propertyItem.appendChild(keyInput);
-            propertyItem.appendChild(valueInput);
-            propertyItem.appendChild(deleteBtn);
-            
-            // Add to the properties list
-            if (this.propertiesList) {
-                this.propertiesList.appendChild(propertyItem);
-                
-                // Ensure the panel is visible
-                if (this.propertiesPanel) {
-                    this.propertiesPanel.style.display = 'block';
-                    this.propertiesPanel.style.visibility = 'visible';
-                }
-                
-                // Focus the key input if it's a new property
-                if (isNew) {
-                    // Use setTimeout to ensure the element is in the DOM before focusing
-                    setTimeout(() => {
-                        keyInput.focus();
-                    }, 0);
-                }
-                
-                // Update properties
-                this.updateProperty();
-            }
-            
-            // Restore the selected object in case it was lost
-            if (!this.selectedObject && currentSelected) {
-                this.selectedObject = currentSelected;
-            }
-            
         } catch (error) {
-            console.error('Error adding property:', error);
-            
-            // Restore the selected object in case of error
-            if (!this.selectedObject && currentSelected) {
-                this.selectedObject = currentSelected;
-            }
+            console.warn('Autosave failed:', error);
+            this.autosavePending = !saved;
         }
     }
     
-    updateProperty() {
+    /**
+     * Small picture of the viewport, e.g. for telling autosaves apart
+     * @param {number} [width] - Width in pixels; the height follows the viewport
+     * @returns {string|null} JPEG data URL, or null if the canvas can't be read
+     */
+    captureViewport(width = 320) {
         try {
-            // Ensure we have a valid selection and properties list
-            if (!this.selectedObject) {
-                console.warn('Cannot update properties: No object selected');
-                return;
-            }
-            
-            // Re-acquire properties list reference if needed
-            if (!this.propertiesList) {
-                this.propertiesList = document.getElementById('properties-list');
-                if (!this.propertiesList) {
-                    console.error('Properties list element not found!');
-                    return;
-                }
-            }
-            
-            // Ensure the object has userData
-            this.selectedObject.userData = this.selectedObject.userData || {};
-            
-            // Collect all properties from the UI
-            const properties = {};
-            let hasValidProperties = false;
-            
-            const propertyItems = this.propertiesList.querySelectorAll('.property-item');
-            propertyItems.forEach((item) => {
-                const keyInput = item.querySelector('input[type="text"]:first-child');
-                const valueInput = item.querySelector('input[type="text"]:nth-child(2)');
-                
-                if (keyInput && valueInput) {
-                    const key = keyInput.value.trim();
-                    const value = valueInput.value.trim();
-                    
-                    // Only add non-empty keys
-                    if (key !== '') {
-                        properties[key] = value;
-                        hasValidProperties = true;
-                    }
-                }
-            });
-            
-            // Update or remove the properties for this object
-            if (hasValidProperties) {
-                // Store properties directly on the object's userData
-                this.selectedObject.userData.properties = { ...properties };
-                console.log('Updated properties for object', this.selectedObject.uuid, properties);
-            } else {
-                // Remove properties if none are valid
-                delete this.selectedObject.userData.properties;
-                console.log('Removed properties for object', this.selectedObject.uuid);
-            }
-            
+            // The drawing buffer is only readable right after rendering
+            this.renderer.render(this.scene, this.camera);
+            const source = this.renderer.domElement;
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = Math.round(width * source.height / source.width);
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
         } catch (error) {
-            console.error('Error updating properties:', error);
+            console.warn('Could not capture the viewport:', error);
+            return null;
         }
     }
     
-    saveScene() {
+    /**
+     * Remembers the name of the open level, which Save writes to, and shows it
+     * @param {string|null} name - Level file name, or null for a new level
+     */
+    setCurrentLevel(name) {
+        this.currentLevelName = name;
+        
+        const label = document.getElementById('level-name');
+        if (label) {
+            label.textContent = (name || 'Unsaved level') +
+                (this.levelServer.available ? '' : ' (no dev server, saving downloads)');
+        }
+        document.title = name ? `${name} - 3D Asset Level Editor` : '3D Asset Level Editor';
+    }
+    
+    /**
+     * Downloads the level as a scene file
+     * @param {string} [name] - File name; defaults to one with the current time
+     */
+    downloadScene(name = this.currentLevelName) {
         try {
-            const sceneData = {
-                version: '2.2',
-                metadata: {
-                    format: 'AssetEditorScene',
-                    generatedBy: 'AssetLevelEditor',
-                    date: new Date().toISOString(),
-                    objectCount: 0, // Will be updated after counting
-                    engine: "Three.js",
-                    editor: "AssetLevelEditor"
-                },
-                objects: []
-            };
-            
-            // Find all placed objects in the scene
-            this.scene.traverse(object => {
-                if (object.userData.isPlacedObject) {
-                    const filename = object.userData.originalFile?.split('/').pop() || 'unknown';
-                    const objectData = {
-                        name: filename,
-                        position: {
-                            x: object.position.x,
-                            y: object.position.y,
-                            z: object.position.z
-                        },
-                        rotation: {
-                            x: object.rotation.x,
-                            y: object.rotation.y,
-                            z: object.rotation.z
-                        },
-                        scale: {
-                            x: object.scale.x,
-                            y: object.scale.y,
-                            z: object.scale.z
-                        },
-                        path: object.userData.originalFile || '',
-                        filename: filename,
-                        uuid: object.uuid,
-                        originalUuid: object.userData.originalUuid || object.uuid,
-                        // Store properties directly in the object data
-                        properties: object.userData.properties ? { ...object.userData.properties } : {}
-                    };
-                    
-                    sceneData.objects.push(objectData);
-                }
-            });
-            
-            // Update the object count
-            sceneData.metadata.objectCount = sceneData.objects.length;
+            const sceneData = this.serializeScene();
             
             // Create a download link
             const dataStr = JSON.stringify(sceneData, null, 2);
             const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
             
-            const exportName = `scene_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+            const exportName = name || `scene_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
             
             const linkElement = document.createElement('a');
             linkElement.setAttribute('href', dataUri);
@@ -1494,6 +3793,7 @@ class AssetLevelEditor {
             linkElement.click();
             document.body.removeChild(linkElement);
             
+            this.autosaveNow(true);
             console.log(`Scene saved with ${sceneData.objects.length} objects`);
             
         } catch (error) {
@@ -1502,212 +3802,200 @@ class AssetLevelEditor {
         }
     }
     
+    /**
+     * Loads a scene file picked with the file input
+     * @param {Event} event - Change event of the file input
+     */
     async loadScene(event) {
         const file = event.target.files[0];
         if (!file) return;
         
+        // Reset file input so the same file can be loaded again
+        event.target.value = '';
+        
+        // An uploaded file isn't in levels/, so with the dev server Save asks for a name
+        if (await this.loadSceneText(await file.text(), file.name)) {
+            this.setCurrentLevel(this.levelServer.available ? null : file.name);
+        }
+    }
+    
+    /**
+     * Replaces the level with the contents of a scene file, as one undoable step
+     * @param {string} text - Scene JSON
+     * @param {string} fileName - Shown while loading and in the report
+     * @returns {Promise<boolean>} Whether the scene was loaded
+     */
+    async loadSceneText(text, fileName) {
         // Show loading message
         const hud = document.getElementById('hud');
         const originalHUD = hud ? hud.innerHTML : '';
         
+        const report = new SceneLoadReport(fileName);
+        
         try {
-            const fileContent = await file.text();
-            const sceneData = JSON.parse(fileContent);
-            
-            // Check the scene format version
-            const isNewFormat = sceneData.version && sceneData.version.startsWith('2.');
-            
-            // Clear existing objects (except lights, grid, etc.)
-            const objectsToRemove = [];
-            this.scene.traverse(object => {
-                if (object.userData.isPlacedObject) {
-                    objectsToRemove.push(object);
-                }
-            });
-            
-            objectsToRemove.forEach(obj => this.scene.remove(obj));
+            // Older versions are migrated, broken objects repaired or rejected
+            const level = parseLevel(text, report);
+            if (!level) {
+                this.showLoadReport(report);
+                return false;
+            }
             
             // Show loading message
             if (hud) {
-                hud.innerHTML = `<div>Loading scene: ${file.name} (${isNewFormat ? sceneData.metadata?.objectCount || 0 : 'legacy'} objects)</div>`;
+                hud.innerHTML = `<div>Loading scene: ${fileName} (${level.size} objects)</div>`;
             }
             
-            // Load all objects from the scene data in parallel
-            const objects = isNewFormat ? sceneData.objects : (sceneData.objects || []);
-            const loader = new THREE.GLTFLoader();
+            // Prefab instances get their members; instances of missing
+            // prefabs stay empty and keep their overrides for saving
+            const prefabPaths = new Set(level.list().filter(object => object.isPrefabInstance).map(object => object.path));
+            await Promise.all(Array.from(prefabPaths).map(path => this.prefabLibrary.load(path)));
+            expandPrefabInstances(level, this.level.prefabs).forEach(path => {
+                report.warn(`Prefab ${path} could not be loaded; its instances are empty`);
+            });
             
-            // Configure the loader to handle KHR_texture_transform extension
-            loader.register(parser => ({
-                name: 'KHR_texture_transform',
-                async loadTexture(texIndex) {
-                    const json = parser.json;
-                    const textureDef = json.textures[texIndex];
-                    const texture = await parser.loadTexture(textureDef.source);
-                    
-                    // Get the texture transform extension
-                    const transform = textureDef.extensions && textureDef.extensions.KHR_texture_transform;
-                    if (transform) {
-                        // Apply basic transform properties if they exist
-                        if (transform.offset !== undefined) {
-                            texture.offset.fromArray(transform.offset);
-                        }
-                        if (transform.rotation !== undefined) {
-                            texture.rotation = transform.rotation;
-                        }
-                        if (transform.scale !== undefined) {
-                            texture.repeat.fromArray(transform.scale);
-                        }
-                        if (transform.texCoord !== undefined) {
-                            // Note: Custom UV sets are not supported, but we can at least handle the basic case
-                            texture.channel = transform.texCoord;
-                        }
+            // Load all objects in parallel; repeated files are parsed only once
+            const loadedModels = await Promise.all(level.list().map(async (levelObject, i) => {
+                const model = await this.createPlacedObject(levelObject);
+                
+                // The placeholder keeps the object's data so saving doesn't lose it
+                if (model.userData.isDemoCube) {
+                    const index = report.acceptedIndices[i];
+                    // Prefab members aren't entries of the file
+                    if (index === undefined) {
+                        report.warn(`${levelObject.displayName} (${levelObject.filename}) could not be loaded, shown as a placeholder cube`);
+                    } else {
+                        report.repair(index, `#${index} ${levelObject.filename}`,
+                            'model could not be loaded, shown as a placeholder cube');
                     }
-                    return texture;
                 }
+                return model;
             }));
             
-            // Suppress the specific warning
-            const originalWarn = console.warn;
-            console.warn = function(...args) {
-                if (args[0] && typeof args[0] === 'string' && 
-                    args[0].includes('KHR_texture_transform')) {
-                    // Suppress this specific warning
-                    return;
-                }
-                originalWarn.apply(console, args);
-            };
-            
-            // Create an array of promises for loading models
-            const loadPromises = objects.map(objData => {
-                return new Promise(async (resolve) => {
-                    try {
-                        // Handle both new and old format
-                        const modelPath = isNewFormat ? objData.path : objData.file;
-                        if (!modelPath) {
-                            resolve(null);
-                            return;
-                        }
-                        
-                        // Load the model
-                        const gltf = await loader.loadAsync(modelPath);
-                        const model = gltf.scene;
-                        
-                        // Set position
-                        if (isNewFormat && objData.position) {
-                            model.position.set(
-                                objData.position.x || 0,
-                                objData.position.y || 0,
-                                objData.position.z || 0
-                            );
-                        } else if (Array.isArray(objData.position)) {
-                            model.position.fromArray(objData.position);
-                        }
-                        
-                        // Set rotation
-                        if (isNewFormat && objData.rotation) {
-                            model.rotation.set(
-                                objData.rotation.x || 0,
-                                objData.rotation.y || 0,
-                                objData.rotation.z || 0
-                            );
-                        } else if (Array.isArray(objData.rotation)) {
-                            model.rotation.fromArray(objData.rotation);
-                        }
-                        
-                        // Set scale
-                        if (objData.scale) {
-                            if (Array.isArray(objData.scale)) {
-                                model.scale.fromArray(objData.scale);
-                            } else if (typeof objData.scale === 'object') {
-                                model.scale.set(
-                                    objData.scale.x || 1,
-                                    objData.scale.y || 1,
-                                    objData.scale.z || 1
-                                );
-                            }
-                        } else {
-                            model.scale.set(1, 1, 1);
-                        }
-                        
-                        // Initialize userData
-                        model.userData = model.userData || {};
-                        model.userData.isPlacedObject = true;
-                        model.userData.originalFile = modelPath;
-                        
-                        // Store the original ID and UUID if they exist
-                        if (isNewFormat) {
-                            if (objData.id) model.userData.originalId = objData.id;
-                            if (objData.uuid) model.userData.originalUuid = objData.uuid;
-                            if (objData.originalUuid) model.userData.originalUuid = objData.originalUuid;
-                            
-                            // Load properties if they exist in the object data
-                            if (objData.properties) {
-                                model.userData.properties = { ...objData.properties };
-                            }
-                        }
-                        
-                        // Set up shadows
-                        model.traverse(child => {
-                            if (child.isMesh) {
-                                child.castShadow = true;
-                                child.receiveShadow = true;
-                            }
-                        });
-                        
-                        resolve(model);
-                    } catch (error) {
-                        console.error(`Error loading model ${objData.path || objData.file}:`, error);
-                        
-                        // Create a placeholder cube if model fails to load
-                        const position = isNewFormat && objData.position ? 
-                            new THREE.Vector3(
-                                objData.position.x || 0,
-                                objData.position.y || 0,
-                                objData.position.z || 0
-                            ) : 
-                            (objData.position && Array.isArray(objData.position) ? 
-                                new THREE.Vector3().fromArray(objData.position) : 
-                                new THREE.Vector3());
-                        
-                        const cube = this.createDemoCubeAt(position, false);
-                        resolve(cube);
-                    }
-                });
-            });
+            // Parents go into the scene graph before their children
+            const modelsByObject = new Map(level.list().map((levelObject, i) => [levelObject, loadedModels[i]]));
+            const orderedModels = level.listParentsFirst().map(levelObject => modelsByObject.get(levelObject));
             
-            // Wait for all models to load and add them to the scene
-            const loadedModels = await Promise.all(loadPromises);
-            loadedModels.forEach(model => {
-                if (model) {
-                    this.scene.add(model);
+            // The current scene stays untouched until everything is loaded,
+            // so a failed load changes nothing
+            const objectsToRemove = [];
+            this.scene.traverse(object => {
+                if (object.userData.isPlacedObject) {
+                    objectsToRemove.push(object);
                 }
             });
             
-            console.log(`Loaded ${loadedModels.filter(m => m !== null).length} objects in parallel`);
-            
-            // Reset file input
-            event.target.value = '';
-            
-            // Restore HUD
-            if (hud) {
-                setTimeout(() => {
-                    hud.innerHTML = originalHUD;
-                }, 2000);
-            }
-            console.log(`Scene loaded: ${objects.length} objects`);
+            this.deselectObject();
+            this.linkTool.setActive(false);
+            this.pathTool.setPreview(false);
+            this.setIsolation(false);
+            objectsToRemove.forEach(obj => this.removeObjectFromScene(obj));
+            const previousLinks = this.level.getLinks();
+            
+            // Levels remember the snapping and waves they were built with
+            const previousSettings = this.getLevelSettings();
+            const loadedSettings = { settings: level.settings, metadata: level.metadata };
+            this.applyLevelSettings(loadedSettings);
+            
+            level.clear();
+            orderedModels.forEach(model => this.addObjectToScene(model));
+            const loadedLinks = level.getLinks();
+            this.level.setLinks(loadedLinks);
+            
+            // The whole load is one undoable step that brings the old scene back
+            this.history.push(new ReplaceSceneCommand(
+                this,
+                objectsToRemove,
+                orderedModels,
+                `Load ${fileName}`,
+                { before: previousLinks, after: loadedLinks },
+                { before: previousSettings, after: loadedSettings }
+            ));
+            
+            // The loaded scene is already in a file or a snapshot
+            this.autosavePending = false;
+            console.log(`Scene loaded: ${orderedModels.length} objects`);
             
         } catch (error) {
             console.error('Error loading scene:', error);
-            alert('Error loading scene. See console for details.');
+            report.fail(`Unexpected error: ${error.message}`);
         } finally {
             // Restore HUD
             if (hud) {
                 hud.innerHTML = originalHUD;
             }
         }
+        
+        this.showLoadReport(report);
+        return !report.isFatal;
+    }
+    
+    /**
+     * Tells the user how a scene load went. Clean loads only get a short
+     * message; anything that was migrated, repaired or rejected opens the
+     * report panel.
+     * @param {SceneLoadReport} report - Outcome of the load
+     */
+    showLoadReport(report) {
+        const log = report.isFatal ? console.error : (report.entries.length > 0 ? console.warn : console.log);
+        log(report.toString());
+        
+        const panel = document.getElementById('load-report');
+        if (!report.hasIssues || !panel) {
+            this.showFeedback(report.summary());
+            return;
+        }
+        
+        panel.querySelector('.load-report-summary').textContent = report.summary();
+        
+        const list = panel.querySelector('.load-report-list');
+        list.innerHTML = '';
+        
+        const addSection = (title, className, lines) => {
+            if (lines.length === 0) return;
+            
+            const section = document.createElement('div');
+            section.className = `load-report-section ${className}`;
+            
+            const heading = document.createElement('strong');
+            heading.textContent = title;
+            section.appendChild(heading);
+            
+            const items = document.createElement('ul');
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                items.appendChild(item);
+            });
+            section.appendChild(items);
+            list.appendChild(section);
+        };
+        
+        addSection('Errors', 'error', report.errors);
+        addSection('Warnings', 'warning', report.warnings);
+        addSection(`Migrated from version ${report.sourceVersion}`, 'migration', report.migrations);
+        report.entries.forEach(entry => {
+            addSection(`${entry.status === 'rejected' ? 'Rejected' : 'Repaired'} ${entry.label}`, entry.status, entry.reasons);
+        });
+        
+        panel.style.display = 'block';
     }
     
     update() {
+        this.instancing.update();
+        
+        // While playing, the editor's overlays stay as they were
+        if (this.playMode.active) {
+            this.playMode.update();
+            return;
+        }
+        
+        this.ocean.update(performance.now() / 1000, this.controls.target);
+        this.linkTool.update();
+        this.pathTool.update();
+        this.outliner.update();
+        this.updateRenderStats();
+        this.updatePickupTotals();
+        
         // Update rotation if an object is selected and rotation is active
         if (this.selectedObject && this.isRotating) {
             this.selectedObject.rotation.y += 0.02;
@@ -1771,6 +4059,18 @@ class AssetLevelEditor {
     }
 }
 
+/**
+ * @param {THREE.Object3D} ancestor
+ * @param {THREE.Object3D} object
+ * @returns {boolean} Whether object is somewhere below ancestor in the scene graph
+ */
+function isAncestorOf(ancestor, object) {
+    for (let node = object.parent; node; node = node.parent) {
+        if (node === ancestor) return true;
+    }
+    return false;
+}
+
 // Initialize the application when the DOM is loaded
 window.addEventListener('DOMContentLoaded', () => {
     const app = new AssetLevelEditor();
@@ -1781,9 +4081,9 @@ window.addEventListener('DOMContentLoaded', () => {
     // Start the animation loop
     function animate() {
         requestAnimationFrame(animate);
-        app.renderer.render(app.scene, app.camera);
         app.controls.update();
         app.update();
+        app.renderer.render(app.scene, app.camera);
     }
     animate();
 });
@@ -0,0 +1,155 @@
+// Shared cache of loaded GLB models
+//
+// Each file is fetched and parsed once. Placed objects are clones of the
+// cached scene graph that share its geometries, materials and textures, so
+// those are reference-counted: a resource is only freed on the GPU when the
+// last object using it is released. A released resource that is needed again
+// is simply re-uploaded by three.js on the next render.
+
+const TEXTURE_SLOTS = [
+    'map', 'normalMap', 'emissiveMap', 'roughnessMap', 'metalnessMap',
+    'aoMap', 'alphaMap', 'bumpMap', 'lightMap', 'displacementMap'
+];
+
+class ModelCache {
+    constructor() {
+        this.templates = new Map();
+        this.refCounts = new Map();
+
+        this.loader = new THREE.GLTFLoader();
+
+        // Configure the loader to handle KHR_texture_transform extension
+        this.loader.register(parser => ({
+            name: 'KHR_texture_transform',
+            async loadTexture(texIndex) {
+                const json = parser.json;
+                const textureDef = json.textures[texIndex];
+                const texture = await parser.loadTexture(textureDef.source);
+
+                // Get the texture transform extension
+                const transform = textureDef.extensions && textureDef.extensions.KHR_texture_transform;
+                if (transform) {
+                    // Apply basic transform properties if they exist
+                    if (transform.offset !== undefined) {
+                        texture.offset.fromArray(transform.offset);
+                    }
+                    if (transform.rotation !== undefined) {
+                        texture.rotation = transform.rotation;
+                    }
+                    if (transform.scale !== undefined) {
+                        texture.repeat.fromArray(transform.scale);
+                    }
+                    if (transform.texCoord !== undefined) {
+                        // Note: Custom UV sets are not supported, but we can at least handle the basic case
+                        texture.channel = transform.texCoord;
+                    }
+                }
+                return texture;
+            }
+        }));
+    }
+
+    /**
+     * Loads a model once and keeps its scene graph as a template
+     * @param {string} path - Path of the model file
+     * @returns {Promise<THREE.Object3D>} The cached template; never add it to a scene
+     */
+    load(path) {
+        if (!this.templates.has(path)) {
+            const promise = this.loader.loadAsync(path).then(gltf => gltf.scene);
+
+            // Don't cache failures, so a fixed file can be retried
+            promise.catch(() => this.templates.delete(path));
+            this.templates.set(path, promise);
+        }
+
+        return this.templates.get(path);
+    }
+
+    /**
+     * Creates a new object from a cached model
+     * @param {string} path - Path of the model file
+     * @returns {Promise<THREE.Object3D>} A clone sharing the template's resources
+     */
+    async instantiate(path) {
+        const template = await this.load(path);
+        const object = template.clone(true);
+        this.retainObject(object);
+        return object;
+    }
+
+    /**
+     * Number of objects currently using a geometry, material or texture
+     */
+    getRefCount(resource) {
+        return this.refCounts.get(resource) || 0;
+    }
+
+    retainObject(object) {
+        object.traverse(child => {
+            if (child.geometry) this.retain(child.geometry);
+            this.forEachMaterial(child, material => this.retain(material));
+        });
+    }
+
+    /**
+     * Releases everything an object uses. Resources the cache doesn't know,
+     * such as per-object material copies, are disposed right away.
+     * @param {THREE.Object3D} object - An object that is gone for good
+     */
+    releaseObject(object) {
+        // Placed objects parented to this one are released on their own
+        traverseOwnNodes(object, child => {
+            if (child.geometry) this.release(child.geometry);
+            this.forEachMaterial(child, material => this.release(material));
+        });
+    }
+
+    retain(resource) {
+        this.refCounts.set(resource, this.getRefCount(resource) + 1);
+
+        // Textures are counted once per material use
+        if (resource.isMaterial) {
+            this.forEachTexture(resource, texture => this.retain(texture));
+        }
+    }
+
+    release(resource) {
+        const count = this.getRefCount(resource);
+
+        if (count > 1) {
+            this.refCounts.set(resource, count - 1);
+        } else {
+            this.refCounts.delete(resource);
+            resource.dispose();
+        }
+
+        if (resource.isMaterial && count > 0) {
+            this.forEachTexture(resource, texture => this.release(texture));
+        }
+    }
+
+    forEachMaterial(object, callback) {
+        if (!object.material) return;
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(callback);
+    }
+
+    forEachTexture(material, callback) {
+        TEXTURE_SLOTS.forEach(slot => {
+            if (material[slot]?.isTexture) callback(material[slot]);
+        });
+    }
+}
+
+/**
+ * Visits an object and its descendants, except placed objects nested inside
+ * it (and their subtrees), which belong to themselves
+ * @param {THREE.Object3D} object - Usually a placed object
+ * @param {Function} callback - Called with every visited node
+ */
+function traverseOwnNodes(object, callback) {
+    callback(object);
+    object.children.forEach(child => {
+        if (!child.userData.isPlacedObject) traverseOwnNodes(child, callback);
+    });
+}
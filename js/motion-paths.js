@@ -0,0 +1,151 @@
+// Movement along waypoint paths
+//
+// A moving object starts at its own position and travels through its
+// waypoints, which are offsets from that position (see
+// LevelObject.setMotionPath). The points are joined by straight lines or by
+// a Catmull-Rom curve through all of them. Objects move at the path's speed
+// along the length of the path, so curves don't speed them up; the easing
+// is applied to each pass from one end to the other. A loop goes back to the
+// start and round again, ping-pong turns around at both ends and once stops
+// at the last waypoint. Runs in the browser and in Node.
+
+// Straight pieces each curve span is drawn and measured with
+const PATH_CURVE_SEGMENTS = 16;
+
+const PATH_EASING_FUNCTIONS = {
+    'linear': t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    'ease-in-out': t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)
+};
+
+class PathMotion {
+    /**
+     * @param {Object} path - A LevelObject's motionPath
+     */
+    constructor(path) {
+        this.path = path;
+        this.closed = path.mode === 'loop';
+
+        const points = [{ x: 0, y: 0, z: 0 }, ...path.waypoints];
+        this.points = path.curve === 'catmull-rom' && points.length > 2 ?
+            sampleCatmullRom(points, this.closed) :
+            (this.closed && points.length > 1 ? [...points, points[0]] : points);
+
+        // Distance along the path at every point
+        this.distances = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const a = this.points[i - 1];
+            const b = this.points[i];
+            this.distances.push(this.distances[i - 1] + Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z));
+        }
+        this.length = this.distances[this.distances.length - 1];
+    }
+
+    /**
+     * Seconds one pass from one end to the other takes
+     * @returns {number}
+     */
+    get duration() {
+        return this.length / this.path.speed;
+    }
+
+    /**
+     * Where the object is at a point in time, as an offset from its own position
+     * @param {number} time - Seconds since the level started
+     * @returns {{x: number, y: number, z: number}}
+     */
+    offsetAt(time) {
+        const elapsed = time - this.path.delay;
+        if (elapsed <= 0 || this.length === 0) return { ...this.points[0] };
+
+        const passes = elapsed / this.duration;
+        let progress;
+        if (this.path.mode === 'once') {
+            progress = Math.min(passes, 1);
+        } else if (this.path.mode === 'loop') {
+            progress = passes % 1;
+        } else {
+            const cycle = passes % 2;
+            progress = cycle <= 1 ? cycle : 2 - cycle;
+        }
+
+        return this.pointAt(PATH_EASING_FUNCTIONS[this.path.easing](progress) * this.length);
+    }
+
+    /**
+     * Whether the object has come to rest; only paths played once do
+     * @param {number} time - Seconds since the level started
+     * @returns {boolean}
+     */
+    isFinished(time) {
+        return this.path.mode === 'once' && time - this.path.delay >= this.duration;
+    }
+
+    /**
+     * Point at a distance along the path
+     * @param {number} distance - 0 to length
+     * @returns {{x: number, y: number, z: number}}
+     */
+    pointAt(distance) {
+        let low = 0;
+        let high = this.distances.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (this.distances[middle] <= distance) low = middle; else high = middle;
+        }
+
+        const a = this.points[low];
+        const b = this.points[high];
+        const span = this.distances[high] - this.distances[low];
+        const t = span > 0 ? Math.min(Math.max((distance - this.distances[low]) / span, 0), 1) : 0;
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t
+        };
+    }
+}
+
+/**
+ * Points along a Catmull-Rom curve through every point
+ * @param {Object[]} points - {x, y, z} points, at least three
+ * @param {boolean} closed - Whether the curve goes back to the first point
+ * @returns {Object[]} PATH_CURVE_SEGMENTS points per span, plus the last one
+ */
+function sampleCatmullRom(points, closed) {
+    const count = points.length;
+    const spans = closed ? count : count - 1;
+    // Open curves repeat their end points for the missing neighbours
+    const at = (i) => closed ? points[(i + count) % count] : points[Math.min(Math.max(i, 0), count - 1)];
+
+    const samples = [];
+    for (let span = 0; span < spans; span++) {
+        const p0 = at(span - 1);
+        const p1 = at(span);
+        const p2 = at(span + 1);
+        const p3 = at(span + 2);
+        for (let step = 0; step < PATH_CURVE_SEGMENTS; step++) {
+            const t = step / PATH_CURVE_SEGMENTS;
+            const sample = {};
+            ['x', 'y', 'z'].forEach(axis => {
+                sample[axis] = 0.5 * (2 * p1[axis] +
+                    (p2[axis] - p0[axis]) * t +
+                    (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t * t +
+                    (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t * t * t);
+            });
+            samples.push(sample);
+        }
+    }
+    samples.push({ ...at(spans) });
+    return samples;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PATH_CURVE_SEGMENTS,
+        PATH_EASING_FUNCTIONS,
+        PathMotion,
+        sampleCatmullRom
+    };
+}
@@ -0,0 +1,211 @@
+// Links between placed objects
+//
+// A link connects a source (lever, button, trigger) to a target (door, lock,
+// cannon): when the source raises its event, the target performs the action.
+// Links live in the LevelModel and reference both ends by object id. The
+// link tool picks the two ends in the viewport, and every link whose ends are
+// both in the level is drawn as a line from source (green) to target (orange).
+
+const LINK_SOURCE_COLOR = new THREE.Color(0x66ff66);
+const LINK_TARGET_COLOR = new THREE.Color(0xff9933);
+
+// Links touching unselected objects are drawn this much darker
+const LINK_DIM_FACTOR = 0.45;
+
+class LinkTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.active = false;
+        this.source = null;
+        this.pendingTarget = null;
+
+        // One line segment per link, written into the same buffers every frame.
+        // They grow when there are more links than they hold.
+        this.capacity = 0;
+        this.lines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true })
+        );
+        this.lines.name = 'link-lines';
+        this.lines.renderOrder = 999; // Drawn on top of the models
+        this.lines.frustumCulled = false;
+        this.lines.raycast = () => {}; // Never hit by clicks
+        editor.scene.add(this.lines);
+
+        this.setupDialog();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('link-dialog');
+        if (!this.dialog) return;
+
+        const fill = (select, options) => {
+            options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                select.appendChild(element);
+            });
+        };
+        fill(this.dialog.querySelector('#link-event'), LINK_EVENTS);
+        fill(this.dialog.querySelector('#link-action'), LINK_ACTIONS);
+
+        this.dialog.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.dialog.addEventListener('keydown', (e) => e.stopPropagation());
+        this.dialog.querySelector('.link-create').onclick = () => this.createPendingLink();
+        this.dialog.querySelector('.link-cancel').onclick = () => this.closeDialog();
+    }
+
+    /**
+     * Turns link mode on or off. While it is on, clicks in the viewport pick
+     * link ends instead of selecting objects.
+     * @param {boolean} active
+     * @param {THREE.Object3D} [source] - Object to start the link from
+     */
+    setActive(active, source = null) {
+        this.active = active;
+        this.source = active ? source : null;
+        this.closeDialog();
+
+        document.getElementById('link-tool-btn')?.classList.toggle('active', active);
+        document.body.classList.toggle('linking', active);
+
+        if (active) {
+            this.editor.deselectFile();
+            this.editor.showFeedback(source ?
+                `Link from ${this.describe(source)}: click the target` :
+                'Link tool: click the source object');
+        }
+    }
+
+    toggle() {
+        this.setActive(!this.active);
+    }
+
+    /**
+     * Handles a click on a placed object while link mode is on
+     * @param {THREE.Object3D} object - The clicked placed object
+     */
+    pick(object) {
+        if (this.pendingTarget) return;
+
+        if (!this.source) {
+            this.source = object;
+            this.editor.setSelection([object]);
+            this.editor.showFeedback(`Link from ${this.describe(object)}: click the target`);
+            return;
+        }
+
+        if (object === this.source) {
+            this.editor.showFeedback('A link needs two different objects');
+            return;
+        }
+
+        this.pendingTarget = object;
+        this.openDialog();
+    }
+
+    openDialog() {
+        if (!this.dialog) {
+            this.createPendingLink();
+            return;
+        }
+
+        this.dialog.querySelector('.link-description').textContent =
+            `${this.describe(this.source)} → ${this.describe(this.pendingTarget)}`;
+        this.dialog.style.display = 'block';
+        this.dialog.querySelector('#link-event').focus();
+    }
+
+    closeDialog() {
+        this.pendingTarget = null;
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    createPendingLink() {
+        const source = this.editor.getLevelObject(this.source);
+        const target = this.editor.getLevelObject(this.pendingTarget);
+        if (!source || !target) {
+            this.closeDialog();
+            return;
+        }
+
+        const link = new LevelLink({
+            source: source.id,
+            target: target.id,
+            event: this.dialog?.querySelector('#link-event').value,
+            action: this.dialog?.querySelector('#link-action').value
+        });
+        this.editor.history.execute(new AddLinksCommand(this.editor, [link]));
+        this.editor.showFeedback(`Linked ${source.displayName} (${link.event}) → ${target.displayName} (${link.action})`);
+
+        // Stay in link mode for the next link
+        this.closeDialog();
+        this.source = null;
+    }
+
+    describe(object) {
+        const levelObject = this.editor.getLevelObject(object);
+        return levelObject ? levelObject.displayName : object.name;
+    }
+
+    /**
+     * Redraws the link lines for the current object positions
+     */
+    update() {
+        const links = this.editor.level.activeLinks();
+        this.lines.visible = links.length > 0;
+        if (links.length === 0) return;
+
+        if (links.length > this.capacity) {
+            this.capacity = Math.max(links.length, this.capacity * 2);
+            // A new geometry, so the GPU buffers of the smaller one are freed
+            this.lines.geometry.dispose();
+            this.lines.geometry = new THREE.BufferGeometry();
+            this.lines.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 6), 3));
+            this.lines.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.capacity * 6), 3));
+        }
+        const geometry = this.lines.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+
+        const selectedIds = new Set(this.editor.selectedObjects.map(obj => this.editor.getLevelObject(obj)?.id));
+        const color = new THREE.Color();
+        let count = 0;
+
+        links.forEach(link => {
+            const source = this.editor.getPlacedObject(link.source);
+            const target = this.editor.getPlacedObject(link.target);
+            if (!source || !target) return;
+
+            const dim = selectedIds.size > 0 && !selectedIds.has(link.source) && !selectedIds.has(link.target);
+            const factor = dim ? LINK_DIM_FACTOR : 1;
+
+            this.getAnchor(source).toArray(positions.array, count * 6);
+            this.getAnchor(target).toArray(positions.array, count * 6 + 3);
+            color.copy(LINK_SOURCE_COLOR).multiplyScalar(factor).toArray(colors.array, count * 6);
+            color.copy(LINK_TARGET_COLOR).multiplyScalar(factor).toArray(colors.array, count * 6 + 3);
+            count++;
+        });
+
+        // The lines are never culled, so the bounds aren't needed
+        geometry.setDrawRange(0, count * 2);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+
+    /**
+     * Point a link line attaches to: the middle of the object's model bounds
+     * @param {THREE.Object3D} object - A placed object
+     * @returns {THREE.Vector3} World position
+     */
+    getAnchor(object) {
+        const bounds = this.editor.getAssetInfo(object.userData.originalFile)?.bounds;
+        const local = bounds ?
+            new THREE.Vector3().fromArray(bounds.min).add(new THREE.Vector3().fromArray(bounds.max)).multiplyScalar(0.5) :
+            new THREE.Vector3();
+        return object.localToWorld(local);
+    }
+}
@@ -0,0 +1,107 @@
+// Animated ocean surface
+//
+// A square of tiles around the camera target, each a grid of vertices
+// moved to OceanWaves.heightAt every frame. The vertices are further apart
+// than the shortest cross waves are long, so the drawn surface only matches
+// the one the surfer rides on at the vertices and smooths over the chop in
+// between. The tiles follow the view in whole tile steps, which keeps the
+// waves in place while the ocean seems endless. The ocean is never hit by
+// clicks; placement snaps to the water level through the snap toolbar
+// instead.
+
+const OCEAN_TILE_SIZE = 40;
+const OCEAN_TILE_SEGMENTS = 24;
+// Tiles on each side of the center one
+const OCEAN_TILE_RADIUS = 2;
+
+const OCEAN_COLOR = 0x1f6f9a;
+const OCEAN_SKY_COLOR = 0x87c5e8;
+
+class OceanSurface {
+    /**
+     * @param {THREE.Scene} scene - Scene the tiles are added to
+     * @param {OceanWaves} waves - Wave parameters, shared with the level
+     */
+    constructor(scene, waves) {
+        this.waves = waves;
+        this.time = 0;
+
+        this.group = new THREE.Group();
+        this.group.name = 'ocean';
+        this.material = new THREE.MeshStandardMaterial({
+            color: OCEAN_COLOR,
+            roughness: 0.25,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.9
+        });
+
+        for (let row = -OCEAN_TILE_RADIUS; row <= OCEAN_TILE_RADIUS; row++) {
+            for (let column = -OCEAN_TILE_RADIUS; column <= OCEAN_TILE_RADIUS; column++) {
+                const geometry = new THREE.PlaneGeometry(OCEAN_TILE_SIZE, OCEAN_TILE_SIZE, OCEAN_TILE_SEGMENTS, OCEAN_TILE_SEGMENTS);
+                geometry.rotateX(-Math.PI / 2);
+
+                const tile = new THREE.Mesh(geometry, this.material);
+                tile.userData.offset = { x: column * OCEAN_TILE_SIZE, z: row * OCEAN_TILE_SIZE };
+                tile.receiveShadow = true;
+                // The vertices move every frame, out of the flat bounds the geometry was made with
+                tile.frustumCulled = false;
+                tile.raycast = () => {}; // Never hit by clicks
+                this.group.add(tile);
+            }
+        }
+
+        this.group.visible = waves.enabled;
+        scene.add(this.group);
+    }
+
+    /**
+     * Moves the surface to a point in time
+     * @param {number} time - Wave time in seconds
+     * @param {THREE.Vector3} center - Point the tiles are centered on, usually the camera target
+     */
+    update(time, center) {
+        this.time = time;
+        this.group.visible = this.waves.enabled;
+        if (!this.group.visible) return;
+
+        const centerX = Math.round(center.x / OCEAN_TILE_SIZE) * OCEAN_TILE_SIZE;
+        const centerZ = Math.round(center.z / OCEAN_TILE_SIZE) * OCEAN_TILE_SIZE;
+        const waves = this.waves.components;
+        const level = this.waves.level;
+
+        // Same sum as OceanWaves.heightAt and slopeAt, in one pass over the waves
+        this.group.children.forEach(tile => {
+            tile.position.set(centerX + tile.userData.offset.x, 0, centerZ + tile.userData.offset.z);
+
+            const positions = tile.geometry.attributes.position;
+            const normals = tile.geometry.attributes.normal;
+            const p = positions.array;
+            const n = normals.array;
+            for (let i = 0; i < p.length; i += 3) {
+                const x = tile.position.x + p[i];
+                const z = tile.position.z + p[i + 2];
+
+                let height = level;
+                let slopeX = 0;
+                let slopeZ = 0;
+                for (let w = 0; w < waves.length; w++) {
+                    const wave = waves[w];
+                    const angle = wave.kx * x + wave.kz * z - wave.omega * time + wave.phase;
+                    height += wave.amplitude * Math.sin(angle);
+                    const c = wave.amplitude * Math.cos(angle);
+                    slopeX += c * wave.kx;
+                    slopeZ += c * wave.kz;
+                }
+
+                p[i + 1] = height;
+                const length = Math.sqrt(slopeX * slopeX + 1 + slopeZ * slopeZ);
+                n[i] = -slopeX / length;
+                n[i + 1] = 1 / length;
+                n[i + 2] = -slopeZ / length;
+            }
+            positions.needsUpdate = true;
+            normals.needsUpdate = true;
+        });
+    }
+}
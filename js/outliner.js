@@ -0,0 +1,278 @@
+// Scene outliner
+//
+// Lists the placed objects as a tree that follows the parent of each level
+// object. Rows select objects, rename them on double-click and toggle their
+// hidden and locked flags; dragging a row onto another parents it there,
+// dropping it on the empty part of the list moves it back to the top level.
+// Every change goes through the history. The tree is rebuilt lazily, at most
+// once per frame, after the level or the selection changed.
+
+// Indentation per tree level in pixels
+const OUTLINER_INDENT = 14;
+
+class Outliner {
+    constructor(editor) {
+        this.editor = editor;
+        this.list = document.getElementById('outliner-list');
+        this.dirty = true;
+
+        // Ids of objects whose children are folded away
+        this.collapsed = new Set();
+
+        // Ids of the objects being dragged
+        this.dragIds = null;
+
+        if (!this.list) return;
+
+        // Dropping on the list itself, outside any row, unparents
+        this.list.addEventListener('dragover', (e) => {
+            if (!this.dragIds) return;
+            e.preventDefault();
+            this.list.classList.toggle('drop-root', e.target === this.list);
+        });
+        this.list.addEventListener('dragleave', () => this.list.classList.remove('drop-root'));
+        this.list.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.list.classList.remove('drop-root');
+            if (e.target === this.list) this.dropOn(null);
+        });
+
+        document.getElementById('outliner-isolate')?.addEventListener('click', () => {
+            this.editor.setIsolation(!this.editor.isolatedIds);
+        });
+    }
+
+    invalidate() {
+        this.dirty = true;
+    }
+
+    /**
+     * Rebuilds the tree if something changed since the last frame
+     */
+    update() {
+        if (!this.dirty || !this.list) return;
+        this.dirty = false;
+
+        // Don't throw away a name that is being typed
+        if (this.list.querySelector('.outliner-rename')) return;
+
+        this.render();
+    }
+
+    render() {
+        const level = this.editor.level;
+        const selectedIds = new Set(this.editor.selectedObjects.map(obj => this.editor.getLevelObject(obj)?.id));
+
+        // Children per parent id, in level order
+        const children = new Map();
+        level.list().forEach(object => {
+            const parent = level.has(object.parent) ? object.parent : null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(object);
+        });
+
+        this.list.innerHTML = '';
+        if (level.size === 0) {
+            this.list.innerHTML = '<em>No objects placed</em>';
+            return;
+        }
+
+        const addRows = (parentId, depth) => {
+            (children.get(parentId) || []).forEach(object => {
+                const hasChildren = children.has(object.id);
+                this.list.appendChild(this.createRow(object, depth, hasChildren, selectedIds.has(object.id)));
+                if (hasChildren && !this.collapsed.has(object.id)) {
+                    addRows(object.id, depth + 1);
+                }
+            });
+        };
+        addRows(null, 0);
+    }
+
+    /**
+     * @param {LevelObject} object - Object the row stands for
+     * @param {number} depth - Tree level, 0 for top-level objects
+     * @param {boolean} hasChildren - Whether a fold toggle is shown
+     * @param {boolean} selected
+     * @returns {HTMLElement}
+     */
+    createRow(object, depth, hasChildren, selected) {
+        const row = document.createElement('div');
+        row.className = 'outliner-row';
+        row.classList.toggle('selected', selected);
+        row.classList.toggle('hidden-object', object.hidden);
+        row.classList.toggle('locked-object', object.locked);
+        row.classList.toggle('prefab-instance', object.isPrefabInstance);
+        row.classList.toggle('prefab-member', !!object.prefabInstance);
+        row.style.paddingLeft = `${depth * OUTLINER_INDENT}px`;
+        row.dataset.id = object.id;
+        row.draggable = true;
+
+        const fold = document.createElement('span');
+        fold.className = 'outliner-fold';
+        if (hasChildren) {
+            fold.textContent = this.collapsed.has(object.id) ? '▸' : '▾';
+            fold.onclick = (e) => {
+                e.stopPropagation();
+                if (this.collapsed.has(object.id)) {
+                    this.collapsed.delete(object.id);
+                } else {
+                    this.collapsed.add(object.id);
+                }
+                this.render();
+            };
+        }
+        row.appendChild(fold);
+
+        const name = document.createElement('span');
+        name.className = 'outliner-name';
+        name.textContent = object.displayName;
+        name.title = object.path;
+        name.onclick = (e) => this.select(object, e.shiftKey || e.ctrlKey || e.metaKey);
+        name.ondblclick = () => this.startRename(object, name);
+        row.appendChild(name);
+
+        row.appendChild(this.createToggle(object, 'hidden', object.hidden ? '◯' : '◉',
+            object.hidden ? 'Show' : 'Hide'));
+        row.appendChild(this.createToggle(object, 'locked', object.locked ? '▣' : '▢',
+            object.locked ? 'Unlock' : 'Lock (can\'t be selected or moved)'));
+
+        row.addEventListener('dragstart', (e) => this.startDrag(object, e));
+        row.addEventListener('dragend', () => {
+            this.dragIds = null;
+        });
+        row.addEventListener('dragover', (e) => {
+            if (!this.canDropOn(object.id)) return;
+            e.preventDefault();
+            row.classList.add('drop-target');
+        });
+        row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            row.classList.remove('drop-target');
+            this.dropOn(object.id);
+        });
+
+        return row;
+    }
+
+    /**
+     * Button that flips a boolean flag of the object as an undoable step
+     */
+    createToggle(object, flag, text, title) {
+        const button = document.createElement('button');
+        button.className = `outliner-toggle outliner-${flag}`;
+        button.textContent = text;
+        button.title = title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            const placed = this.editor.getPlacedObject(object.id);
+            if (!placed) return;
+
+            const verb = flag === 'hidden' ? (object.hidden ? 'Show' : 'Hide') : (object.locked ? 'Unlock' : 'Lock');
+            this.editor.history.execute(new SetOutlinerStateCommand(this.editor, [placed],
+                [{ [flag]: object[flag] }],
+                [{ [flag]: !object[flag] }],
+                `${verb} ${object.displayName}`));
+        };
+        return button;
+    }
+
+    select(object, additive) {
+        const placed = this.editor.getPlacedObject(object.id);
+        if (!placed) return;
+
+        if (object.locked) {
+            this.editor.showFeedback(`${object.displayName} is locked`);
+            return;
+        }
+        if (!this.editor.isShown(placed)) {
+            this.editor.showFeedback(`${object.displayName} is hidden`);
+            return;
+        }
+        this.editor.selectObject(placed, additive);
+    }
+
+    /**
+     * Replaces the name with a text field; Enter or leaving the field renames,
+     * Escape cancels
+     */
+    startRename(object, nameElement) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'outliner-rename';
+        input.value = object.displayName;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (apply) => {
+            if (done) return;
+            done = true;
+
+            const placed = this.editor.getPlacedObject(object.id);
+            const name = input.value.trim();
+            if (apply && placed && name !== object.displayName) {
+                this.editor.history.execute(new SetOutlinerStateCommand(this.editor, [placed],
+                    [{ name: object.name }],
+                    [{ name }],
+                    `Rename ${object.displayName} to ${name || object.filename}`));
+            }
+            input.remove();
+            this.render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Dragging a selected row drags the whole selection
+     */
+    startDrag(object, event) {
+        const selectedIds = this.editor.selectedObjects.map(obj => this.editor.getLevelObject(obj).id);
+        this.dragIds = selectedIds.includes(object.id) ? selectedIds : [object.id];
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', object.displayName);
+    }
+
+    /**
+     * An object can't be dropped on itself or anything below it
+     * @param {string} targetId - Id of the prospective parent
+     */
+    canDropOn(targetId) {
+        if (!this.dragIds) return false;
+
+        const level = this.editor.level;
+        for (let id = targetId; id; id = level.get(id)?.parent) {
+            if (this.dragIds.includes(id)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Parents the dragged objects to an object, or to the top level
+     * @param {string|null} parentId
+     */
+    dropOn(parentId) {
+        if (parentId && !this.canDropOn(parentId)) return;
+
+        const objects = (this.dragIds || [])
+            .filter(id => (this.editor.level.get(id)?.parent || null) !== parentId)
+            .map(id => this.editor.getPlacedObject(id))
+            .filter(obj => obj);
+        this.dragIds = null;
+        if (objects.length === 0) return;
+
+        if (parentId) {
+            this.collapsed.delete(parentId);
+        }
+        this.editor.history.execute(new ReparentObjectsCommand(this.editor, objects, parentId));
+    }
+}
@@ -0,0 +1,511 @@
+// Waypoint paths of moving objects
+//
+// Every object with a motion path gets a line through its waypoints, drawn
+// like links: bright for the selection, darker for everything else. When a
+// single object with a path is selected, its waypoints get handles; clicking
+// one puts the move gizmo on it, and the drag becomes one undoable path edit.
+// The properties panel's Path section adds and removes paths and waypoints
+// and edits the settings. The preview plays every path in place without
+// touching the level; selecting an object ends it.
+
+const PATH_LINE_COLOR = new THREE.Color(0x33ccff);
+const PATH_DIM_FACTOR = 0.45;
+
+const PATH_HANDLE_COLOR = 0xffdd33;
+const PATH_HANDLE_EDITING_COLOR = 0xff6633;
+const PATH_HANDLE_RADIUS = 0.2;
+
+// Offset of the first waypoint, for objects without an offset property
+const PATH_FIRST_WAYPOINT = { x: 2, y: 0, z: 0 };
+
+const PATH_LABELS = {
+    'linear': 'Linear',
+    'catmull-rom': 'Catmull-Rom',
+    'ease-in': 'Ease in',
+    'ease-out': 'Ease out',
+    'ease-in-out': 'Ease in and out',
+    'ping-pong': 'Ping-pong',
+    'loop': 'Loop',
+    'once': 'Once'
+};
+
+class PathTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.previewing = false;
+        this.previewStart = 0;
+        // Placed objects the preview has moved away from their level position
+        this.previewObjects = new Set();
+        // Waypoint the gizmo is on, and the path before dragging it
+        this.editingIndex = null;
+        this.dragStartPath = null;
+        // PathMotion per motionPath; paths are replaced, never changed, on edits
+        this.motions = new WeakMap();
+
+        // One line segment per piece of every path, written into the same buffers
+        // every frame. They grow when the paths need more room; counted in floats.
+        this.lineCapacity = 0;
+        this.lines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true })
+        );
+        this.lines.name = 'path-lines';
+        this.lines.renderOrder = 999; // Drawn on top of the models
+        this.lines.frustumCulled = false;
+        this.lines.raycast = () => {}; // Never hit by clicks
+        editor.scene.add(this.lines);
+
+        // Waypoint handles of the selected object; unlike the lines they can be clicked
+        this.handles = new THREE.Group();
+        this.handles.name = 'path-handles';
+        this.handleGeometry = new THREE.SphereGeometry(PATH_HANDLE_RADIUS, 12, 8);
+        this.handleMaterial = new THREE.MeshBasicMaterial({ color: PATH_HANDLE_COLOR, depthTest: false, transparent: true });
+        this.editingMaterial = new THREE.MeshBasicMaterial({ color: PATH_HANDLE_EDITING_COLOR, depthTest: false, transparent: true });
+        editor.scene.add(this.handles);
+
+        this.setupPanel();
+    }
+
+    setupPanel() {
+        this.section = document.getElementById('path-section');
+        if (!this.section) return;
+
+        const fill = (select, options) => {
+            options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = PATH_LABELS[option] || option;
+                select.appendChild(element);
+            });
+        };
+        fill(this.section.querySelector('#path-curve'), PATH_CURVES);
+        fill(this.section.querySelector('#path-mode'), PATH_MODES);
+        fill(this.section.querySelector('#path-easing'), PATH_EASINGS);
+
+        // Typing in the fields must not trigger the editor's shortcuts
+        this.section.addEventListener('keydown', (e) => e.stopPropagation());
+
+        ['curve', 'mode', 'easing'].forEach(key => {
+            this.section.querySelector(`#path-${key}`).addEventListener('change', (e) => this.setSetting(key, e.target.value));
+        });
+        ['speed', 'delay'].forEach(key => {
+            this.section.querySelector(`#path-${key}`).addEventListener('change', (e) => this.setSetting(key, Number(e.target.value)));
+        });
+
+        document.getElementById('add-path-btn')?.addEventListener('click', () => this.addPath());
+        document.getElementById('remove-path-btn')?.addEventListener('click', () => this.removePath());
+        document.getElementById('add-waypoint-btn')?.addEventListener('click', () => this.addWaypoint());
+        document.getElementById('remove-waypoint-btn')?.addEventListener('click', () => this.removeWaypoint());
+    }
+
+    /**
+     * The selected object, if it is the only one
+     * @returns {THREE.Object3D|null}
+     */
+    get selected() {
+        return this.editor.selectedObjects.length === 1 ? this.editor.selectedObject : null;
+    }
+
+    /**
+     * Whether the gizmo is on a waypoint handle rather than an object
+     * @returns {boolean}
+     */
+    get isEditingWaypoint() {
+        const attached = this.editor.transformControls.object;
+        return this.editingIndex !== null && !!attached && attached.parent === this.handles;
+    }
+
+    /**
+     * Shows the selected object's path in the properties panel
+     */
+    refresh() {
+        if (!this.section) return;
+
+        const levelObject = this.selected && this.editor.getLevelObject(this.selected);
+        const path = levelObject?.motionPath;
+        this.section.style.display = levelObject ? 'block' : 'none';
+        if (!levelObject) return;
+
+        const info = this.section.querySelector('#path-info');
+        if (path) {
+            const motion = this.getMotion(path);
+            const count = path.waypoints.length;
+            info.textContent = `${count} waypoint${count === 1 ? '' : 's'}, ` +
+                `${motion.length.toFixed(1)} m, ${motion.duration.toFixed(1)} s per pass`;
+        } else {
+            info.textContent = 'Not moving';
+        }
+
+        this.section.querySelector('.path-settings').style.display = path ? '' : 'none';
+        if (path) {
+            ['curve', 'mode', 'easing', 'speed', 'delay'].forEach(key => {
+                const field = this.section.querySelector(`#path-${key}`);
+                // Don't overwrite what is being typed
+                if (document.activeElement !== field) field.value = path[key];
+            });
+        }
+
+        document.getElementById('add-path-btn').style.display = path ? 'none' : '';
+        ['remove-path-btn', 'add-waypoint-btn', 'remove-waypoint-btn'].forEach(id => {
+            document.getElementById(id).style.display = path ? '' : 'none';
+        });
+        document.getElementById('remove-waypoint-btn').disabled = !path || path.waypoints.length === 0;
+    }
+
+    /**
+     * Gives the selected object a path with one waypoint. Objects with an
+     * offset or speed property, like the moving blocks, start from those.
+     */
+    addPath() {
+        const object = this.selected;
+        const levelObject = object && this.editor.getLevelObject(object);
+        if (!levelObject || levelObject.motionPath) return;
+
+        const defaults = this.editor.assetRegistry.get(levelObject.path).properties || {};
+        const offset = levelObject.properties.offset ?? defaults.offset;
+        const speed = Number(levelObject.properties.speed ?? defaults.speed);
+        const first = offset && ['x', 'y', 'z'].every(axis => Number.isFinite(offset[axis])) &&
+            (offset.x !== 0 || offset.y !== 0 || offset.z !== 0) ? offset : PATH_FIRST_WAYPOINT;
+
+        this.setPath(object, {
+            ...PATH_DEFAULTS,
+            speed: speed > 0 ? speed : PATH_DEFAULTS.speed,
+            waypoints: [{ x: first.x, y: first.y, z: first.z }]
+        }, `Add path to ${levelObject.displayName}`);
+    }
+
+    removePath() {
+        const object = this.selected;
+        const levelObject = object && this.editor.getLevelObject(object);
+        if (!levelObject?.motionPath) return;
+
+        this.stopEditing();
+        this.setPath(object, null, `Remove path of ${levelObject.displayName}`);
+    }
+
+    /**
+     * Adds a waypoint after the one being edited, or at the end, continuing
+     * in the direction the path was going, and puts the gizmo on it
+     */
+    addWaypoint() {
+        const object = this.selected;
+        const path = object && this.editor.getLevelObject(object).motionPath;
+        if (!path) return;
+
+        const points = [{ x: 0, y: 0, z: 0 }, ...path.waypoints];
+        const index = this.editingIndex !== null ? this.editingIndex + 1 : points.length - 1;
+        const last = points[index];
+        const before = points[index - 1];
+        let step = before ? { x: last.x - before.x, y: last.y - before.y, z: last.z - before.z } : PATH_FIRST_WAYPOINT;
+        if (step.x === 0 && step.y === 0 && step.z === 0) step = PATH_FIRST_WAYPOINT;
+
+        const waypoints = path.waypoints.slice();
+        waypoints.splice(index, 0, { x: last.x + step.x, y: last.y + step.y, z: last.z + step.z });
+        this.setPath(object, { ...path, waypoints }, `Add waypoint to ${this.editor.getLevelObject(object).displayName}`);
+        this.editWaypoint(index);
+    }
+
+    /**
+     * Removes the waypoint being edited, or the last one
+     */
+    removeWaypoint() {
+        const object = this.selected;
+        const path = object && this.editor.getLevelObject(object).motionPath;
+        if (!path || path.waypoints.length === 0) return;
+
+        const index = this.editingIndex !== null ? this.editingIndex : path.waypoints.length - 1;
+        const waypoints = path.waypoints.filter((_, i) => i !== index);
+        this.stopEditing();
+        this.setPath(object, { ...path, waypoints }, `Remove waypoint of ${this.editor.getLevelObject(object).displayName}`);
+    }
+
+    /**
+     * Changes one setting of the selected object's path
+     * @param {string} key - curve, mode, easing, speed or delay
+     * @param {string|number} value
+     */
+    setSetting(key, value) {
+        const object = this.selected;
+        const path = object && this.editor.getLevelObject(object).motionPath;
+        if (!path) return;
+
+        // Invalid numbers fall back to the defaults; the fields show what was kept
+        const changed = new LevelObject({ motionPath: { ...path, [key]: value } }).motionPath;
+        if (JSON.stringify(changed) !== JSON.stringify(path)) {
+            this.setPath(object, changed);
+        }
+        this.refresh();
+    }
+
+    setPath(object, path, label) {
+        const before = this.editor.getLevelObject(object).motionPath;
+        this.editor.history.execute(new SetMotionPathCommand(this.editor, object, before, path, label));
+    }
+
+    /**
+     * Puts the move gizmo on a waypoint of the selected object
+     * @param {number} index - Index into the path's waypoints
+     */
+    editWaypoint(index) {
+        this.editingIndex = index;
+        this.updateHandles();
+        const handle = this.handles.children[index];
+        if (!handle) {
+            this.stopEditing();
+            return;
+        }
+
+        this.editor.transformControls.setMode('translate');
+        this.editor.updateTransformUI('translate');
+        this.editor.transformControls.attach(handle);
+        this.editor.transformControls.enabled = true;
+    }
+
+    /**
+     * Moves the gizmo back to the selection
+     */
+    stopEditing() {
+        if (this.editingIndex === null) return;
+        this.editingIndex = null;
+        this.editor.attachTransformControls();
+    }
+
+    /**
+     * The waypoint handle among the hits of a click, if any. Handles are
+     * drawn on top, so one behind a model still counts.
+     * @param {Object[]} intersects - Result of raycastScene
+     * @returns {number|null} Index of the waypoint
+     */
+    getHandleHit(intersects) {
+        const hit = intersects.find(intersect => intersect.object.parent === this.handles);
+        return hit ? this.handles.children.indexOf(hit.object) : null;
+    }
+
+    onDragStart() {
+        this.dragStartPath = this.editor.getLevelObject(this.selected).motionPath;
+    }
+
+    /**
+     * Stores the dragged waypoint, snapped to the grid, as one undoable step
+     */
+    onDragEnd() {
+        const object = this.selected;
+        const before = this.dragStartPath;
+        this.dragStartPath = null;
+        const handle = this.handles.children[this.editingIndex];
+        if (!object || !before || !handle) return;
+
+        handle.position.copy(this.editor.snapToGrid(handle.position));
+        const waypoints = before.waypoints.slice();
+        waypoints[this.editingIndex] = this.toOffset(object, handle.position);
+
+        const moved = ['x', 'y', 'z'].some(axis => Math.abs(waypoints[this.editingIndex][axis] - before.waypoints[this.editingIndex][axis]) > 1e-6);
+        if (moved) {
+            this.setPath(object, { ...before, waypoints }, `Move waypoint of ${this.editor.getLevelObject(object).displayName}`);
+        }
+    }
+
+    /**
+     * Turns the in-place preview on or off. Starting it clears the selection;
+     * stopping it puts every object back where the level has it.
+     * @param {boolean} previewing
+     */
+    setPreview(previewing) {
+        if (previewing === this.previewing) return;
+        this.previewing = previewing;
+        document.getElementById('path-preview-btn')?.classList.toggle('active', previewing);
+
+        if (previewing) {
+            this.editor.deselectObject();
+            this.previewStart = performance.now() / 1000;
+            this.editor.showFeedback('Previewing paths: select an object or press M to stop');
+            this.updatePreview();
+        } else {
+            this.previewObjects.forEach(obj => this.restore(obj));
+            this.previewObjects.clear();
+        }
+        this.editor.instancing.invalidate();
+    }
+
+    togglePreview() {
+        this.setPreview(!this.previewing);
+    }
+
+    /**
+     * Whether the preview is moving a placed object; those aren't instanced
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isMoving(object) {
+        return this.previewObjects.has(object);
+    }
+
+    /**
+     * Moves every object with a path to where it is at the preview's time.
+     * Positions come from the level, so nothing of the preview is saved.
+     */
+    updatePreview() {
+        const time = performance.now() / 1000 - this.previewStart;
+        const moving = new Set();
+
+        this.editor.level.list().forEach(levelObject => {
+            const object = levelObject.motionPath && this.editor.getPlacedObject(levelObject.id);
+            if (!object) return;
+
+            const offset = this.getMotion(levelObject.motionPath).offsetAt(time);
+            object.position.set(
+                levelObject.position.x + offset.x,
+                levelObject.position.y + offset.y,
+                levelObject.position.z + offset.z
+            );
+            moving.add(object);
+        });
+
+        // Objects that lost their path or left the level stop
+        let changed = moving.size !== this.previewObjects.size;
+        this.previewObjects.forEach(obj => {
+            if (moving.has(obj)) return;
+            this.restore(obj);
+            changed = true;
+        });
+        this.previewObjects = moving;
+        if (changed) this.editor.instancing.invalidate();
+    }
+
+    restore(object) {
+        const levelObject = this.editor.getLevelObject(object);
+        if (levelObject) object.position.set(levelObject.position.x, levelObject.position.y, levelObject.position.z);
+    }
+
+    /**
+     * Redraws the path lines and handles, and moves the previewed objects
+     */
+    update() {
+        if (this.previewing) this.updatePreview();
+
+        // The gizmo left the handle, e.g. for another selection, or the
+        // waypoint is gone after an undo
+        if (this.editingIndex !== null && !this.isEditingWaypoint) {
+            this.stopEditing();
+        }
+
+        this.updateLines();
+        this.updateHandles();
+    }
+
+    updateLines() {
+        const selectedIds = new Set(this.editor.selectedObjects.map(obj => this.editor.getLevelObject(obj)?.id));
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color();
+
+        this.editor.level.list().forEach(levelObject => {
+            const object = levelObject.motionPath && this.editor.getPlacedObject(levelObject.id);
+            if (!object || !this.editor.isShown(object)) return;
+
+            const dim = selectedIds.size > 0 && !selectedIds.has(levelObject.id);
+            color.copy(PATH_LINE_COLOR).multiplyScalar(dim ? PATH_DIM_FACTOR : 1);
+
+            const points = this.getMotion(this.getDisplayedPath(levelObject)).points.map(point => this.toWorld(object, point));
+            for (let i = 1; i < points.length; i++) {
+                positions.push(...points[i - 1].toArray(), ...points[i].toArray());
+                colors.push(...color.toArray(), ...color.toArray());
+            }
+        });
+
+        this.lines.visible = positions.length > 0;
+        if (positions.length === 0) return;
+
+        if (positions.length > this.lineCapacity) {
+            this.lineCapacity = Math.max(positions.length, this.lineCapacity * 2);
+            // A new geometry, so the GPU buffers of the smaller one are freed
+            this.lines.geometry.dispose();
+            this.lines.geometry = new THREE.BufferGeometry();
+            this.lines.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.lineCapacity), 3));
+            this.lines.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.lineCapacity), 3));
+        }
+        const geometry = this.lines.geometry;
+        geometry.attributes.position.array.set(positions);
+        geometry.attributes.color.array.set(colors);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        // The lines are never culled, so the bounds aren't needed
+        geometry.setDrawRange(0, positions.length / 3);
+    }
+
+    /**
+     * One handle per waypoint of the selected object; none while previewing
+     */
+    updateHandles() {
+        const object = this.previewing ? null : this.selected;
+        const levelObject = object && this.editor.getLevelObject(object);
+        const waypoints = levelObject?.motionPath && this.editor.isShown(object) ? levelObject.motionPath.waypoints : [];
+
+        while (this.handles.children.length > waypoints.length) {
+            this.handles.remove(this.handles.children[this.handles.children.length - 1]);
+        }
+        while (this.handles.children.length < waypoints.length) {
+            const handle = new THREE.Mesh(this.handleGeometry, this.handleMaterial);
+            handle.name = 'path-handle';
+            handle.renderOrder = 1000; // Above the path lines
+            this.handles.add(handle);
+        }
+
+        const dragging = this.editor.transformControls.dragging;
+        this.handles.children.forEach((handle, i) => {
+            handle.material = i === this.editingIndex ? this.editingMaterial : this.handleMaterial;
+            // The handle under the gizmo follows the drag rather than the level
+            if (dragging && i === this.editingIndex) return;
+            handle.position.copy(this.toWorld(object, waypoints[i]));
+        });
+    }
+
+    /**
+     * An object's path as it should be drawn: while its waypoint is dragged,
+     * with the waypoint where the handle is
+     * @param {LevelObject} levelObject
+     * @returns {Object} A motionPath
+     */
+    getDisplayedPath(levelObject) {
+        const path = levelObject.motionPath;
+        const handle = this.handles.children[this.editingIndex];
+        if (!this.dragStartPath || !handle || this.editor.getLevelObject(this.selected) !== levelObject) {
+            return path;
+        }
+
+        const waypoints = path.waypoints.slice();
+        waypoints[this.editingIndex] = this.toOffset(this.selected, handle.position);
+        return { ...path, waypoints };
+    }
+
+    getMotion(path) {
+        if (!this.motions.has(path)) {
+            this.motions.set(path, new PathMotion(path));
+        }
+        return this.motions.get(path);
+    }
+
+    /**
+     * World position of a point on an object's path
+     * @param {THREE.Object3D} object - A placed object
+     * @param {{x, y, z}} offset - Offset from the object's level position
+     * @returns {THREE.Vector3}
+     */
+    toWorld(object, offset) {
+        const position = this.editor.getLevelObject(object).position;
+        const point = new THREE.Vector3(position.x + offset.x, position.y + offset.y, position.z + offset.z);
+        return object.parent ? object.parent.localToWorld(point) : point;
+    }
+
+    /**
+     * Offset from an object's level position of a world position
+     * @param {THREE.Object3D} object - A placed object
+     * @param {THREE.Vector3} world
+     * @returns {{x, y, z}}
+     */
+    toOffset(object, world) {
+        const position = this.editor.getLevelObject(object).position;
+        const point = object.parent ? object.parent.worldToLocal(world.clone()) : world.clone();
+        return { x: point.x - position.x, y: point.y - position.y, z: point.z - position.z };
+    }
+}
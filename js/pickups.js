@@ -0,0 +1,239 @@
+// Pickups: coins, jewels and other collectibles
+//
+// Every placed object with the collectible role is a pickup during play.
+// Its properties say what it is worth (value), how many seconds it takes to
+// come back after being collected (respawn, 0 for never) and from how far it
+// flies to the player (magnetRadius, 0 for not at all); missing properties
+// fall back to the asset registry's defaults. Pickups collected in quick
+// succession build a combo that multiplies their points. Pickups with a
+// source, such as those a destructible drops, wait until released. Runs in
+// the browser and in Node.
+
+const PICKUP_DEFAULTS = { value: 0, respawn: 0, magnetRadius: 0 };
+
+// Seconds after a pickup in which the next one raises the combo
+const PICKUP_COMBO_WINDOW = 2;
+const PICKUP_MAX_COMBO = 10;
+
+// Magnetized pickups speed up towards the player at this rate, in m/s²
+const PICKUP_MAGNET_ACCELERATION = 40;
+
+class PickupSystem {
+    /**
+     * @param {Object[]} pickups - See createPickup
+     */
+    constructor(pickups = []) {
+        this.items = pickups.map(pickup => ({ ...pickup, position: { ...pickup.home } }));
+        this.reset();
+    }
+
+    reset() {
+        this.items.forEach(item => {
+            item.position = { ...item.home };
+            item.waiting = !!item.source;
+            item.collected = false;
+            item.respawnAt = null;
+            item.attracted = false;
+            item.speed = 0;
+        });
+        this.score = 0;
+        // Every collection, respawned pickups included
+        this.collectedCount = 0;
+        // Ids of the pickups collected at least once
+        this.collectedIds = new Set();
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.comboTime = 0;
+    }
+
+    /**
+     * Moves magnetized pickups, collects the ones the player touches and
+     * brings back respawning ones
+     * @param {Object} player - PlaySimulation.player
+     * @param {Object} settings - The simulation's surfer settings, for the player's size
+     * @param {number} dt - Step length in seconds
+     * @param {number} time - Simulation time after the step
+     * @returns {Object[]} { type: 'collect', id, value, points, combo } and { type: 'respawn', id }
+     */
+    update(player, settings, dt, time) {
+        const events = [];
+
+        if (this.combo > 0 && time - this.comboTime > PICKUP_COMBO_WINDOW) {
+            this.combo = 0;
+        }
+
+        this.items.forEach(item => {
+            if (item.waiting) return;
+            if (item.collected) {
+                if (item.respawnAt !== null && time >= item.respawnAt) {
+                    item.collected = false;
+                    item.respawnAt = null;
+                    item.position = { ...item.home };
+                    events.push({ type: 'respawn', id: item.id });
+                }
+                return;
+            }
+
+            // Closest point of the player's body, a vertical segment from the feet up
+            const body = {
+                x: player.position.x,
+                y: Math.max(player.position.y, Math.min(item.position.y, player.position.y + settings.height)),
+                z: player.position.z
+            };
+            const dx = body.x - item.position.x;
+            const dy = body.y - item.position.y;
+            const dz = body.z - item.position.z;
+            let distance = Math.hypot(dx, dy, dz);
+
+            if (!item.attracted && item.magnetRadius > 0 && distance <= item.magnetRadius) {
+                item.attracted = true;
+            }
+            if (item.attracted && distance > 0) {
+                item.speed += PICKUP_MAGNET_ACCELERATION * dt;
+                const move = Math.min(distance, item.speed * dt);
+                item.position.x += dx / distance * move;
+                item.position.y += dy / distance * move;
+                item.position.z += dz / distance * move;
+                distance -= move;
+            }
+
+            if (distance <= item.radius + settings.radius) {
+                events.push(this.collect(item, time));
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Lets the pickups of a source appear
+     * @param {string} source - Id the pickups wait for, e.g. a destroyed object's
+     * @returns {Object[]} { type: 'drop', id } per pickup
+     */
+    release(source) {
+        const events = [];
+        this.items.forEach(item => {
+            if (!item.waiting || item.source !== source) return;
+            item.waiting = false;
+            events.push({ type: 'drop', id: item.id });
+        });
+        return events;
+    }
+
+    collect(item, time) {
+        item.collected = true;
+        item.attracted = false;
+        item.speed = 0;
+        item.respawnAt = item.respawn > 0 ? time + item.respawn : null;
+
+        this.combo = Math.min(this.combo + 1, PICKUP_MAX_COMBO);
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.comboTime = time;
+
+        const points = item.value * this.combo;
+        this.score += points;
+        this.collectedCount++;
+        this.collectedIds.add(item.id);
+        return { type: 'collect', id: item.id, value: item.value, points, combo: this.combo };
+    }
+}
+
+/**
+ * Pickup for a placed object, if it is a collectible
+ * @param {string} id - Level object id
+ * @param {Object} info - Gameplay metadata as returned by AssetRegistry.get
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - World-space bounding box
+ * @param {Object} [properties] - The object's properties
+ * @returns {Object|null} null for anything that isn't a collectible
+ */
+function createPickup(id, info, bounds, properties = {}) {
+    if (info.role !== 'collectible') return null;
+
+    const values = getPickupValues(info, properties);
+    return {
+        id,
+        coin: info.tags.includes('coin'),
+        home: {
+            x: (bounds.min.x + bounds.max.x) / 2,
+            y: (bounds.min.y + bounds.max.y) / 2,
+            z: (bounds.min.z + bounds.max.z) / 2
+        },
+        radius: Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, bounds.max.z - bounds.min.z) / 2,
+        ...values
+    };
+}
+
+/**
+ * Value, respawn and magnet radius of a pickup: its own properties, then the
+ * registry's defaults for the asset
+ */
+function getPickupValues(info, properties = {}) {
+    const values = {};
+    Object.entries(PICKUP_DEFAULTS).forEach(([key, fallback]) => {
+        const value = Number(properties[key] ?? info.properties?.[key]);
+        values[key] = Number.isFinite(value) && value >= 0 ? value : fallback;
+    });
+    return values;
+}
+
+/**
+ * What a level has to collect, including what its destructibles drop
+ * @param {LevelModel} level
+ * @param {AssetRegistry} registry
+ * @returns {{pickups: number, coins: number, points: number}}
+ */
+function computePickupTotals(level, registry) {
+    // projectiles.js loads this module, so Node can only look it up once both are loaded
+    const { getDestructibleValues } = typeof module !== 'undefined' && module.exports ?
+        require('./projectiles.js') :
+        { getDestructibleValues };
+
+    const totals = { pickups: 0, coins: 0, points: 0 };
+    const add = (info, properties, count) => {
+        totals.pickups += count;
+        if (info.tags.includes('coin')) totals.coins += count;
+        totals.points += getPickupValues(info, properties).value * count;
+    };
+
+    level.list().forEach(object => {
+        if (object.isPrefabInstance) return;
+
+        const info = registry.get(object.path);
+        if (info.role === 'collectible') {
+            add(info, object.properties, 1);
+        } else if (info.role === 'destructible') {
+            // Dropped pickups are worth their model's defaults, see createDropPickups
+            const { drop } = getDestructibleValues(info, object.properties);
+            if (drop) add(registry.get(drop.path), {}, drop.count);
+        }
+    });
+    return totals;
+}
+
+/**
+ * Totals as a line of text, e.g. "42 coins, 1,250 points possible"
+ * @param {{pickups: number, coins: number, points: number}} totals
+ * @returns {string}
+ */
+function describePickupTotals(totals) {
+    if (totals.pickups === 0) return 'No pickups';
+
+    const count = (number, noun) => `${number.toLocaleString('en-US')} ${noun}${number === 1 ? '' : 's'}`;
+    const others = totals.pickups - totals.coins;
+    const parts = [];
+    if (totals.coins > 0) parts.push(count(totals.coins, 'coin'));
+    if (others > 0) parts.push(count(others, totals.coins > 0 ? 'other pickup' : 'pickup'));
+    return `${parts.join(', ')}, ${count(totals.points, 'point')} possible`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PICKUP_DEFAULTS,
+        PICKUP_COMBO_WINDOW,
+        PickupSystem,
+        createPickup,
+        getPickupValues,
+        computePickupTotals,
+        describePickupTotals
+    };
+}
@@ -0,0 +1,146 @@
+// Semi-transparent preview of the selected asset under the cursor
+//
+// The ghost is not a placed object: it is skipped by raycasts, selection and
+// saving. It shows where a click would place the model and turns red when it
+// would overlap something already in the scene.
+
+const GHOST_OPACITY = 0.5;
+const GHOST_OVERLAP_COLOR = new THREE.Color(1, 0.25, 0.25);
+
+// Shrinks boxes before testing, so blocks that merely touch don't count
+const GHOST_OVERLAP_TOLERANCE = 0.02;
+
+class PlacementGhost {
+    constructor(editor) {
+        this.editor = editor;
+        this.object = null;
+        this.path = null;
+        this.rotationY = 0;
+        this.isOverlapping = false;
+
+        // Increases with every load so late results for an old file are dropped
+        this.loadToken = 0;
+    }
+
+    /**
+     * Shows a ghost of a model, replacing any previous one
+     * @param {string|null} path - Model path, or null to remove the ghost
+     */
+    async setFile(path) {
+        if (path === this.path) return;
+
+        this.clear();
+        this.path = path;
+        if (!path) return;
+
+        const token = ++this.loadToken;
+        const model = await this.editor.loadModel(path, new THREE.Vector3());
+
+        // Another file was selected while this one loaded
+        if (token !== this.loadToken) {
+            this.editor.disposeObject(model);
+            return;
+        }
+
+        model.name = 'placement-ghost';
+        model.userData.isPlacedObject = false;
+        model.userData.isPlacementGhost = true;
+        model.visible = false;
+        model.rotation.y = this.rotationY;
+
+        model.traverse(child => {
+            if (!child.isMesh) return;
+
+            child.castShadow = false;
+            child.receiveShadow = false;
+            child.raycast = () => {}; // Never hit by clicks
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            const ghostMaterials = materials.map(material => {
+                const ghostMaterial = material.clone();
+                ghostMaterial.transparent = true;
+                ghostMaterial.opacity = GHOST_OPACITY;
+                ghostMaterial.depthWrite = false;
+                ghostMaterial.userData.baseColor = ghostMaterial.color ? ghostMaterial.color.clone() : null;
+                return ghostMaterial;
+            });
+            child.material = Array.isArray(child.material) ? ghostMaterials : ghostMaterials[0];
+            
+            // The originals are shared with placed objects; only give up this use
+            materials.forEach(material => this.editor.modelCache.release(material));
+        });
+
+        this.object = model;
+        this.editor.scene.add(model);
+    }
+
+    clear() {
+        this.loadToken++;
+        this.path = null;
+        this.isOverlapping = false;
+
+        if (this.object) {
+            this.editor.scene.remove(this.object);
+            this.editor.disposeObject(this.object);
+            this.object = null;
+        }
+    }
+
+    /**
+     * Moves the ghost to a placement point, or hides it
+     * @param {THREE.Vector3|null} position - Snapped placement point
+     */
+    moveTo(position) {
+        if (!this.object) return;
+
+        if (!position) {
+            this.object.visible = false;
+            return;
+        }
+
+        this.object.position.copy(position);
+        this.object.visible = true;
+        this.object.updateMatrixWorld(true);
+        this.setOverlapping(this.overlapsScene());
+    }
+
+    /**
+     * Turns the ghost around the vertical axis before it is placed
+     * @param {number} degrees - Signed angle to add
+     */
+    rotate(degrees) {
+        this.rotationY += THREE.MathUtils.degToRad(degrees);
+        if (this.object) {
+            this.object.rotation.y = this.rotationY;
+            this.moveTo(this.object.visible ? this.object.position : null);
+        }
+    }
+
+    overlapsScene() {
+        const ghostBox = new THREE.Box3().setFromObject(this.object);
+        if (ghostBox.isEmpty()) return false;
+        ghostBox.expandByScalar(-GHOST_OVERLAP_TOLERANCE);
+
+        const box = new THREE.Box3();
+        return this.editor.scene.children.some(obj => {
+            if (!obj.userData.isPlacedObject || !obj.visible) return false;
+            return box.setFromObject(obj).expandByScalar(-GHOST_OVERLAP_TOLERANCE).intersectsBox(ghostBox);
+        });
+    }
+
+    setOverlapping(overlapping) {
+        if (overlapping === this.isOverlapping) return;
+        this.isOverlapping = overlapping;
+
+        this.object.traverse(child => {
+            if (!child.isMesh) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                const baseColor = material.userData.baseColor;
+                if (!baseColor) return;
+                material.color.copy(overlapping ? GHOST_OVERLAP_COLOR : baseColor);
+            });
+        });
+    }
+}
@@ -0,0 +1,722 @@
+// Play-testing the level in the editor
+//
+// Play hides the editor's panels and helpers, puts a surfer on the first
+// spawn marker and runs the PlaySimulation with the keyboard as input, with
+// a camera chasing the board. Escape returns to the editor exactly as it
+// was: camera, selection, panels and helpers. Playing never changes the
+// level, so there is nothing to undo afterwards. Hidden objects, and objects
+// isolated away, are left out of the run, so part of a level can be tried on
+// its own. The surfer rides the level's waves; with the ocean turned off it
+// rides still water at the water level. Collectibles spin in place and are
+// picked up by riding through them, which the HUD keeps score of. Cannons
+// fire cannon balls, and destructibles hit often enough are swapped for
+// their demolished model.
+
+const PLAY_KEYS = {
+    a: 'left', arrowleft: 'left',
+    d: 'right', arrowright: 'right',
+    w: 'accelerate', arrowup: 'accelerate',
+    s: 'brake', arrowdown: 'brake',
+    ' ': 'jump',
+    f: 'fire'
+};
+
+// Hides where the ocean tiles end
+const PLAY_FOG_NEAR = 40;
+const PLAY_FOG_FAR = 90;
+
+// Chase camera offset from the player: behind, above, and the point it looks at
+const PLAY_CAMERA_DISTANCE = 7;
+const PLAY_CAMERA_HEIGHT = 3;
+const PLAY_CAMERA_LOOK_AHEAD = 3;
+// How quickly the camera catches up, per second
+const PLAY_CAMERA_EASE = 6;
+
+// Pickups turn this many radians per second, and when collected rise and
+// grow for a moment before they disappear; respawned ones grow back in
+const PLAY_PICKUP_SPIN = 2;
+const PLAY_COLLECT_DURATION = 0.4;
+const PLAY_COLLECT_RISE = 1;
+const PLAY_RESPAWN_DURATION = 0.3;
+
+// Mouse events the editor would act on; kept from it while playing
+const PLAY_BLOCKED_EVENTS = ['mousedown', 'mousemove', 'mouseup', 'pointerdown', 'pointermove', 'pointerup', 'wheel', 'dblclick', 'contextmenu'];
+
+class PlayMode {
+    constructor(editor) {
+        this.editor = editor;
+        this.active = false;
+        this.simulation = null;
+        this.input = {};
+        // Editor state to return to
+        this.saved = null;
+        this.lastTime = 0;
+
+        this.surfer = null;
+        this.water = null;
+        // Drawn pickups by level object id, standing in for the placed objects
+        this.pickupViews = new Map();
+        // One holder per cannon ball in the pool
+        this.projectileViews = [];
+        // Placed objects moved along their motion paths, with the level object
+        this.movingObjects = new Map();
+        // Meshes of placed objects hidden while playing, with their visibility
+        this.hiddenMeshes = [];
+        // Models from the model cache added for this run, released on stop
+        this.loadedModels = [];
+        // Counts runs, so models that finish loading after a run are dropped
+        this.run = 0;
+
+        this.hud = document.getElementById('play-hud');
+        this.speedText = this.hud?.querySelector('.play-speed');
+        this.scoreText = this.hud?.querySelector('.play-score');
+        this.pickupText = this.hud?.querySelector('.play-pickups');
+        this.comboText = this.hud?.querySelector('.play-combo');
+        this.hud?.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.hud?.querySelector('.play-stop')?.addEventListener('click', () => this.stop());
+
+        this.onKey = this.onKey.bind(this);
+        this.blockEvent = this.blockEvent.bind(this);
+        this.releaseKeys = () => this.input = {};
+
+        document.getElementById('play-btn')?.addEventListener('click', () => this.start());
+    }
+
+    start() {
+        if (this.active) return;
+        const editor = this.editor;
+        if (editor.transformControls.dragging) return;
+        // The world is built from where the level has the objects
+        editor.pathTool.setPreview(false);
+
+        const { colliders, pickups, cannons, spawn } = this.buildWorld();
+        this.simulation = new PlaySimulation({
+            colliders,
+            spawn: spawn && this.getSpawnPoint(spawn),
+            water: editor.waves,
+            pickups: new PickupSystem(pickups),
+            projectiles: new ProjectileSystem({
+                cannons,
+                radius: getProjectileRadius(editor.getAssetInfo(PROJECTILE_MODEL)?.bounds)
+            }),
+            startTime: editor.ocean.time
+        });
+
+        // Everything the editor shows or decides while playing, to put back on stop
+        const helpers = [editor.gridHelper, editor.axesHelper, editor.linkTool.lines,
+            editor.pathTool.lines, editor.pathTool.handles,
+            editor.transformControls, editor.placementGhost.object].filter(Boolean);
+        this.saved = {
+            cameraPosition: editor.camera.position.clone(),
+            cameraQuaternion: editor.camera.quaternion.clone(),
+            target: editor.controls.target.clone(),
+            controlsEnabled: editor.controls.enabled,
+            background: editor.scene.background,
+            fog: editor.scene.fog,
+            helpers: helpers.map(helper => [helper, helper.visible]),
+            selection: editor.selectedObjects.slice()
+        };
+
+        helpers.forEach(helper => helper.visible = false);
+        this.saved.selection.forEach(obj => editor.setHighlight(obj, false));
+        this.run++;
+        this.active = true;
+        this.simulation.pickups.items.forEach(item => this.addPickupView(item));
+        this.addProjectileViews();
+        this.movingObjects = this.getMovingObjects();
+        editor.instancing.invalidate();
+        editor.controls.enabled = false;
+        editor.isOverUI = false;
+        editor.scene.background = new THREE.Color(OCEAN_SKY_COLOR);
+        editor.scene.fog = new THREE.Fog(OCEAN_SKY_COLOR, PLAY_FOG_NEAR, PLAY_FOG_FAR);
+        document.body.classList.add('playing');
+
+        this.surfer = createSurferModel();
+        editor.scene.add(this.surfer);
+        if (!editor.waves.enabled) {
+            this.water = this.createWater(editor.waves.level);
+            editor.scene.add(this.water);
+        }
+
+        this.input = {};
+        window.addEventListener('keydown', this.onKey, true);
+        window.addEventListener('keyup', this.onKey, true);
+        window.addEventListener('blur', this.releaseKeys);
+        PLAY_BLOCKED_EVENTS.forEach(type => window.addEventListener(type, this.blockEvent, true));
+
+        this.lastTime = performance.now();
+        this.updateView(1);
+
+        if (!spawn) {
+            editor.showFeedback('No spawn marker in the level; starting at the origin');
+        }
+    }
+
+    /**
+     * Returns to the editor as it was before playing
+     */
+    stop() {
+        if (!this.active) return;
+        const editor = this.editor;
+        const saved = this.saved;
+
+        this.active = false;
+        window.removeEventListener('keydown', this.onKey, true);
+        window.removeEventListener('keyup', this.onKey, true);
+        window.removeEventListener('blur', this.releaseKeys);
+        PLAY_BLOCKED_EVENTS.forEach(type => window.removeEventListener(type, this.blockEvent, true));
+
+        [this.water, this.surfer].filter(Boolean).forEach(object => {
+            editor.scene.remove(object);
+            object.traverse(child => {
+                if (!child.isMesh) return;
+                child.geometry.dispose();
+                child.material.dispose();
+            });
+        });
+        this.water = null;
+        this.surfer = null;
+        this.simulation = null;
+
+        // The placed objects come back; the copies' geometry belongs to the model cache
+        this.pickupViews.forEach(view => editor.scene.remove(view.holder));
+        this.pickupViews.clear();
+        this.projectileViews.forEach(holder => {
+            editor.scene.remove(holder);
+            if (holder.userData.fallback) {
+                holder.userData.fallback.geometry.dispose();
+                holder.userData.fallback.material.dispose();
+            }
+        });
+        this.projectileViews = [];
+        this.loadedModels.forEach(model => {
+            model.parent?.remove(model);
+            editor.modelCache.releaseObject(model);
+        });
+        this.loadedModels = [];
+        this.hiddenMeshes.forEach(([mesh, visible]) => mesh.visible = visible);
+        this.hiddenMeshes = [];
+        this.movingObjects.forEach((levelObject, object) => {
+            object.position.set(levelObject.position.x, levelObject.position.y, levelObject.position.z);
+        });
+        this.movingObjects.clear();
+
+        document.body.classList.remove('playing');
+        editor.scene.background = saved.background;
+        editor.scene.fog = saved.fog;
+        saved.helpers.forEach(([helper, visible]) => helper.visible = visible);
+        saved.selection.forEach(obj => editor.setHighlight(obj, true));
+        editor.instancing.invalidate();
+
+        editor.camera.position.copy(saved.cameraPosition);
+        editor.camera.quaternion.copy(saved.cameraQuaternion);
+        editor.controls.target.copy(saved.target);
+        editor.controls.enabled = saved.controlsEnabled;
+        editor.controls.update();
+        this.saved = null;
+    }
+
+    /**
+     * Advances the simulation by the time since the last frame and moves the
+     * surfer and the camera. Called every frame by the editor.
+     */
+    update() {
+        if (!this.active) return;
+
+        const now = performance.now();
+        // A hidden tab stops frames; don't make up for the time it was away
+        const elapsed = Math.min((now - this.lastTime) / 1000, 0.25);
+        this.lastTime = now;
+
+        const events = this.simulation.advance(elapsed, this.input);
+        events.forEach(event => {
+            const view = this.pickupViews.get(event.id);
+            if (event.type === 'collect' && view) {
+                view.collectedAt = this.simulation.time;
+            } else if ((event.type === 'respawn' || event.type === 'drop') && view) {
+                view.collectedAt = null;
+                view.respawnedAt = this.simulation.time;
+            } else if (event.type === 'destroy') {
+                this.demolish(event.id);
+            }
+        });
+        this.updateView(this.simulation.alpha, elapsed);
+    }
+
+    /**
+     * Draws the player between the last two steps
+     * @param {number} alpha - See PlaySimulation.alpha
+     * @param {number|null} [elapsed] - Seconds since the last frame; without
+     *     it the camera jumps to the chase position instead of easing there
+     */
+    updateView(alpha, elapsed = null) {
+        const { previous, player } = this.simulation;
+        const position = new THREE.Vector3(
+            THREE.MathUtils.lerp(previous.position.x, player.position.x, alpha),
+            THREE.MathUtils.lerp(previous.position.y, player.position.y, alpha),
+            THREE.MathUtils.lerp(previous.position.z, player.position.z, alpha));
+        const heading = THREE.MathUtils.lerp(previous.heading, player.heading, alpha);
+
+        // The waves are drawn at the time the player is drawn at
+        const time = this.simulation.time - (1 - alpha) * this.simulation.timestep;
+        this.editor.ocean.update(time, position);
+
+        const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+        this.surfer.position.copy(position);
+        this.surfer.rotation.set(0, heading, 0);
+        this.surfer.userData.rider.rotation.z = -player.lean * 0.35;
+
+        // The board lies on the wave it rides
+        if (player.onWater) {
+            const slope = this.editor.waves.slopeAt(position.x, position.z, time);
+            const left = new THREE.Vector3(forward.z, 0, -forward.x);
+            this.surfer.rotation.x = -Math.atan(slope.x * forward.x + slope.z * forward.z);
+            this.surfer.rotation.z = Math.atan(slope.x * left.x + slope.z * left.z);
+        }
+
+        const cameraPosition = position.clone()
+            .addScaledVector(forward, -PLAY_CAMERA_DISTANCE)
+            .add(new THREE.Vector3(0, PLAY_CAMERA_HEIGHT, 0));
+        const camera = this.editor.camera;
+        if (elapsed === null) {
+            camera.position.copy(cameraPosition);
+        } else {
+            camera.position.lerp(cameraPosition, 1 - Math.exp(-PLAY_CAMERA_EASE * elapsed));
+        }
+        camera.lookAt(position.clone().addScaledVector(forward, PLAY_CAMERA_LOOK_AHEAD).add(new THREE.Vector3(0, 1, 0)));
+
+        this.updatePickupViews(time);
+        this.updateProjectileViews(alpha);
+        this.updateMovingObjects(time - this.simulation.startTime);
+        this.updateHud();
+    }
+
+    updateProjectileViews(alpha) {
+        const pool = this.simulation.projectiles.pool;
+        this.projectileViews.forEach((holder, i) => {
+            const projectile = pool[i];
+            holder.visible = projectile.active;
+            if (!projectile.active) return;
+            const { previous, position } = projectile;
+            holder.position.set(
+                THREE.MathUtils.lerp(previous.x, position.x, alpha),
+                THREE.MathUtils.lerp(previous.y, position.y, alpha),
+                THREE.MathUtils.lerp(previous.z, position.z, alpha));
+        });
+    }
+
+    /**
+     * Moves the objects with motion paths like the simulation moves their colliders
+     * @param {number} time - Seconds since the run started
+     */
+    updateMovingObjects(time) {
+        this.movingObjects.forEach((levelObject, object) => {
+            const offset = this.editor.pathTool.getMotion(levelObject.motionPath).offsetAt(time);
+            object.position.set(
+                levelObject.position.x + offset.x,
+                levelObject.position.y + offset.y,
+                levelObject.position.z + offset.z
+            );
+        });
+    }
+
+    /**
+     * Whether play mode is moving a placed object; those aren't instanced
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isMoving(object) {
+        return this.movingObjects.has(object);
+    }
+
+    /**
+     * Shown placed objects with a motion path
+     * @returns {Map<THREE.Object3D, LevelObject>}
+     */
+    getMovingObjects() {
+        const moving = new Map();
+        this.editor.level.list().forEach(levelObject => {
+            const object = levelObject.motionPath && this.editor.placedObjectsById.get(levelObject.id);
+            if (object && this.editor.isShown(object)) moving.set(object, levelObject);
+        });
+        return moving;
+    }
+
+    /**
+     * Spins the pickups and plays their collect and respawn animations
+     * @param {number} time - Simulation time the frame is drawn at
+     */
+    updatePickupViews(time) {
+        this.pickupViews.forEach(view => {
+            const { item, holder, offset } = view;
+            if (item.waiting) {
+                holder.visible = false;
+                return;
+            }
+            holder.position.set(item.position.x + offset.x, item.position.y + offset.y, item.position.z + offset.z);
+            holder.rotation.y = time * PLAY_PICKUP_SPIN;
+
+            let scale = 1;
+            if (view.collectedAt !== null) {
+                // The frame can be drawn a little before the step that collected it
+                const t = THREE.MathUtils.clamp((time - view.collectedAt) / PLAY_COLLECT_DURATION, 0, 1);
+                holder.visible = t < 1;
+                holder.position.y += t * PLAY_COLLECT_RISE;
+                holder.rotation.y += t * Math.PI * 4;
+                scale = 1 + t * 0.5;
+            } else if (view.respawnedAt !== null) {
+                holder.visible = true;
+                scale = THREE.MathUtils.clamp((time - view.respawnedAt) / PLAY_RESPAWN_DURATION, 0.01, 1);
+            }
+            holder.scale.setScalar(scale);
+        });
+    }
+
+    updateHud() {
+        const { player, pickups } = this.simulation;
+        const setText = (element, text) => {
+            if (element && element.textContent !== text) element.textContent = text;
+        };
+
+        setText(this.speedText, `${player.speed.toFixed(1)} m/s`);
+        setText(this.scoreText, `${pickups.score.toLocaleString('en-US')} points`);
+
+        const coins = pickups.items.filter(item => item.coin && !item.waiting);
+        if (coins.length > 0) {
+            const collected = coins.filter(item => pickups.collectedIds.has(item.id)).length;
+            setText(this.pickupText, `Coins ${collected}/${coins.length}`);
+        } else {
+            const shown = pickups.items.filter(item => !item.waiting);
+            setText(this.pickupText, shown.length > 0 ? `Pickups ${pickups.collectedIds.size}/${shown.length}` : '');
+        }
+        setText(this.comboText, pickups.combo > 1 ? `x${pickups.combo} combo` : '');
+    }
+
+    /**
+     * Draws a pickup with copies of its placed object's meshes, which are
+     * hidden meanwhile, so it can spin and fly to the player on its own.
+     * Dropped pickups have no placed object and load their model instead.
+     * @param {Object} item - Entry of PickupSystem.items
+     */
+    addPickupView(item) {
+        // Spins around the object's origin, which follows the pickup's center
+        const holder = new THREE.Group();
+        holder.name = `play-pickup:${item.id}`;
+        this.editor.scene.add(holder);
+        const view = { item, holder, offset: new THREE.Vector3(), collectedAt: null, respawnedAt: null };
+        this.pickupViews.set(item.id, view);
+
+        const object = this.editor.placedObjectsById.get(item.id);
+        if (!object) {
+            const bounds = this.editor.getAssetInfo(item.path)?.bounds;
+            this.addModel(item.path, holder).then(model => {
+                if (model && bounds) {
+                    model.position.fromArray(bounds.min).add(new THREE.Vector3().fromArray(bounds.max)).multiplyScalar(-0.5);
+                }
+            });
+            return;
+        }
+
+        object.updateWorldMatrix(true, true);
+        const model = new THREE.Group();
+        const worldPosition = new THREE.Vector3();
+        object.matrixWorld.decompose(worldPosition, model.quaternion, model.scale);
+        const toObject = new THREE.Matrix4().copy(object.matrixWorld).invert();
+
+        this.hideOwnMeshes(object).forEach(mesh => {
+            const copy = new THREE.Mesh(mesh.geometry, mesh.material);
+            copy.matrix.multiplyMatrices(toObject, mesh.matrixWorld);
+            copy.matrix.decompose(copy.position, copy.quaternion, copy.scale);
+            copy.castShadow = mesh.castShadow;
+            copy.raycast = () => {};
+            model.add(copy);
+        });
+        holder.add(model);
+        view.offset = worldPosition.sub(new THREE.Vector3(item.home.x, item.home.y, item.home.z));
+    }
+
+    /**
+     * Adds a holder per cannon ball in the pool, showing the cannon ball
+     * model, or a plain ball if it can't be loaded. Levels without cannons
+     * need none.
+     */
+    addProjectileViews() {
+        const { pool, radius, cannons } = this.simulation.projectiles;
+        if (cannons.length === 0) return;
+        const bounds = this.editor.getAssetInfo(PROJECTILE_MODEL)?.bounds;
+
+        this.projectileViews = pool.map((projectile, i) => {
+            const holder = new THREE.Group();
+            holder.name = `play-projectile:${i}`;
+            holder.visible = false;
+            this.editor.scene.add(holder);
+
+            this.addModel(PROJECTILE_MODEL, holder).then(model => {
+                if (model && bounds) {
+                    // The model is drawn around the ball's center
+                    model.position.fromArray(bounds.min).add(new THREE.Vector3().fromArray(bounds.max)).multiplyScalar(-0.5);
+                } else if (!model && this.active) {
+                    const fallback = new THREE.Mesh(
+                        new THREE.SphereGeometry(radius, 12, 8),
+                        new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.4, metalness: 0.6 }));
+                    fallback.castShadow = true;
+                    holder.add(fallback);
+                    holder.userData.fallback = fallback;
+                }
+            });
+            return holder;
+        });
+    }
+
+    /**
+     * Swaps a destroyed object for its demolished model, e.g.
+     * siege-tower.glb for siege-tower-demolished.glb; without one it just
+     * disappears
+     * @param {string} id - Level object id
+     */
+    demolish(id) {
+        const object = this.editor.placedObjectsById.get(id);
+        const levelObject = this.editor.level.get(id);
+        if (!object || !levelObject) return;
+
+        this.hideOwnMeshes(object);
+        this.editor.instancing.invalidate();
+
+        const demolished = levelObject.path.replace(/\.glb$/i, '-demolished.glb');
+        if (demolished === levelObject.path || !this.editor.getAssetInfo(demolished)) return;
+
+        object.updateWorldMatrix(true, false);
+        const matrix = object.matrixWorld.clone();
+        this.addModel(demolished, this.editor.scene).then(model => {
+            if (model) matrix.decompose(model.position, model.quaternion, model.scale);
+        });
+    }
+
+    /**
+     * Hides a placed object's own meshes until play stops
+     * @returns {THREE.Mesh[]} The hidden meshes
+     */
+    hideOwnMeshes(object) {
+        const meshes = [];
+        traverseOwnNodes(object, node => {
+            if (!node.isMesh) return;
+            this.hiddenMeshes.push([node, node.visible]);
+            node.visible = false;
+            meshes.push(node);
+        });
+        return meshes;
+    }
+
+    /**
+     * Adds a model from the model cache for this run. It is released on
+     * stop, or right away if the run ended while it loaded.
+     * @returns {Promise<THREE.Object3D|null>} null if it could not be loaded or came too late
+     */
+    async addModel(path, parent) {
+        const run = this.run;
+        let model;
+        try {
+            model = await this.editor.modelCache.instantiate(path);
+        } catch (error) {
+            console.warn(`Could not load ${path} for play mode:`, error);
+            return null;
+        }
+        if (!this.active || run !== this.run) {
+            this.editor.modelCache.releaseObject(model);
+            return null;
+        }
+
+        model.traverse(child => {
+            if (!child.isMesh) return;
+            child.castShadow = true;
+            child.raycast = () => {};
+        });
+        parent.add(model);
+        this.loadedModels.push(model);
+        return model;
+    }
+
+    /**
+     * Colliders, pickups and cannons for the shown placed objects, and the
+     * spawn marker
+     * @returns {{colliders: Object[], pickups: Object[], cannons: Object[], spawn: THREE.Object3D|null}}
+     */
+    buildWorld() {
+        const editor = this.editor;
+        const colliders = [];
+        const pickups = [];
+        const cannons = [];
+        let spawn = null;
+
+        editor.placedObjectsById.forEach((object, id) => {
+            const levelObject = editor.level.get(id);
+            // Prefab instances are drawn through their members
+            if (!levelObject || levelObject.isPrefabInstance || !editor.isShown(object)) return;
+
+            const info = editor.assetRegistry.get(levelObject.path);
+            if (info.role === 'spawn' && !spawn) spawn = object;
+
+            const box = this.getWorldBox(object, levelObject.path);
+            if (box.isEmpty()) return;
+            const properties = levelObject.properties;
+            const paths = this.getPaths(object);
+            const pickup = createPickup(id, info, box, properties);
+            if (pickup) pickups.push(setPickupPaths(pickup, paths));
+            const target = properties.target && editor.placedObjectsById.get(properties.target);
+            const cannon = createCannon(id, info, box, this.getHeading(object), properties, this.getTargetPoint(properties.target));
+            if (cannon) cannons.push(setCannonPaths(cannon, paths, target ? this.getPaths(target) : []));
+
+            const collider = createPlayCollider(id, info, box, properties);
+            if (!collider) return;
+            colliders.push(setColliderPaths(collider, paths));
+            if (collider.drop) {
+                // Drops appear around the destructible wherever its path has taken it
+                const dropInfo = editor.assetRegistry.get(collider.drop.path);
+                createDropPickups(collider, dropInfo, editor.getAssetInfo(collider.drop.path)?.bounds || null)
+                    .forEach(drop => pickups.push(setPickupPaths(drop, paths)));
+            }
+        });
+
+        return { colliders, pickups, cannons, spawn };
+    }
+
+    /**
+     * World-space box of a placed object's own model, without the placed
+     * objects parented to it
+     */
+    getWorldBox(object, path) {
+        object.updateWorldMatrix(true, false);
+        const bounds = this.editor.getAssetInfo(path)?.bounds;
+        if (bounds) {
+            return new THREE.Box3(new THREE.Vector3().fromArray(bounds.min), new THREE.Vector3().fromArray(bounds.max))
+                .applyMatrix4(object.matrixWorld);
+        }
+
+        const box = new THREE.Box3();
+        object.traverse(child => {
+            if (child.isMesh && this.editor.getPlacedRoot(child) === object) {
+                box.expandByObject(child);
+            }
+        });
+        return box;
+    }
+
+    /**
+     * Motion paths that move a placed object: its own and those of the
+     * placed objects it is parented to. See setColliderPaths.
+     */
+    getPaths(object) {
+        const paths = [];
+        for (let node = object; node?.userData.isPlacedObject; node = node.parent) {
+            const path = this.editor.getLevelObject(node)?.motionPath;
+            if (!path) continue;
+
+            // Offsets are in the parent's space
+            const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+            node.parent.updateWorldMatrix(true, false);
+            node.parent.matrixWorld.extractBasis(...axes);
+            paths.push({ motion: this.editor.pathTool.getMotion(path), axes: axes.map(({ x, y, z }) => ({ x, y, z })) });
+        }
+        return paths;
+    }
+
+    getSpawnPoint(spawn) {
+        const position = spawn.getWorldPosition(new THREE.Vector3());
+        return { position: { x: position.x, y: position.y, z: position.z }, heading: this.getHeading(spawn) };
+    }
+
+    /**
+     * World rotation of an object around the vertical axis
+     */
+    getHeading(object) {
+        return new THREE.Euler().setFromQuaternion(object.getWorldQuaternion(new THREE.Quaternion()), 'YXZ').y;
+    }
+
+    /**
+     * Center of the object a reference property names
+     * @param {string} [id] - Level object id
+     * @returns {{x, y, z}|null} null if there is no such placed object
+     */
+    getTargetPoint(id) {
+        const object = id && this.editor.placedObjectsById.get(id);
+        const levelObject = id && this.editor.level.get(id);
+        if (!object || !levelObject) return null;
+
+        const box = this.getWorldBox(object, levelObject.path);
+        if (box.isEmpty()) return null;
+        const center = box.getCenter(new THREE.Vector3());
+        return { x: center.x, y: center.y, z: center.z };
+    }
+
+    createWater(level) {
+        const water = new THREE.Mesh(
+            new THREE.PlaneGeometry(2000, 2000),
+            new THREE.MeshStandardMaterial({ color: OCEAN_COLOR, roughness: 0.3, transparent: true, opacity: 0.85 })
+        );
+        water.name = 'play-water';
+        water.rotation.x = -Math.PI / 2;
+        water.position.y = level;
+        water.receiveShadow = true;
+        water.raycast = () => {};
+        return water;
+    }
+
+    onKey(event) {
+        // Nothing reaches the editor's shortcuts while playing
+        event.stopPropagation();
+
+        const key = event.key.toLowerCase();
+        if (event.type === 'keydown' && key === 'escape') {
+            event.preventDefault();
+            this.stop();
+            return;
+        }
+
+        const input = PLAY_KEYS[key];
+        if (!input || event.ctrlKey || event.metaKey) return;
+        event.preventDefault(); // Space and the arrows would scroll
+        this.input[input] = event.type === 'keydown';
+    }
+
+    blockEvent(event) {
+        if (this.hud?.contains(event.target)) return;
+        event.stopPropagation();
+        if (event.type === 'contextmenu') event.preventDefault();
+    }
+}
+
+/**
+ * Pirate on a surfboard, built from primitives. The rider is a child group
+ * so it can lean into turns while the board stays flat.
+ * @returns {THREE.Group} Facing +z, standing on y = 0
+ */
+function createSurferModel() {
+    const surfer = new THREE.Group();
+    surfer.name = 'play-surfer';
+    // Heading first, then pitch and roll on the board's own axes
+    surfer.rotation.order = 'YXZ';
+
+    const material = color => new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
+    const part = (geometry, color, x, y, z) => {
+        const mesh = new THREE.Mesh(geometry, material(color));
+        mesh.position.set(x, y, z);
+        mesh.castShadow = true;
+        return mesh;
+    };
+
+    const board = part(new THREE.CylinderGeometry(0.5, 0.5, 0.08, 24), 0xe8c27a, 0, 0.04, 0);
+    board.scale.set(0.6, 1, 2.2);
+    surfer.add(board);
+
+    const rider = new THREE.Group();
+    rider.add(part(new THREE.CylinderGeometry(0.09, 0.09, 0.7, 8), 0x3b3b58, -0.12, 0.43, 0));
+    rider.add(part(new THREE.CylinderGeometry(0.09, 0.09, 0.7, 8), 0x3b3b58, 0.12, 0.43, 0));
+    rider.add(part(new THREE.CylinderGeometry(0.2, 0.24, 0.6, 10), 0xf2efe6, 0, 1.05, 0));
+    rider.add(part(new THREE.SphereGeometry(0.17, 16, 12), 0xd9a066, 0, 1.5, 0));
+    rider.add(part(new THREE.CylinderGeometry(0.18, 0.18, 0.1, 16), 0xc0392b, 0, 1.6, 0));
+    surfer.add(rider);
+    surfer.userData.rider = rider;
+
+    surfer.traverse(child => child.raycast = () => {});
+    return surfer;
+}
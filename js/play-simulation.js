@@ -0,0 +1,536 @@
+// Play-test simulation
+//
+// Moves the player surfer through a level at a fixed timestep, independent
+// of the frame rate: carving turns the board, accelerating and braking change
+// its speed, and jumping clears obstacles and lands on platforms. Placed
+// objects become colliders from their bounding box and the role in the asset
+// registry; solid ones block the board, the others only report overlaps.
+// On the water the board follows the waves and picks up speed going down
+// their slopes. Collectibles are pickups rather than colliders (see
+// pickups.js) and are collected by touching them. Cannons fire at the player
+// and at destructible objects, which stop blocking once demolished (see
+// projectiles.js). Objects with a motion path move along it, carrying the
+// board that stands on them (see setColliderPaths); pickups and cannons on
+// paths move too (see setPickupPaths and setCannonPaths).
+//
+// The simulation knows nothing about three.js or the page. Inputs are plain
+// objects such as { left: true, accelerate: true }, so a run can be scripted
+// and checked headlessly (see runPlayScript and `level-tool.js play`). Runs in
+// the browser and in Node.
+
+// Node loads the other modules; in the browser their declarations are global
+const SimulationFormat = typeof module !== 'undefined' && module.exports ?
+    { ...require('./waves.js'), ...require('./pickups.js'), ...require('./projectiles.js') } :
+    { OceanWaves, PickupSystem, ProjectileSystem, getDestructibleValues };
+
+const PLAY_TIMESTEP = 1 / 60;
+
+// Steps run per advance() at most, so a long frame can't stall the page
+const PLAY_MAX_STEPS = 5;
+
+// Roles the board passes through; their colliders only report overlaps
+const PLAY_PASS_THROUGH_ROLES = ['trigger', 'spawn', 'projectile'];
+
+const PLAY_INPUTS = ['left', 'right', 'accelerate', 'brake', 'jump', 'fire'];
+
+// Units are meters, seconds and radians
+const SURFER_SETTINGS = {
+    cruiseSpeed: 4,       // Speed the board settles at without input
+    maxSpeed: 14,
+    acceleration: 8,
+    braking: 12,
+    drag: 1.5,            // How quickly the speed returns to cruising speed
+    turnRate: 2.4,
+    carveDrag: 0.3,       // Fraction of the speed lost per second of carving
+    airControl: 0.3,      // Share of the turn rate left in the air
+    jumpSpeed: 8,
+    gravity: 20,
+    radius: 0.4,
+    height: 1.6,
+    stepHeight: 0.3,      // Ledges this low are ridden over instead of blocking
+    waveSlopeFactor: 0.5, // Share of gravity pulling the board down a wave
+    bumpSpeedFactor: 0.4  // Speed kept after running into something
+};
+
+class PlaySimulation {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.colliders] - See createPlayCollider
+     * @param {Object} [options.spawn] - { position: {x, y, z}, heading }; the origin by default
+     * @param {OceanWaves} [options.water] - The water surface; still water at 0 by default
+     * @param {PickupSystem} [options.pickups] - Pickups to collect; none by default
+     * @param {ProjectileSystem} [options.projectiles] - Cannons and their balls; none by default
+     * @param {Object} [options.settings] - Overrides for SURFER_SETTINGS
+     * @param {number} [options.timestep] - Seconds per step
+     * @param {number} [options.startTime] - Wave time of the first step
+     */
+    constructor({ colliders = [], spawn = null, water = null, pickups = null, projectiles = null, settings = {}, timestep = PLAY_TIMESTEP, startTime = 0 } = {}) {
+        this.colliders = colliders;
+        this.pickups = pickups || new SimulationFormat.PickupSystem();
+        this.projectiles = projectiles || new SimulationFormat.ProjectileSystem();
+        this.water = water || new SimulationFormat.OceanWaves({ enabled: false });
+        this.startTime = startTime;
+        this.spawn = {
+            position: { x: 0, y: this.water.heightAt(0, 0, startTime), z: 0, ...spawn?.position },
+            heading: spawn?.heading || 0
+        };
+        this.settings = { ...SURFER_SETTINGS, ...settings };
+        this.timestep = timestep;
+        this.reset();
+    }
+
+    /**
+     * Puts the player back on the spawn point
+     */
+    reset() {
+        this.time = this.startTime;
+        this.stepCount = 0;
+        this.accumulator = 0;
+        this.moveAlongPaths();
+        this.player = {
+            position: { ...this.spawn.position },
+            heading: this.spawn.heading,
+            speed: this.settings.cruiseSpeed,
+            verticalSpeed: 0,
+            grounded: false,
+            onWater: false,
+            lean: 0
+        };
+        const support = this.getSupportHeight(this.player.position, this.player.position.y + this.settings.stepHeight);
+        if (this.player.position.y <= support) {
+            this.player.position.y = support;
+            this.player.grounded = true;
+            this.player.onWater = this.isWaterAt(this.player.position, support);
+        }
+        this.jumpHeld = false;
+        // Ids of the colliders touched in the last step
+        this.contacts = new Set();
+        this.previous = this.snapshot();
+        this.pickups.reset();
+        this.projectiles.reset(this.colliders);
+    }
+
+    /**
+     * Copy of the player state, safe to keep
+     */
+    snapshot() {
+        return { ...this.player, position: { ...this.player.position } };
+    }
+
+    /**
+     * How far the time advanced past the last step, as a fraction of a step.
+     * Drawing the player between the previous and the current step by this
+     * much keeps the motion smooth at any frame rate.
+     */
+    get alpha() {
+        return this.accumulator / this.timestep;
+    }
+
+    /**
+     * Runs as many steps as fit in the elapsed time, carrying the rest over
+     * @param {number} elapsed - Seconds since the last call
+     * @param {Object} input - Held inputs, see PLAY_INPUTS
+     * @returns {Object[]} Events of every step that ran
+     */
+    advance(elapsed, input) {
+        this.accumulator = Math.min(this.accumulator + elapsed, PLAY_MAX_STEPS * this.timestep);
+
+        const events = [];
+        while (this.accumulator >= this.timestep) {
+            this.accumulator -= this.timestep;
+            events.push(...this.step(input));
+        }
+        return events;
+    }
+
+    /**
+     * Advances the simulation by one timestep
+     * @param {Object} [input] - Held inputs, see PLAY_INPUTS
+     * @returns {Object[]} What happened: { type: 'jump' | 'land' | 'bump' | 'overlap', id? },
+     *     plus the events of PickupSystem.update and ProjectileSystem.update
+     */
+    step(input = {}) {
+        const dt = this.timestep;
+        const s = this.settings;
+        const player = this.player;
+        const events = [];
+        this.previous = this.snapshot();
+
+        // Carving: turn left with a positive heading change
+        const turn = (input.left ? 1 : 0) - (input.right ? 1 : 0);
+        player.heading += turn * s.turnRate * (player.grounded ? 1 : s.airControl) * dt;
+        player.lean += (turn - player.lean) * Math.min(1, 8 * dt);
+
+        if (player.grounded) {
+            if (input.accelerate) {
+                player.speed += s.acceleration * dt;
+            } else if (input.brake) {
+                player.speed -= s.braking * dt;
+            } else {
+                player.speed += (s.cruiseSpeed - player.speed) * Math.min(1, s.drag * dt);
+            }
+            player.speed -= player.speed * s.carveDrag * Math.abs(turn) * dt;
+
+            // Downhill on a wave face speeds the board up, uphill slows it
+            if (player.onWater) {
+                const slope = this.water.slopeAt(player.position.x, player.position.z, this.time);
+                const downhill = -(slope.x * Math.sin(player.heading) + slope.z * Math.cos(player.heading));
+                player.speed += s.gravity * s.waveSlopeFactor * downhill * dt;
+            }
+        }
+        player.speed = Math.max(0, Math.min(s.maxSpeed, player.speed));
+
+        // Jumping needs the button pressed again each time
+        if (input.jump && !this.jumpHeld && player.grounded) {
+            player.verticalSpeed = s.jumpSpeed;
+            player.grounded = false;
+            player.onWater = false;
+            events.push({ type: 'jump' });
+        }
+        this.jumpHeld = !!input.jump;
+
+        if (!player.grounded) {
+            player.verticalSpeed -= s.gravity * dt;
+        }
+
+        // A moving platform takes the board standing on it along
+        const platform = player.grounded ? this.getMovingPlatform(player.position) : null;
+        const platformTop = platform && { ...platform.max };
+        this.time += dt;
+        this.moveAlongPaths();
+        if (platform) {
+            player.position.x += platform.max.x - platformTop.x;
+            player.position.y += platform.max.y - platformTop.y;
+            player.position.z += platform.max.z - platformTop.z;
+        }
+
+        const lastY = player.position.y;
+        player.position.x += Math.sin(player.heading) * player.speed * dt;
+        player.position.z += Math.cos(player.heading) * player.speed * dt;
+        player.position.y += player.verticalSpeed * dt;
+
+        this.collide(events);
+
+        // Stand on the water or on the highest top within reach below the feet.
+        // A grounded board follows the surface down as long as it doesn't drop
+        // more than a step, so it stays on falling waves. On the way up only
+        // the water can stop a jump.
+        const rising = !player.grounded && player.verticalSpeed > 0;
+        const support = rising ?
+            this.water.heightAt(player.position.x, player.position.z, this.time) :
+            this.getSupportHeight(player.position, Math.max(lastY, player.position.y) + s.stepHeight);
+        if (player.position.y <= support || (player.grounded && player.position.y - support <= s.stepHeight)) {
+            if (!player.grounded) events.push({ type: 'land' });
+            player.position.y = support;
+            player.verticalSpeed = 0;
+            player.grounded = true;
+            player.onWater = this.isWaterAt(player.position, support);
+        } else if (player.grounded) {
+            // Rode off an edge
+            player.grounded = false;
+            player.onWater = false;
+        }
+
+        events.push(...this.pickups.update(player, s, dt, this.time));
+        events.push(...this.projectiles.update(this, input));
+
+        this.stepCount++;
+        return events;
+    }
+
+    /**
+     * Puts the colliders, pickups and cannons with motion paths where their
+     * paths have them now. Paths start with the run, not with the wave time.
+     */
+    moveAlongPaths() {
+        const time = this.time - this.startTime;
+        const move = (point, home, offset) => {
+            point.x = home.x + offset.x;
+            point.y = home.y + offset.y;
+            point.z = home.z + offset.z;
+        };
+
+        this.colliders.forEach(collider => {
+            if (!collider.paths) return;
+            const offset = getPathOffset(collider.paths, time);
+            ['min', 'max', 'center'].forEach(key => move(collider[key], collider.home[key], offset));
+        });
+
+        this.pickups.items.forEach(item => {
+            if (!item.paths) return;
+            // A new object, since the items share their home with the pickups they were made from
+            item.home = {};
+            move(item.home, item.pathHome, getPathOffset(item.paths, time));
+            // Pickups flying to the player have left their path
+            if (!item.attracted && !item.collected) Object.assign(item.position, item.home);
+        });
+
+        this.projectiles.cannons.forEach(cannon => {
+            if (cannon.paths) move(cannon.muzzle, cannon.home.muzzle, getPathOffset(cannon.paths, time));
+            if (cannon.targetPaths) move(cannon.target, cannon.home.target, getPathOffset(cannon.targetPaths, time));
+        });
+    }
+
+    /**
+     * Solid collider with a motion path whose top the player stands on
+     * @returns {Object|null}
+     */
+    getMovingPlatform(position) {
+        return this.colliders.find(collider => collider.paths && collider.solid && !collider.destroyed &&
+            Math.abs(collider.max.y - position.y) < 1e-6 && isOverCollider(collider, position)) || null;
+    }
+
+    /**
+     * Pushes the player out of solid colliders and reports new contacts
+     * @param {Object[]} events - Receives bump and overlap events
+     */
+    collide(events) {
+        const s = this.settings;
+        const position = this.player.position;
+        const contacts = new Set();
+
+        this.colliders.forEach(collider => {
+            if (collider.destroyed) return;
+            // Tops within a step are ridden onto rather than run into
+            const top = collider.solid ? collider.max.y - s.stepHeight : collider.max.y;
+            if (position.y >= top || position.y + s.height <= collider.min.y) return;
+
+            const push = getColliderPush(collider, position, s.radius);
+            if (!push) return;
+
+            contacts.add(collider.id);
+            const isNew = !this.contacts.has(collider.id);
+            if (!collider.solid) {
+                if (isNew) events.push({ type: 'overlap', id: collider.id });
+                return;
+            }
+
+            position.x += push.x;
+            position.z += push.z;
+
+            // Slide along the side: only the motion along it is kept
+            const length = Math.hypot(push.x, push.z);
+            const into = length > 0 ?
+                -(Math.sin(this.player.heading) * push.x + Math.cos(this.player.heading) * push.z) / length : 0;
+            if (into > 0) {
+                this.player.speed *= Math.sqrt(1 - Math.min(1, into * into));
+            }
+            if (isNew) {
+                this.player.speed *= s.bumpSpeedFactor;
+                events.push({ type: 'bump', id: collider.id });
+            }
+        });
+
+        this.contacts = contacts;
+    }
+
+    /**
+     * Height the player stands on at a point: the water, or the highest solid
+     * top under it that is no higher than the given limit
+     */
+    getSupportHeight(position, limit) {
+        let height = this.water.heightAt(position.x, position.z, this.time);
+        this.colliders.forEach(collider => {
+            if (!collider.solid || collider.destroyed || collider.max.y > limit || collider.max.y <= height) return;
+            if (isOverCollider(collider, position)) height = collider.max.y;
+        });
+        return height;
+    }
+
+    isWaterAt(position, height) {
+        return height === this.water.heightAt(position.x, position.z, this.time);
+    }
+}
+
+/**
+ * Collider for a placed object
+ * @param {string} id - Level object id
+ * @param {Object} info - Gameplay metadata as returned by AssetRegistry.get
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - World-space bounding box
+ * @param {Object} [properties] - The object's properties
+ * @returns {Object|null} null for objects without a collider and for
+ *     collectibles, which are pickups instead (see createPickup).
+ *     Destructibles also get their health and drop, see getDestructibleValues.
+ */
+function createPlayCollider(id, info, bounds, properties = {}) {
+    if (info.collider === 'none' || info.role === 'collectible') return null;
+
+    const center = {
+        x: (bounds.min.x + bounds.max.x) / 2,
+        y: (bounds.min.y + bounds.max.y) / 2,
+        z: (bounds.min.z + bounds.max.z) / 2
+    };
+    const collider = {
+        id,
+        role: info.role,
+        // Mesh colliders are approximated by their box
+        shape: info.collider === 'sphere' ? 'sphere' : 'box',
+        solid: !PLAY_PASS_THROUGH_ROLES.includes(info.role),
+        min: { ...bounds.min },
+        max: { ...bounds.max },
+        center,
+        radius: Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z) / 2,
+        properties
+    };
+    if (info.role === 'destructible') {
+        const { health, drop } = SimulationFormat.getDestructibleValues(info, properties);
+        Object.assign(collider, { maxHealth: health, health, destroyed: false, drop });
+    }
+    return collider;
+}
+
+/**
+ * Makes a collider move with motion paths: its own object's and those of
+ * the objects it is parented to. Its box is where the object is in the level.
+ * @param {Object} collider - See createPlayCollider
+ * @param {Object[]} paths - { motion, axes }: a PathMotion, and the world
+ *     directions of the x, y and z axes of the space its offsets are in
+ *     (the moving object's parent), as three {x, y, z}
+ * @returns {Object} The collider
+ */
+function setColliderPaths(collider, paths) {
+    if (paths.length === 0) return collider;
+    collider.paths = paths;
+    collider.home = { min: { ...collider.min }, max: { ...collider.max }, center: { ...collider.center } };
+    return collider;
+}
+
+/**
+ * Makes a pickup move with motion paths, like setColliderPaths. Its home,
+ * where it waits and respawns, follows the paths; once it flies to the
+ * player it leaves them.
+ * @param {Object} pickup - See createPickup
+ * @param {Object[]} paths - See setColliderPaths
+ * @returns {Object} The pickup
+ */
+function setPickupPaths(pickup, paths) {
+    if (paths.length === 0) return pickup;
+    pickup.paths = paths;
+    pickup.pathHome = { ...pickup.home };
+    return pickup;
+}
+
+/**
+ * Makes a cannon's muzzle move with its motion paths, and its aim with those
+ * of its target, like setColliderPaths
+ * @param {Object} cannon - See createCannon
+ * @param {Object[]} paths - See setColliderPaths
+ * @param {Object[]} [targetPaths] - Paths that move the target object
+ * @returns {Object} The cannon
+ */
+function setCannonPaths(cannon, paths, targetPaths = []) {
+    if (paths.length > 0) cannon.paths = paths;
+    if (targetPaths.length > 0 && cannon.target) cannon.targetPaths = targetPaths;
+    if (cannon.paths || cannon.targetPaths) {
+        cannon.home = { muzzle: { ...cannon.muzzle }, target: cannon.target && { ...cannon.target } };
+    }
+    return cannon;
+}
+
+/**
+ * World-space distance an object has moved from its level position
+ * @param {Object[]} paths - See setColliderPaths
+ * @param {number} time - Seconds since the run started
+ * @returns {{x: number, y: number, z: number}}
+ */
+function getPathOffset(paths, time) {
+    const total = { x: 0, y: 0, z: 0 };
+    paths.forEach(({ motion, axes }) => {
+        const offset = motion.offsetAt(time);
+        ['x', 'y', 'z'].forEach(axis => {
+            total[axis] += axes[0][axis] * offset.x + axes[1][axis] * offset.y + axes[2][axis] * offset.z;
+        });
+    });
+    return total;
+}
+
+/**
+ * How far a circle on the ground plane must move to get out of a collider
+ * @returns {{x: number, z: number}|null} null if they don't touch
+ */
+function getColliderPush(collider, position, radius) {
+    if (collider.shape === 'sphere') {
+        const dx = position.x - collider.center.x;
+        const dz = position.z - collider.center.z;
+        const distance = Math.hypot(dx, dz);
+        const overlap = collider.radius + radius - distance;
+        if (overlap <= 0) return null;
+        // Dead center: push back along x
+        return distance > 0 ? { x: dx / distance * overlap, z: dz / distance * overlap } : { x: overlap, z: 0 };
+    }
+
+    const closestX = Math.max(collider.min.x, Math.min(position.x, collider.max.x));
+    const closestZ = Math.max(collider.min.z, Math.min(position.z, collider.max.z));
+    const dx = position.x - closestX;
+    const dz = position.z - closestZ;
+    const distance = Math.hypot(dx, dz);
+
+    if (distance > 0) {
+        if (distance >= radius) return null;
+        return { x: dx / distance * (radius - distance), z: dz / distance * (radius - distance) };
+    }
+
+    // Inside the box: out through the nearest side
+    const exits = [
+        { x: collider.min.x - radius - position.x, z: 0 },
+        { x: collider.max.x + radius - position.x, z: 0 },
+        { x: 0, z: collider.min.z - radius - position.z },
+        { x: 0, z: collider.max.z + radius - position.z }
+    ];
+    return exits.reduce((best, exit) =>
+        Math.abs(exit.x + exit.z) < Math.abs(best.x + best.z) ? exit : best);
+}
+
+function isOverCollider(collider, position) {
+    if (collider.shape === 'sphere') {
+        return Math.hypot(position.x - collider.center.x, position.z - collider.center.z) <= collider.radius;
+    }
+    return position.x >= collider.min.x && position.x <= collider.max.x &&
+        position.z >= collider.min.z && position.z <= collider.max.z;
+}
+
+/**
+ * Runs a simulation through scripted inputs, one fixed step at a time
+ * @param {PlaySimulation} simulation
+ * @param {Object[]} script - Phases like { steps: 120, input: { accelerate: true } };
+ *     { seconds } can be given instead of steps
+ * @param {Function} [onStep] - Called with (simulation, events) after each step
+ * @returns {Object[]} Every event, with the step it happened in
+ */
+function runPlayScript(simulation, script, onStep = null) {
+    const events = [];
+    script.forEach((phase, index) => {
+        const steps = phase.steps !== undefined ? phase.steps : Math.round((phase.seconds || 0) / simulation.timestep);
+        if (!Number.isInteger(steps) || steps < 0) {
+            throw new Error(`Script phase ${index + 1} needs a whole number of steps or seconds`);
+        }
+        const unknown = Object.keys(phase.input || {}).filter(key => !PLAY_INPUTS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Script phase ${index + 1} has unknown inputs: ${unknown.join(', ')}; expected ${PLAY_INPUTS.join(', ')}`);
+        }
+
+        for (let i = 0; i < steps; i++) {
+            const stepEvents = simulation.step(phase.input || {});
+            stepEvents.forEach(event => events.push({ step: simulation.stepCount, ...event }));
+            if (onStep) onStep(simulation, stepEvents);
+        }
+    });
+    return events;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PLAY_TIMESTEP,
+        PLAY_MAX_STEPS,
+        PLAY_INPUTS,
+        PLAY_PASS_THROUGH_ROLES,
+        SURFER_SETTINGS,
+        PlaySimulation,
+        createPlayCollider,
+        setColliderPaths,
+        setPickupPaths,
+        setCannonPaths,
+        getPathOffset,
+        runPlayScript
+    };
+}
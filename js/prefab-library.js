@@ -0,0 +1,145 @@
+// Prefab files available to the editor
+//
+// Prefabs saved in the editor are written to prefabs/ when the dev server
+// runs. Otherwise they are kept in IndexedDB under their path, since the page
+// can't write files; Export downloads one so it can be committed next to the
+// levels that use it. Prefabs that aren't in the database are fetched from the
+// server by path, which is how levels find committed ones.
+
+class PrefabLibrary {
+    /**
+     * @param {EditorDatabase} database
+     * @param {Map<string, Object>} prefabs - Loaded prefabs by path; shared
+     *     with the level so saving can compute overrides
+     * @param {LevelServer} [server] - Dev server client; prefabs are saved
+     *     through it while it is available
+     */
+    constructor(database, prefabs = new Map(), server = null) {
+        this.database = database;
+        this.prefabs = prefabs;
+        this.server = server;
+        this.listeners = [];
+
+        // Loads in flight by path, so a level with many instances fetches once
+        this.pending = new Map();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    get(path) {
+        return this.prefabs.get(path) || null;
+    }
+
+    /**
+     * Loads a prefab from the database or the server
+     * @param {string} path - Prefab path
+     * @returns {Promise<Object|null>} Prefab data, or null if it doesn't exist or is broken
+     */
+    load(path) {
+        if (this.prefabs.has(path)) return Promise.resolve(this.prefabs.get(path));
+        if (!this.pending.has(path)) {
+            this.pending.set(path, this.fetchPrefab(path).finally(() => this.pending.delete(path)));
+        }
+        return this.pending.get(path);
+    }
+
+    async fetchPrefab(path) {
+        let data = null;
+        try {
+            data = await this.database.get('prefabs', path);
+        } catch (error) {
+            console.warn('Prefab storage unavailable:', error);
+        }
+
+        if (!data) {
+            try {
+                const response = await fetch(path, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                data = await response.json();
+            } catch (error) {
+                console.warn(`Could not load prefab ${path}:`, error);
+                return null;
+            }
+        }
+
+        const problems = checkPrefab(data);
+        if (problems.length > 0) {
+            console.warn(`Prefab ${path} ignored:`, problems.join('; '));
+            return null;
+        }
+
+        this.prefabs.set(path, data);
+        return data;
+    }
+
+    /**
+     * Stores a new or changed prefab
+     * @param {string} path - Prefab path
+     * @param {Object} data - Prefab data
+     */
+    async save(path, data) {
+        this.prefabs.set(path, data);
+        this.listeners.forEach(listener => listener(this));
+
+        // With the dev server the prefab becomes a file, ready to commit
+        if (this.server?.available && path.startsWith(PREFAB_FOLDER)) {
+            try {
+                await this.server.savePrefab(path.slice(PREFAB_FOLDER.length), JSON.stringify(data, null, 2));
+                // A stored copy would be loaded instead of the file
+                await this.database.delete('prefabs', path);
+                return;
+            } catch (error) {
+                console.warn(`Prefab ${path} could not be written to ${PREFAB_FOLDER}, keeping it in browser storage:`, error);
+            }
+        }
+
+        try {
+            await this.database.put('prefabs', path, data);
+        } catch (error) {
+            console.warn(`Prefab ${path} could not be stored and will be lost on reload:`, error);
+        }
+    }
+
+    /**
+     * Paths of the stored and loaded prefabs, and the files in prefabs/ with the dev server
+     * @returns {Promise<string[]>} Sorted paths
+     */
+    async list() {
+        let stored = [];
+        try {
+            stored = await this.database.keys('prefabs');
+        } catch (error) {
+            console.warn('Prefab storage unavailable:', error);
+        }
+        let files = [];
+        if (this.server?.available) {
+            try {
+                files = (await this.server.listPrefabs()).map(file => PREFAB_FOLDER + file.name);
+            } catch (error) {
+                console.warn('Could not list prefab files:', error);
+            }
+        }
+        return Array.from(new Set([...stored, ...files, ...this.prefabs.keys()])).sort();
+    }
+
+    /**
+     * Downloads a prefab file
+     * @param {string} path - Prefab path
+     */
+    export(path) {
+        const data = this.get(path);
+        if (!data) return;
+
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(data, null, 2));
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', path.split('/').pop());
+        document.body.appendChild(linkElement);
+        linkElement.click();
+        document.body.removeChild(linkElement);
+    }
+}
@@ -0,0 +1,334 @@
+// Prefabs: reusable groups of placed objects
+//
+// A prefab file (prefabs/<name>.prefab.json) holds objects in the scene
+// file's object format, with transforms relative to the prefab's origin, and
+// the links between them. Each object has a member id that is unique within
+// the prefab.
+//
+// A level places a prefab as an instance: a LevelObject whose path is the
+// prefab file. Its members are created from the prefab when the level is
+// loaded, with ids "<instance id>/<member id>", so they can be selected,
+// edited, linked to and used as parents like any other object. Scene files
+// only store the instance and what differs from the prefab (its overrides),
+// so changing the prefab changes every instance. Like the level model, this
+// runs in the browser and in Node.
+
+// Node loads the other modules; in the browser their declarations are global
+const PrefabFormat = typeof module !== 'undefined' && module.exports ?
+    { ...require('./scene-schema.js'), ...require('./level-model.js') } :
+    { SCENE_SCHEMA, validateSchema, PREFAB_EXTENSION, LevelObject, LevelLink, isPrefabPath, getPrefabMemberId, getPrefabInstanceId };
+
+const PREFAB_FORMAT = 'AssetEditorPrefab';
+const PREFAB_VERSION = 1;
+const PREFAB_FOLDER = 'prefabs/';
+
+// Transform differences below this are rounding, not overrides
+const PREFAB_EPSILON = 1e-6;
+
+/**
+ * Path a new prefab is saved under
+ * @param {string} name - Name entered by the user
+ * @returns {string} e.g. prefabs/dock-with-crates.prefab.json
+ */
+function getPrefabPath(name) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'prefab';
+    return `${PREFAB_FOLDER}${slug}${PrefabFormat.PREFAB_EXTENSION}`;
+}
+
+/**
+ * Builds prefab file contents from level objects
+ * @param {string} name - Prefab name
+ * @param {LevelObject[]} objects - Parents before children. Objects whose
+ *     parent isn't included become top-level members; their transforms must
+ *     be relative to the prefab origin (e.g. world transforms).
+ * @param {LevelLink[]} [links] - Links; those between two included objects are kept
+ * @param {{x, y, z}} [origin] - Point that becomes the prefab's origin.
+ *     Defaults to the middle of the top-level members' footprint, at their
+ *     lowest point, like pasting.
+ * @returns {Object} Prefab data, ready for JSON.stringify
+ * @throws {Error} If the objects include a prefab instance; prefabs can't be nested
+ */
+function createPrefab(name, objects, links = [], origin = null) {
+    const nested = objects.find(object => object.isPrefabInstance);
+    if (nested) {
+        throw new Error(`${nested.displayName} is a prefab instance; prefabs can't contain other prefabs`);
+    }
+
+    // Members of an existing instance keep their member id, so instances of
+    // an updated prefab keep their overrides
+    const memberIds = new Map();
+    const used = new Set();
+    objects.forEach(object => {
+        if (object.prefabMember && !used.has(object.prefabMember)) {
+            memberIds.set(object.id, object.prefabMember);
+            used.add(object.prefabMember);
+        }
+    });
+    let counter = 0;
+    objects.forEach(object => {
+        if (memberIds.has(object.id)) return;
+        let id;
+        do {
+            id = `m${++counter}`;
+        } while (used.has(id));
+        memberIds.set(object.id, id);
+        used.add(id);
+    });
+
+    const roots = objects.filter(object => !memberIds.has(object.parent));
+    if (!origin) {
+        origin = roots.length === 0 ? { x: 0, y: 0, z: 0 } : {
+            x: roots.reduce((sum, object) => sum + object.position.x, 0) / roots.length,
+            y: Math.min(...roots.map(object => object.position.y)),
+            z: roots.reduce((sum, object) => sum + object.position.z, 0) / roots.length
+        };
+    }
+
+    return {
+        format: PREFAB_FORMAT,
+        version: PREFAB_VERSION,
+        name: name.trim(),
+        objects: objects.map(object => {
+            const isRoot = !memberIds.has(object.parent);
+            const position = isRoot ? {
+                x: object.position.x - origin.x,
+                y: object.position.y - origin.y,
+                z: object.position.z - origin.z
+            } : { ...object.position };
+
+            return {
+                id: memberIds.get(object.id),
+                name: object.displayName,
+                path: object.path,
+                parent: isRoot ? null : memberIds.get(object.parent),
+                position,
+                rotation: { ...object.rotation },
+                scale: { ...object.scale },
+                hidden: object.hidden,
+                locked: object.locked,
+                properties: JSON.parse(JSON.stringify(object.properties)),
+                ...(object.motionPath ? { motionPath: JSON.parse(JSON.stringify(object.motionPath)) } : {})
+            };
+        }),
+        links: links
+            .filter(link => memberIds.has(link.source) && memberIds.has(link.target))
+            .map((link, i) => ({
+                id: `l${i + 1}`,
+                source: memberIds.get(link.source),
+                target: memberIds.get(link.target),
+                event: link.event,
+                action: link.action
+            }))
+    };
+}
+
+/**
+ * Checks parsed prefab file contents
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} Problems found, empty if the prefab is usable
+ */
+function checkPrefab(data) {
+    if (!data || typeof data !== 'object' || data.format !== PREFAB_FORMAT) {
+        return ['not a prefab file'];
+    }
+    if (data.version > PREFAB_VERSION) {
+        return [`prefab version ${data.version} is newer than this editor supports (${PREFAB_VERSION})`];
+    }
+    if (!Array.isArray(data.objects)) {
+        return ['objects: expected array'];
+    }
+
+    const problems = [];
+    const ids = new Set();
+    data.objects.forEach((object, index) => {
+        const where = `objects[${index}]`;
+        problems.push(...PrefabFormat.validateSchema(object, PrefabFormat.SCENE_SCHEMA.definitions.object,
+            PrefabFormat.SCENE_SCHEMA, where));
+
+        if (typeof object?.id !== 'string' || object.id === '' || object.id.includes('/')) {
+            problems.push(`${where}: id must be a non-empty string without "/"`);
+        } else if (ids.has(object.id)) {
+            problems.push(`${where}: duplicate id ${object.id}`);
+        } else {
+            ids.add(object.id);
+        }
+        if (PrefabFormat.isPrefabPath(object?.path)) {
+            problems.push(`${where}: prefabs can't contain other prefabs`);
+        }
+    });
+
+    data.objects.forEach((object, index) => {
+        if (object?.parent && !ids.has(object.parent)) {
+            problems.push(`objects[${index}]: parent ${object.parent} is not in the prefab`);
+        }
+    });
+    (data.links || []).forEach((link, index) => {
+        if (!ids.has(link?.source) || !ids.has(link?.target)) {
+            problems.push(`links[${index}]: connects objects that are not in the prefab`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Creates the members of a prefab instance
+ * @param {Object} prefab - Prefab data
+ * @param {LevelObject} instance - The instance
+ * @param {Object} [overrides] - Changes by member id, see getPrefabOverrides
+ * @returns {{ objects: LevelObject[], links: LevelLink[] }} New members,
+ *     parents before children, and the links between them
+ */
+function instantiatePrefab(prefab, instance, overrides = instance.overrides || {}) {
+    const removed = new Set(prefab.objects
+        .filter(object => overrides[object.id]?.removed)
+        .map(object => object.id));
+    const memberId = (id) => PrefabFormat.getPrefabMemberId(instance.id, id);
+    const parentOf = (object) => {
+        const override = overrides[object.id] || {};
+        const parent = 'parent' in override ? override.parent : object.parent;
+        return parent && !removed.has(parent) ? memberId(parent) : instance.id;
+    };
+
+    const created = prefab.objects
+        .filter(object => !removed.has(object.id))
+        .map(object => {
+            const override = overrides[object.id] || {};
+            return new PrefabFormat.LevelObject({
+                id: memberId(object.id),
+                path: object.path,
+                position: override.position || object.position,
+                rotation: override.rotation || object.rotation,
+                scale: override.scale || object.scale,
+                properties: override.properties || object.properties,
+                name: 'name' in override ? override.name : object.name,
+                hidden: 'hidden' in override ? override.hidden : object.hidden,
+                locked: 'locked' in override ? override.locked : object.locked,
+                motionPath: 'motionPath' in override ? override.motionPath : object.motionPath,
+                parent: parentOf(object),
+                prefabInstance: instance.id,
+                prefabMember: object.id
+            });
+        });
+
+    // Overridden parents can change the order
+    const byId = new Map(created.map(object => [object.id, object]));
+    const objects = [];
+    const visit = (object, path = new Set()) => {
+        if (objects.includes(object) || path.has(object)) return;
+        path.add(object);
+        const parent = byId.get(object.parent);
+        if (parent) visit(parent, path);
+        objects.push(object);
+    };
+    created.forEach(object => visit(object));
+
+    const links = (prefab.links || [])
+        .filter(link => !removed.has(link.source) && !removed.has(link.target))
+        .map(link => new PrefabFormat.LevelLink({
+            id: memberId(link.id),
+            source: memberId(link.source),
+            target: memberId(link.target),
+            event: link.event,
+            action: link.action
+        }));
+
+    return { objects, links };
+}
+
+/**
+ * What an instance's members changed compared to the prefab
+ * @param {Object} prefab - Prefab data
+ * @param {LevelObject} instance - The instance
+ * @param {LevelObject[]} members - The instance's current members
+ * @returns {Object} Overrides by member id; each lists only the changed
+ *     fields, or removed: true for deleted members
+ */
+function getPrefabOverrides(prefab, instance, members) {
+    const byMember = new Map(members.map(member => [member.prefabMember, member]));
+    const overrides = {};
+
+    prefab.objects.forEach(object => {
+        const member = byMember.get(object.id);
+        if (!member) {
+            overrides[object.id] = { removed: true };
+            return;
+        }
+
+        const override = {};
+        ['position', 'rotation', 'scale'].forEach(key => {
+            if (['x', 'y', 'z'].some(axis => Math.abs(member[key][axis] - object[key][axis]) > PREFAB_EPSILON)) {
+                override[key] = { ...member[key] };
+            }
+        });
+        if (JSON.stringify(member.properties) !== JSON.stringify(object.properties || {})) {
+            override.properties = JSON.parse(JSON.stringify(member.properties));
+        }
+        if (member.displayName !== (object.name || member.filename)) {
+            override.name = member.displayName;
+        }
+        if (member.hidden !== !!object.hidden) override.hidden = member.hidden;
+        if (member.locked !== !!object.locked) override.locked = member.locked;
+        if (JSON.stringify(member.motionPath) !== JSON.stringify(object.motionPath || null)) {
+            override.motionPath = member.motionPath && JSON.parse(JSON.stringify(member.motionPath));
+        }
+
+        // Moving a member under another member of the same instance is kept;
+        // parents outside the instance are not
+        let parent;
+        if (member.parent === instance.id) {
+            parent = null;
+        } else if (PrefabFormat.getPrefabInstanceId(member.parent) === instance.id) {
+            parent = member.parent.slice(instance.id.length + 1);
+        }
+        if (parent !== undefined && parent !== (object.parent || null)) {
+            override.parent = parent;
+        }
+
+        if (Object.keys(override).length > 0) {
+            overrides[object.id] = override;
+        }
+    });
+
+    return overrides;
+}
+
+/**
+ * Creates the members of every prefab instance in a level whose prefab is
+ * known and whose members weren't created yet
+ * @param {LevelModel} level - The level; members and their links are added
+ * @param {Map<string, Object>} [prefabs] - Prefab data by path; defaults to level.prefabs
+ * @returns {string[]} Paths of prefabs that are used but not available
+ */
+function expandPrefabInstances(level, prefabs = level.prefabs) {
+    const missing = new Set();
+
+    level.list().filter(object => object.isPrefabInstance).forEach(instance => {
+        const prefab = prefabs.get(instance.path);
+        if (!prefab) {
+            missing.add(instance.path);
+            return;
+        }
+        if (!instance.overrides) return; // Already created
+
+        const { objects, links } = instantiatePrefab(prefab, instance);
+        objects.forEach(object => level.add(object));
+        links.forEach(link => level.addLink(link));
+        instance.overrides = null;
+    });
+
+    return Array.from(missing);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PREFAB_FORMAT,
+        PREFAB_VERSION,
+        PREFAB_FOLDER,
+        getPrefabPath,
+        createPrefab,
+        checkPrefab,
+        instantiatePrefab,
+        getPrefabOverrides,
+        expandPrefabInstances
+    };
+}
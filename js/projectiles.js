@@ -0,0 +1,366 @@
+// Cannons, cannon balls and destructible objects
+//
+// Placed weapons fire cannon balls according to their properties:
+//   auto      fires at its target, or at the player once in range
+//   straight  fires ahead on a timer, wherever the player is
+//   hotkey    fires ahead, or at its target, when the player presses fire
+//   sideways  fires to both sides on a timer, like a ship's broadside
+// Cannon balls fly under gravity and come from a fixed pool; when every ball
+// is in the air the oldest one is recycled. A ball stops at the first solid
+// thing it hits. Destructibles lose health per hit and are demolished at
+// zero: they stop blocking the player, the editor swaps in their
+// "-demolished" model, and the pickups they drop appear around them. Runs in
+// the browser and in Node.
+
+// Node loads the other modules; in the browser their declarations are global
+const ProjectileFormat = typeof module !== 'undefined' && module.exports ?
+    require('./pickups.js') :
+    { createPickup };
+
+const CANNON_FIRE_MODES = ['auto', 'straight', 'hotkey', 'sideways'];
+
+const CANNON_DEFAULTS = {
+    fireMode: 'auto',
+    fireRate: 1,            // Shots per second
+    projectileSpeed: 15,    // m/s when leaving the barrel
+    projectileGravity: 9.8, // m/s²
+    range: 25,              // Auto cannons fire at the player within this distance
+    damage: 1
+};
+
+const DESTRUCTIBLE_DEFAULTS = { health: 3, dropPickup: 'none', dropCount: 3 };
+
+// Pickups a destructible can drop, as file names in the Platformer pack
+const DESTRUCTIBLE_DROPS = ['coin-bronze', 'coin-silver', 'coin-gold', 'jewel', 'heart'];
+const DESTRUCTIBLE_DROP_FOLDER = 'Assets/3D/Platformer/';
+
+const PROJECTILE_MODEL = 'Assets/3D/Pirate/cannon-ball.glb';
+const PROJECTILE_POOL_SIZE = 32;
+// Used when the cannon ball model's size isn't known
+const PROJECTILE_RADIUS = 0.25;
+// Seconds a ball flies before it is recycled, e.g. after missing everything
+const PROJECTILE_LIFETIME = 6;
+
+class ProjectileSystem {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.cannons] - See createCannon
+     * @param {number} [options.poolSize] - Cannon balls in the air at most
+     * @param {number} [options.radius] - Cannon ball radius
+     */
+    constructor({ cannons = [], poolSize = PROJECTILE_POOL_SIZE, radius = PROJECTILE_RADIUS } = {}) {
+        this.cannons = cannons;
+        this.radius = radius;
+        this.pool = Array.from({ length: poolSize }, () => ({
+            active: false,
+            position: { x: 0, y: 0, z: 0 },
+            previous: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            age: 0,
+            gravity: 0,
+            damage: 0,
+            owner: null,
+            byPlayer: false
+        }));
+        this.reset();
+    }
+
+    /**
+     * Puts every ball back in the pool and restores what was destroyed
+     * @param {Object[]} [colliders] - The simulation's colliders
+     */
+    reset(colliders = []) {
+        this.pool.forEach(projectile => projectile.active = false);
+        this.cannons.forEach(cannon => cannon.cooldown = 0);
+        this.fireHeld = false;
+        this.shotCount = 0;
+        colliders.forEach(collider => {
+            if (collider.role !== 'destructible') return;
+            collider.health = collider.maxHealth;
+            collider.destroyed = false;
+        });
+    }
+
+    /**
+     * Fires the cannons that are due and moves the balls in the air
+     * @param {PlaySimulation} simulation
+     * @param {Object} input - Held inputs; fire triggers hotkey cannons
+     * @returns {Object[]} { type: 'fire' | 'impact' | 'hit' | 'destroy' | 'player-hit', id }
+     *     and the 'drop' events of destroyed objects' pickups
+     */
+    update(simulation, input) {
+        const dt = simulation.timestep;
+        const events = [];
+
+        const firePressed = !!input.fire && !this.fireHeld;
+        this.fireHeld = !!input.fire;
+        this.cannons.forEach(cannon => {
+            cannon.cooldown = Math.max(0, cannon.cooldown - dt);
+            if (cannon.cooldown === 0 && this.fireCannon(cannon, simulation, firePressed)) {
+                cannon.cooldown = 1 / cannon.fireRate;
+                events.push({ type: 'fire', id: cannon.id });
+            }
+        });
+
+        this.pool.forEach(projectile => {
+            if (!projectile.active) return;
+
+            const { position, previous, velocity } = projectile;
+            Object.assign(previous, position);
+            velocity.y -= projectile.gravity * dt;
+            position.x += velocity.x * dt;
+            position.y += velocity.y * dt;
+            position.z += velocity.z * dt;
+            projectile.age += dt;
+
+            if (projectile.age > PROJECTILE_LIFETIME ||
+                position.y + this.radius < simulation.water.heightAt(position.x, position.z, simulation.time)) {
+                projectile.active = false;
+                return;
+            }
+            this.hitTest(projectile, simulation, events);
+        });
+
+        return events;
+    }
+
+    /**
+     * Fires a cannon if its mode says it should now
+     * @returns {boolean} Whether it fired
+     */
+    fireCannon(cannon, simulation, firePressed) {
+        const forward = { x: Math.sin(cannon.heading), y: 0, z: Math.cos(cannon.heading) };
+
+        switch (cannon.fireMode) {
+        case 'auto': {
+            const player = simulation.player.position;
+            const aim = cannon.target || { x: player.x, y: player.y + simulation.settings.height / 2, z: player.z };
+            if (!cannon.target && Math.hypot(aim.x - cannon.muzzle.x, aim.z - cannon.muzzle.z) > cannon.range) return false;
+            this.launch(cannon, getLaunchVelocity(cannon, aim), false);
+            return true;
+        }
+        case 'straight':
+            this.launch(cannon, scale(forward, cannon.projectileSpeed), false);
+            return true;
+        case 'hotkey':
+            if (!firePressed) return false;
+            this.launch(cannon, cannon.target ? getLaunchVelocity(cannon, cannon.target) : scale(forward, cannon.projectileSpeed), true);
+            return true;
+        case 'sideways': {
+            const left = { x: forward.z, y: 0, z: -forward.x };
+            this.launch(cannon, scale(left, cannon.projectileSpeed), false);
+            this.launch(cannon, scale(left, -cannon.projectileSpeed), false);
+            return true;
+        }
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Takes a ball from the pool, the one longest in the air if none is free
+     */
+    launch(cannon, velocity, byPlayer) {
+        let projectile = this.pool.find(candidate => !candidate.active);
+        if (!projectile) {
+            projectile = this.pool.reduce((oldest, candidate) => candidate.age > oldest.age ? candidate : oldest);
+        }
+
+        Object.assign(projectile, {
+            active: true,
+            age: 0,
+            gravity: cannon.projectileGravity,
+            damage: cannon.damage,
+            owner: cannon.id,
+            byPlayer
+        });
+        Object.assign(projectile.position, cannon.muzzle);
+        Object.assign(projectile.previous, cannon.muzzle);
+        Object.assign(projectile.velocity, velocity);
+        this.shotCount++;
+        return projectile;
+    }
+
+    /**
+     * Stops a ball at the first collider or player it touches
+     */
+    hitTest(projectile, simulation, events) {
+        const { position } = projectile;
+
+        if (!projectile.byPlayer) {
+            const player = simulation.player.position;
+            const bodyY = Math.max(player.y, Math.min(position.y, player.y + simulation.settings.height));
+            if (Math.hypot(position.x - player.x, position.y - bodyY, position.z - player.z) <= this.radius + simulation.settings.radius) {
+                projectile.active = false;
+                simulation.player.speed *= simulation.settings.bumpSpeedFactor;
+                events.push({ type: 'player-hit', id: projectile.owner });
+                return;
+            }
+        }
+
+        const collider = simulation.colliders.find(candidate =>
+            candidate.id !== projectile.owner && !candidate.destroyed && candidate.solid &&
+            isSphereInCollider(candidate, position, this.radius));
+        if (!collider) return;
+
+        projectile.active = false;
+        if (collider.role !== 'destructible') {
+            events.push({ type: 'impact', id: collider.id });
+            return;
+        }
+
+        collider.health -= projectile.damage;
+        events.push({ type: 'hit', id: collider.id });
+        if (collider.health <= 0) {
+            collider.destroyed = true;
+            events.push({ type: 'destroy', id: collider.id });
+            events.push(...simulation.pickups.release(collider.id));
+        }
+    }
+}
+
+/**
+ * Velocity that lands a ball from a cannon's muzzle on a point: aimed at it
+ * horizontally at the cannon's speed, lobbed just enough against gravity
+ */
+function getLaunchVelocity(cannon, aim) {
+    const dx = aim.x - cannon.muzzle.x;
+    const dz = aim.z - cannon.muzzle.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance === 0) return { x: 0, y: cannon.projectileSpeed, z: 0 };
+
+    const flightTime = distance / cannon.projectileSpeed;
+    return {
+        x: dx / distance * cannon.projectileSpeed,
+        y: (aim.y - cannon.muzzle.y) / flightTime + cannon.projectileGravity * flightTime / 2,
+        z: dz / distance * cannon.projectileSpeed
+    };
+}
+
+function scale(vector, factor) {
+    return { x: vector.x * factor, y: vector.y * factor, z: vector.z * factor };
+}
+
+function isSphereInCollider(collider, center, radius) {
+    if (collider.shape === 'sphere') {
+        const colliderRadius = Math.max(collider.radius, (collider.max.y - collider.min.y) / 2);
+        return Math.hypot(center.x - collider.center.x, center.y - collider.center.y, center.z - collider.center.z) <=
+            colliderRadius + radius;
+    }
+    const dx = center.x - Math.max(collider.min.x, Math.min(center.x, collider.max.x));
+    const dy = center.y - Math.max(collider.min.y, Math.min(center.y, collider.max.y));
+    const dz = center.z - Math.max(collider.min.z, Math.min(center.z, collider.max.z));
+    return Math.hypot(dx, dy, dz) <= radius;
+}
+
+/**
+ * Radius of a cannon ball from the model's bounds
+ * @param {{min: number[], max: number[]}|null} [modelBounds] - Bounds of PROJECTILE_MODEL
+ * @returns {number}
+ */
+function getProjectileRadius(modelBounds) {
+    if (!modelBounds) return PROJECTILE_RADIUS;
+    return Math.max(...[0, 1, 2].map(axis => modelBounds.max[axis] - modelBounds.min[axis])) / 2;
+}
+
+/**
+ * Cannon for a placed object, if it is a weapon
+ * @param {string} id - Level object id
+ * @param {Object} info - Gameplay metadata as returned by AssetRegistry.get
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - World-space bounding box
+ * @param {number} heading - World rotation around y; the barrel points along +z
+ * @param {Object} [properties] - The object's properties
+ * @param {{x, y, z}|null} [target] - World position of the object the target property names
+ * @returns {Object|null} null for anything that isn't a weapon
+ */
+function createCannon(id, info, bounds, heading, properties = {}, target = null) {
+    if (info.role !== 'weapon') return null;
+
+    const values = { ...CANNON_DEFAULTS };
+    const fireMode = properties.fireMode ?? info.properties?.fireMode;
+    if (CANNON_FIRE_MODES.includes(fireMode)) values.fireMode = fireMode;
+    ['fireRate', 'projectileSpeed', 'projectileGravity', 'range', 'damage'].forEach(key => {
+        const value = Number(properties[key] ?? info.properties?.[key]);
+        if (Number.isFinite(value) && (value > 0 || (key === 'projectileGravity' && value === 0))) values[key] = value;
+    });
+
+    // Balls leave from the front of the barrel, half way up
+    const reach = Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z) / 2 + PROJECTILE_RADIUS;
+    return {
+        id,
+        ...values,
+        heading,
+        muzzle: {
+            x: (bounds.min.x + bounds.max.x) / 2 + Math.sin(heading) * reach,
+            y: (bounds.min.y + bounds.max.y) / 2,
+            z: (bounds.min.z + bounds.max.z) / 2 + Math.cos(heading) * reach
+        },
+        target: target ? { ...target } : null,
+        cooldown: 0
+    };
+}
+
+/**
+ * Health and drops of a destructible object: its own properties, then the
+ * registry's defaults for the asset
+ * @returns {{health: number, drop: {path: string, count: number}|null}}
+ */
+function getDestructibleValues(info, properties = {}) {
+    const value = key => properties[key] ?? info.properties?.[key] ?? DESTRUCTIBLE_DEFAULTS[key];
+
+    const health = Number(value('health'));
+    const count = Number(value('dropCount'));
+    const dropPickup = value('dropPickup');
+    return {
+        health: Number.isFinite(health) && health > 0 ? health : DESTRUCTIBLE_DEFAULTS.health,
+        drop: DESTRUCTIBLE_DROPS.includes(dropPickup) && Number.isInteger(count) && count > 0 ?
+            { path: `${DESTRUCTIBLE_DROP_FOLDER}${dropPickup}.glb`, count } : null
+    };
+}
+
+/**
+ * Pickups a destructible collider drops, in a ring around it. They wait in
+ * the PickupSystem until the collider is destroyed.
+ * @param {Object} collider - A destructible collider, see createPlayCollider
+ * @param {Object} info - Registry metadata of the dropped model
+ * @param {{min: number[], max: number[]}|null} modelBounds - Bounds of the
+ *     dropped model in its own space, if known
+ * @returns {Object[]} Pickups for the PickupSystem
+ */
+function createDropPickups(collider, info, modelBounds) {
+    if (!collider.drop) return [];
+
+    const size = modelBounds ?
+        [0, 1, 2].map(axis => modelBounds.max[axis] - modelBounds.min[axis]) :
+        [0.5, 0.5, 0.5];
+    const ring = collider.radius + 1;
+    const pickups = [];
+    for (let i = 0; i < collider.drop.count; i++) {
+        const angle = i / collider.drop.count * Math.PI * 2;
+        const x = collider.center.x + Math.sin(angle) * ring;
+        const z = collider.center.z + Math.cos(angle) * ring;
+        const y = collider.min.y + 0.5;
+        const bounds = {
+            min: { x: x - size[0] / 2, y: y - size[1] / 2, z: z - size[2] / 2 },
+            max: { x: x + size[0] / 2, y: y + size[1] / 2, z: z + size[2] / 2 }
+        };
+        const pickup = ProjectileFormat.createPickup(`${collider.id}:drop:${i}`, info, bounds);
+        if (pickup) pickups.push({ ...pickup, path: collider.drop.path, source: collider.id });
+    }
+    return pickups;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CANNON_FIRE_MODES,
+        CANNON_DEFAULTS,
+        DESTRUCTIBLE_DEFAULTS,
+        DESTRUCTIBLE_DROPS,
+        PROJECTILE_MODEL,
+        ProjectileSystem,
+        getProjectileRadius,
+        createCannon,
+        getDestructibleValues,
+        createDropPickups
+    };
+}
@@ -0,0 +1,257 @@
+// Typed object properties
+//
+// Assets/3D/property-definitions.json declares which properties an asset
+// supports and what type their values have. Definitions are keyed by asset
+// path or path prefix, so a folder ("Assets/3D/Pirate/") or a family of files
+// ("Assets/3D/Platformer/coin-") can share them; longer keys override
+// shorter ones. Properties without a definition stay free-form text.
+//
+// Values are stored in the level as JSON: numbers and booleans as such,
+// enums, colors ("#rrggbb") and object references (the target's id) as
+// strings, and vectors as {x, y, z}. Like the level model, this runs in the
+// browser and in Node.
+
+const PROPERTY_TYPES = ['string', 'number', 'boolean', 'enum', 'color', 'vector3', 'reference'];
+
+const PROPERTY_DEFAULTS = {
+    string: '',
+    number: 0,
+    boolean: false,
+    color: '#ffffff',
+    vector3: { x: 0, y: 0, z: 0 },
+    reference: ''
+};
+
+class PropertyDefinitions {
+    constructor() {
+        // [prefix, { key: definition }] sorted from shortest to longest prefix
+        this.entries = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Replaces the definitions with the contents of a definitions file
+     * @param {Object} data - Parsed property-definitions.json
+     */
+    load(data) {
+        this.entries = [];
+        this.warnings = [];
+
+        Object.entries(data?.definitions || {}).forEach(([prefix, properties]) => {
+            const checked = {};
+            Object.entries(properties || {}).forEach(([key, definition]) => {
+                const error = checkPropertyDefinition(definition);
+                if (error) {
+                    this.warnings.push(`${prefix} ${key}: ${error}`);
+                } else {
+                    checked[key] = { ...definition, key };
+                }
+            });
+            this.entries.push([prefix, checked]);
+        });
+
+        this.entries.sort((a, b) => a[0].length - b[0].length);
+    }
+
+    /**
+     * Definitions that apply to an asset
+     * @param {string} path - Asset path
+     * @returns {Object} Definitions keyed by property name, in declaration order
+     */
+    forAsset(path) {
+        const result = {};
+        this.entries.forEach(([prefix, properties]) => {
+            if (path && path.startsWith(prefix)) {
+                Object.assign(result, properties);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Definitions shared by all given assets, i.e. keys every asset defines the same way
+     * @param {string[]} paths - Asset paths
+     * @returns {Object} Definitions keyed by property name
+     */
+    forAssets(paths) {
+        if (paths.length === 0) return {};
+
+        const [first, ...rest] = paths.map(path => this.forAsset(path));
+        const shared = {};
+        Object.entries(first).forEach(([key, definition]) => {
+            const json = JSON.stringify(definition);
+            if (rest.every(other => JSON.stringify(other[key]) === json)) {
+                shared[key] = definition;
+            }
+        });
+        return shared;
+    }
+
+    /**
+     * Every defined property name, for spotting typos in free-form keys
+     * @returns {string[]}
+     */
+    allKeys() {
+        const keys = new Set();
+        this.entries.forEach(([, properties]) => Object.keys(properties).forEach(key => keys.add(key)));
+        return Array.from(keys);
+    }
+}
+
+/**
+ * @returns {string|null} What is wrong with a definition, or null if it is usable
+ */
+function checkPropertyDefinition(definition) {
+    if (!definition || !PROPERTY_TYPES.includes(definition.type)) {
+        return `unknown type ${JSON.stringify(definition?.type)}`;
+    }
+    if (definition.type === 'enum' && (!Array.isArray(definition.options) || definition.options.length === 0)) {
+        return 'enum needs a list of options';
+    }
+    if (definition.default !== undefined) {
+        const error = checkPropertyValue(definition, definition.default);
+        if (error) return `default ${error}`;
+    }
+    return null;
+}
+
+/**
+ * Value a property has when an object doesn't set it
+ */
+function getPropertyDefault(definition) {
+    if (definition.default !== undefined) return definition.default;
+    if (definition.type === 'enum') return definition.options[0];
+    if (definition.type === 'number' && definition.min !== undefined) return Math.max(definition.min, 0);
+    return PROPERTY_DEFAULTS[definition.type];
+}
+
+function isVector3(value) {
+    return value !== null && typeof value === 'object' &&
+        ['x', 'y', 'z'].every(axis => typeof value[axis] === 'number' && Number.isFinite(value[axis]));
+}
+
+/**
+ * Checks a stored value against its definition
+ * @param {Object} definition - Property definition
+ * @param {*} value - Value as stored in the level
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkPropertyValue(definition, value) {
+    switch (definition.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (definition.min !== undefined && value < definition.min) return `must be at least ${definition.min}`;
+            if (definition.max !== undefined && value > definition.max) return `must be at most ${definition.max}`;
+            if (definition.integer && !Number.isInteger(value)) return 'must be a whole number';
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'enum':
+            return definition.options.includes(value) ? null : `must be one of ${definition.options.join(', ')}`;
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : 'must be a color like #ff8800';
+        case 'vector3':
+            return isVector3(value) ? null : 'must be a vector with x, y and z';
+        case 'reference':
+        case 'string':
+            return typeof value === 'string' ? null : 'must be text';
+        default:
+            return `unknown type ${definition.type}`;
+    }
+}
+
+/**
+ * Converts what was entered in the panel (or an old text value) to a typed value
+ * @param {Object} definition - Property definition
+ * @param {*} input - Text, or the widget's native value
+ * @returns {{ value: *, error: string|null }} The converted value, and an
+ *     error if it can't be stored
+ */
+function parsePropertyValue(definition, input) {
+    let value = input;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+        switch (definition.type) {
+            case 'number':
+                value = text === '' ? NaN : Number(text);
+                break;
+            case 'boolean':
+                value = /^(true|yes|on|1)$/i.test(text) ? true : /^(false|no|off|0)$/i.test(text) ? false : text;
+                break;
+            case 'color':
+                value = /^#?[0-9a-f]{6}$/i.test(text) ? `#${text.replace('#', '').toLowerCase()}` : text;
+                break;
+            case 'vector3': {
+                const parts = text.replace(/[(){}[\]]/g, '').split(/[\s,]+/).filter(part => part).map(Number);
+                value = parts.length === 3 ? { x: parts[0], y: parts[1], z: parts[2] } : text;
+                break;
+            }
+            default:
+                value = text;
+        }
+    }
+
+    const error = checkPropertyValue(definition, value);
+    return { value, error };
+}
+
+/**
+ * Text for a stored value in a free-form row; vectors read back with parsePropertyValue
+ */
+function formatPropertyText(value) {
+    return isVector3(value) ? `${value.x}, ${value.y}, ${value.z}` : String(value);
+}
+
+/**
+ * Suggests a defined key for a free-form key that looks like a typo of it
+ * @param {string} key - Key typed by the user
+ * @param {string[]} knownKeys - Defined property names
+ * @returns {string|null} The likely intended key
+ */
+function findSimilarPropertyKey(key, knownKeys) {
+    const lower = key.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+
+    knownKeys.forEach(known => {
+        if (known === key) return;
+        const distance = editDistance(lower, known.toLowerCase());
+        if (distance < bestDistance && distance <= Math.max(1, Math.floor(known.length / 4))) {
+            best = known;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// Levenshtein distance between two short strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROPERTY_TYPES,
+        PropertyDefinitions,
+        checkPropertyDefinition,
+        checkPropertyValue,
+        getPropertyDefault,
+        parsePropertyValue,
+        formatPropertyText,
+        findSimilarPropertyKey,
+        isVector3
+    };
+}
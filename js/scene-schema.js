@@ -0,0 +1,809 @@
+// Scene file format: schema, migrations and load report
+//
+// Level files are JSON documents in the AssetEditorScene format. Older files
+// are brought up to SCENE_VERSION by a chain of migrations, then checked
+// against SCENE_SCHEMA. Objects that break the schema are repaired when a
+// safe default exists and rejected otherwise; every decision is recorded in a
+// SceneLoadReport so broken levels can be diagnosed.
+//
+// Nothing in here touches the DOM or three.js, so the same code runs in Node
+// (see the exports at the bottom).
+
+const SCENE_FORMAT = 'AssetEditorScene';
+const SCENE_VERSION = '2.8';
+
+// Path of a prefab file; objects with one are prefab instances (see prefabs.js)
+const PREFAB_PATH_PATTERN = /\.prefab\.json$/;
+
+const SCENE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: SCENE_FORMAT,
+    description: `Level file written by the asset level editor, version ${SCENE_VERSION}`,
+    type: 'object',
+    required: ['version', 'metadata', 'objects'],
+    properties: {
+        version: { const: SCENE_VERSION },
+        metadata: {
+            type: 'object',
+            required: ['format'],
+            properties: {
+                format: { const: SCENE_FORMAT },
+                generatedBy: { type: 'string' },
+                date: { type: 'string' },
+                objectCount: { type: 'integer', minimum: 0 },
+                engine: { type: 'string' },
+                editor: { type: 'string' }
+            }
+        },
+        settings: {
+            type: 'object',
+            properties: {
+                snapping: {
+                    type: 'object',
+                    properties: {
+                        gridEnabled: { type: 'boolean' },
+                        gridSize: { type: 'number', exclusiveMinimum: 0 },
+                        rotationEnabled: { type: 'boolean' },
+                        rotationStep: { type: 'number', exclusiveMinimum: 0 },
+                        scaleEnabled: { type: 'boolean' },
+                        scaleStep: { type: 'number', exclusiveMinimum: 0 },
+                        showGrid: { type: 'boolean' },
+                        waterEnabled: { type: 'boolean' }
+                    }
+                },
+                water: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        level: { type: 'number' },
+                        amplitude: { type: 'number', minimum: 0 },
+                        wavelength: { type: 'number', exclusiveMinimum: 0 },
+                        speed: { type: 'number', minimum: 0 },
+                        direction: { type: 'number' },
+                        choppiness: { type: 'number', minimum: 0 }
+                    }
+                }
+            }
+        },
+        objects: {
+            type: 'array',
+            items: { $ref: '#/definitions/object' }
+        },
+        links: {
+            type: 'array',
+            items: { $ref: '#/definitions/link' }
+        }
+    },
+    definitions: {
+        vector3: {
+            type: 'object',
+            required: ['x', 'y', 'z'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+        prefabOverride: {
+            type: 'object',
+            properties: {
+                removed: { type: 'boolean' },
+                name: { type: 'string' },
+                parent: { type: ['string', 'null'] },
+                position: { $ref: '#/definitions/vector3' },
+                rotation: { $ref: '#/definitions/vector3' },
+                scale: { $ref: '#/definitions/vector3' },
+                hidden: { type: 'boolean' },
+                locked: { type: 'boolean' },
+                properties: { $ref: '#/definitions/properties' },
+                motionPath: { anyOf: [{ type: 'null' }, { $ref: '#/definitions/motionPath' }] }
+            }
+        },
+        motionPath: {
+            type: 'object',
+            required: ['waypoints'],
+            properties: {
+                waypoints: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/vector3' }
+                },
+                curve: { enum: ['linear', 'catmull-rom'] },
+                speed: { type: 'number', exclusiveMinimum: 0 },
+                easing: { enum: ['linear', 'ease-in', 'ease-out', 'ease-in-out'] },
+                mode: { enum: ['ping-pong', 'loop', 'once'] },
+                delay: { type: 'number', minimum: 0 }
+            }
+        },
+        properties: {
+            type: 'object',
+            additionalProperties: {
+                anyOf: [
+                    { type: ['string', 'number', 'boolean'] },
+                    { $ref: '#/definitions/vector3' }
+                ]
+            }
+        },
+        link: {
+            type: 'object',
+            required: ['source', 'target', 'event', 'action'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                source: { type: 'string', minLength: 1 },
+                target: { type: 'string', minLength: 1 },
+                event: { type: 'string', minLength: 1 },
+                action: { type: 'string', minLength: 1 }
+            }
+        },
+        object: {
+            type: 'object',
+            required: ['path', 'position', 'rotation', 'scale'],
+            properties: {
+                name: { type: 'string' },
+                path: { type: 'string', pattern: '\\.(glb|prefab\\.json)$' },
+                filename: { type: 'string' },
+                uuid: { type: 'string', minLength: 1 },
+                originalUuid: { type: 'string', minLength: 1 },
+                parent: { type: ['string', 'null'] },
+                hidden: { type: 'boolean' },
+                locked: { type: 'boolean' },
+                position: { $ref: '#/definitions/vector3' },
+                rotation: { $ref: '#/definitions/vector3' },
+                scale: { $ref: '#/definitions/vector3' },
+                properties: { $ref: '#/definitions/properties' },
+                overrides: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/prefabOverride' }
+                },
+                motionPath: { anyOf: [{ type: 'null' }, { $ref: '#/definitions/motionPath' }] }
+            }
+        }
+    }
+};
+
+/**
+ * Checks a value against a JSON schema. Supports the keywords used by
+ * SCENE_SCHEMA: type, const, enum, required, properties,
+ * additionalProperties, items, minimum, exclusiveMinimum, minLength,
+ * pattern, anyOf and local $refs.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema or subschema
+ * @param {Object} [root] - Schema that $refs resolve against
+ * @param {string} [path] - Location of the value, used in messages
+ * @returns {string[]} Problems found, empty if the value is valid
+ */
+function validateSchema(value, schema, root = schema, path = '') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+        if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+        return validateSchema(value, target, root, path);
+    }
+
+    const where = path || 'scene';
+    const errors = [];
+
+    if (schema.anyOf) {
+        const failures = schema.anyOf.map(option => validateSchema(value, option, root, path));
+        if (failures.every(messages => messages.length > 0)) {
+            return [`${where}: ${describeType(value)} does not match any allowed form (${failures.map(messages => messages[0]).join('; ')})`];
+        }
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${where}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${where}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`];
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${where}: must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${path}[${i}]`)));
+    }
+
+    if (matchesType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}: missing ${key}`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (schema.properties && key in schema.properties) {
+                errors.push(...validateSchema(child, schema.properties[key], root, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unexpected ${key}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(child, schema.additionalProperties, root, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Reads the format version of a parsed scene file
+ * @param {*} data - Parsed JSON
+ * @returns {string} major.minor version; files without one are '1.0'
+ */
+function getSceneVersion(data) {
+    if (Array.isArray(data) || data?.version === undefined) return '1.0';
+
+    const match = /^(\d+)(?:\.(\d+))?/.exec(String(data.version));
+    return match ? `${match[1]}.${match[2] || 0}` : String(data.version);
+}
+
+// Converts [x, y, z] or {x, y, z} to {x, y, z}; anything else is returned as is
+function toVector3(value) {
+    if (Array.isArray(value)) {
+        return { x: value[0], y: value[1], z: value[2] };
+    }
+    return value;
+}
+
+// Each step upgrades a scene by one version. Steps may change the data in
+// place and must leave the version field to migrateScene.
+const SCENE_MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '2.0',
+        description: 'Converted the legacy layout (file paths and [x, y, z] arrays)',
+        migrate(scene) {
+            // Anything but an array of objects is left for prepareScene to reject
+            const objects = Array.isArray(scene) ? scene : scene.objects;
+            return {
+                metadata: { format: SCENE_FORMAT },
+                objects: !Array.isArray(objects) ? objects : objects.map(object => {
+                    if (!object || typeof object !== 'object') return object;
+
+                    const { file, ...rest } = object;
+                    const migrated = { ...rest };
+                    if (migrated.path === undefined && file !== undefined) migrated.path = file;
+                    ['position', 'rotation', 'scale'].forEach(key => {
+                        if (key in migrated) migrated[key] = toVector3(migrated[key]);
+                    });
+                    return migrated;
+                })
+            };
+        }
+    },
+    {
+        from: '2.0',
+        to: '2.1',
+        description: 'Added scene metadata',
+        migrate(scene) {
+            scene.metadata = { format: SCENE_FORMAT, ...scene.metadata };
+            return scene;
+        }
+    },
+    {
+        from: '2.1',
+        to: '2.2',
+        description: 'Added per-object properties',
+        migrate(scene) {
+            (scene.objects || []).forEach(object => {
+                if (object && typeof object === 'object' && object.properties === undefined) {
+                    object.properties = {};
+                }
+            });
+            return scene;
+        }
+    },
+    {
+        from: '2.2',
+        to: '2.3',
+        description: 'Added editor settings',
+        migrate(scene) {
+            scene.settings = scene.settings || {};
+            return scene;
+        }
+    },
+    {
+        from: '2.3',
+        to: '2.4',
+        description: 'Allowed typed property values (vectors)',
+        migrate(scene) {
+            return scene;
+        }
+    },
+    {
+        from: '2.4',
+        to: '2.5',
+        description: 'Added links between objects',
+        migrate(scene) {
+            scene.links = scene.links || [];
+            return scene;
+        }
+    },
+    {
+        from: '2.5',
+        to: '2.6',
+        description: 'Added object hierarchy, hidden and locked flags',
+        migrate(scene) {
+            (scene.objects || []).forEach(object => {
+                if (object && typeof object === 'object') {
+                    if (object.parent === undefined) object.parent = null;
+                    if (object.hidden === undefined) object.hidden = false;
+                    if (object.locked === undefined) object.locked = false;
+                }
+            });
+            return scene;
+        }
+    },
+    {
+        from: '2.6',
+        to: '2.7',
+        description: 'Allowed prefab instances',
+        migrate(scene) {
+            return scene;
+        }
+    },
+    {
+        from: '2.7',
+        to: '2.8',
+        description: 'Added waypoint paths for moving objects',
+        migrate(scene) {
+            return scene;
+        }
+    }
+];
+
+/**
+ * Upgrades a parsed scene file to SCENE_VERSION
+ * @param {*} data - Parsed JSON of any supported version; not modified
+ * @param {SceneLoadReport} [report] - Receives the applied steps
+ * @returns {Object} Scene data at the current version
+ * @throws {Error} If the version is unknown or newer than this editor
+ */
+function migrateScene(data, report) {
+    let version = getSceneVersion(data);
+    let scene = JSON.parse(JSON.stringify(data));
+
+    if (report) report.sourceVersion = version;
+
+    while (version !== SCENE_VERSION) {
+        const step = SCENE_MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            const newer = parseFloat(version) > parseFloat(SCENE_VERSION);
+            throw new Error(newer ?
+                `Scene version ${version} is newer than this editor supports (${SCENE_VERSION})` :
+                `Unknown scene version ${version}`);
+        }
+
+        scene = step.migrate(scene);
+        scene.version = step.to;
+        version = step.to;
+        report?.migrations.push(`${step.from} → ${step.to}: ${step.description}`);
+    }
+
+    return scene;
+}
+
+/**
+ * Repairs what can safely be defaulted in one scene object
+ * @param {*} object - Object entry from a migrated scene
+ * @returns {{ object: Object|null, repairs: string[] }} The fixed copy and what was changed
+ */
+function repairSceneObject(object) {
+    const repairs = [];
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        return { object: null, repairs };
+    }
+
+    const fixed = { ...object };
+
+    const vectorDefaults = { position: 0, rotation: 0, scale: 1 };
+    Object.entries(vectorDefaults).forEach(([key, fallback]) => {
+        const value = toVector3(fixed[key]);
+        if (value === undefined) {
+            fixed[key] = { x: fallback, y: fallback, z: fallback };
+            repairs.push(`missing ${key}, set to (${fallback}, ${fallback}, ${fallback})`);
+            return;
+        }
+        if (!value || typeof value !== 'object') return; // Left for the schema to reject
+
+        fixed[key] = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            let component = value[axis];
+            if (typeof component === 'string' && component.trim() !== '' && Number.isFinite(Number(component))) {
+                component = Number(component);
+                repairs.push(`${key}.${axis} was a string, converted to ${component}`);
+            } else if (!matchesType(component, 'number')) {
+                repairs.push(`${key}.${axis} was ${JSON.stringify(component) ?? 'missing'}, set to ${fallback}`);
+                component = fallback;
+            }
+            if (key === 'scale' && component === 0) {
+                repairs.push(`scale.${axis} was 0, set to 1`);
+                component = 1;
+            }
+            fixed[key][axis] = component;
+        });
+    });
+
+    if (fixed.properties === undefined || fixed.properties === null) {
+        fixed.properties = {};
+    } else if (!matchesType(fixed.properties, 'object')) {
+        repairs.push(`properties were ${describeType(fixed.properties)}, dropped`);
+        fixed.properties = {};
+    } else {
+        const properties = {};
+        Object.entries(fixed.properties).forEach(([key, value]) => {
+            if (['string', 'number', 'boolean'].includes(typeof value) && (typeof value !== 'number' || isFinite(value))) {
+                properties[key] = value;
+            } else if (isPropertyVector(value)) {
+                properties[key] = { x: value.x, y: value.y, z: value.z };
+            } else if (value === null || value === undefined) {
+                repairs.push(`property "${key}" had no value, dropped`);
+            } else {
+                properties[key] = JSON.stringify(value);
+                repairs.push(`property "${key}" was ${describeType(value)}, stored as text`);
+            }
+        });
+        fixed.properties = properties;
+    }
+
+    // A broken path only costs the object its movement
+    if (fixed.motionPath !== undefined && fixed.motionPath !== null) {
+        const errors = validateSchema(fixed.motionPath, SCENE_SCHEMA.definitions.motionPath, SCENE_SCHEMA, 'motionPath');
+        if (errors.length > 0) {
+            repairs.push(`motion path was invalid (${errors[0]}), dropped`);
+            delete fixed.motionPath;
+        }
+    }
+
+    if (typeof fixed.path === 'string') {
+        const filename = fixed.path.split('/').pop();
+        if (typeof fixed.filename !== 'string') fixed.filename = filename;
+        if (typeof fixed.name !== 'string') fixed.name = filename;
+    }
+
+    return { object: fixed, repairs };
+}
+
+// Vector property values, e.g. a platform's movement offset
+function isPropertyVector(value) {
+    return matchesType(value, 'object') && Object.keys(value).length === 3 &&
+        ['x', 'y', 'z'].every(axis => matchesType(value[axis], 'number'));
+}
+
+/**
+ * Migrates, repairs and validates a parsed scene file
+ * @param {*} data - Parsed JSON of any supported version
+ * @param {SceneLoadReport} report - Receives migrations, repairs and rejections
+ * @returns {Object|null} Valid scene data holding only the accepted objects,
+ *     or null if the file can't be used at all (see report.errors)
+ */
+function prepareScene(data, report) {
+    if (!Array.isArray(data) && !matchesType(data, 'object')) {
+        report.fail(`Not a scene file: top level is ${describeType(data)}`);
+        return null;
+    }
+    if (!Array.isArray(data) && data.metadata?.format !== undefined && data.metadata.format !== SCENE_FORMAT) {
+        report.fail(`Not a scene file: format is ${JSON.stringify(data.metadata.format)}`);
+        return null;
+    }
+
+    // Legacy files are an array, or an object with objects but no version;
+    // anything else would load as an empty level
+    if (!Array.isArray(data) && data.version === undefined && !Array.isArray(data.objects)) {
+        report.fail('Not a scene file: no version and no objects array');
+        return null;
+    }
+
+    let scene;
+    try {
+        scene = migrateScene(data, report);
+    } catch (error) {
+        report.fail(error.message);
+        return null;
+    }
+
+    if (!Array.isArray(scene.objects)) {
+        report.fail(`objects: expected array, got ${describeType(scene.objects)}`);
+        return null;
+    }
+
+    // The rest of the file is checked without the objects and links, which are handled one by one
+    const { objects, links, ...rest } = scene;
+    const headerErrors = validateSchema({ ...rest, objects: [] }, SCENE_SCHEMA);
+    if (headerErrors.some(error => !error.startsWith('settings'))) {
+        headerErrors.forEach(error => report.fail(error));
+        return null;
+    }
+    if (headerErrors.length > 0) {
+        headerErrors.forEach(error => report.warn(`${error}; settings ignored`));
+        delete scene.settings;
+    }
+
+    const objectSchema = SCENE_SCHEMA.definitions.object;
+    const seenUuids = new Set();
+    scene.objects = [];
+
+    objects.forEach((raw, index) => {
+        const { object, repairs } = repairSceneObject(raw);
+        const label = describeSceneObject(raw, index);
+
+        if (!object) {
+            report.reject(index, label, `entry is ${describeType(raw)}, not an object`);
+            return;
+        }
+
+        const errors = validateSchema(object, objectSchema, SCENE_SCHEMA, `objects[${index}]`);
+        if (errors.length > 0) {
+            report.reject(index, label, ...errors.map(error => error.replace(`objects[${index}]`, 'object')));
+            return;
+        }
+
+        // Objects are identified by their UUID, so a copy can't keep it
+        const id = object.originalUuid || object.uuid;
+        if (id && seenUuids.has(id)) {
+            repairs.push(`duplicate id ${id}, a new one will be assigned`);
+            delete object.uuid;
+            delete object.originalUuid;
+        } else if (id) {
+            seenUuids.add(id);
+        }
+
+        if (repairs.length > 0) {
+            report.repair(index, label, ...repairs);
+        }
+        report.acceptedIndices.push(index);
+        scene.objects.push(object);
+    });
+
+    scene.metadata.objectCount = scene.objects.length;
+    prepareSceneHierarchy(scene.objects, report);
+    const objectsById = new Map();
+    scene.objects.forEach(object => {
+        const id = object.originalUuid || object.uuid;
+        if (id) objectsById.set(id, object);
+    });
+    scene.links = prepareSceneLinks(links, objectsById, report);
+    return scene;
+}
+
+/**
+ * Moves objects whose parent is missing, or that are their own ancestor, to
+ * the top level
+ * @param {Object[]} objects - Accepted objects; changed in place
+ * @param {SceneLoadReport} report - Receives a warning per moved object
+ */
+function prepareSceneHierarchy(objects, report) {
+    const byId = new Map();
+    objects.forEach(object => {
+        const id = object.originalUuid || object.uuid;
+        if (id) byId.set(id, object);
+    });
+
+    // Objects can be parented to a member of a prefab instance, which stands
+    // for the instance here
+    const lookup = (id) => byId.get(id) || byId.get(findPrefabInstance(id, byId));
+
+    objects.forEach((object, index) => {
+        if (object.parent === undefined || object.parent === null) return;
+
+        const label = describeSceneObject(object, report.acceptedIndices[index]);
+        if (!lookup(object.parent)) {
+            report.warn(`${label}: parent ${object.parent} is not in the scene; moved to the top level`);
+            object.parent = null;
+            return;
+        }
+
+        // Walk up the chain; meeting the object again means a cycle
+        const visited = new Set([object]);
+        for (let node = lookup(object.parent); node; node = lookup(node.parent)) {
+            if (visited.has(node)) {
+                report.warn(`${label}: parent chain loops back to itself; moved to the top level`);
+                object.parent = null;
+                return;
+            }
+            visited.add(node);
+        }
+    });
+}
+
+/**
+ * Id of the prefab instance a member id ("<instance id>/<member id>") belongs to
+ * @param {string} id - Object id
+ * @param {Map<string, Object>} objectsById - Accepted objects by id
+ * @returns {string|null} The instance id, if that object is a prefab instance
+ */
+function findPrefabInstance(id, objectsById) {
+    const separator = typeof id === 'string' ? id.indexOf('/') : -1;
+    if (separator <= 0) return null;
+
+    const instanceId = id.slice(0, separator);
+    return PREFAB_PATH_PATTERN.test(objectsById.get(instanceId)?.path) ? instanceId : null;
+}
+
+/**
+ * Keeps the links that are valid and connect two loaded objects
+ * @param {*} links - The scene's links entry
+ * @param {Map<string, Object>} objectsById - Accepted objects by id
+ * @param {SceneLoadReport} report - Receives a warning per dropped link
+ * @returns {Object[]} Usable links
+ */
+function prepareSceneLinks(links, objectsById, report) {
+    if (links === undefined) return [];
+    if (!Array.isArray(links)) {
+        report.warn(`links: expected array, got ${describeType(links)}; links ignored`);
+        return [];
+    }
+
+    const linkIds = new Set();
+    return links.filter((link, index) => {
+        const errors = validateSchema(link, SCENE_SCHEMA.definitions.link, SCENE_SCHEMA, `links[${index}]`);
+        if (errors.length > 0) {
+            report.warn(`${errors[0]}; link dropped`);
+            return false;
+        }
+        if (link.source === link.target) {
+            report.warn(`links[${index}]: links an object to itself; link dropped`);
+            return false;
+        }
+
+        const missing = [link.source, link.target].find(id => !objectsById.has(id) && !findPrefabInstance(id, objectsById));
+        if (missing) {
+            report.warn(`links[${index}]: object ${missing} is not in the scene; link dropped`);
+            return false;
+        }
+
+        // Links are identified by id as well; copies get a new one
+        if (link.id && linkIds.has(link.id)) delete link.id;
+        if (link.id) linkIds.add(link.id);
+        return true;
+    });
+}
+
+function describeSceneObject(object, index) {
+    const file = object?.path || object?.file || object?.filename || object?.name;
+    return typeof file === 'string' ? `#${index} ${file.split('/').pop()}` : `#${index}`;
+}
+
+/**
+ * Outcome of loading one scene file
+ */
+class SceneLoadReport {
+    constructor(fileName = '') {
+        this.fileName = fileName;
+        this.sourceVersion = null;
+        this.migrations = [];
+        this.errors = [];
+        this.warnings = [];
+
+        // One entry per object that was repaired or rejected, by file position
+        this.entries = [];
+
+        // File positions of the objects that made it into the scene, in order
+        this.acceptedIndices = [];
+    }
+
+    fail(message) {
+        this.errors.push(message);
+    }
+
+    warn(message) {
+        this.warnings.push(message);
+    }
+
+    repair(index, label, ...reasons) {
+        this.addEntry(index, label, 'repaired', reasons);
+    }
+
+    reject(index, label, ...reasons) {
+        this.addEntry(index, label, 'rejected', reasons);
+    }
+
+    addEntry(index, label, status, reasons) {
+        let entry = this.entries.find(e => e.index === index);
+        if (!entry) {
+            entry = { index, label, status, reasons: [] };
+            this.entries.push(entry);
+            this.entries.sort((a, b) => a.index - b.index);
+        }
+
+        // A rejection wins over earlier repairs of the same object
+        if (status === 'rejected') entry.status = status;
+        entry.reasons.push(...reasons);
+    }
+
+    get isFatal() {
+        return this.errors.length > 0;
+    }
+
+    get repairedCount() {
+        return this.entries.filter(e => e.status === 'repaired').length;
+    }
+
+    get rejectedCount() {
+        return this.entries.filter(e => e.status === 'rejected').length;
+    }
+
+    /**
+     * Whether anything besides a clean load happened
+     */
+    get hasIssues() {
+        return this.isFatal || this.warnings.length > 0 || this.entries.length > 0 || this.migrations.length > 0;
+    }
+
+    summary() {
+        if (this.isFatal) {
+            return `${this.fileName || 'Scene'} could not be loaded`;
+        }
+        let text = `${this.fileName || 'Scene'}: ${this.acceptedIndices.length} objects loaded`;
+        if (this.repairedCount) text += ` (${this.repairedCount} repaired)`;
+        if (this.rejectedCount) text += `, ${this.rejectedCount} rejected`;
+        return text;
+    }
+
+    /**
+     * Plain text version of the report, e.g. for the console or a CLI
+     */
+    toString() {
+        const lines = [this.summary()];
+        if (this.sourceVersion && this.migrations.length > 0) {
+            lines.push(`Migrated from version ${this.sourceVersion}:`);
+            this.migrations.forEach(step => lines.push(`  ${step}`));
+        }
+        this.errors.forEach(error => lines.push(`Error: ${error}`));
+        this.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+        this.entries.forEach(entry => {
+            lines.push(`${entry.status === 'rejected' ? 'Rejected' : 'Repaired'} ${entry.label}:`);
+            entry.reasons.forEach(reason => lines.push(`  - ${reason}`));
+        });
+        return lines.join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENE_FORMAT,
+        SCENE_VERSION,
+        SCENE_SCHEMA,
+        SCENE_MIGRATIONS,
+        SceneLoadReport,
+        validateSchema,
+        getSceneVersion,
+        migrateScene,
+        repairSceneObject,
+        prepareScene
+    };
+}
@@ -0,0 +1,108 @@
+// Converts between LevelModel and scene files
+//
+// Writing always produces the current AssetEditorScene version. Reading
+// accepts every version scene-schema.js can migrate and fills a
+// SceneLoadReport with what had to be repaired or rejected. Like the model,
+// this runs in the browser and in Node.
+
+// Node loads the other modules; in the browser their declarations are global
+const SceneFormat = typeof module !== 'undefined' && module.exports ?
+    { ...require('./scene-schema.js'), ...require('./level-model.js'), ...require('./prefabs.js') } :
+    { SCENE_FORMAT, SCENE_VERSION, SceneLoadReport, prepareScene, LevelModel, LevelObject, LevelLink, getPrefabOverrides, getPrefabInstanceId };
+
+/**
+ * Builds the scene file contents for a level
+ * @param {LevelModel} level - The level to save
+ * @param {Object} [options]
+ * @param {string} [options.generatedBy] - Written to metadata.generatedBy
+ * @param {Date} [options.date] - Written to metadata.date, defaults to now
+ * @returns {Object} Scene data, ready for JSON.stringify
+ */
+function serializeLevel(level, options = {}) {
+    const objects = [];
+    level.list().forEach(object => {
+        // Members of prefab instances are recreated from the prefab file
+        if (level.has(object.prefabInstance)) return;
+
+        const data = object.toJSON();
+        // Parents outside the level (e.g. deleted) leave the object at the top level
+        if (!level.isKnownId(data.parent)) data.parent = null;
+
+        // Instances whose members were created store how they differ from the prefab
+        const prefab = level.prefabs.get(object.path);
+        if (object.isPrefabInstance && !object.overrides && prefab) {
+            data.overrides = SceneFormat.getPrefabOverrides(prefab, object, level.membersOf(object.id));
+        }
+        objects.push(data);
+    });
+
+    // Links to deleted objects are left out, and so are the ones a prefab creates
+    const links = level.getLinks().filter(link =>
+        level.isKnownId(link.source) && level.isKnownId(link.target) &&
+        !level.get(SceneFormat.getPrefabInstanceId(link.id))?.isPrefabInstance);
+
+    return {
+        version: SceneFormat.SCENE_VERSION,
+        metadata: {
+            format: SceneFormat.SCENE_FORMAT,
+            generatedBy: options.generatedBy || 'AssetLevelEditor',
+            date: (options.date || new Date()).toISOString(),
+            objectCount: objects.length,
+            engine: 'Three.js',
+            editor: 'AssetLevelEditor'
+        },
+        settings: JSON.parse(JSON.stringify(level.settings || {})),
+        objects,
+        links: links.map(link => link.toJSON())
+    };
+}
+
+/**
+ * Creates a level from parsed scene file contents
+ * @param {*} data - Parsed JSON of any supported version
+ * @param {SceneLoadReport} [report] - Receives migrations, repairs and rejections
+ * @returns {LevelModel|null} The level, or null if the file is unusable
+ */
+function deserializeLevel(data, report = new SceneFormat.SceneLoadReport()) {
+    const scene = SceneFormat.prepareScene(data, report);
+    if (!scene) return null;
+
+    const level = new SceneFormat.LevelModel();
+    level.metadata = { ...scene.metadata };
+    level.settings = scene.settings || {};
+    scene.objects.forEach(entry => level.add(SceneFormat.LevelObject.fromJSON(entry)));
+    scene.links.forEach(entry => level.addLink(SceneFormat.LevelLink.fromJSON(entry)));
+
+    return level;
+}
+
+/**
+ * Scene file text for a level, formatted like the editor saves it
+ * @param {LevelModel} level
+ * @param {Object} [options] - See serializeLevel
+ * @returns {string}
+ */
+function stringifyLevel(level, options) {
+    return JSON.stringify(serializeLevel(level, options), null, 2);
+}
+
+/**
+ * Reads a level from scene file text
+ * @param {string} text - Contents of a scene file
+ * @param {SceneLoadReport} [report] - Also receives JSON syntax errors
+ * @returns {LevelModel|null}
+ */
+function parseLevel(text, report = new SceneFormat.SceneLoadReport()) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        report.fail(`Not valid JSON: ${error.message}`);
+        return null;
+    }
+    return deserializeLevel(data, report);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { serializeLevel, deserializeLevel, stringifyLevel, parseLevel };
+}
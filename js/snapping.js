@@ -0,0 +1,79 @@
+// Snap settings for placement and transforms
+//
+// Stored with each level so a level keeps the grid it was laid out on, and
+// in localStorage as the default for new levels.
+
+const SNAP_GRID_SIZES = [0.25, 0.5, 1, 2];
+const SNAP_ROTATION_STEPS = [5, 15, 22.5, 45, 90];
+const SNAP_SCALE_STEPS = [0.1, 0.25, 0.5, 1];
+
+class SnapSettings {
+    constructor(values = {}) {
+        this.gridEnabled = true;
+        this.gridSize = 1;
+        this.rotationEnabled = true;
+        this.rotationStep = 45;
+        this.scaleEnabled = false;
+        this.scaleStep = 0.25;
+        this.showGrid = false;
+        // Placement puts objects on the still water level, for ships, docks and buoys
+        this.waterEnabled = false;
+
+        this.set(values);
+    }
+
+    /**
+     * Copies known settings over, ignoring anything malformed
+     * @param {Object} values - Partial settings, e.g. from a scene file
+     */
+    set(values = {}) {
+        ['gridEnabled', 'rotationEnabled', 'scaleEnabled', 'showGrid', 'waterEnabled'].forEach(key => {
+            if (typeof values[key] === 'boolean') this[key] = values[key];
+        });
+        ['gridSize', 'rotationStep', 'scaleStep'].forEach(key => {
+            const value = Number(values[key]);
+            if (Number.isFinite(value) && value > 0) this[key] = value;
+        });
+    }
+
+    toJSON() {
+        return {
+            gridEnabled: this.gridEnabled,
+            gridSize: this.gridSize,
+            rotationEnabled: this.rotationEnabled,
+            rotationStep: this.rotationStep,
+            scaleEnabled: this.scaleEnabled,
+            scaleStep: this.scaleStep,
+            showGrid: this.showGrid,
+            waterEnabled: this.waterEnabled
+        };
+    }
+
+    static load(storageKey = 'assetEditor.snapping') {
+        try {
+            return new SnapSettings(JSON.parse(localStorage.getItem(storageKey)) || {});
+        } catch (error) {
+            console.warn('Error reading snap settings:', error);
+            return new SnapSettings();
+        }
+    }
+
+    save(storageKey = 'assetEditor.snapping') {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Error saving snap settings:', error);
+        }
+    }
+}
+
+/**
+ * Rounds a value to the nearest multiple of a step
+ * @param {number} value - The value to round
+ * @param {number} step - The step size
+ * @returns {number} The snapped value
+ */
+function snapValue(value, step) {
+    // Round away float noise such as 0.30000000000000004
+    return parseFloat((Math.round(value / step) * step).toFixed(6));
+}
@@ -0,0 +1,84 @@
+// IndexedDB storage shared by editor features
+//
+// One database with an object store per feature. Bump DATABASE_VERSION when
+// adding a store so existing browsers run the upgrade.
+
+const DATABASE_NAME = 'assetEditor';
+const DATABASE_VERSION = 3;
+const DATABASE_STORES = ['thumbnails', 'prefabs', 'autosaves'];
+
+class EditorDatabase {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database, creating missing stores
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    DATABASE_STORES.forEach(store => {
+                        if (!db.objectStoreNames.contains(store)) {
+                            db.createObjectStore(store);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single request against a store
+     * @param {string} store - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async run(store, mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(store, mode);
+            const request = action(transaction.objectStore(store));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(store, key) {
+        return this.run(store, 'readonly', s => s.get(key));
+    }
+
+    put(store, key, value) {
+        return this.run(store, 'readwrite', s => s.put(value, key));
+    }
+
+    delete(store, key) {
+        return this.run(store, 'readwrite', s => s.delete(key));
+    }
+
+    keys(store) {
+        return this.run(store, 'readonly', s => s.getAllKeys());
+    }
+
+    values(store) {
+        return this.run(store, 'readonly', s => s.getAll());
+    }
+}
@@ -0,0 +1,149 @@
+// Rendered previews for the asset browser
+//
+// Each GLB is rendered once into a small offscreen canvas and the image is
+// cached in IndexedDB, keyed by path and file size so a changed model gets a
+// new thumbnail after the manifest is regenerated.
+
+class ThumbnailRenderer {
+    constructor(size = 256) {
+        this.size = size;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        this.renderer.setSize(size, size);
+        this.renderer.setPixelRatio(1);
+
+        this.scene = new THREE.Scene();
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+
+        const light = new THREE.DirectionalLight(0xffffff, 0.9);
+        light.position.set(5, 10, 7);
+        this.scene.add(light);
+
+        this.camera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+        this.loader = new THREE.GLTFLoader();
+    }
+
+    /**
+     * Renders a model to an image
+     * @param {string} path - Path of the model file
+     * @returns {Promise<Blob>} PNG image of the model
+     */
+    async render(path) {
+        const gltf = await this.loader.loadAsync(path);
+        const model = gltf.scene;
+        this.scene.add(model);
+
+        try {
+            this.frame(model);
+            this.renderer.render(this.scene, this.camera);
+
+            return await new Promise((resolve, reject) => {
+                this.renderer.domElement.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Could not capture thumbnail'));
+                    }
+                }, 'image/png');
+            });
+        } finally {
+            this.scene.remove(model);
+            model.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    (Array.isArray(child.material) ? child.material : [child.material]).forEach(m => {
+                        if (m.map) m.map.dispose();
+                        m.dispose();
+                    });
+                }
+            });
+        }
+    }
+
+    /**
+     * Points the camera at a model from the usual three-quarter editor angle
+     * @param {THREE.Object3D} model - The model to frame
+     */
+    frame(model) {
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = Math.max(box.getSize(new THREE.Vector3()).length() / 2, 0.01);
+
+        // Distance at which the bounding sphere fits the field of view
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        const direction = new THREE.Vector3(1, 0.8, 1).normalize();
+
+        this.camera.position.copy(center).addScaledVector(direction, distance);
+        this.camera.near = distance / 100;
+        this.camera.far = distance * 4;
+        this.camera.updateProjectionMatrix();
+        this.camera.lookAt(center);
+    }
+}
+
+class AssetThumbnails {
+    constructor(database, size = 256) {
+        this.database = database;
+        this.size = size;
+        this.renderer = null;
+        this.urls = new Map();
+        this.pending = new Map();
+
+        // Render one model at a time so the browser stays responsive
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Gets an object URL for a model's thumbnail, rendering it if needed
+     * @param {Object} file - Manifest entry with path and size
+     * @returns {Promise<string>} Object URL of the image
+     */
+    get(file) {
+        const key = `${file.path}:${file.size}`;
+
+        if (this.urls.has(key)) {
+            return Promise.resolve(this.urls.get(key));
+        }
+        if (!this.pending.has(key)) {
+            const promise = this.load(key, file.path)
+                .then(blob => {
+                    const url = URL.createObjectURL(blob);
+                    this.urls.set(key, url);
+                    return url;
+                })
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, promise);
+        }
+
+        return this.pending.get(key);
+    }
+
+    async load(key, path) {
+        try {
+            const cached = await this.database.get('thumbnails', key);
+            if (cached) return cached;
+        } catch (error) {
+            console.warn('Thumbnail cache unavailable:', error);
+        }
+
+        const blob = await this.enqueue(() => {
+            if (!this.renderer) {
+                this.renderer = new ThumbnailRenderer(this.size);
+            }
+            return this.renderer.render(path);
+        });
+
+        this.database.put('thumbnails', key, blob).catch(error => {
+            console.warn('Could not cache thumbnail:', error);
+        });
+
+        return blob;
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task);
+        // Keep the queue going even if one model fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
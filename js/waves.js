@@ -0,0 +1,121 @@
+// Ocean wave parameters and the wave height function
+//
+// Waves are stored with each level (settings.water in the scene file). The
+// surface is a sum of a few sine waves: the main swell, set by amplitude,
+// wavelength, speed and direction, and two shorter cross waves whose size
+// follows the choppiness. heightAt() is the water gameplay and placement
+// use; the ocean mesh samples the same sum at its vertices. Runs in the
+// browser and in Node.
+
+const WAVE_DEFAULTS = {
+    enabled: true,
+    level: 0,
+    amplitude: 0.35,
+    wavelength: 14,
+    speed: 3,
+    direction: 0,   // Degrees; 0 means the swell travels towards +z
+    choppiness: 0.5
+};
+
+// Cross waves relative to the swell: wavelength, amplitude and direction offset in degrees
+const WAVE_CROSS_WAVES = [
+    { wavelength: 0.61, amplitude: 0.5, direction: 35 },
+    { wavelength: 0.37, amplitude: 0.25, direction: -55 }
+];
+
+class OceanWaves {
+    constructor(values = {}) {
+        Object.assign(this, WAVE_DEFAULTS);
+        this.set(values);
+    }
+
+    /**
+     * Copies known parameters over, ignoring anything malformed
+     * @param {Object} values - Partial parameters, e.g. from a scene file
+     */
+    set(values = {}) {
+        if (typeof values.enabled === 'boolean') this.enabled = values.enabled;
+        ['level', 'direction'].forEach(key => {
+            const value = Number(values[key]);
+            if (values[key] !== undefined && Number.isFinite(value)) this[key] = value;
+        });
+        ['amplitude', 'speed', 'choppiness'].forEach(key => {
+            const value = Number(values[key]);
+            if (values[key] !== undefined && Number.isFinite(value) && value >= 0) this[key] = value;
+        });
+        const wavelength = Number(values.wavelength);
+        if (Number.isFinite(wavelength) && wavelength > 0) this.wavelength = wavelength;
+
+        this.components = this.createComponents();
+    }
+
+    toJSON() {
+        return {
+            enabled: this.enabled,
+            level: this.level,
+            amplitude: this.amplitude,
+            wavelength: this.wavelength,
+            speed: this.speed,
+            direction: this.direction,
+            choppiness: this.choppiness
+        };
+    }
+
+    /**
+     * The sine waves the surface is made of, as wave vector, amplitude and
+     * angular frequency. Shorter waves travel slower, as on deep water.
+     */
+    createComponents() {
+        const waves = [{ wavelength: 1, amplitude: 1, direction: 0 }, ...WAVE_CROSS_WAVES];
+        return waves.map(({ wavelength, amplitude, direction }, index) => {
+            const length = this.wavelength * wavelength;
+            const angle = (this.direction + direction) * Math.PI / 180;
+            const k = 2 * Math.PI / length;
+            return {
+                kx: Math.sin(angle) * k,
+                kz: Math.cos(angle) * k,
+                amplitude: this.amplitude * amplitude * (index === 0 ? 1 : this.choppiness),
+                omega: k * this.speed * Math.sqrt(wavelength),
+                // Keeps the crests of different waves from lining up at the origin
+                phase: index * 1.7
+            };
+        });
+    }
+
+    /**
+     * Height of the water surface
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {number} t - Time in seconds
+     * @returns {number} World y; the still water level when waves are off
+     */
+    heightAt(x, z, t) {
+        if (!this.enabled) return this.level;
+
+        let height = this.level;
+        for (const wave of this.components) {
+            height += wave.amplitude * Math.sin(wave.kx * x + wave.kz * z - wave.omega * t + wave.phase);
+        }
+        return height;
+    }
+
+    /**
+     * Slope of the surface, as the height change per meter along x and z
+     * @returns {{x: number, z: number}}
+     */
+    slopeAt(x, z, t) {
+        const slope = { x: 0, z: 0 };
+        if (!this.enabled) return slope;
+
+        for (const wave of this.components) {
+            const c = wave.amplitude * Math.cos(wave.kx * x + wave.kz * z - wave.omega * t + wave.phase);
+            slope.x += c * wave.kx;
+            slope.z += c * wave.kz;
+        }
+        return slope;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WAVE_DEFAULTS, OceanWaves };
+}
@@ -0,0 +1,135 @@
+// Level routes of the development server
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer, parseArgs } = require('../tools/dev-server.js');
+const { LevelModel, LevelObject } = require('../js/level-model.js');
+const { stringifyLevel } = require('../js/scene-serializer.js');
+const { createPrefab } = require('../js/prefabs.js');
+
+/**
+ * Starts a server on a free port with an empty levels folder
+ * @returns {Promise<{url: string, root: string, levels: string, close: Function}>}
+ */
+async function startServer() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-server-'));
+    const levels = path.join(root, 'levels');
+    const server = createServer({ root, levels });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        root,
+        levels,
+        close: () => {
+            server.close();
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+function createLevelText() {
+    const level = new LevelModel();
+    level.add(new LevelObject({ path: 'Assets/3D/Pirate/crate.glb', position: { x: 1, y: 0, z: 2 } }));
+    return stringifyLevel(level);
+}
+
+function put(url, body) {
+    return fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body });
+}
+
+test('PUT writes a level the loader accepts', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const text = createLevelText();
+    const response = await put(`${server.url}/api/levels/scene_01.json`, text);
+    assert.equal(response.status, 201);
+    assert.equal(fs.readFileSync(path.join(server.levels, 'scene_01.json'), 'utf8'), text);
+});
+
+test('PUT refuses bodies that are not levels and keeps the saved file', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const text = createLevelText();
+    const url = `${server.url}/api/levels/scene_01.json`;
+    await put(url, text);
+
+    const brokenObject = JSON.parse(text);
+    brokenObject.objects[0].path = 42;
+
+    for (const body of ['{"bad":1}', '{}', 'null', '"level"', '{"objects":"none"}', 'not json', JSON.stringify(brokenObject)]) {
+        const response = await put(url, body);
+        assert.equal(response.status, 400, body);
+        assert.ok((await response.json()).error, body);
+    }
+    assert.equal(fs.readFileSync(path.join(server.levels, 'scene_01.json'), 'utf8'), text);
+});
+
+test('PUT writes prefabs into prefabs/ and refuses broken ones', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const text = JSON.stringify(createPrefab('Dock', [new LevelObject({ path: 'Assets/3D/Pirate/crate.glb' })]), null, 2);
+    let response = await put(`${server.url}/api/prefabs/dock.prefab.json`, text);
+    assert.equal(response.status, 201);
+    assert.equal(fs.readFileSync(path.join(server.root, 'prefabs', 'dock.prefab.json'), 'utf8'), text);
+
+    response = await fetch(`${server.url}/api/prefabs`);
+    assert.deepEqual((await response.json()).prefabs.map(file => file.name), ['dock.prefab.json']);
+
+    // Served like any other file, which is how the editor loads it
+    response = await fetch(`${server.url}/prefabs/dock.prefab.json`);
+    assert.equal(await response.text(), text);
+
+    for (const body of ['{"bad":1}', 'not json', createLevelText()]) {
+        response = await put(`${server.url}/api/prefabs/dock.prefab.json`, body);
+        assert.equal(response.status, 400, body);
+    }
+    for (const name of ['dock.json', '..%2Fdock.prefab.json', 'sub%2Fdock.prefab.json']) {
+        response = await put(`${server.url}/api/prefabs/${name}`, text);
+        assert.ok(response.status === 400 || response.status === 404, name);
+    }
+    assert.deepEqual(fs.readdirSync(path.join(server.root, 'prefabs')), ['dock.prefab.json']);
+    assert.equal(fs.readFileSync(path.join(server.root, 'prefabs', 'dock.prefab.json'), 'utf8'), text);
+});
+
+test('changes from other sites or without a JSON body are refused', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const text = createLevelText();
+    const url = `${server.url}/api/levels/scene_01.json`;
+
+    let response = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Origin': 'http://example.com' },
+        body: text
+    });
+    assert.equal(response.status, 403);
+
+    response = await fetch(url, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: text });
+    assert.equal(response.status, 415);
+    assert.equal(fs.existsSync(path.join(server.levels, 'scene_01.json')), false);
+
+    response = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json; charset=utf-8', 'Origin': server.url },
+        body: text
+    });
+    assert.equal(response.status, 201);
+
+    response = await fetch(url, { method: 'DELETE' });
+    assert.equal(response.status, 415);
+    response = await fetch(url, { method: 'DELETE', headers: { 'Content-Type': 'application/json' } });
+    assert.equal(response.status, 204);
+});
+
+test('listens on this machine only by default', () => {
+    assert.equal(parseArgs([]).host, '127.0.0.1');
+    assert.equal(parseArgs(['--host', '0.0.0.0']).host, '0.0.0.0');
+});
@@ -0,0 +1,116 @@
+// Level objects and their properties
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LevelModel, LevelObject, LevelLink } = require('../js/level-model.js');
+const { PropertyDefinitions, parsePropertyValue, checkPropertyValue } = require('../js/property-types.js');
+
+test('setProperties keeps strings, finite numbers, booleans and vectors', () => {
+    const object = new LevelObject({ path: 'Assets/3D/Pirate/crate.glb' });
+    object.setProperties({
+        '  label  ': 'loot',
+        health: 3,
+        breakable: false,
+        offset: { x: 1, y: 2, z: 3, w: 4 },
+        '': 'no key',
+        '   ': 'blank key',
+        nan: NaN,
+        infinite: Infinity,
+        missing: null,
+        list: [1, 2, 3],
+        partial: { x: 1, y: 2 },
+        text: { x: '1', y: 2, z: 3 },
+        callback: () => {}
+    });
+
+    assert.deepEqual(object.properties, {
+        label: 'loot',
+        health: 3,
+        breakable: false,
+        offset: { x: 1, y: 2, z: 3 }
+    });
+});
+
+test('setProperties replaces everything and copies vectors', () => {
+    const offset = { x: 0, y: 1, z: 0 };
+    const object = new LevelObject({ properties: { speed: 2, offset } });
+    offset.y = 5;
+    assert.equal(object.properties.offset.y, 1);
+
+    object.setProperties(undefined);
+    assert.deepEqual(object.properties, {});
+});
+
+test('unknown keys stay free-form while defined ones are typed', () => {
+    const definitions = new PropertyDefinitions();
+    definitions.load({
+        definitions: {
+            'Assets/3D/Platformer/': { speed: { type: 'number', min: 0, max: 10 } },
+            'Assets/3D/Platformer/block-moving': { loop: { type: 'boolean' } }
+        }
+    });
+
+    const forBlock = definitions.forAsset('Assets/3D/Platformer/block-moving.glb');
+    assert.deepEqual(Object.keys(forBlock), ['speed', 'loop']);
+    assert.equal(definitions.forAsset('Assets/3D/Pirate/crate.glb').speed, undefined);
+
+    // An unknown key is just stored
+    const object = new LevelObject({ properties: { someCustomFlag: 'yes' } });
+    assert.equal(object.properties.someCustomFlag, 'yes');
+});
+
+test('the shipped definitions only type the models they are meant for', () => {
+    const definitions = new PropertyDefinitions();
+    definitions.load(require('../Assets/3D/property-definitions.json'));
+    assert.deepEqual(definitions.warnings, []);
+
+    assert.ok(definitions.forAsset('Assets/3D/Pirate/cannon.glb').fireMode);
+    assert.ok(definitions.forAsset('Assets/3D/Pirate/cannon-mobile.glb').fireMode);
+    // The projectile only shares the name's start
+    assert.deepEqual(definitions.forAsset('Assets/3D/Pirate/cannon-ball.glb'), {});
+});
+
+test('typed values are checked for type and range', () => {
+    const speed = { type: 'number', min: 0, max: 10, integer: true };
+    assert.equal(checkPropertyValue(speed, 5), null);
+    assert.match(checkPropertyValue(speed, -1), /at least 0/);
+    assert.match(checkPropertyValue(speed, 11), /at most 10/);
+    assert.match(checkPropertyValue(speed, 2.5), /whole number/);
+    assert.match(checkPropertyValue(speed, '5'), /number/);
+
+    assert.deepEqual(parsePropertyValue(speed, ' 7 '), { value: 7, error: null });
+    assert.match(parsePropertyValue(speed, '').error, /number/);
+    assert.deepEqual(parsePropertyValue({ type: 'vector3' }, '(1, 2, 3)').value, { x: 1, y: 2, z: 3 });
+    assert.equal(parsePropertyValue({ type: 'boolean' }, 'yes').value, true);
+    assert.match(parsePropertyValue({ type: 'enum', options: ['a', 'b'] }, 'c').error, /one of a, b/);
+    assert.match(parsePropertyValue({ type: 'color' }, 'red').error, /color/);
+});
+
+test('transforms ignore parts that are not finite numbers', () => {
+    const object = new LevelObject({ position: { x: 1, y: 2, z: 3 } });
+    object.setTransform({ position: { x: NaN, y: '4', z: 5 }, scale: { x: 2 } });
+
+    assert.deepEqual(object.position, { x: 1, y: 2, z: 5 });
+    assert.deepEqual(object.scale, { x: 2, y: 1, z: 1 });
+});
+
+test('the model notifies listeners of changes to objects in the level only', () => {
+    const level = new LevelModel();
+    const events = [];
+    level.onChange((type, object) => events.push([type, object.id]));
+
+    const object = level.add(new LevelObject({ id: 'a' }));
+    level.setProperties('a', { speed: 1 });
+    level.remove(object);
+    level.setProperties(object, { speed: 2 });
+
+    assert.deepEqual(events, [['add', 'a'], ['change', 'a'], ['remove', 'a']]);
+    assert.equal(object.properties.speed, 2);
+    assert.throws(() => level.add(new LevelObject({ id: 'b' })) && level.add(new LevelObject({ id: 'b' })), /already has/);
+});
+
+test('links need two different objects', () => {
+    const level = new LevelModel();
+    assert.throws(() => level.addLink(new LevelLink({ source: 'a', target: 'a' })), /two different/);
+});
@@ -0,0 +1,211 @@
+// Level command-line tool, run on level files in a temporary folder
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LevelModel, LevelObject } = require('../js/level-model.js');
+const { createPrefab } = require('../js/prefabs.js');
+const { SCENE_VERSION } = require('../js/scene-schema.js');
+const { stringifyLevel, parseLevel } = require('../js/scene-serializer.js');
+
+const TOOL = path.join(__dirname, '..', 'tools', 'level-tool.js');
+
+/**
+ * Empty folder removed after the test
+ */
+function createFolder(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'level-tool-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    return folder;
+}
+
+/**
+ * Runs the tool in a folder
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runTool(folder, ...args) {
+    const result = spawnSync(process.execPath, [TOOL, ...args], { cwd: folder, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function writeLevel(folder, name, objects) {
+    const level = new LevelModel();
+    objects.forEach(data => level.add(new LevelObject(data)));
+    const text = stringifyLevel(level, { date: new Date('2024-01-02T03:04:05Z') });
+    fs.writeFileSync(path.join(folder, name), text);
+    return text;
+}
+
+function readLevelFile(folder, name) {
+    return parseLevel(fs.readFileSync(path.join(folder, name), 'utf8'));
+}
+
+// A current file with one object the loader rejects
+function writeBrokenLevel(folder, name) {
+    const text = JSON.stringify({
+        version: SCENE_VERSION,
+        metadata: { format: 'AssetEditorScene' },
+        objects: [
+            { path: 'Assets/3D/Pirate/crate.glb', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, properties: {} },
+            { path: 42 }
+        ]
+    });
+    fs.writeFileSync(path.join(folder, name), text);
+    return text;
+}
+
+test('validate passes clean files and fails rejected objects and, with --strict, old versions', (t) => {
+    const folder = createFolder(t);
+    writeLevel(folder, 'clean.json', [{ path: 'Assets/3D/Pirate/crate.glb' }]);
+
+    let result = runTool(folder, 'validate', 'clean.json');
+    assert.equal(result.status, 0, result.stdout);
+    assert.match(result.stdout, /1 of 1 files valid/);
+
+    writeBrokenLevel(folder, 'broken.json');
+    result = runTool(folder, 'validate', '.');
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /FAIL .*broken\.json/);
+    assert.match(result.stdout, /1 of 2 files valid/);
+
+    fs.writeFileSync(path.join(folder, 'legacy.json'), JSON.stringify([{ file: 'Assets/3D/Pirate/crate.glb', position: [0, 0, 0] }]));
+    assert.equal(runTool(folder, 'validate', 'legacy.json').status, 0);
+    assert.equal(runTool(folder, 'validate', '--strict', 'legacy.json').status, 1);
+});
+
+test('stats counts assets and property keys and measures with the manifest bounds', (t) => {
+    const folder = createFolder(t);
+    writeLevel(folder, 'level.json', [
+        { path: 'Assets/3D/Pirate/crate.glb', position: { x: 2, y: 0, z: 0 }, properties: { health: 3 } },
+        { path: 'Assets/3D/Pirate/crate.glb', position: { x: -2, y: 0, z: 0 }, properties: { health: 1, label: 'a' } },
+        { path: 'Assets/3D/Pirate/barrel.glb', position: { x: 0, y: 0, z: 4 } }
+    ]);
+    fs.writeFileSync(path.join(folder, 'manifest.json'), JSON.stringify({
+        files: [{ path: 'Assets/3D/Pirate/crate.glb', bounds: { min: [-0.5, 0, -0.5], max: [0.5, 1, 0.5] } }]
+    }));
+
+    const result = runTool(folder, 'stats', '--json', '--manifest', 'manifest.json', 'level.json');
+    assert.equal(result.status, 0, result.stderr);
+    const stats = JSON.parse(result.stdout)['level.json'];
+    assert.equal(stats.objectCount, 3);
+    assert.deepEqual(stats.assets, { 'Assets/3D/Pirate/crate.glb': 2, 'Assets/3D/Pirate/barrel.glb': 1 });
+    assert.deepEqual(stats.properties, { health: 2, label: 1 });
+    assert.deepEqual(stats.bounds.min, [-2.5, 0, -0.5]);
+    assert.deepEqual(stats.bounds.max, [2.5, 1, 4]);
+});
+
+test('missing lists models that are not in the root folder', (t) => {
+    const folder = createFolder(t);
+    fs.mkdirSync(path.join(folder, 'Assets'));
+    fs.writeFileSync(path.join(folder, 'Assets', 'crate.glb'), '');
+    writeLevel(folder, 'level.json', [{ path: 'Assets/crate.glb' }, { path: 'Assets/gone.glb' }, { path: 'Assets/gone.glb' }]);
+
+    let result = runTool(folder, 'missing', '--json', 'level.json');
+    assert.equal(result.status, 1);
+    assert.deepEqual(JSON.parse(result.stdout), { 'Assets/gone.glb': { 'level.json': 2 } });
+
+    writeLevel(folder, 'level.json', [{ path: 'Assets/crate.glb' }]);
+    result = runTool(folder, 'missing', 'level.json');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /All models referenced by 1 files exist/);
+});
+
+test('stats and missing count the objects inside prefab instances', (t) => {
+    const folder = createFolder(t);
+    fs.mkdirSync(path.join(folder, 'Assets/3D'), { recursive: true });
+    fs.copyFileSync(path.join(__dirname, '..', 'Assets/3D/asset-registry.json'), path.join(folder, 'Assets/3D/asset-registry.json'));
+    fs.mkdirSync(path.join(folder, 'prefabs'));
+    const prefab = createPrefab('Dock', [
+        new LevelObject({ path: 'Assets/3D/Pirate/crate.glb', properties: { health: 2 } }),
+        new LevelObject({ path: 'Assets/3D/Platformer/coin-gold.glb', position: { x: 1, y: 0, z: 0 } })
+    ]);
+    fs.writeFileSync(path.join(folder, 'prefabs/dock.prefab.json'), JSON.stringify(prefab));
+    writeLevel(folder, 'level.json', [
+        { path: 'prefabs/dock.prefab.json', position: { x: 10, y: 0, z: 0 }, overrides: {} },
+        { path: 'prefabs/dock.prefab.json', position: { x: 20, y: 0, z: 0 }, overrides: {} },
+        { path: 'prefabs/gone.prefab.json', overrides: {} }
+    ]);
+
+    let result = runTool(folder, 'stats', '--json', 'level.json');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /prefab prefabs\/gone\.prefab\.json not found or broken/);
+    const stats = JSON.parse(result.stdout)['level.json'];
+    assert.deepEqual(stats.assets, {
+        'Assets/3D/Pirate/crate.glb': 2,
+        'Assets/3D/Platformer/coin-gold.glb': 2,
+        'prefabs/dock.prefab.json': 2,
+        'prefabs/gone.prefab.json': 1
+    });
+    assert.deepEqual(stats.properties, { health: 2 });
+    assert.deepEqual(stats.pickups, { pickups: 2, coins: 2, points: 20 });
+
+    result = runTool(folder, 'missing', '--json', 'level.json');
+    assert.equal(result.status, 1);
+    assert.deepEqual(Object.keys(JSON.parse(result.stdout)).sort(), [
+        'Assets/3D/Pirate/crate.glb',
+        'Assets/3D/Platformer/coin-gold.glb',
+        'prefabs/gone.prefab.json'
+    ]);
+    assert.deepEqual(JSON.parse(result.stdout)['Assets/3D/Pirate/crate.glb'], { 'level.json': 2 });
+});
+
+test('rewrite-paths moves folders or exact paths and writes nothing on a dry run', (t) => {
+    const folder = createFolder(t);
+    const original = writeLevel(folder, 'level.json', [
+        { path: 'Assets/3D/Old/crate.glb' },
+        { path: 'Assets/3D/Old/barrel.glb' },
+        { path: 'Assets/3D/Older/crate.glb' }
+    ]);
+
+    let result = runTool(folder, 'rewrite-paths', '--dry-run', 'Assets/3D/Old/', 'Assets/3D/New/', 'level.json');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Would update level\.json: 2 changes/);
+    assert.equal(fs.readFileSync(path.join(folder, 'level.json'), 'utf8'), original);
+
+    result = runTool(folder, 'rewrite-paths', 'Assets/3D/Old/', 'Assets/3D/New/', 'level.json');
+    assert.equal(result.status, 0);
+    assert.deepEqual(readLevelFile(folder, 'level.json').list().map(object => object.path),
+        ['Assets/3D/New/crate.glb', 'Assets/3D/New/barrel.glb', 'Assets/3D/Older/crate.glb']);
+
+    // Without a trailing slash only the exact path changes
+    result = runTool(folder, 'rewrite-paths', 'Assets/3D/New/crate.glb', 'Assets/3D/New/box.glb', 'level.json');
+    assert.match(result.stdout, /1 changes in 1 files/);
+    assert.deepEqual(readLevelFile(folder, 'level.json').list().map(object => object.path),
+        ['Assets/3D/New/box.glb', 'Assets/3D/New/barrel.glb', 'Assets/3D/Older/crate.glb']);
+});
+
+test('edits skip files with rejected objects instead of dropping them', (t) => {
+    const folder = createFolder(t);
+    const broken = writeBrokenLevel(folder, 'broken.json');
+    writeLevel(folder, 'clean.json', [{ path: 'Assets/3D/Pirate/crate.glb' }]);
+
+    const result = runTool(folder, 'rewrite-paths', 'Assets/3D/Pirate/', 'Assets/3D/Ships/', '.');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Skipped broken\.json/);
+    assert.equal(fs.readFileSync(path.join(folder, 'broken.json'), 'utf8'), broken);
+    assert.equal(readLevelFile(folder, 'clean.json').list()[0].path, 'Assets/3D/Ships/crate.glb');
+});
+
+test('rename-property renames keys in place and leaves objects that have both', (t) => {
+    const folder = createFolder(t);
+    writeLevel(folder, 'level.json', [
+        { id: 'A', path: 'Assets/3D/Pirate/crate.glb', properties: { label: 'a', speed: 2, health: 1 } },
+        { id: 'B', path: 'Assets/3D/Pirate/barrel.glb', properties: { speed: 3, maxSpeed: 5 } },
+        { id: 'C', path: 'Assets/3D/Pirate/barrel.glb', properties: { health: 2 } }
+    ]);
+
+    const result = runTool(folder, 'rename-property', 'speed', 'maxSpeed', 'level.json');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Updated level\.json: 1 changes/);
+    assert.match(result.stderr, /barrel\.glb \(B\) already has "maxSpeed", left unchanged/);
+
+    const level = readLevelFile(folder, 'level.json');
+    // Key order is kept
+    assert.deepEqual(Object.entries(level.get('A').properties), [['label', 'a'], ['maxSpeed', 2], ['health', 1]]);
+    assert.deepEqual(level.get('B').properties, { speed: 3, maxSpeed: 5 });
+    assert.deepEqual(level.get('C').properties, { health: 2 });
+});
@@ -0,0 +1,44 @@
+// Level pickup totals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { AssetRegistry } = require('../js/asset-registry.js');
+const { LevelModel, LevelObject } = require('../js/level-model.js');
+const { computePickupTotals, describePickupTotals } = require('../js/pickups.js');
+
+function loadRegistry() {
+    const registry = new AssetRegistry();
+    registry.load(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'Assets/3D/asset-registry.json'), 'utf8')));
+    return registry;
+}
+
+function createLevel(objects) {
+    const level = new LevelModel();
+    objects.forEach(data => level.add(new LevelObject(data)));
+    return level;
+}
+
+test('placed pickups count with their own or their model\'s value', () => {
+    const level = createLevel([
+        { path: 'Assets/3D/Platformer/coin-gold.glb' },
+        { path: 'Assets/3D/Platformer/coin-bronze.glb', properties: { value: 3 } },
+        { path: 'Assets/3D/Platformer/jewel.glb' },
+        { path: 'Assets/3D/Pirate/crate.glb' }
+    ]);
+    const totals = computePickupTotals(level, loadRegistry());
+    assert.deepEqual(totals, { pickups: 3, coins: 2, points: 38 });
+    assert.equal(describePickupTotals(totals), '2 coins, 1 other pickup, 38 points possible');
+});
+
+test('what destructibles drop is part of the totals', () => {
+    const level = createLevel([
+        { path: 'Assets/3D/Castle/siege-ram.glb', properties: { dropPickup: 'coin-silver', dropCount: 4 } },
+        { path: 'Assets/3D/Castle/siege-tower.glb', properties: { dropPickup: 'jewel', dropCount: 1 } },
+        // Drops nothing by default
+        { path: 'Assets/3D/Castle/siege-catapult.glb' }
+    ]);
+    assert.deepEqual(computePickupTotals(level, loadRegistry()), { pickups: 5, coins: 4, points: 45 });
+});
@@ -0,0 +1,246 @@
+// Play-test simulation, driven headlessly with scripted inputs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PLAY_MAX_STEPS,
+    SURFER_SETTINGS,
+    PlaySimulation,
+    createPlayCollider,
+    setColliderPaths,
+    setPickupPaths,
+    setCannonPaths,
+    runPlayScript
+} = require('../js/play-simulation.js');
+const { PickupSystem, createPickup } = require('../js/pickups.js');
+const { ProjectileSystem, createCannon } = require('../js/projectiles.js');
+const { PathMotion } = require('../js/motion-paths.js');
+const { LevelModel, LevelObject } = require('../js/level-model.js');
+const { getObjectPaths } = require('../tools/level-tool.js');
+
+const SOLID = { role: 'platform', collider: 'box' };
+const WORLD_AXES = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }];
+
+function createBox(id, min, max, info = SOLID) {
+    return createPlayCollider(id, info, { min, max });
+}
+
+test('carving turns the board and costs speed', () => {
+    const simulation = new PlaySimulation();
+    runPlayScript(simulation, [{ seconds: 1, input: { left: true } }]);
+
+    const { player } = simulation;
+    assert.ok(Math.abs(player.heading - SURFER_SETTINGS.turnRate) < 1e-9);
+    assert.ok(player.lean > 0.9);
+    assert.ok(player.speed < SURFER_SETTINGS.cruiseSpeed);
+
+    runPlayScript(simulation, [{ seconds: 2, input: { right: true } }]);
+    assert.ok(simulation.player.heading < 0);
+    assert.ok(simulation.player.lean < -0.9);
+});
+
+test('accelerating is capped at the top speed, braking slows down and the board settles at cruising speed', () => {
+    const simulation = new PlaySimulation();
+    runPlayScript(simulation, [{ seconds: 3, input: { accelerate: true } }]);
+    assert.equal(simulation.player.speed, SURFER_SETTINGS.maxSpeed);
+    // Heading 0 rides along +z
+    assert.ok(simulation.player.position.z > 20);
+    assert.equal(simulation.player.position.x, 0);
+
+    runPlayScript(simulation, [{ seconds: 0.5, input: { brake: true } }]);
+    assert.ok(Math.abs(simulation.player.speed - (SURFER_SETTINGS.maxSpeed - SURFER_SETTINGS.braking * 0.5)) < 1e-9);
+
+    runPlayScript(simulation, [{ seconds: 10 }]);
+    assert.ok(Math.abs(simulation.player.speed - SURFER_SETTINGS.cruiseSpeed) < 0.01);
+});
+
+test('a held jump button jumps once, and the board lands back on the water', () => {
+    const simulation = new PlaySimulation();
+    const events = runPlayScript(simulation, [{ seconds: 0.5, input: { jump: true } }, { seconds: 1 }]);
+
+    assert.deepEqual(events.map(event => event.type), ['jump', 'land']);
+    assert.equal(events[0].step, 1);
+    assert.equal(simulation.player.grounded, true);
+    assert.equal(simulation.player.position.y, 0);
+});
+
+test('jumping onto a platform lands on its top', () => {
+    const platform = createBox('platform', { x: -2, y: 0, z: 2 }, { x: 2, y: 1, z: 10 });
+    const simulation = new PlaySimulation({ colliders: [platform], settings: { cruiseSpeed: 6 } });
+    const events = runPlayScript(simulation, [{ steps: 1, input: { jump: true } }, { seconds: 1 }]);
+
+    assert.deepEqual(events.map(event => event.type), ['jump', 'land']);
+    assert.equal(simulation.player.position.y, 1);
+    assert.ok(simulation.player.position.z > 2);
+    assert.equal(simulation.player.grounded, true);
+});
+
+test('solid boxes stop the board and report one bump; others only report overlaps', () => {
+    const wall = createBox('wall', { x: -2, y: 0, z: 5 }, { x: 2, y: 2, z: 6 });
+    const trigger = createBox('trigger', { x: -1, y: 0, z: 1 }, { x: 1, y: 2, z: 2 }, { role: 'trigger', collider: 'box' });
+    const simulation = new PlaySimulation({ colliders: [wall, trigger] });
+    const events = runPlayScript(simulation, [{ seconds: 3 }]);
+
+    assert.deepEqual(events.map(event => [event.type, event.id]), [['overlap', 'trigger'], ['bump', 'wall']]);
+    // Pushed back out of the wall by the board's radius
+    assert.ok(simulation.player.position.z <= 5 - SURFER_SETTINGS.radius + 1e-9);
+});
+
+test('ledges lower than a step are ridden onto', () => {
+    const ledge = createBox('ledge', { x: -2, y: 0, z: 1 }, { x: 2, y: 0.2, z: 10 });
+    const simulation = new PlaySimulation({ colliders: [ledge] });
+    const events = runPlayScript(simulation, [{ seconds: 1 }]);
+
+    assert.deepEqual(events, []);
+    assert.equal(simulation.player.position.y, 0.2);
+});
+
+test('advance runs whole steps, carries the rest over and caps long frames', () => {
+    const simulation = new PlaySimulation({ timestep: 0.25 });
+
+    simulation.advance(10, {});
+    assert.equal(simulation.stepCount, PLAY_MAX_STEPS);
+    assert.equal(simulation.alpha, 0);
+
+    simulation.advance(0.375, {});
+    assert.equal(simulation.stepCount, PLAY_MAX_STEPS + 1);
+    assert.equal(simulation.alpha, 0.5);
+
+    simulation.advance(0.125, {});
+    assert.equal(simulation.stepCount, PLAY_MAX_STEPS + 2);
+    assert.equal(simulation.alpha, 0);
+    assert.equal(simulation.time, (PLAY_MAX_STEPS + 2) * 0.25);
+});
+
+test('reset puts the player back on the spawn point', () => {
+    const simulation = new PlaySimulation({ spawn: { position: { x: 3, y: 0, z: 4 }, heading: 1 } });
+    runPlayScript(simulation, [{ seconds: 1, input: { accelerate: true } }]);
+    simulation.reset();
+
+    assert.deepEqual(simulation.player.position, { x: 3, y: 0, z: 4 });
+    assert.equal(simulation.player.heading, 1);
+    assert.equal(simulation.stepCount, 0);
+    assert.equal(simulation.time, 0);
+});
+
+test('scripts need whole steps and known inputs', () => {
+    const simulation = new PlaySimulation();
+    assert.throws(() => runPlayScript(simulation, [{ steps: 1.5 }]), /whole number/);
+    assert.throws(() => runPlayScript(simulation, [{ steps: 1, input: { fly: true } }]), /unknown inputs: fly/);
+    assert.equal(runPlayScript(simulation, [{ seconds: 0.5 }]).length, 0);
+    assert.equal(simulation.stepCount, 30);
+});
+
+function createPath(waypoints, options = {}) {
+    return { waypoints, curve: 'linear', speed: 1, easing: 'linear', mode: 'once', delay: 0, ...options };
+}
+
+function createPlatform(path) {
+    const collider = createPlayCollider('platform', SOLID, { min: { x: -2, y: 0, z: -2 }, max: { x: 2, y: 1, z: 2 } });
+    return setColliderPaths(collider, [{ motion: new PathMotion(path), axes: WORLD_AXES }]);
+}
+
+test('colliders move along their paths with the run time', () => {
+    const platform = createPlatform(createPath([{ x: 10, y: 0, z: 0 }], { speed: 2 }));
+    // Wave time doesn't start paths part of the way along
+    const simulation = new PlaySimulation({ colliders: [platform], spawn: { position: { x: 0, y: 5, z: 50 } }, startTime: 100 });
+    assert.deepEqual(platform.min, { x: -2, y: 0, z: -2 });
+
+    for (let i = 0; i < 60; i++) simulation.step();
+    assert.ok(Math.abs(platform.min.x - 0) < 1e-9);
+    assert.ok(Math.abs(platform.center.x - 2) < 1e-9);
+    assert.ok(Math.abs(platform.max.x - 4) < 1e-9);
+
+    simulation.reset();
+    assert.deepEqual(platform.min, { x: -2, y: 0, z: -2 });
+    assert.deepEqual(platform.home.min, { x: -2, y: 0, z: -2 });
+});
+
+test('a moving platform carries the board standing on it', () => {
+    const platform = createPlatform(createPath([{ x: 0, y: 0, z: 4 }]));
+    const simulation = new PlaySimulation({
+        colliders: [platform],
+        spawn: { position: { x: 0, y: 1, z: 0 }, heading: Math.PI / 2 },
+        settings: { cruiseSpeed: 0 }
+    });
+    assert.equal(simulation.player.grounded, true);
+
+    for (let i = 0; i < 60; i++) simulation.step();
+    assert.ok(Math.abs(simulation.player.position.z - 1) < 1e-6, `z = ${simulation.player.position.z}`);
+    assert.equal(simulation.player.position.y, 1);
+    assert.equal(simulation.player.grounded, true);
+});
+
+test('colliders without paths stay put', () => {
+    const collider = createPlayCollider('crate', SOLID, { min: { x: 5, y: 0, z: 5 }, max: { x: 6, y: 1, z: 6 } });
+    assert.equal(setColliderPaths(collider, []), collider);
+    const simulation = new PlaySimulation({ colliders: [collider] });
+    for (let i = 0; i < 10; i++) simulation.step();
+    assert.deepEqual(collider.min, { x: 5, y: 0, z: 5 });
+    assert.equal(collider.paths, undefined);
+});
+
+test('pickups on paths wait and respawn where their path has them', () => {
+    const coin = createPickup('coin', { role: 'collectible', tags: ['coin'], properties: { value: 5 } },
+        { min: { x: 2.5, y: 0, z: 9.5 }, max: { x: 3.5, y: 1, z: 10.5 } }, { respawn: 1 });
+    setPickupPaths(coin, [{ motion: new PathMotion(createPath([{ x: -3, y: 0, z: 0 }], { speed: 3 })), axes: WORLD_AXES }]);
+    const simulation = new PlaySimulation({ pickups: new PickupSystem([coin]) });
+    const [item] = simulation.pickups.items;
+
+    runPlayScript(simulation, [{ seconds: 0.5 }]);
+    assert.ok(Math.abs(item.position.x - 1.5) < 1e-9);
+    assert.ok(Math.abs(item.home.x - 1.5) < 1e-9);
+
+    // Moved into the board's way; it would have been missed where it was placed
+    const events = runPlayScript(simulation, [{ seconds: 2.5 }]);
+    assert.deepEqual(events.map(event => event.type), ['collect']);
+
+    simulation.reset();
+    assert.deepEqual(item.position, { x: 3, y: 0.5, z: 10 });
+    assert.deepEqual(coin.home, { x: 3, y: 0.5, z: 10 });
+});
+
+test('cannons on paths fire from where their path has them', () => {
+    const cannon = createCannon('cannon', { role: 'weapon' }, { min: { x: -0.5, y: 0, z: -0.5 }, max: { x: 0.5, y: 1, z: 0.5 } }, 0,
+        { fireMode: 'straight', fireRate: 1 });
+    setCannonPaths(cannon, [{ motion: new PathMotion(createPath([{ x: 10, y: 0, z: 0 }], { speed: 20 })), axes: WORLD_AXES }]);
+    const simulation = new PlaySimulation({
+        projectiles: new ProjectileSystem({ cannons: [cannon] }),
+        spawn: { position: { x: -20, y: 0, z: 0 } }
+    });
+
+    const events = runPlayScript(simulation, [{ seconds: 1.1 }]);
+    assert.equal(events.filter(event => event.type === 'fire').length, 2);
+    assert.ok(Math.abs(cannon.muzzle.x - 10) < 1e-9);
+    const latest = simulation.projectiles.pool.filter(ball => ball.active).reduce((a, b) => a.age < b.age ? a : b);
+    assert.ok(Math.abs(latest.position.x - 10) < 1e-9);
+
+    simulation.reset();
+    assert.equal(cannon.muzzle.x, 0);
+});
+
+test('level-tool turns path offsets into world directions through rotated and scaled parents', () => {
+    const level = new LevelModel();
+    const carrier = level.add(new LevelObject({
+        path: 'Assets/3D/Pirate/ship-large.glb',
+        rotation: { x: 0, y: Math.PI / 2, z: 0 },
+        scale: { x: 2, y: 2, z: 2 },
+        motionPath: createPath([{ x: 0, y: 3, z: 0 }])
+    }));
+    const crate = level.add(new LevelObject({
+        path: 'Assets/3D/Pirate/crate.glb',
+        parent: carrier.id,
+        motionPath: createPath([{ x: 1, y: 0, z: 0 }])
+    }));
+
+    const paths = getObjectPaths(crate, level);
+    assert.equal(paths.length, 2);
+
+    // The crate moves along the carrier's x axis, which points down -z in the world
+    const [own, parent] = paths;
+    assert.ok(Math.abs(own.axes[0].x) < 1e-9);
+    assert.ok(Math.abs(own.axes[0].z + 2) < 1e-9);
+    assert.deepEqual(parent.axes, WORLD_AXES);
+    assert.deepEqual(getObjectPaths(carrier, level).map(path => path.axes), [WORLD_AXES]);
+});
@@ -0,0 +1,90 @@
+// Loading legacy, broken and foreign scene files
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCENE_VERSION, SceneLoadReport, prepareScene, migrateScene } = require('../js/scene-schema.js');
+const { deserializeLevel } = require('../js/scene-serializer.js');
+
+test('legacy array files load through every migration', () => {
+    const report = new SceneLoadReport('legacy.json');
+    const scene = prepareScene([
+        { file: 'Assets/3D/Pirate/crate.glb', position: [1, 2, 3], rotation: [0, 1.5, 0], scale: [1, 1, 1] }
+    ], report);
+
+    assert.ok(scene);
+    assert.equal(scene.version, SCENE_VERSION);
+    assert.equal(report.sourceVersion, '1.0');
+    assert.ok(report.migrations.length > 0);
+    assert.deepEqual(scene.objects[0].position, { x: 1, y: 2, z: 3 });
+    assert.deepEqual(scene.objects[0].rotation, { x: 0, y: 1.5, z: 0 });
+    assert.equal(scene.objects[0].path, 'Assets/3D/Pirate/crate.glb');
+    assert.deepEqual(scene.objects[0].properties, {});
+});
+
+test('versionless objects with an objects array are legacy files', () => {
+    const level = deserializeLevel({ objects: [{ path: 'Assets/3D/Pirate/crate.glb', position: [4, 0, 0] }] });
+
+    assert.equal(level.size, 1);
+    assert.deepEqual(level.list()[0].position, { x: 4, y: 0, z: 0 });
+    // Missing transform parts get defaults
+    assert.deepEqual(level.list()[0].scale, { x: 1, y: 1, z: 1 });
+});
+
+test('files without a version or objects are rejected, not loaded empty', () => {
+    [{}, { bad: 1 }, { objects: 'none' }].forEach(data => {
+        const report = new SceneLoadReport();
+        assert.equal(prepareScene(data, report), null);
+        assert.ok(report.isFatal, JSON.stringify(data));
+    });
+});
+
+test('files of other formats and newer versions are rejected', () => {
+    const other = new SceneLoadReport();
+    assert.equal(prepareScene({ version: '2.0', metadata: { format: 'Other' }, objects: [] }, other), null);
+    assert.match(other.errors[0], /format/);
+
+    const newer = new SceneLoadReport();
+    assert.equal(prepareScene({ version: '99.0', metadata: { format: 'AssetEditorScene' }, objects: [] }, newer), null);
+    assert.match(newer.errors[0], /newer/);
+
+    assert.throws(() => migrateScene({ version: '0.3' }), /Unknown scene version/);
+});
+
+test('broken objects are repaired or rejected one by one', () => {
+    const report = new SceneLoadReport();
+    const scene = prepareScene({
+        version: '2.0',
+        metadata: { format: 'AssetEditorScene' },
+        objects: [
+            { path: 'Assets/3D/Pirate/crate.glb', position: { x: '2', y: 0, z: 0 }, scale: { x: 0, y: 1, z: 1 } },
+            { path: 'Assets/3D/Pirate/crate.txt', position: [0, 0, 0] },
+            'not an object',
+            { path: 'Assets/3D/Pirate/barrel.glb', uuid: 'A', originalUuid: 'A' },
+            { path: 'Assets/3D/Pirate/barrel.glb', uuid: 'A', originalUuid: 'A' }
+        ]
+    }, report);
+
+    assert.equal(scene.objects.length, 3);
+    assert.equal(report.rejectedCount, 2);
+    assert.deepEqual(scene.objects[0].position, { x: 2, y: 0, z: 0 });
+    assert.deepEqual(scene.objects[0].scale, { x: 1, y: 1, z: 1 });
+    // The copy with a duplicate id gets a new one
+    assert.equal(scene.objects[2].uuid, undefined);
+});
+
+test('properties that are not scalars or vectors are kept as text', () => {
+    const report = new SceneLoadReport();
+    const scene = prepareScene({
+        version: '2.2',
+        metadata: { format: 'AssetEditorScene' },
+        objects: [{
+            path: 'Assets/3D/Pirate/crate.glb',
+            position: [0, 0, 0],
+            properties: { list: [1, 2], empty: null, offset: { x: 1, y: 2, z: 3 } }
+        }]
+    }, report);
+
+    assert.deepEqual(scene.objects[0].properties, { list: '[1,2]', offset: { x: 1, y: 2, z: 3 } });
+    assert.equal(report.repairedCount, 1);
+});
@@ -0,0 +1,78 @@
+// Save/load round-trips through the scene file format
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LevelModel, LevelObject, LevelLink } = require('../js/level-model.js');
+const { SCENE_VERSION, SceneLoadReport } = require('../js/scene-schema.js');
+const { serializeLevel, deserializeLevel, stringifyLevel, parseLevel } = require('../js/scene-serializer.js');
+
+function createLevel() {
+    const level = new LevelModel();
+    level.settings = { snapping: { gridEnabled: true, gridSize: 0.5 } };
+    const crate = level.add(new LevelObject({
+        path: 'Assets/3D/Pirate/crate.glb',
+        position: { x: 1.5, y: 0, z: -2 },
+        rotation: { x: 0, y: Math.PI / 2, z: 0 },
+        scale: { x: 2, y: 2, z: 2 },
+        properties: { health: 3, breakable: true, label: 'loot', offset: { x: 0, y: 1, z: 0 } },
+        name: 'Loot crate'
+    }));
+    const lever = level.add(new LevelObject({ path: 'Assets/3D/Platformer/lever.glb', parent: crate.id, hidden: true }));
+    level.add(new LevelObject({
+        path: 'Assets/3D/Platformer/block-moving.glb',
+        locked: true,
+        motionPath: { waypoints: [{ x: 0, y: 2, z: 0 }], curve: 'linear', speed: 2, easing: 'linear', mode: 'loop', delay: 1 }
+    }));
+    level.addLink(new LevelLink({ source: lever.id, target: crate.id, event: 'activate', action: 'destroy' }));
+    return level;
+}
+
+test('serializeLevel writes the current version with every object and link', () => {
+    const date = new Date('2024-01-02T03:04:05Z');
+    const data = serializeLevel(createLevel(), { date });
+
+    assert.equal(data.version, SCENE_VERSION);
+    assert.equal(data.metadata.format, 'AssetEditorScene');
+    assert.equal(data.metadata.date, date.toISOString());
+    assert.equal(data.metadata.objectCount, 3);
+    assert.equal(data.objects.length, 3);
+    assert.equal(data.links.length, 1);
+});
+
+test('a level survives a save and load unchanged', () => {
+    const level = createLevel();
+    const report = new SceneLoadReport('round-trip.json');
+    const loaded = parseLevel(stringifyLevel(level), report);
+
+    assert.ok(loaded);
+    assert.equal(report.hasIssues, false);
+    assert.deepEqual(loaded.settings, level.settings);
+    assert.deepEqual(loaded.list().map(object => object.toJSON()), level.list().map(object => object.toJSON()));
+    assert.deepEqual(loaded.getLinks().map(link => link.toJSON()), level.getLinks().map(link => link.toJSON()));
+});
+
+test('saving a loaded level writes the same objects again', () => {
+    const date = new Date('2024-01-02T03:04:05Z');
+    const first = serializeLevel(createLevel(), { date });
+    const second = serializeLevel(deserializeLevel(JSON.parse(JSON.stringify(first))), { date });
+
+    assert.deepEqual(second, first);
+});
+
+test('links to deleted objects are not saved', () => {
+    const level = createLevel();
+    level.remove(level.list()[0]);
+
+    const data = serializeLevel(level);
+    assert.equal(data.links.length, 0);
+    // The child of the deleted object moves to the top level
+    assert.equal(data.objects[0].parent, null);
+});
+
+test('parseLevel reports text that is not JSON', () => {
+    const report = new SceneLoadReport();
+    assert.equal(parseLevel('{ "version": ', report), null);
+    assert.ok(report.isFatal);
+    assert.match(report.errors[0], /Not valid JSON/);
+});
@@ -0,0 +1,49 @@
+// Ocean wave height and slope
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WAVE_DEFAULTS, OceanWaves } = require('../js/waves.js');
+
+test('calm water is flat at the water level', () => {
+    const waves = new OceanWaves({ enabled: false, level: 1.5 });
+    assert.equal(waves.heightAt(3, -7, 12), 1.5);
+    assert.deepEqual(waves.slopeAt(3, -7, 12), { x: 0, z: 0 });
+});
+
+test('the height stays within the summed amplitudes around the level', () => {
+    const waves = new OceanWaves({ level: 2, amplitude: 0.5, choppiness: 1 });
+    const reach = 0.5 * (1 + 0.5 + 0.25);
+    for (let i = 0; i < 200; i++) {
+        const height = waves.heightAt(i * 1.3, i * -0.7, i * 0.1);
+        assert.ok(Math.abs(height - 2) <= reach + 1e-9, `${height}`);
+    }
+});
+
+test('the swell travels along its direction at its speed', () => {
+    // Without cross waves the surface is the swell alone
+    const waves = new OceanWaves({ amplitude: 1, wavelength: 10, speed: 3, direction: 0, choppiness: 0 });
+    for (const t of [0.5, 2, 7]) {
+        assert.ok(Math.abs(waves.heightAt(1, 3 * t, t) - waves.heightAt(1, 0, 0)) < 1e-9);
+    }
+    // Across the direction of travel the swell is flat
+    assert.ok(Math.abs(waves.heightAt(5, 2, 1) - waves.heightAt(-4, 2, 1)) < 1e-9);
+    assert.ok(Math.abs(waves.slopeAt(5, 2, 1).x) < 1e-12);
+});
+
+test('slopeAt is the derivative of heightAt', () => {
+    const waves = new OceanWaves({ direction: 30, choppiness: 0.8 });
+    const d = 1e-5;
+    for (const [x, z, t] of [[0, 0, 0], [4.2, -1.5, 3], [-12, 9, 20.5]]) {
+        const slope = waves.slopeAt(x, z, t);
+        const dx = (waves.heightAt(x + d, z, t) - waves.heightAt(x - d, z, t)) / (2 * d);
+        const dz = (waves.heightAt(x, z + d, t) - waves.heightAt(x, z - d, t)) / (2 * d);
+        assert.ok(Math.abs(slope.x - dx) < 1e-6, `x at ${x}, ${z}`);
+        assert.ok(Math.abs(slope.z - dz) < 1e-6, `z at ${x}, ${z}`);
+    }
+});
+
+test('malformed parameters are ignored', () => {
+    const waves = new OceanWaves({ amplitude: -1, wavelength: 0, speed: 'fast', level: 'high', enabled: 'yes', direction: 90 });
+    assert.deepEqual(waves.toJSON(), { ...WAVE_DEFAULTS, direction: 90 });
+});
@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+// Development server for the editor
+//
+// Serves the editor and its assets from the project folder, like any static
+// file server, and lets the editor save levels straight into levels/:
+//
+//     node tools/dev-server.js
+//     open http://127.0.0.1:8080/
+//
+// Level routes (names are plain file names such as scene_01.json):
+//     GET    /api/levels               List levels: { levels: [{ name, size, modified }] }
+//     GET    /api/levels/<name>        Level file contents
+//     PUT    /api/levels/<name>        Write a level; with "If-None-Match: *" only if it doesn't exist yet
+//     POST   /api/levels/<name>/rename Rename a level; body { "name": "<new name>" }
+//     DELETE /api/levels/<name>        Delete a level
+//
+// Prefab routes (names are file names in prefabs/ such as dock.prefab.json;
+// the editor loads prefabs from the static files):
+//     GET    /api/prefabs              List prefabs: { prefabs: [{ name, size, modified }] }
+//     PUT    /api/prefabs/<name>       Write a prefab
+//
+// The server only listens on this machine unless --host says otherwise, and
+// changes (PUT, POST, DELETE) must be JSON requests coming from a page the
+// server served itself, so other web sites open in the browser can't make them.
+//
+// Levels are checked with the editor's own loader (js/scene-schema.js) before
+// they are written, so a broken save can't replace a good file: bodies that
+// aren't a level, or that have objects the loader would reject, are refused.
+// Prefabs are checked the same way (js/prefabs.js). Errors are
+// answered with { error: "<message>" }.
+//
+// Options:
+//     --port     Port to listen on (default: 8080)
+//     --host     Address to listen on (default: 127.0.0.1; 0.0.0.0 for every network)
+//     --root     Folder to serve (default: the project folder)
+//     --levels   Folder levels are saved in (default: <root>/levels)
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { SceneLoadReport } = require('../js/scene-schema.js');
+const { deserializeLevel } = require('../js/scene-serializer.js');
+const { PREFAB_FOLDER, checkPrefab } = require('../js/prefabs.js');
+
+const API_PREFIX = '/api/levels';
+const PREFAB_API_PREFIX = '/api/prefabs';
+
+// Level names can't contain folders, so requests can't reach outside the levels folder
+const LEVEL_NAME_PATTERN = /^[\w][\w .-]*\.json$/;
+
+// Prefab names follow getPrefabPath
+const PREFAB_NAME_PATTERN = /^[\w][\w.-]*\.prefab\.json$/;
+
+// Methods that change files
+const WRITE_METHODS = ['PUT', 'POST', 'DELETE'];
+
+// Larger bodies are refused rather than buffered
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.bin': 'application/octet-stream',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Error with the HTTP status it is answered with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseArgs(argv) {
+    const args = { port: 8080, host: '127.0.0.1', root: path.join(__dirname, '..'), levels: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                args.port = Number(argv[++i]);
+                break;
+            case '--host':
+                args.host = argv[++i];
+                break;
+            case '--root':
+                args.root = argv[++i];
+                break;
+            case '--levels':
+                args.levels = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        throw new Error('--port needs a port number');
+    }
+    if (!args.host) {
+        throw new Error('--host needs an address');
+    }
+    args.root = path.resolve(args.root);
+    args.levels = path.resolve(args.levels || path.join(args.root, 'levels'));
+    return args;
+}
+
+/**
+ * Path of a level file, after checking the name
+ * @param {string} levelsDir - Levels folder
+ * @param {string} name - Level file name from the request
+ * @returns {string}
+ * @throws {HttpError} If the name isn't a valid level name
+ */
+function resolveLevel(levelsDir, name) {
+    if (!LEVEL_NAME_PATTERN.test(name) || name.includes('..')) {
+        throw new HttpError(400, `Invalid level name: ${name}; use letters, digits, spaces, "_", "-" and "." ending in .json`);
+    }
+    return path.join(levelsDir, name);
+}
+
+/**
+ * Path of a prefab file, after checking the name
+ * @param {string} prefabsDir - Prefabs folder
+ * @param {string} name - Prefab file name from the request
+ * @returns {string}
+ * @throws {HttpError} If the name isn't a valid prefab name
+ */
+function resolvePrefab(prefabsDir, name) {
+    if (!PREFAB_NAME_PATTERN.test(name) || name.includes('..')) {
+        throw new HttpError(400, `Invalid prefab name: ${name}; use letters, digits, "_", "-" and "." ending in .prefab.json`);
+    }
+    return path.join(prefabsDir, name);
+}
+
+/**
+ * Levels in the levels folder, or prefabs in the prefabs folder
+ * @param {string} folder
+ * @param {RegExp} pattern - Names of the files to list
+ * @returns {{name: string, size: number, modified: string}[]} Sorted by name
+ */
+function listFiles(folder, pattern) {
+    if (!fs.existsSync(folder)) return [];
+
+    return fs.readdirSync(folder, { withFileTypes: true })
+        .filter(entry => entry.isFile() && pattern.test(entry.name))
+        .map(entry => {
+            const stats = fs.statSync(path.join(folder, entry.name));
+            return { name: entry.name, size: stats.size, modified: stats.mtime.toISOString() };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks that a request body is a level the editor loads in full
+ * @param {string} text - Request body
+ * @throws {HttpError} If the level can't be loaded, or would lose objects
+ */
+function checkLevel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, `Body must be JSON: ${error.message}`);
+    }
+    // Anything else would be saved over a good level and load as an empty one
+    if (!Array.isArray(data) && (data === null || typeof data !== 'object' ||
+            (data.version === undefined && !Array.isArray(data.objects)))) {
+        throw new HttpError(400, 'Not a level: no version and no objects array');
+    }
+
+    const report = new SceneLoadReport('request');
+    const level = deserializeLevel(data, report);
+    // Objects the loader drops would be gone from the file the next time it is saved
+    if (!level || report.isFatal || report.rejectedCount > 0) {
+        throw new HttpError(400, report.toString());
+    }
+}
+
+/**
+ * Checks that a request body is a prefab the editor can use
+ * @param {string} text - Request body
+ * @throws {HttpError} If the prefab is broken
+ */
+function checkPrefabFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, `Body must be JSON: ${error.message}`);
+    }
+    const problems = checkPrefab(data);
+    if (problems.length > 0) {
+        throw new HttpError(400, `Prefab can't be used: ${problems.join('; ')}`);
+    }
+}
+
+/**
+ * Checks that a request changing files comes from the editor. Browsers send
+ * the Origin of the page with every such request; tools such as curl send
+ * none. Requiring JSON makes browsers ask before sending from another site,
+ * and the server never says yes.
+ * @param {http.IncomingMessage} request
+ * @throws {HttpError} If the request comes from another site or isn't JSON
+ */
+function checkWriteRequest(request) {
+    const origin = request.headers.origin;
+    if (origin !== undefined && origin !== `http://${request.headers.host}`) {
+        throw new HttpError(403, `Requests from ${origin} can't change files`);
+    }
+    const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        throw new HttpError(415, 'Content-Type must be application/json');
+    }
+}
+
+/**
+ * Sends a file, ending the response if it can't be read after all
+ */
+function sendFile(response, file) {
+    fs.createReadStream(file)
+        .on('error', error => {
+            console.error(`Reading ${file}:`, error.message);
+            response.destroy();
+        })
+        .pipe(response);
+}
+
+/**
+ * Writes a file through a temporary file, so readers never see half of it
+ */
+function writeFileAtomic(file, text) {
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, text);
+    fs.renameSync(temp, file);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-cache' });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * Answers a request under /api/levels
+ * @param {Object} args - Parsed command line
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string[]} parts - Decoded path segments after /api/levels
+ */
+async function handleLevelRequest(args, request, response, parts) {
+    const [name, action] = parts;
+
+    if (!name) {
+        if (request.method !== 'GET') throw new HttpError(405, `${request.method} not allowed`);
+        sendJson(response, 200, { levels: listFiles(args.levels, LEVEL_NAME_PATTERN) });
+        return;
+    }
+
+    const file = resolveLevel(args.levels, name);
+    const exists = fs.existsSync(file);
+
+    if (action === 'rename') {
+        if (request.method !== 'POST') throw new HttpError(405, `${request.method} not allowed`);
+        if (!exists) throw new HttpError(404, `Level not found: ${name}`);
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(request));
+        } catch (error) {
+            if (error instanceof HttpError) throw error;
+            throw new HttpError(400, `Body must be JSON: ${error.message}`);
+        }
+        const target = resolveLevel(args.levels, String(body?.name));
+        if (fs.existsSync(target)) throw new HttpError(409, `Level already exists: ${body.name}`);
+
+        fs.renameSync(file, target);
+        sendJson(response, 200, { name: body.name });
+        return;
+    }
+    if (action !== undefined) {
+        throw new HttpError(404, `Unknown level action: ${action}`);
+    }
+
+    switch (request.method) {
+        case 'GET': {
+            if (!exists) throw new HttpError(404, `Level not found: ${name}`);
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-cache' });
+            sendFile(response, file);
+            return;
+        }
+        case 'PUT': {
+            // Save As asks for this so it doesn't overwrite a level by accident
+            if (exists && request.headers['if-none-match'] === '*') {
+                throw new HttpError(412, `Level already exists: ${name}`);
+            }
+            const text = await readBody(request);
+            checkLevel(text);
+
+            fs.mkdirSync(args.levels, { recursive: true });
+            writeFileAtomic(file, text);
+            sendJson(response, exists ? 200 : 201, { name, size: Buffer.byteLength(text) });
+            return;
+        }
+        case 'DELETE': {
+            if (!exists) throw new HttpError(404, `Level not found: ${name}`);
+            fs.unlinkSync(file);
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        default:
+            throw new HttpError(405, `${request.method} not allowed`);
+    }
+}
+
+/**
+ * Answers a request under /api/prefabs
+ * @param {Object} args - Parsed command line
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string[]} parts - Decoded path segments after /api/prefabs
+ */
+async function handlePrefabRequest(args, request, response, parts) {
+    // Prefab paths are relative to the served folder, like asset paths
+    const prefabsDir = path.join(args.root, PREFAB_FOLDER);
+    const [name, ...rest] = parts;
+
+    if (!name) {
+        if (request.method !== 'GET') throw new HttpError(405, `${request.method} not allowed`);
+        sendJson(response, 200, { prefabs: listFiles(prefabsDir, PREFAB_NAME_PATTERN) });
+        return;
+    }
+    if (rest.length > 0) {
+        throw new HttpError(404, `Unknown prefab action: ${rest.join('/')}`);
+    }
+    if (request.method !== 'PUT') throw new HttpError(405, `${request.method} not allowed`);
+
+    const file = resolvePrefab(prefabsDir, name);
+    const exists = fs.existsSync(file);
+    const text = await readBody(request);
+    checkPrefabFile(text);
+
+    fs.mkdirSync(prefabsDir, { recursive: true });
+    writeFileAtomic(file, text);
+    sendJson(response, exists ? 200 : 201, { name, size: Buffer.byteLength(text) });
+}
+
+/**
+ * Serves a file from the project folder
+ */
+function handleStaticRequest(args, request, response, urlPath) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw new HttpError(405, `${request.method} not allowed`);
+    }
+
+    let file = path.join(args.root, urlPath);
+    if (file !== args.root && !file.startsWith(args.root + path.sep)) {
+        throw new HttpError(403, 'Outside the served folder');
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+        throw new HttpError(404, `Not found: ${urlPath}`);
+    }
+
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    response.writeHead(200, { 'Content-Type': type, 'Content-Length': fs.statSync(file).size, 'Cache-Control': 'no-cache' });
+    if (request.method === 'HEAD') {
+        response.end();
+        return;
+    }
+    sendFile(response, file);
+}
+
+/**
+ * Creates the server without starting it
+ * @param {Object} args - Options as returned by parseArgs
+ * @returns {http.Server}
+ */
+function createServer(args) {
+    return http.createServer(async (request, response) => {
+        try {
+            const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+
+            if (WRITE_METHODS.includes(request.method)) {
+                checkWriteRequest(request);
+            }
+
+            if (urlPath === API_PREFIX || urlPath.startsWith(API_PREFIX + '/')) {
+                const parts = urlPath.slice(API_PREFIX.length).split('/').filter(part => part !== '');
+                await handleLevelRequest(args, request, response, parts);
+            } else if (urlPath === PREFAB_API_PREFIX || urlPath.startsWith(PREFAB_API_PREFIX + '/')) {
+                const parts = urlPath.slice(PREFAB_API_PREFIX.length).split('/').filter(part => part !== '');
+                await handlePrefabRequest(args, request, response, parts);
+            } else {
+                handleStaticRequest(args, request, response, urlPath);
+            }
+        } catch (error) {
+            // Malformed escapes in the URL are the client's fault
+            const status = error.status || (error instanceof URIError ? 400 : 500);
+            if (status === 500) {
+                console.error(`${request.method} ${request.url}:`, error);
+            }
+            if (!response.headersSent) {
+                sendJson(response, status, { error: error.message });
+            } else {
+                response.end();
+            }
+        }
+    });
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/dev-server.js [--port 8080] [--host 127.0.0.1] [--root .] [--levels levels]');
+        process.exit(2);
+    }
+
+    createServer(args).listen(args.port, args.host, () => {
+        console.log(`Serving ${args.root} at http://${args.host}:${args.port}/`);
+        console.log(`Levels are saved in ${args.levels}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer, parseArgs, listFiles, LEVEL_NAME_PATTERN, PREFAB_NAME_PATTERN };
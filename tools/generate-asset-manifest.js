@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+// Asset manifest generator
+//
+// Scans Assets/3D and writes Assets/3D/manifest.json, which the editor's
+// asset browser is built from. For every GLB it records the file size and the
+// model's bounding box. Run it after adding, removing or renaming models:
+//
+//     node tools/generate-asset-manifest.js
+//
+// Options:
+//     --check    Only compare disk with the existing manifest; exits with 1
+//                if they differ instead of writing a new manifest
+//     --root     Asset folder to scan (default: Assets/3D)
+//     --out      Manifest path (default: <root>/manifest.json)
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FORMAT = 'AssetManifest';
+const MANIFEST_VERSION = 1;
+const MODEL_EXTENSIONS = ['.glb'];
+
+// Folders that hold model dependencies rather than models
+const IGNORED_FOLDERS = ['Textures'];
+
+function parseArgs(argv) {
+    const args = { check: false, root: 'Assets/3D', out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--check':
+                args.check = true;
+                break;
+            case '--root':
+                args.root = argv[++i];
+                break;
+            case '--out':
+                args.out = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    args.out = args.out || path.join(args.root, 'manifest.json');
+    return args;
+}
+
+/**
+ * Reads the JSON chunk of a binary glTF file
+ * @param {Buffer} buffer - Contents of the .glb file
+ * @returns {Object} The glTF JSON
+ */
+function readGlbJson(buffer) {
+    if (buffer.length < 20 || buffer.readUInt32LE(0) !== 0x46546C67) { // 'glTF'
+        throw new Error('Not a binary glTF file');
+    }
+
+    const chunkLength = buffer.readUInt32LE(12);
+    const chunkType = buffer.readUInt32LE(16);
+    if (chunkType !== 0x4E4F534A) { // 'JSON'
+        throw new Error('First chunk is not JSON');
+    }
+
+    return JSON.parse(buffer.toString('utf8', 20, 20 + chunkLength));
+}
+
+// Minimal column-major 4x4 matrix helpers, matching glTF's layout
+
+function identityMatrix() {
+    return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function multiplyMatrices(a, b) {
+    const out = new Array(16).fill(0);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            for (let k = 0; k < 4; k++) {
+                out[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+            }
+        }
+    }
+    return out;
+}
+
+function composeMatrix(t = [0, 0, 0], r = [0, 0, 0, 1], s = [1, 1, 1]) {
+    const [x, y, z, w] = r;
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, xy = x * y2, xz = x * z2;
+    const yy = y * y2, yz = y * z2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+
+    return [
+        (1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+        (xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+        (xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+        t[0], t[1], t[2], 1
+    ];
+}
+
+function transformPoint(m, p) {
+    return [
+        m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12],
+        m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13],
+        m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14]
+    ];
+}
+
+/**
+ * Computes the bounding box of a glTF's default scene from accessor min/max
+ * @param {Object} gltf - The glTF JSON
+ * @returns {Object|null} { min: [x, y, z], max: [x, y, z] }, or null if empty
+ */
+function computeBounds(gltf) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const nodes = gltf.nodes || [];
+    const meshes = gltf.meshes || [];
+    const accessors = gltf.accessors || [];
+
+    const expand = (matrix, accessor) => {
+        if (!accessor?.min || !accessor?.max) return;
+
+        // Transform all eight corners of the local box
+        for (let i = 0; i < 8; i++) {
+            const corner = [
+                i & 1 ? accessor.max[0] : accessor.min[0],
+                i & 2 ? accessor.max[1] : accessor.min[1],
+                i & 4 ? accessor.max[2] : accessor.min[2]
+            ];
+            const p = transformPoint(matrix, corner);
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], p[axis]);
+                max[axis] = Math.max(max[axis], p[axis]);
+            }
+        }
+    };
+
+    const visit = (index, parentMatrix, depth) => {
+        const node = nodes[index];
+        if (!node || depth > 64) return;
+
+        const local = node.matrix || composeMatrix(node.translation, node.rotation, node.scale);
+        const world = multiplyMatrices(parentMatrix, local);
+
+        if (node.mesh !== undefined) {
+            (meshes[node.mesh]?.primitives || []).forEach(primitive => {
+                expand(world, accessors[primitive.attributes?.POSITION]);
+            });
+        }
+
+        (node.children || []).forEach(child => visit(child, world, depth + 1));
+    };
+
+    const scene = (gltf.scenes || [])[gltf.scene || 0];
+    const roots = scene ? scene.nodes || [] : nodes.map((_, i) => i);
+    roots.forEach(index => visit(index, identityMatrix(), 0));
+
+    if (min[0] === Infinity) return null;
+
+    const round = v => Math.round(v * 10000) / 10000;
+    return { min: min.map(round), max: max.map(round) };
+}
+
+/**
+ * Builds the manifest entry for one model file
+ * @returns {Object} The entry; broken references are added to warnings
+ */
+function describeModel(filePath, relativePath, warnings) {
+    const buffer = fs.readFileSync(filePath);
+    const entry = {
+        name: path.basename(filePath),
+        path: relativePath,
+        size: buffer.length,
+        bounds: null
+    };
+
+    try {
+        const gltf = readGlbJson(buffer);
+        entry.bounds = computeBounds(gltf);
+
+        // External textures and buffers have to ship next to the model
+        [...(gltf.images || []), ...(gltf.buffers || [])]
+            .filter(ref => ref.uri && !ref.uri.startsWith('data:'))
+            .forEach(ref => {
+                const target = path.join(path.dirname(filePath), decodeURIComponent(ref.uri));
+                if (!fs.existsSync(target)) {
+                    warnings.push(`${relativePath}: references missing file ${ref.uri}`);
+                }
+            });
+    } catch (error) {
+        warnings.push(`${relativePath}: could not be read (${error.message})`);
+    }
+
+    return entry;
+}
+
+/**
+ * Recursively scans a folder for models
+ * @returns {Object} Folder node { name, path, folders, files }
+ */
+function scanFolder(dir, relativePath, warnings) {
+    const folder = {
+        name: path.basename(dir),
+        path: relativePath,
+        folders: [],
+        files: []
+    };
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    entries.forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        const entryPath = `${relativePath}/${entry.name}`;
+
+        if (entry.isDirectory()) {
+            if (!IGNORED_FOLDERS.includes(entry.name)) {
+                folder.folders.push(scanFolder(fullPath, entryPath, warnings));
+            }
+        } else if (MODEL_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            folder.files.push(describeModel(fullPath, entryPath, warnings));
+        }
+    });
+
+    return folder;
+}
+
+function listFiles(folder, out = []) {
+    folder.files.forEach(file => out.push(file.path));
+    folder.folders.forEach(child => listFiles(child, out));
+    return out;
+}
+
+/**
+ * Generates the manifest object for an asset folder
+ * @param {string} root - Folder to scan, relative to the working directory
+ * @returns {{ manifest: Object, warnings: string[] }}
+ */
+function generateManifest(root) {
+    const warnings = [];
+    const rootPath = root.split(path.sep).join('/').replace(/\/$/, '');
+    const tree = scanFolder(root, rootPath, warnings);
+
+    const checkEmpty = folder => {
+        if (folder.files.length === 0 && folder.folders.length === 0) {
+            warnings.push(`${folder.path}: folder contains no models`);
+        }
+        folder.folders.forEach(checkEmpty);
+    };
+    tree.folders.forEach(checkEmpty);
+
+    const manifest = {
+        format: MANIFEST_FORMAT,
+        version: MANIFEST_VERSION,
+        root: rootPath,
+        fileCount: listFiles(tree).length,
+        folders: tree.folders,
+        files: tree.files
+    };
+
+    return { manifest, warnings };
+}
+
+/**
+ * Lists files that were added or removed compared to an older manifest
+ * @returns {{ missing: string[], extra: string[] }} Files in the old manifest
+ *     that are gone from disk, and files on disk the old manifest lacks
+ */
+function diffManifests(previous, current) {
+    const before = new Set(listFiles(previous));
+    const after = new Set(listFiles(current));
+
+    return {
+        missing: [...before].filter(file => !after.has(file)),
+        extra: [...after].filter(file => !before.has(file))
+    };
+}
+
+/**
+ * Pretty-prints the manifest, keeping coordinate arrays on one line
+ * @param {Object} manifest - The manifest object
+ * @returns {string} The file contents
+ */
+function formatManifest(manifest) {
+    return JSON.stringify(manifest, null, 2)
+        .replace(/\[\s+([-\d.e,\s]+?)\s+\]/g, (match, inner) => `[${inner.split(/,\s*/).join(', ')}]`) + '\n';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!fs.existsSync(args.root)) {
+        console.error(`Asset folder not found: ${args.root}`);
+        process.exit(1);
+    }
+
+    const { manifest, warnings } = generateManifest(args.root);
+
+    let previous = null;
+    if (fs.existsSync(args.out)) {
+        try {
+            previous = JSON.parse(fs.readFileSync(args.out, 'utf8'));
+        } catch (error) {
+            warnings.push(`${args.out}: existing manifest is not valid JSON`);
+        }
+    }
+
+    let changed = !previous;
+    if (previous) {
+        const { missing, extra } = diffManifests(previous, manifest);
+        missing.forEach(file => warnings.push(`${file}: listed in manifest but missing on disk`));
+        extra.forEach(file => warnings.push(`${file}: on disk but not listed in manifest`));
+        changed = JSON.stringify(previous) !== JSON.stringify(manifest);
+    }
+
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+    if (args.check) {
+        if (changed) {
+            console.error(`${args.out} is out of date; run node tools/generate-asset-manifest.js`);
+            process.exit(1);
+        }
+        console.log(`${args.out} is up to date (${manifest.fileCount} models)`);
+        return;
+    }
+
+    fs.writeFileSync(args.out, formatManifest(manifest));
+    console.log(`Wrote ${args.out} (${manifest.fileCount} models, ${warnings.length} warnings)`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateManifest, diffManifests, computeBounds, readGlbJson };
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Benchmark level generator
+//
+// Writes a long surf track built from a handful of repeated Platformer blocks
+// and Pirate props, the kind of level GPU instancing is meant for. Load it in
+// the editor and toggle "GPU Instancing" in the bottom right corner to compare
+// draw calls:
+//
+//     node tools/generate-benchmark-scene.js
+//
+// Options:
+//     --length   Number of track rows (default: 80)
+//     --seed     Seed for prop placement, so the output is reproducible (default: 1)
+//     --out      Scene path (default: levels/benchmark-instancing.json)
+
+const fs = require('fs');
+const path = require('path');
+
+const { LevelModel, LevelObject } = require('../js/level-model.js');
+const { serializeLevel } = require('../js/scene-serializer.js');
+
+const ASSETS = {
+    block: 'Assets/3D/Platformer/block-grass-large.glb',
+    coin: 'Assets/3D/Platformer/coin-gold.glb',
+    barrel: 'Assets/3D/Pirate/barrel.glb',
+    crate: 'Assets/3D/Pirate/crate.glb',
+    palm: 'Assets/3D/Pirate/palm-straight.glb',
+    rocks: 'Assets/3D/Pirate/rocks-a.glb'
+};
+
+// Track layout in world units
+const LANES = [-2, 0, 2];
+const ROW_SPACING = 2;
+const SIDE_OFFSET = 5;
+
+function parseArgs(argv) {
+    const args = { length: 80, seed: 1, out: 'levels/benchmark-instancing.json' };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--length':
+                args.length = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                args.seed = parseInt(argv[++i], 10);
+                break;
+            case '--out':
+                args.out = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!(args.length > 0)) {
+        throw new Error('--length must be a positive number');
+    }
+    return args;
+}
+
+/**
+ * Small seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createUuid(random) {
+    const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16));
+    hex[12] = '4';
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)]
+        .map(part => part.join('')).join('-').toUpperCase();
+}
+
+/**
+ * Builds the benchmark scene in the editor's scene file format
+ * @param {Object} options - length and seed, as on the command line
+ * @returns {Object} Scene data
+ */
+function generateBenchmarkScene({ length, seed }) {
+    const random = createRandom(seed);
+    const level = new LevelModel();
+
+    const add = (file, x, y, z, rotationY = 0) => {
+        level.add(new LevelObject({
+            id: createUuid(random),
+            path: file,
+            position: { x, y, z },
+            rotation: { x: 0, y: rotationY, z: 0 }
+        }));
+    };
+
+    for (let row = 0; row < length; row++) {
+        const z = -row * ROW_SPACING;
+
+        LANES.forEach(x => add(ASSETS.block, x, 0, z));
+
+        // A coin line that weaves between the lanes
+        const lane = LANES[Math.floor(row / 4) % LANES.length];
+        add(ASSETS.coin, lane, 1.5, z);
+
+        // Props along both edges of the track
+        [-1, 1].forEach(side => {
+            const roll = random();
+            const x = side * SIDE_OFFSET;
+            const turn = Math.round(random() * 8) * Math.PI / 4;
+
+            if (roll < 0.3) {
+                add(ASSETS.barrel, x, 0, z, turn);
+            } else if (roll < 0.55) {
+                add(ASSETS.crate, x, 0, z, turn);
+            } else if (roll < 0.7 && row % 2 === 0) {
+                add(ASSETS.palm, x + side * 2, 0, z, turn);
+            } else if (roll < 0.75 && row % 4 === 0) {
+                add(ASSETS.rocks, x + side * 4, 0, z, turn);
+            }
+        });
+    }
+
+    level.settings = {
+        snapping: { gridEnabled: true, gridSize: 1, rotationEnabled: true, rotationStep: 45 }
+    };
+    // A fixed date keeps the output reproducible
+    return serializeLevel(level, { generatedBy: 'generate-benchmark-scene', date: new Date(0) });
+}
+
+/**
+ * Pretty-prints the scene with one object per line to keep the file short
+ * @param {Object} scene - Scene data
+ * @returns {string} The file contents
+ */
+function formatScene(scene) {
+    const { objects, ...header } = scene;
+    const head = JSON.stringify({ ...header, objects: [] }, null, 2).replace(/\[\]\n}$/, '');
+    const lines = objects.map(object => `    ${JSON.stringify(object)}`);
+    return `${head}[\n${lines.join(',\n')}\n  ]\n}\n`;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const missing = Object.values(ASSETS).filter(file => !fs.existsSync(file));
+    missing.forEach(file => console.warn(`Warning: ${file} not found`));
+
+    const scene = generateBenchmarkScene(args);
+    const counts = {};
+    scene.objects.forEach(object => counts[object.filename] = (counts[object.filename] || 0) + 1);
+
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, formatScene(scene));
+
+    console.log(`Wrote ${args.out} (${scene.objects.length} objects)`);
+    Object.entries(counts).forEach(([file, count]) => console.log(`  ${file}: ${count}`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateBenchmarkScene, formatScene };
@@ -0,0 +1,730 @@
+#!/usr/bin/env node
+// Command-line tool for level files
+//
+// Checks, inspects and batch-edits the scene JSON files written by the
+// editor. Files are read with the same migration and validation code the
+// editor uses (js/scene-schema.js), so what passes here loads there.
+//
+//     node tools/level-tool.js validate levels/*.json
+//     node tools/level-tool.js stats levels/scene_01.json
+//     node tools/level-tool.js missing levels
+//     node tools/level-tool.js rewrite-paths Assets/3D/Old/ Assets/3D/New/ levels
+//     node tools/level-tool.js rename-property speed maxSpeed levels
+//     node tools/level-tool.js schema > scene.schema.json
+//     node tools/level-tool.js play levels/scene_01.json --script run.json
+//
+// Directories are searched for .json files; prefab files (.prefab.json) are
+// checked through the levels that use them. Options:
+//     --strict     validate: also fail on repaired objects and old versions
+//     --json       stats, missing: print machine-readable JSON
+//     --dry-run    rewrite-paths, rename-property: report without writing
+//     --root       Project folder that asset paths are relative to (default: .)
+//     --manifest   Asset manifest for model bounds (default: <root>/Assets/3D/manifest.json)
+//     --script     play: inputs to play the level with, as JSON phases such as
+//                  [{ "seconds": 2, "input": { "accelerate": true } }, { "steps": 1, "input": { "jump": true } }]
+//
+// Exit code 1 means a file failed validation, a model is missing or an edit
+// could not be applied.
+
+const fs = require('fs');
+const path = require('path');
+
+const { SCENE_SCHEMA, SceneLoadReport } = require('../js/scene-schema.js');
+const { parseLevel, stringifyLevel } = require('../js/scene-serializer.js');
+const { checkPrefab, expandPrefabInstances } = require('../js/prefabs.js');
+const { PREFAB_EXTENSION } = require('../js/level-model.js');
+const { AssetRegistry } = require('../js/asset-registry.js');
+const { PlaySimulation, createPlayCollider, setColliderPaths, setPickupPaths, setCannonPaths, runPlayScript } = require('../js/play-simulation.js');
+const { PathMotion } = require('../js/motion-paths.js');
+const { PickupSystem, createPickup, computePickupTotals, describePickupTotals } = require('../js/pickups.js');
+const { PROJECTILE_MODEL, ProjectileSystem, getProjectileRadius, createCannon, createDropPickups } = require('../js/projectiles.js');
+const { OceanWaves } = require('../js/waves.js');
+
+const COMMANDS = {
+    validate: { args: [], run: validateCommand },
+    stats: { args: [], run: statsCommand },
+    missing: { args: [], run: missingCommand },
+    'rewrite-paths': { args: ['from', 'to'], run: rewritePathsCommand },
+    'rename-property': { args: ['from', 'to'], run: renamePropertyCommand },
+    schema: { args: [], files: false, run: schemaCommand },
+    play: { args: [], run: playCommand }
+};
+
+function parseArgs(argv) {
+    const args = { command: null, params: [], files: [], strict: false, json: false, dryRun: false, root: '.', manifest: null, script: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--strict':
+                args.strict = true;
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--dry-run':
+                args.dryRun = true;
+                break;
+            case '--root':
+                args.root = argv[++i];
+                break;
+            case '--manifest':
+                args.manifest = argv[++i];
+                break;
+            case '--script':
+                args.script = argv[++i];
+                break;
+            default:
+                if (argv[i].startsWith('--')) {
+                    throw new Error(`Unknown option: ${argv[i]}`);
+                }
+                positional.push(argv[i]);
+        }
+    }
+
+    args.command = positional.shift();
+    const command = COMMANDS[args.command];
+    if (!command) {
+        throw new Error(`Unknown command: ${args.command || '(none)'}; expected one of ${Object.keys(COMMANDS).join(', ')}`);
+    }
+
+    args.params = positional.splice(0, command.args.length);
+    if (args.params.length < command.args.length) {
+        throw new Error(`${args.command} needs ${command.args.map(name => `<${name}>`).join(' ')}`);
+    }
+    if (command.files !== false) {
+        args.files = findLevelFiles(positional);
+        if (args.files.length === 0) {
+            throw new Error('No level files given');
+        }
+    }
+
+    args.manifest = args.manifest || path.join(args.root, 'Assets/3D/manifest.json');
+    return args;
+}
+
+/**
+ * Expands directories into the .json files they contain
+ * @param {string[]} inputs - Files and folders from the command line
+ * @returns {string[]} Level file paths
+ */
+function findLevelFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (!fs.existsSync(input)) {
+            throw new Error(`Not found: ${input}`);
+        }
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input, { withFileTypes: true })
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(entry => {
+                    const entryPath = path.join(input, entry.name);
+                    if (entry.isDirectory()) {
+                        files.push(...findLevelFiles([entryPath]));
+                    } else if (entry.name.endsWith('.json') && !entry.name.endsWith(PREFAB_EXTENSION)) {
+                        files.push(entryPath);
+                    }
+                });
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+/**
+ * Reads and validates a level file
+ * @param {string} file - Path of the scene JSON
+ * @returns {{ level: LevelModel|null, report: SceneLoadReport }}
+ */
+function readLevel(file) {
+    const report = new SceneLoadReport(file);
+    const level = parseLevel(fs.readFileSync(file, 'utf8'), report);
+    return { level, report };
+}
+
+function validateCommand(args) {
+    let failed = 0;
+
+    args.files.forEach(file => {
+        const { level, report } = readLevel(file);
+        if (level) {
+            checkPrefabFiles(level, args.root, report);
+        }
+        const ok = !report.isFatal && report.rejectedCount === 0 &&
+            (!args.strict || (report.repairedCount === 0 && report.migrations.length === 0 && report.warnings.length === 0));
+
+        if (!ok) failed++;
+        console.log(`${ok ? 'OK  ' : 'FAIL'} ${report.hasIssues ? report.toString() : report.summary()}`);
+    });
+
+    console.log(`\n${args.files.length - failed} of ${args.files.length} files valid`);
+    return failed === 0;
+}
+
+/**
+ * Warns about prefab instances whose prefab file is missing or broken
+ * @param {LevelModel} level
+ * @param {string} root - Folder the prefab paths are relative to
+ * @param {SceneLoadReport} report - Gets a warning per bad prefab
+ */
+function checkPrefabFiles(level, root, report) {
+    const prefabPaths = new Set(level.list().filter(object => object.isPrefabInstance).map(object => object.path));
+
+    prefabPaths.forEach(prefabPath => {
+        const file = path.join(root, prefabPath);
+        if (!fs.existsSync(file)) {
+            report.warn(`Prefab ${prefabPath} not found`);
+            return;
+        }
+
+        let problems;
+        try {
+            problems = checkPrefab(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (error) {
+            problems = [error.message];
+        }
+        if (problems.length > 0) {
+            report.warn(`Prefab ${prefabPath} is broken: ${problems.join('; ')}`);
+        }
+    });
+}
+
+/**
+ * Creates the members of a level's prefab instances from the prefab files,
+ * so they count like any other object
+ * @param {LevelModel} level
+ * @param {string} root - Folder the prefab paths are relative to
+ * @returns {string[]} Paths of prefabs that are missing or broken; their
+ *     instances stay empty
+ */
+function expandLevelPrefabs(level, root) {
+    const prefabs = new Map();
+    level.list().filter(object => object.isPrefabInstance).forEach(object => {
+        const file = path.join(root, object.path);
+        if (prefabs.has(object.path) || !fs.existsSync(file)) return;
+
+        try {
+            const prefab = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (checkPrefab(prefab).length === 0) prefabs.set(object.path, prefab);
+        } catch (error) {
+            // Left out like a missing prefab; validate reports why
+        }
+    });
+    return expandPrefabInstances(level, prefabs);
+}
+
+/**
+ * Loads model bounds from the asset manifest, keyed by path
+ * @returns {Map<string, {min: number[], max: number[]}>}
+ */
+function loadModelBounds(manifestPath) {
+    const bounds = new Map();
+    if (!fs.existsSync(manifestPath)) return bounds;
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const visit = folder => {
+        (folder.files || []).forEach(file => {
+            if (file.bounds) bounds.set(file.path, file.bounds);
+        });
+        (folder.folders || []).forEach(visit);
+    };
+    visit(manifest);
+    return bounds;
+}
+
+/**
+ * Rotates a point by Euler angles in three.js' default XYZ order
+ */
+function rotateXYZ([x, y, z], rotation) {
+    const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+    const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+    const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+
+    return [
+        c * e * x - c * f * y + d * z,
+        (a * f + b * e * d) * x + (a * e - b * f * d) * y - b * c * z,
+        (b * f - a * e * d) * x + (b * e + a * f * d) * y + a * c * z
+    ];
+}
+
+/**
+ * Moves a point from an object's space into its parent's space
+ */
+function transformPoint(point, { position, scale, rotation }) {
+    const scaled = [point[0] * scale.x, point[1] * scale.y, point[2] * scale.z];
+    return rotateXYZ(scaled, rotation).map((value, axis) => value + [position.x, position.y, position.z][axis]);
+}
+
+/**
+ * Objects a level object is parented to, nearest first
+ * @param {LevelObject} object
+ * @param {LevelModel} [level]
+ * @returns {LevelObject[]}
+ */
+function getParents(object, level) {
+    const parents = [];
+    for (let parent = level?.get(object.parent); parent && !parents.includes(parent) && parent !== object;
+        parent = level.get(parent.parent)) {
+        parents.push(parent);
+    }
+    return parents;
+}
+
+/**
+ * Motion paths that move a level object: its own and those of the objects
+ * it is parented to. See setColliderPaths.
+ * @param {LevelObject} object
+ * @param {LevelModel} level
+ * @returns {Object[]}
+ */
+function getObjectPaths(object, level) {
+    const chain = [object, ...getParents(object, level)];
+    const paths = [];
+    chain.forEach((node, index) => {
+        if (!node.motionPath) return;
+
+        // Offsets are in the parent's space; its axes as they end up in the world
+        const toWorld = point => chain.slice(index + 1).reduce(transformPoint, point);
+        const origin = toWorld([0, 0, 0]);
+        const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(unit => {
+            const [x, y, z] = toWorld(unit).map((value, axis) => value - origin[axis]);
+            return { x, y, z };
+        });
+        paths.push({ motion: new PathMotion(node.motionPath), axes });
+    });
+    return paths;
+}
+
+/**
+ * World-space bounding box of a level object. Uses the model's bounds from
+ * the manifest when known, otherwise just the object's position.
+ * @param {LevelObject} object
+ * @param {Map} modelBounds - See loadModelBounds
+ * @param {LevelModel} [level] - Applies the transforms of the object's parents
+ * @returns {{min: number[], max: number[]}}
+ */
+function getObjectBounds(object, modelBounds, level = null) {
+    const local = modelBounds.get(object.path) || { min: [0, 0, 0], max: [0, 0, 0] };
+
+    const parents = getParents(object, level);
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let corner = 0; corner < 8; corner++) {
+        const point = [0, 1, 2].map(axis => (corner >> axis) & 1 ? local.max[axis] : local.min[axis]);
+        const world = parents.reduce(transformPoint, transformPoint(point, object));
+
+        world.forEach((value, axis) => {
+            min[axis] = Math.min(min[axis], value);
+            max[axis] = Math.max(max[axis], value);
+        });
+    }
+
+    return { min, max };
+}
+
+/**
+ * Collects counts, bounds and property usage of a level
+ * @param {LevelModel} level - Prefab members only count once they are
+ *     created, see expandLevelPrefabs
+ * @param {Map} modelBounds - See loadModelBounds
+ * @returns {Object} Plain statistics
+ */
+function computeLevelStats(level, modelBounds) {
+    const assets = {};
+    const properties = {};
+    let bounds = null;
+
+    level.list().forEach(object => {
+        assets[object.path] = (assets[object.path] || 0) + 1;
+
+        Object.keys(object.properties).forEach(key => {
+            properties[key] = (properties[key] || 0) + 1;
+        });
+
+        const box = getObjectBounds(object, modelBounds, level);
+        bounds = bounds ? {
+            min: bounds.min.map((value, axis) => Math.min(value, box.min[axis])),
+            max: bounds.max.map((value, axis) => Math.max(value, box.max[axis]))
+        } : box;
+    });
+
+    const round = values => values.map(value => Math.round(value * 1000) / 1000);
+    return {
+        objectCount: level.size,
+        linkCount: level.activeLinks().length,
+        movingCount: level.list().filter(object => object.motionPath).length,
+        assets: sortCounts(assets),
+        properties: sortCounts(properties),
+        bounds: bounds && {
+            min: round(bounds.min),
+            max: round(bounds.max),
+            size: round(bounds.max.map((value, axis) => value - bounds.min[axis]))
+        }
+    };
+}
+
+// Most used first, then alphabetical
+function sortCounts(counts) {
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+/**
+ * The asset registry under the asset root, or an empty one if it is missing
+ * @param {Object} args - Parsed command line
+ * @param {string} consequence - What a missing registry means for the command
+ * @returns {AssetRegistry}
+ */
+function loadRegistry(args, consequence) {
+    const registry = new AssetRegistry();
+    const registryFile = path.join(args.root, 'Assets/3D/asset-registry.json');
+    if (fs.existsSync(registryFile)) {
+        registry.load(JSON.parse(fs.readFileSync(registryFile, 'utf8')));
+    } else {
+        console.warn(`Warning: ${registryFile} not found; ${consequence}`);
+    }
+    return registry;
+}
+
+function statsCommand(args) {
+    const modelBounds = loadModelBounds(args.manifest);
+    if (modelBounds.size === 0) {
+        console.warn(`Warning: no model bounds in ${args.manifest}; bounding boxes only cover object positions`);
+    }
+    const registry = loadRegistry(args, 'no pickups are counted');
+
+    let ok = true;
+    const results = {};
+
+    args.files.forEach(file => {
+        const { level, report } = readLevel(file);
+        if (!level) {
+            ok = false;
+            console.error(report.toString());
+            return;
+        }
+        expandLevelPrefabs(level, args.root).forEach(prefabPath =>
+            console.warn(`Warning: ${file}: prefab ${prefabPath} not found or broken; its objects are not counted`));
+        results[file] = { ...computeLevelStats(level, modelBounds), pickups: computePickupTotals(level, registry) };
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return ok;
+    }
+
+    Object.entries(results).forEach(([file, stats]) => {
+        console.log(`${file}: ${stats.objectCount} objects, ${stats.linkCount} links, ${stats.movingCount} on waypoint paths`);
+        if (stats.bounds) {
+            console.log(`  Bounds: (${stats.bounds.min.join(', ')}) to (${stats.bounds.max.join(', ')}), size ${stats.bounds.size.join(' x ')}`);
+        }
+        console.log(`  Pickups: ${describePickupTotals(stats.pickups)}`);
+        console.log('  Assets:');
+        Object.entries(stats.assets).forEach(([asset, count]) => console.log(`    ${String(count).padStart(5)}  ${asset}`));
+
+        const keys = Object.entries(stats.properties);
+        console.log(keys.length ? '  Property keys:' : '  Property keys: none');
+        keys.forEach(([key, count]) => console.log(`    ${String(count).padStart(5)}  ${key}`));
+        console.log('');
+    });
+
+    return ok;
+}
+
+function missingCommand(args) {
+    let ok = true;
+    const missing = {};
+
+    args.files.forEach(file => {
+        const { level, report } = readLevel(file);
+        if (!level) {
+            ok = false;
+            console.error(report.toString());
+            return;
+        }
+
+        // Missing prefab files are listed like missing models
+        expandLevelPrefabs(level, args.root);
+        level.list().forEach(object => {
+            if (fs.existsSync(path.join(args.root, object.path))) return;
+
+            missing[object.path] = missing[object.path] || {};
+            missing[object.path][file] = (missing[object.path][file] || 0) + 1;
+        });
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(missing, null, 2));
+    } else if (Object.keys(missing).length === 0) {
+        console.log(`All models referenced by ${args.files.length} files exist`);
+    } else {
+        Object.entries(missing).sort().forEach(([asset, files]) => {
+            console.log(`Missing ${asset}`);
+            Object.entries(files).forEach(([file, count]) => console.log(`  ${count}x in ${file}`));
+        });
+    }
+
+    return ok && Object.keys(missing).length === 0;
+}
+
+/**
+ * Loads each file, applies an edit to its level and writes it back.
+ * Files with rejected objects are left alone, since writing them would drop
+ * those objects.
+ * @param {Object} args - Parsed command line
+ * @param {Function} edit - Receives a LevelModel, returns the number of changes
+ * @returns {boolean} Whether every file could be processed
+ */
+function editLevels(args, edit) {
+    let ok = true;
+    let total = 0;
+
+    args.files.forEach(file => {
+        const { level, report } = readLevel(file);
+        if (!level || report.rejectedCount > 0) {
+            ok = false;
+            console.error(`Skipped ${file}: it has to load cleanly before it can be rewritten`);
+            console.error(report.toString());
+            return;
+        }
+
+        const changes = edit(level, file);
+        if (changes === 0) return;
+        total += changes;
+
+        if (report.migrations.length > 0 || report.repairedCount > 0) {
+            console.log(`  ${file} will also be upgraded to the current format (${report.summary()})`);
+        }
+        if (!args.dryRun) {
+            fs.writeFileSync(file, stringifyLevel(level, { generatedBy: level.metadata.generatedBy }));
+        }
+        console.log(`${args.dryRun ? 'Would update' : 'Updated'} ${file}: ${changes} changes`);
+    });
+
+    console.log(`${total} changes in ${args.files.length} files${args.dryRun ? ' (dry run, nothing written)' : ''}`);
+    return ok;
+}
+
+function rewritePathsCommand(args) {
+    const [from, to] = args.params;
+
+    // A trailing slash moves a whole folder, otherwise the path must match exactly
+    const rewrite = from.endsWith('/') ?
+        file => file.startsWith(from) ? to + file.slice(from.length) : file :
+        file => file === from ? to : file;
+
+    return editLevels(args, level => {
+        let changes = 0;
+        level.list().forEach(object => {
+            const newPath = rewrite(object.path);
+            if (newPath !== object.path) {
+                object.path = newPath;
+                changes++;
+            }
+        });
+        return changes;
+    });
+}
+
+function renamePropertyCommand(args) {
+    const [from, to] = args.params;
+
+    return editLevels(args, (level, file) => {
+        let changes = 0;
+        level.list().forEach(object => {
+            if (!(from in object.properties)) return;
+
+            if (to in object.properties) {
+                console.warn(`  ${file}: ${object.filename} (${object.id}) already has "${to}", left unchanged`);
+                return;
+            }
+
+            const properties = {};
+            Object.entries(object.properties).forEach(([key, value]) => {
+                properties[key === from ? to : key] = value;
+            });
+            level.setProperties(object, properties);
+            changes++;
+        });
+        return changes;
+    });
+}
+
+/**
+ * Sets up a play-test of a level like the editor's Play button: prefab
+ * instances are expanded from the prefab files, every object with a known
+ * model becomes a collider, a pickup or a cannon, all of which move along
+ * the motion paths, the player starts at the first spawn marker and rides the
+ * level's waves.
+ * @param {LevelModel} level
+ * @param {Object} args - Parsed command line
+ * @returns {{simulation: PlaySimulation, spawn: LevelObject|null, skipped: number}}
+ */
+function createLevelSimulation(level, args, registry, modelBounds) {
+    expandLevelPrefabs(level, args.root).forEach(prefabPath =>
+        console.warn(`  Prefab ${prefabPath} not found or broken; its objects are left out`));
+
+    let spawn = null;
+    let skipped = 0;
+    const colliders = [];
+    const pickups = [];
+    const cannons = [];
+    const toPoint = ([x, y, z]) => ({ x, y, z });
+    const getCenter = object => {
+        const { min, max } = getObjectBounds(object, modelBounds, level);
+        return { x: (min[0] + max[0]) / 2, y: (min[1] + max[1]) / 2, z: (min[2] + max[2]) / 2 };
+    };
+    level.list().forEach(object => {
+        if (object.isPrefabInstance) return;
+
+        const info = registry.get(object.path);
+        if (info.role === 'spawn' && !spawn) spawn = object;
+        if (!modelBounds.has(object.path)) {
+            skipped++;
+            return;
+        }
+
+        const { min, max } = getObjectBounds(object, modelBounds, level);
+        const bounds = { min: toPoint(min), max: toPoint(max) };
+        const paths = getObjectPaths(object, level);
+        const pickup = createPickup(object.id, info, bounds, object.properties);
+        if (pickup) pickups.push(setPickupPaths(pickup, paths));
+        // Headings of parents are left out, as for the spawn marker
+        const target = level.get(object.properties.target);
+        const cannon = createCannon(object.id, info, bounds, object.rotation.y, object.properties, target ? getCenter(target) : null);
+        if (cannon) cannons.push(setCannonPaths(cannon, paths, target ? getObjectPaths(target, level) : []));
+
+        const collider = createPlayCollider(object.id, info, bounds, object.properties);
+        if (!collider) return;
+        colliders.push(setColliderPaths(collider, paths));
+        if (collider.drop) {
+            // Drops appear around the destructible wherever its path has taken it
+            const dropBounds = modelBounds.get(collider.drop.path);
+            createDropPickups(collider, registry.get(collider.drop.path), dropBounds || null)
+                .forEach(drop => pickups.push(setPickupPaths(drop, paths)));
+        }
+    });
+
+    let start = null;
+    if (spawn) {
+        // Without model bounds the box is just the spawn marker's world position
+        const [x, y, z] = getObjectBounds(spawn, new Map(), level).min;
+        start = { position: { x, y, z }, heading: spawn.rotation.y };
+    }
+    const water = new OceanWaves(level.settings.water);
+    const projectiles = new ProjectileSystem({ cannons, radius: getProjectileRadius(modelBounds.get(PROJECTILE_MODEL)) });
+    const simulation = new PlaySimulation({ colliders, spawn: start, water, pickups: new PickupSystem(pickups), projectiles });
+    return { simulation, spawn, skipped };
+}
+
+function playCommand(args) {
+    if (!args.script) {
+        console.error('play needs --script <file> with the inputs to play with');
+        return false;
+    }
+    const script = JSON.parse(fs.readFileSync(args.script, 'utf8'));
+    if (!Array.isArray(script)) {
+        console.error(`${args.script} must hold an array of phases`);
+        return false;
+    }
+
+    const registry = loadRegistry(args, 'every object is a solid box');
+    const modelBounds = loadModelBounds(args.manifest);
+
+    let ok = true;
+    const results = {};
+    args.files.forEach(file => {
+        const { level, report } = readLevel(file);
+        if (!level) {
+            ok = false;
+            console.error(report.toString());
+            return;
+        }
+
+        const { simulation, spawn, skipped } = createLevelSimulation(level, args, registry, modelBounds);
+        let events;
+        try {
+            events = runPlayScript(simulation, script);
+        } catch (error) {
+            ok = false;
+            console.error(`${args.script}: ${error.message}`);
+            return;
+        }
+
+        const round = value => Math.round(value * 1000) / 1000;
+        const { position, heading, speed, grounded } = simulation.player;
+        results[file] = {
+            spawn: spawn ? spawn.id : null,
+            colliders: simulation.colliders.length,
+            pickups: simulation.pickups.items.length,
+            cannons: simulation.projectiles.cannons.length,
+            skipped,
+            steps: simulation.stepCount,
+            seconds: round(simulation.time),
+            events,
+            player: {
+                position: { x: round(position.x), y: round(position.y), z: round(position.z) },
+                heading: round(heading),
+                speed: round(speed),
+                grounded
+            },
+            score: {
+                points: simulation.pickups.score,
+                collected: simulation.pickups.collectedCount,
+                bestCombo: simulation.pickups.bestCombo
+            },
+            shots: simulation.projectiles.shotCount,
+            destroyed: simulation.colliders.filter(collider => collider.destroyed).map(collider => collider.id)
+        };
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return ok;
+    }
+
+    Object.entries(results).forEach(([file, result]) => {
+        const { position, speed } = result.player;
+        console.log(`${file}: ${result.steps} steps (${result.seconds} s) from ${result.spawn ? `spawn ${result.spawn}` : 'the origin (no spawn marker)'}`);
+        console.log(`  ${result.colliders} colliders, ${result.pickups} pickups, ${result.cannons} cannons${result.skipped ? `, ${result.skipped} objects without model bounds left out` : ''}`);
+        result.events.forEach(event => {
+            const points = event.type === 'collect' ? ` +${event.points}${event.combo > 1 ? ` (x${event.combo} combo)` : ''}` : '';
+            console.log(`  step ${String(event.step).padStart(5)}  ${event.type}${event.id ? ` ${event.id}` : ''}${points}`);
+        });
+        console.log(`  Ends at (${position.x}, ${position.y}, ${position.z}) at ${speed} m/s${result.player.grounded ? '' : ', in the air'}`);
+        console.log(`  Score ${result.score.points} from ${result.score.collected} pickups, best combo x${result.score.bestCombo}`);
+        if (result.shots > 0) {
+            console.log(`  ${result.shots} cannon balls fired, ${result.destroyed.length} objects destroyed`);
+        }
+        console.log('');
+    });
+
+    return ok;
+}
+
+function schemaCommand() {
+    console.log(JSON.stringify(SCENE_SCHEMA, null, 2));
+    return true;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/level-tool.js <validate|stats|missing|rewrite-paths|rename-property|schema|play> [args] <files or folders>');
+        process.exit(2);
+    }
+
+    const ok = COMMANDS[args.command].run(args);
+    process.exit(ok ? 0 : 1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { computeLevelStats, getObjectBounds, getObjectPaths, loadModelBounds, findLevelFiles };